@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// One document per batch being written on a stock ledger. The unique (ledger, batch)
+// index is what makes the lock exclusive, see utils/ledgerLock.js
+const batchLockSchema = new mongoose.Schema({
+  ledger: {
+    type: String,
+    required: true
+  },
+  batch: {
+    type: String,
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+batchLockSchema.index({ ledger: 1, batch: 1 }, { unique: true });
+// Clean up locks left behind by a crashed process
+batchLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('BatchLock', batchLockSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// QC release status of a finished goods batch. Receipts start the batch in quarantine;
+// a ProductQ approval releases or rejects it, see utils/qualityHold.js. Material batches
+// keep theirs in MaterialBatch.qualityStatus.
+// Batches without a document were received before QC holds existed and are released.
+const batchQualitySchema = new mongoose.Schema({
+  ledger: {
+    type: String,
+    enum: ['ProductRI'],
+    required: true
+  },
+  batch: {
+    type: String,
+    required: true
+  },
+  item: String,
+  status: {
+    type: String,
+    enum: ['quarantine', 'approved', 'conditional', 'rejected'],
+    default: 'quarantine'
+  },
+  // MaterialQ or ProductQ record that decided the current status
+  qualityCheck: mongoose.Schema.Types.ObjectId,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  history: [{
+    status: String,
+    qualityCheck: mongoose.Schema.Types.ObjectId,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+batchQualitySchema.index({ ledger: 1, batch: 1 }, { unique: true });
+batchQualitySchema.index({ ledger: 1, status: 1 });
+
+export default mongoose.model('BatchQuality', batchQualitySchema);
\ No newline at end of file
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const CalendarEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true,
+    maxlength: [100, 'Event name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['holiday', 'shutdown', 'reduced-hours'],
+      message: 'Type must be holiday, shutdown or reduced-hours'
+    },
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Fixed-date holidays that repeat on the same day every year
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  // Empty means the event applies to every line
+  lines: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Line'
+  }],
+  // Hours still available on each day of a reduced-hours event
+  availableHours: {
+    type: Number,
+    min: [0, 'Available hours cannot be negative'],
+    max: [24, 'Available hours cannot exceed 24'],
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+CalendarEventSchema.index({ startDate: 1, endDate: 1 });
+CalendarEventSchema.index({ type: 1, status: 1 });
+CalendarEventSchema.index({ lines: 1 });
+
+CalendarEventSchema.pre('save', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+  next();
+});
+
+// Check whether the event covers a date, honouring yearly recurrence
+CalendarEventSchema.methods.coversDate = function(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  const start = new Date(this.startDate);
+  const end = new Date(this.endDate);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+
+  if (this.recurring) {
+    const yearOffset = day.getFullYear() - start.getFullYear();
+    start.setFullYear(start.getFullYear() + yearOffset);
+    end.setFullYear(end.getFullYear() + yearOffset);
+  }
+
+  return day >= start && day <= end;
+};
+
+// Check whether the event applies to a given line
+CalendarEventSchema.methods.appliesToLine = function(lineId) {
+  if (!this.lines || this.lines.length === 0) return true;
+  if (!lineId) return false;
+  return this.lines.some(line => line.toString() === lineId.toString());
+};
+
+export default mongoose.model('CalendarEvent', CalendarEventSchema);
\ No newline at end of file
@@ -1,11 +1,17 @@
 import mongoose from 'mongoose';
 
 const CapacitySchema = new mongoose.Schema({
+  // Line code from LineManagement
   productionLine: {
     type: String,
     required: true,
     unique: true,
-    enum: ['Line 1', 'Line 2', 'Line 3', 'Line 4']
+    trim: true,
+    uppercase: true
+  },
+  lineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Line'
   },
   maxCapacity: {
     type: Number,
@@ -29,9 +35,13 @@ const CapacitySchema = new mongoose.Schema({
     endDate: Date,
     reason: String
   }],
+  // Line OEE (%) over the trailing window, computed by refreshCapacityEfficiency
   efficiency: {
     type: Number,
     default: 85
+  },
+  efficiencyUpdatedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Named sequences for document numbers, one document per sequence (e.g. 'PurchaseOrder:202610').
+// A number is taken with a single atomic $inc, so concurrent creates never draw the same
+// one and a deleted document's number is not handed out again.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Take the next number of a sequence, starting at 1
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
\ No newline at end of file
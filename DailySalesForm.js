@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import { acquireBatchLock, releaseBatchLock } from '../utils/ledgerLock.js';
+import {
+  recalculateBatch,
+  getQueryBatches,
+  LEDGER_QUERY_HOOKS
+} from '../utils/ledgerRecalculation.js';
+import { flagBatchRebuild, rebuildBatchOrFlag } from '../utils/ledgerRebuild.js';
+import { assertBatchNotRecalled } from '../utils/recallGuard.js';
 
 const dailySalesFormSchema = new mongoose.Schema({
   Date: { 
@@ -106,6 +114,12 @@ const dailySalesFormSchema = new mongoose.Schema({
     type: String,
     required: true,
     index: true
+  },
+  // Customer the sale went to, used to trace batches to customers
+  Customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
   }
 }, {
   timestamps: true,
@@ -649,16 +663,32 @@ dailySalesFormSchema.pre('save', async function(next) {
       }
     }
 
+    // Recalled batches cannot be received for sale or sold
+    if (this.isNew || this.isModified('Activity') || this.isModified('Batch')) {
+      await assertBatchNotRecalled('DailySalesForm', this.Activity, this.Batch);
+    }
+
     // Truncate note
     if (this.Note && this.Note.length > 100) {
       this.Note = this.Note.substring(0, 100);
     }
 
+    // An edited record moved to another batch leaves the old batch to recalculate
+    if (!this.isNew && this.isModified('Batch')) {
+      const previous = await this.constructor.findById(this._id).select('Batch').lean();
+      this.$locals.previousBatch = previous?.Batch;
+    }
+
+    // Hold the batch lock until post-save has updated the running balances
+    this.$locals.batchLock = await acquireBatchLock(this.constructor.modelName, this.Batch, { session: this.$session() });
+
     // Calculate stock
     await this.calculateStock();
     
     next();
   } catch (error) {
+    await releaseBatchLock(this.$locals.batchLock);
+    this.$locals.batchLock = null;
     next(error);
   }
 });
@@ -679,7 +709,7 @@ dailySalesFormSchema.statics.getAvailableBatches = async function(productName =
 };
 
 // Optimized batch stock calculation
-dailySalesFormSchema.statics.getBatchStock = async function(batch) {
+dailySalesFormSchema.statics.getBatchStock = async function(batch, session = null) {
   if (!batch) return 0;
   
   try {
@@ -699,7 +729,7 @@ dailySalesFormSchema.statics.getBatchStock = async function(batch) {
           }
         }
       }
-    ]).exec();
+    ]).session(session).exec();
     
     return result.length > 0 ? Math.max(0, result[0].stock) : 0;
   } catch (error) {
@@ -711,7 +741,9 @@ dailySalesFormSchema.statics.getBatchStock = async function(batch) {
 // Instance method to calculate stock
 dailySalesFormSchema.methods.calculateStock = async function() {
   try {
-    const currentStock = await this.constructor.getBatchStock(this.Batch);
+    // Inside a ledger transaction, count its earlier uncommitted records too
+    const session = this.$session();
+    const currentStock = await this.constructor.getBatchStock(this.Batch, session);
     
     if (this.isNew) {
       // Positive stock activities (receiving)
@@ -729,7 +761,7 @@ dailySalesFormSchema.methods.calculateStock = async function() {
       }
     } else {
       // For updates, recalculate based on all transactions
-      this.Stock = await this.constructor.getBatchStock(this.Batch);
+      this.Stock = await this.constructor.getBatchStock(this.Batch, session);
     }
   } catch (error) {
     // If stock calculation fails, set a safe default
@@ -746,41 +778,53 @@ dailySalesFormSchema.methods.calculateStock = async function() {
 // Enhanced post-save middleware
 dailySalesFormSchema.post('save', async function() {
   try {
-    // Update subsequent records for the same batch
-    const subsequentRecords = await this.constructor.find({
-      Batch: this.Batch,
-      Date: { $gt: this.Date }
-    }).select('_id Activity Quantity').sort({ Date: 1 }).lean();
-
-    let runningStock = this.Stock;
-    const bulkOps = [];
-    
-    for (const record of subsequentRecords) {
-      const positiveActivities = ['Receive', 'Return from Customer'];
-      const negativeActivities = ['Sales', 'Return to customer', 'Loss'];
-      
-      if (positiveActivities.includes(record.Activity)) {
-        runningStock += record.Quantity;
-      } else if (negativeActivities.includes(record.Activity)) {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
-    }
+    // Rebuild the batch's running balances so backdated entries correct later rows.
+    // The batch lock taken in pre-save is still held.
+    await recalculateBatch(this.constructor, this.Batch, { lock: false, session: this.$session() });
 
     // Clear relevant cache entries
     productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
   } catch (error) {
-    console.error('Error updating subsequent records:', error);
+    // In a transaction the error aborts it, so the record is not stored either
+    if (this.$session()) throw error;
+
+    // The record is already written; failing the request now would invite a duplicate
+    // posting, so the batch is left to the rebuild job instead
+    console.error('Error updating subsequent records, batch flagged for rebuild:', error);
+    await flagBatchRebuild(this.constructor.modelName, this.Batch, error);
+  } finally {
+    await releaseBatchLock(this.$locals.batchLock);
+    this.$locals.batchLock = null;
+  }
+
+  if (this.$locals.previousBatch && this.$locals.previousBatch !== this.Batch) {
+    await rebuildBatchOrFlag(this.constructor, this.$locals.previousBatch, { session: this.$session() });
+    this.$locals.previousBatch = null;
+  }
+});
+
+// Release the batch lock when the write itself fails
+dailySalesFormSchema.post('save', async function(error, doc, next) {
+  await releaseBatchLock(this.$locals.batchLock);
+  this.$locals.batchLock = null;
+  next(error);
+});
+
+// Recalculate the batch after a record is deleted with doc.deleteOne()
+dailySalesFormSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await rebuildBatchOrFlag(this.constructor, this.Batch, { session: this.$session() });
+  productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
+});
+
+// Query updates and deletes (findByIdAndUpdate, findByIdAndDelete, deleteMany, ...) skip the
+// save hooks, so note the batches they touch and recalculate those batches afterwards
+dailySalesFormSchema.pre(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  this._batchesToUpdate = await getQueryBatches(this);
+});
+
+dailySalesFormSchema.post(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  for (const batch of this._batchesToUpdate || []) {
+    await rebuildBatchOrFlag(this.model, batch, { session: this.getOptions().session });
   }
 });
 
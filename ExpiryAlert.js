@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+// Write-off proposed for an expired batch: a Waste entry on ProductRI, a Disposal on MaterialRI
+const writeOffProposalSchema = new mongoose.Schema({
+  activity: {
+    type: String,
+    enum: ['Waste', 'Disposal']
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'posted', 'rejected', 'cancelled'],
+    default: 'proposed'
+  },
+  // Ledger entries posted for the write-off, one per location holding the batch
+  records: [mongoose.Schema.Types.ObjectId],
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  note: String
+}, { _id: false });
+
+// One alert per batch and threshold crossed; threshold 0 means the batch has expired.
+// The daily expiry check raises and refreshes these, see utils/expiryMonitor.js
+const expiryAlertSchema = new mongoose.Schema({
+  ledger: {
+    type: String,
+    enum: ['MaterialRI', 'ProductRI'],
+    required: true
+  },
+  item: {
+    type: String,
+    required: true
+  },
+  itemCode: String,
+  batch: {
+    type: String,
+    required: true
+  },
+  expireDate: {
+    type: Date,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  daysUntilExpiry: Number,
+  stock: {
+    type: Number,
+    default: 0
+  },
+  unitPrice: {
+    type: Number,
+    default: 0
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    // superseded: a closer threshold of the same batch was reached and carries on from here
+    enum: ['open', 'acknowledged', 'resolved', 'superseded'],
+    default: 'open'
+  },
+  raisedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastCheckedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  acknowledgeNote: String,
+  resolvedAt: Date,
+  writeOff: writeOffProposalSchema
+}, {
+  timestamps: true
+});
+
+expiryAlertSchema.virtual('expired').get(function() {
+  return this.threshold === 0;
+});
+
+expiryAlertSchema.index({ ledger: 1, batch: 1, threshold: 1 }, { unique: true });
+expiryAlertSchema.index({ status: 1, expireDate: 1 });
+expiryAlertSchema.index({ 'writeOff.status': 1 });
+
+export default mongoose.model('ExpiryAlert', expiryAlertSchema);
\ No newline at end of file
@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+
+const formulationLineSchema = new mongoose.Schema({
+  materialName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  materialUnit: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lossFactor: {
+    type: Number,
+    default: 0,
+    min: [0, 'Loss factor must be between 0 and 100'],
+    max: [100, 'Loss factor must be between 0 and 100']
+  },
+  effectiveQuantity: {
+    type: Number
+  }
+}, { _id: false });
+
+// A versioned recipe for a product. Approved versions apply from effectiveFrom until the
+// next approved version takes over (effectiveTo, exclusive), so past production can always
+// be matched to the formula it was made with.
+const formulationVersionSchema = new mongoose.Schema({
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    min: 1
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'obsolete'],
+    default: 'draft'
+  },
+  lines: {
+    type: [formulationLineSchema],
+    validate: {
+      validator: lines => lines.length > 0,
+      message: 'A formulation version needs at least one material line'
+    }
+  },
+  changeNote: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  obsoletedAt: Date
+}, {
+  timestamps: true
+});
+
+// Number new versions per product and keep line effective quantities in step with the loss factor
+formulationVersionSchema.pre('validate', async function(next) {
+  if (!this.version) {
+    const latest = await mongoose.model('FormulationVersion')
+      .findOne({ productName: this.productName })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+    this.version = (latest?.version || 0) + 1;
+  }
+
+  const materials = this.lines.map(line => line.materialName.toLowerCase());
+  if (new Set(materials).size !== materials.length) {
+    return next(new Error('Each material can only appear once in a formulation version'));
+  }
+
+  this.lines.forEach(line => {
+    line.effectiveQuantity = line.quantity * (1 + (line.lossFactor || 0) / 100);
+  });
+
+  if (this.effectiveTo && this.effectiveTo <= this.effectiveFrom) {
+    return next(new Error('Effective to date must be after the effective from date'));
+  }
+
+  next();
+});
+
+formulationVersionSchema.index({ productName: 1, version: 1 }, { unique: true });
+formulationVersionSchema.index({ productName: 1, status: 1, effectiveFrom: -1 });
+
+// Version in force for a product on a date; obsolete versions still answer for the dates they covered
+formulationVersionSchema.statics.findEffective = function(productName, date = new Date()) {
+  const onDate = new Date(date);
+  return this.findOne({
+    productName,
+    status: { $in: ['approved', 'obsolete'] },
+    effectiveFrom: { $lte: onDate },
+    $or: [{ status: 'approved', effectiveTo: null }, { effectiveTo: { $gt: onDate } }]
+  }).sort({ effectiveFrom: -1, version: -1 });
+};
+
+// Line by line differences between two versions
+formulationVersionSchema.statics.diff = function(from, to) {
+  const fromLines = new Map(from.lines.map(line => [line.materialName.toLowerCase(), line]));
+  const toLines = new Map(to.lines.map(line => [line.materialName.toLowerCase(), line]));
+  const round = (value) => parseFloat(value.toFixed(6));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  toLines.forEach((line, key) => {
+    const previous = fromLines.get(key);
+    if (!previous) {
+      added.push(line);
+      return;
+    }
+
+    const fields = ['quantity', 'materialUnit', 'lossFactor', 'effectiveQuantity']
+      .filter(field => previous[field] !== line[field])
+      .map(field => ({
+        field,
+        from: previous[field],
+        to: line[field],
+        ...(typeof line[field] === 'number' && { change: round(line[field] - previous[field]) })
+      }));
+
+    if (fields.length > 0) {
+      changed.push({ materialName: line.materialName, changes: fields });
+    } else {
+      unchanged++;
+    }
+  });
+
+  fromLines.forEach((line, key) => {
+    if (!toLines.has(key)) removed.push(line);
+  });
+
+  return { added, removed, changed, unchanged };
+};
+
+export default mongoose.model('FormulationVersion', formulationVersionSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { PLAN_MONTHS, getMonthRange } from '../utils/ethiopianCalendar.js';
 
 const InventoryPlanSchema = new mongoose.Schema({
   category: {
@@ -14,17 +15,30 @@ const InventoryPlanSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // First Gregorian year of the fiscal year, e.g. 2024 for "2024-2025"
   fiscalYear: {
     type: Number,
     required: true,
     min: 2000,
     max: 2100
   },
+  // Gregorian (January-December) or Ethiopian (Meskerem-Pagume) month name
   month: {
     type: String,
-    enum: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    enum: PLAN_MONTHS,
     required: true
   },
+  calendar: {
+    type: String,
+    enum: ['gregorian', 'ethiopian'],
+    default: 'gregorian'
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
   balanceType: {
     type: String,
     enum: ['Opening Balance', 'Closing Balance'],
@@ -46,5 +60,17 @@ const InventoryPlanSchema = new mongoose.Schema({
 
 // Compound index to ensure unique inventory plans per period
 InventoryPlanSchema.index({ category: 1, item: 1, fiscalYear: 1, month: 1, balanceType: 1 }, { unique: true });
+InventoryPlanSchema.index({ periodStart: 1 });
+
+// Derive calendar and Gregorian period dates from fiscal year and month
+InventoryPlanSchema.pre('validate', function(next) {
+  if (this.fiscalYear && PLAN_MONTHS.includes(this.month)) {
+    const { start, end, calendar } = getMonthRange(`${this.fiscalYear}-${this.fiscalYear + 1}`, this.month);
+    this.calendar = calendar;
+    this.periodStart = start;
+    this.periodEnd = end;
+  }
+  next();
+});
 
 export default mongoose.model('InventoryPlan', InventoryPlanSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Ledger work left for the background job in utils/ledgerRebuild.js: batches whose running
+// balances could not be updated after a write went through ('stock', keyed by batch), and
+// items whose stored issue costs need restating ('cost', keyed by material or product).
+const ledgerRebuildSchema = new mongoose.Schema({
+  ledger: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['stock', 'cost'],
+    default: 'stock'
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  lastError: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  flaggedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+ledgerRebuildSchema.index({ ledger: 1, kind: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('LedgerRebuild', ledgerRebuildSchema);
\ No newline at end of file
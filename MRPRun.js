@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+
+const plannedOrderSchema = new mongoose.Schema({
+  materialName: {
+    type: String,
+    required: true
+  },
+  materialCode: {
+    type: String,
+    default: ''
+  },
+  unit: {
+    type: String,
+    default: ''
+  },
+  period: {
+    type: String,
+    required: true
+  },
+  requiredDate: {
+    type: Date,
+    required: true
+  },
+  releaseDate: {
+    type: Date,
+    required: true
+  },
+  latestReleaseDate: {
+    type: Date
+  },
+  grossRequirement: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  netRequirement: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Planned quantity cannot be negative']
+  },
+  unitPrice: {
+    type: Number,
+    default: 0
+  },
+  estimatedCost: {
+    type: Number,
+    default: 0
+  },
+  leadTime: {
+    minimum: { type: Number, default: 0 },
+    maximum: { type: Number, default: 0 }
+  },
+  pastDue: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'released', 'cancelled'],
+    default: 'planned'
+  }
+});
+
+const MRPRunSchema = new mongoose.Schema({
+  runNumber: {
+    type: String,
+    unique: true
+  },
+  fiscalYear: {
+    type: String,
+    required: [true, 'Fiscal year is required'],
+    validate: {
+      validator: function(v) {
+        return /^\d{4}-\d{4}$/.test(v) &&
+               parseInt(v.split('-')[1]) === parseInt(v.split('-')[0]) + 1;
+      },
+      message: 'Fiscal year must be in format "YYYY-YYYY" (e.g., "2025-2026")'
+    }
+  },
+  demandSource: {
+    type: String,
+    enum: ['sales', 'production', 'combined'],
+    default: 'combined'
+  },
+  runDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'released', 'closed'],
+    default: 'draft'
+  },
+  productRequirements: [{
+    productName: String,
+    period: String,
+    periodStart: Date,
+    grossRequirement: { type: Number, default: 0 },
+    projectedOnHand: { type: Number, default: 0 },
+    netRequirement: { type: Number, default: 0 },
+    source: String
+  }],
+  materialRequirements: [{
+    materialName: String,
+    unit: String,
+    period: String,
+    requiredDate: Date,
+    grossRequirement: { type: Number, default: 0 },
+    projectedOnHand: { type: Number, default: 0 },
+    netRequirement: { type: Number, default: 0 }
+  }],
+  plannedOrders: [plannedOrderSchema],
+  warnings: [String],
+  summary: {
+    totalProducts: { type: Number, default: 0 },
+    totalMaterials: { type: Number, default: 0 },
+    totalPlannedOrders: { type: Number, default: 0 },
+    estimatedCost: { type: Number, default: 0 }
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+MRPRunSchema.index({ fiscalYear: 1, runDate: -1 });
+MRPRunSchema.index({ status: 1 });
+MRPRunSchema.index({ 'plannedOrders.materialName': 1 });
+
+// Pre-validate middleware to generate the run number
+MRPRunSchema.pre('validate', async function(next) {
+  if (!this.runNumber) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+
+    const startOfMonth = new Date(year, now.getMonth(), 1);
+    const count = await mongoose.model('MRPRun').countDocuments({
+      createdAt: { $gte: startOfMonth }
+    });
+
+    this.runNumber = `MRP-${year}${month}-${String(count + 1).padStart(4, '0')}`;
+  }
+  next();
+});
+
+export default mongoose.model('MRPRun', MRPRunSchema);
\ No newline at end of file
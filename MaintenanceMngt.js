@@ -13,6 +13,11 @@ const maintenanceMngtSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Production line the equipment belongs to, used for line downtime
+    line: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Line'
+    },
     maintenanceType: {
         type: String,
         enum: ['preventive', 'corrective', 'predictive', 'breakdown'],
@@ -87,5 +92,6 @@ maintenanceMngtSchema.pre('save', function(next) {
 maintenanceMngtSchema.index({ equipmentCode: 1 });
 maintenanceMngtSchema.index({ status: 1 });
 maintenanceMngtSchema.index({ maintenanceType: 1 });
+maintenanceMngtSchema.index({ line: 1, startDate: 1 });
 
 export default mongoose.model('MaintenanceMngt', maintenanceMngtSchema);
\ No newline at end of file
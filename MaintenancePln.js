@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { loadWorkingCalendar } from '../utils/workingCalendar.js';
 
 const maintenancePlnSchema = new mongoose.Schema({
     equipment: {
@@ -61,8 +62,8 @@ const maintenancePlnSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Calculate next maintenance date
-maintenancePlnSchema.pre('save', function(next) {
+// Calculate next maintenance date, moved off weekends and public holidays
+maintenancePlnSchema.pre('save', async function() {
     if (this.lastMaintenanceDate && this.frequencyValue) {
         const nextDate = new Date(this.lastMaintenanceDate);
         switch (this.frequency) {
@@ -85,9 +86,11 @@ maintenancePlnSchema.pre('save', function(next) {
                 nextDate.setFullYear(nextDate.getFullYear() + this.frequencyValue);
                 break;
         }
-        this.nextMaintenanceDate = nextDate;
+        const searchEnd = new Date(nextDate);
+        searchEnd.setDate(searchEnd.getDate() + 60);
+        const calendar = await loadWorkingCalendar(nextDate, searchEnd);
+        this.nextMaintenanceDate = calendar.getNextMaintenanceDay(null, nextDate);
     }
-    next();
 });
 
 maintenancePlnSchema.index({ equipmentCode: 1 });
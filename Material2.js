@@ -11,7 +11,9 @@ const material2Schema = new mongoose.Schema({
   MaximumConsumption: { type: Number, required: true },
   MinimumLeadTime: { type: Number, required: true },
   MaximumLeadTime: { type: Number, required: true },
-  Status: { type: String, enum: ['Active', 'Inactive'], default: 'Active' }
+  Status: { type: String, enum: ['Active', 'Inactive'], default: 'Active' },
+  // Inventory costing; unset means INVENTORY_COSTING_METHOD (default FIFO)
+  CostingMethod: { type: String, enum: ['FIFO', 'Weighted Average'] }
 }, {
   timestamps: true // Optional: adds createdAt and updatedAt fields
 });
@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const materialQSchema = new mongoose.Schema({
     material: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Material',
+        ref: 'Materials',
         required: true
     },
     batchNumber: String,
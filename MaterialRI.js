@@ -1,4 +1,20 @@
 import mongoose from 'mongoose';
+import { acquireBatchLocks, releaseBatchLocks } from '../utils/ledgerLock.js';
+import {
+  checkRecordEdit,
+  getQueryBatches,
+  LEDGER_QUERY_HOOKS
+} from '../utils/ledgerRecalculation.js';
+import { flagItemRecost, rebuildBatchOrFlag } from '../utils/ledgerRebuild.js';
+import { DEFAULT_LOCATION, LOCATION_EXPRESSION, locationMatch } from '../utils/locations.js';
+import { assertBatchReleased, quarantineBatch, getHeldBatches, QUARANTINE_ACTIVITIES } from '../utils/qualityHold.js';
+import { getMaterialReceiptCost } from '../utils/inventoryCosting.js';
+
+// Activities that add to a batch. Transfers move stock between locations,
+// so a Transfer Out / Transfer In pair leaves the batch total unchanged.
+// Disposal writes off expired stock and Adjustment In/Out correct a stock-take count;
+// unlike Issue neither is production consumption.
+const POSITIVE_ACTIVITIES = ['Receive', 'Transfer In', 'Adjustment In'];
 
 const materialRISchema = new mongoose.Schema({
   Date: { 
@@ -15,7 +31,7 @@ const materialRISchema = new mongoose.Schema({
   },
   Activity: { 
     type: String, 
-    enum: ['Receive', 'Issue'], 
+    enum: ['Receive', 'Issue', 'Transfer Out', 'Transfer In', 'Disposal', 'Adjustment In', 'Adjustment Out'], 
     required: true,
     index: true
   },
@@ -80,6 +96,57 @@ const materialRISchema = new mongoose.Schema({
     type: String,
     required: true,
     index: true
+  },
+  // Warehouse code, or WAREHOUSE/BIN, the stock moved in or out of
+  Location: {
+    type: String,
+    default: DEFAULT_LOCATION,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  // The other location of a Transfer Out / Transfer In
+  TransferLocation: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Set when the receipt was posted against a purchase order
+  PurchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    index: true
+  },
+  Supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    index: true
+  },
+  // Set on Issue records consumed by a ProductionManagement 'Production' batch (lot genealogy)
+  ProductionBatch: {
+    type: String,
+    trim: true,
+    index: true,
+    validate: {
+      validator: function(batch) {
+        return !batch || this.Activity === 'Issue';
+      },
+      message: 'Only Issue records can be consumed by a production batch'
+    }
+  },
+  // Receipts: purchase price (PO line, MaterialCost or master price). Issues: cost by the
+  // material's costing method, restated by the ledger rebuild job after every save
+  UnitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  TotalCost: {
+    type: Number
+  },
+  // Set on receipts saved with their UnitCost. Costs the rebuild job computes leave it
+  // unset, so those are worked out again on every recost.
+  CostEntered: {
+    type: Boolean
   }
 }, {
   timestamps: true,
@@ -181,26 +248,62 @@ materialRISchema.pre('save', async function(next) {
       this.Batch = `${this.MaterialCode}-${batchDateStr}`;
     }
 
+    // Batches on QC hold cannot be issued; stock-take adjustments only correct the count
+    if ((this.isNew || this.isModified('Activity') || this.isModified('Batch')) && !this.$locals.stockAdjustment) {
+      await assertBatchReleased('MaterialRI', this.Activity, this.Batch);
+    }
+
+    // Receipts entered without a price are costed at the current purchase price
+    if (this.isNew && this.Activity === 'Receive' && this.UnitCost == null) {
+      this.UnitCost = await getMaterialReceiptCost(this.Material);
+    }
+    if (this.isNew && this.UnitCost != null) {
+      this.CostEntered = true;
+    }
+
     // Truncate note
     if (this.Note && this.Note.length > 100) {
       this.Note = this.Note.substring(0, 100);
     }
 
+    // An edited record moved to another batch leaves the old batch to recalculate
+    if (!this.isNew && this.isModified('Batch')) {
+      const previous = await this.constructor.findById(this._id).select('Batch').lean();
+      this.$locals.previousBatch = previous?.Batch;
+    }
+
+    // Hold the batch lock until post-save has updated the running balances. An edit that
+    // moves the record holds the batch it leaves as well.
+    this.$locals.batchLocks = await acquireBatchLocks(
+      this.constructor.modelName,
+      [this.Batch, this.$locals.previousBatch],
+      { session: this.$session() }
+    );
+
     // Calculate stock
     await this.calculateStock();
+
+    // A received batch waits in quarantine for its quality check. Held before the write,
+    // so a receipt is never stored without its hold.
+    if (this.isNew && !this.$locals.stockAdjustment && QUARANTINE_ACTIVITIES.MaterialRI.includes(this.Activity)) {
+      await quarantineBatch('MaterialRI', this.Batch, this.Material, { session: this.$session() });
+    }
     
     next();
   } catch (error) {
+    await releaseBatchLocks(this.$locals.batchLocks);
+    this.$locals.batchLocks = null;
     next(error);
   }
 });
 
 // Enhanced aggregation with better performance
-materialRISchema.statics.getAvailableBatches = async function(materialName = null) {
+materialRISchema.statics.getAvailableBatches = async function(materialName = null, location = null) {
   try {
     const matchStage = materialName ? { 
       Material: materialName
     } : {};
+    if (location) matchStage.Location = locationMatch(location);
     
     const pipeline = [
       { $match: matchStage },
@@ -210,7 +313,7 @@ materialRISchema.statics.getAvailableBatches = async function(materialName = nul
           totalStock: { 
             $sum: { 
               $cond: [
-                { $eq: ['$Activity', 'Receive'] }, 
+                { $in: ['$Activity', POSITIVE_ACTIVITIES] }, 
                 '$Quantity', 
                 { $multiply: ['$Quantity', -1] }
               ]
@@ -232,20 +335,68 @@ materialRISchema.statics.getAvailableBatches = async function(materialName = nul
   }
 };
 
-// Optimized batch stock calculation
-materialRISchema.statics.getBatchStock = async function(batch) {
+// Split an issue quantity across batches first-expiry-first-out.
+// Batches expired before the issue date or on QC hold are skipped, batches without an expiry go last.
+materialRISchema.statics.allocateFEFO = async function(materialName, quantity, issueDate = new Date(), location = null) {
+  const issueDay = new Date(issueDate);
+  issueDay.setHours(0, 0, 0, 0);
+
+  const batches = await this.getAvailableBatches(materialName, location);
+  const held = await getHeldBatches('MaterialRI', batches.map(batch => batch._id));
+  const expired = batches.filter(batch => batch.expireDate && batch.expireDate < issueDay);
+  const onHold = batches.filter(batch => held.has(batch._id) && !expired.includes(batch));
+  const usable = batches
+    .filter(batch => !expired.includes(batch) && !onHold.includes(batch))
+    .sort((a, b) => {
+      if (!a.expireDate) return b.expireDate ? 1 : 0;
+      if (!b.expireDate) return -1;
+      return a.expireDate - b.expireDate;
+    });
+
+  const allocation = [];
+  let remaining = quantity;
+
+  for (const batch of usable) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(remaining, batch.totalStock);
+    allocation.push({
+      batch: batch._id,
+      quantity: take,
+      expireDate: batch.expireDate || null,
+      availableStock: batch.totalStock,
+      remainingStock: parseFloat((batch.totalStock - take).toFixed(6))
+    });
+    remaining = parseFloat((remaining - take).toFixed(6));
+  }
+
+  return {
+    allocation,
+    allocated: parseFloat((quantity - remaining).toFixed(6)),
+    shortage: remaining,
+    availableStock: usable.reduce((sum, batch) => sum + batch.totalStock, 0),
+    expiredStock: expired.reduce((sum, batch) => sum + batch.totalStock, 0),
+    heldStock: onHold.reduce((sum, batch) => sum + batch.totalStock, 0)
+  };
+};
+
+// Optimized batch stock calculation, optionally at one location
+materialRISchema.statics.getBatchStock = async function(batch, location = null, session = null) {
   if (!batch) return 0;
   
   try {
+    const matchStage = { Batch: batch };
+    if (location) matchStage.Location = locationMatch(location);
+
     const result = await this.aggregate([
-      { $match: { Batch: batch } },
+      { $match: matchStage },
       {
         $group: {
           _id: '$Batch',
           stock: { 
             $sum: { 
               $cond: [
-                { $eq: ['$Activity', 'Receive'] }, 
+                { $in: ['$Activity', POSITIVE_ACTIVITIES] }, 
                 '$Quantity', 
                 { $multiply: ['$Quantity', -1] }
               ]
@@ -253,7 +404,7 @@ materialRISchema.statics.getBatchStock = async function(batch) {
           }
         }
       }
-    ]).exec();
+    ]).session(session).exec();
     
     return result.length > 0 ? Math.max(0, result[0].stock) : 0;
   } catch (error) {
@@ -262,27 +413,90 @@ materialRISchema.statics.getBatchStock = async function(batch) {
   }
 };
 
+// Material stock across all batches, optionally as of a date
+materialRISchema.statics.getMaterialStock = async function(materialName, asOf = null) {
+  if (!materialName) return 0;
+
+  const match = { Material: materialName };
+  if (asOf) match.Date = { $lte: new Date(asOf) };
+
+  const result = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$Material',
+        stock: {
+          $sum: {
+            $cond: [
+              { $in: ['$Activity', POSITIVE_ACTIVITIES] },
+              '$Quantity',
+              { $multiply: ['$Quantity', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]).exec();
+
+  return result.length > 0 ? Math.max(0, result[0].stock) : 0;
+};
+
+// Stock per batch and location (stock > 0), for the location breakdown of stock summaries
+materialRISchema.statics.getLocationStock = async function(materialName = null) {
+  const matchStage = materialName ? { Material: materialName } : {};
+
+  return await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { batch: '$Batch', location: LOCATION_EXPRESSION },
+        stock: {
+          $sum: {
+            $cond: [
+              { $in: ['$Activity', POSITIVE_ACTIVITIES] },
+              '$Quantity',
+              { $multiply: ['$Quantity', -1] }
+            ]
+          }
+        },
+        material: { $first: '$Material' }
+      }
+    },
+    { $match: { stock: { $gt: 0 } } },
+    { $sort: { '_id.location': 1 } }
+  ]).exec();
+};
+
 // Instance method to calculate stock
 materialRISchema.methods.calculateStock = async function() {
   try {
-    const currentStock = await this.constructor.getBatchStock(this.Batch);
+    // Inside a ledger transaction, count its earlier uncommitted records too
+    const session = this.$session();
+    const currentStock = await this.constructor.getBatchStock(this.Batch, null, session);
     
     if (this.isNew) {
-      if (this.Activity === 'Receive') {
+      if (POSITIVE_ACTIVITIES.includes(this.Activity)) {
         this.Stock = currentStock + this.Quantity;
       } else {
         if (currentStock < this.Quantity) {
           throw new Error(`Insufficient stock. Available: ${currentStock}, Requested: ${this.Quantity}`);
         }
+
+        // The stock also has to be at the location it is taken from
+        const locationStock = await this.constructor.getBatchStock(this.Batch, this.Location, session);
+        if (locationStock < this.Quantity) {
+          throw new Error(`Insufficient stock at ${this.Location}. Available: ${locationStock}, Requested: ${this.Quantity}`);
+        }
         this.Stock = currentStock - this.Quantity;
       }
     } else {
-      // For updates, recalculate based on all transactions
-      this.Stock = await this.constructor.getBatchStock(this.Batch);
+      // An edit is replayed against the batch history, and that of the batch it leaves,
+      // so it cannot take stock that later records already used
+      this.Stock = await checkRecordEdit(this, { session });
     }
   } catch (error) {
     // If stock calculation fails, set a safe default
-    if (this.Activity === 'Receive') {
+    if (POSITIVE_ACTIVITIES.includes(this.Activity)) {
       this.Stock = this.Quantity;
     } else {
       this.Stock = 0;
@@ -294,86 +508,51 @@ materialRISchema.methods.calculateStock = async function() {
 // Enhanced post-save middleware
 materialRISchema.post('save', async function() {
   try {
-    // Update subsequent records for the same batch
-    const subsequentRecords = await this.constructor.find({
-      Batch: this.Batch,
-      Date: { $gt: this.Date }
-    }).select('_id Activity Quantity').sort({ Date: 1 }).lean();
-
-    let runningStock = this.Stock;
-    const bulkOps = [];
-    
-    for (const record of subsequentRecords) {
-      if (record.Activity === 'Receive') {
-        runningStock += record.Quantity;
-      } else {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
+    // Rebuild the running balances of the batch, and of the batch an edit moved the record
+    // out of, so backdated entries correct later rows. The locks taken in pre-save are still
+    // held. The record is already written, so outside a transaction a failure flags the
+    // batch for the rebuild job rather than failing the request.
+    await rebuildBatchOrFlag(this.constructor, this.Batch, { lock: false, session: this.$session() });
+    if (this.$locals.previousBatch && this.$locals.previousBatch !== this.Batch) {
+      await rebuildBatchOrFlag(this.constructor, this.$locals.previousBatch, { lock: false, session: this.$session() });
     }
-
-    // Clear relevant cache entries
-    materialCache.delete(`material_${this.Material.toLowerCase().trim()}`);
-  } catch (error) {
-    console.error('Error updating subsequent records:', error);
+  } finally {
+    await releaseBatchLocks(this.$locals.batchLocks);
+    this.$locals.batchLocks = null;
+    this.$locals.previousBatch = null;
   }
+
+  // Clear relevant cache entries
+  materialCache.delete(`material_${this.Material.toLowerCase().trim()}`);
+
+  // Issue costs depend on every earlier receipt and issue of the material; the rebuild
+  // job restates them instead of replaying the whole ledger on every save
+  await flagItemRecost(this.constructor.modelName, this.Material);
 });
 
-// Pre-remove middleware to handle stock recalculation
-materialRISchema.pre('remove', async function(next) {
-  try {
-    // Store batch info for post-remove
-    this._batchToUpdate = this.Batch;
-    this._materialToUpdate = this.Material;
-    next();
-  } catch (error) {
-    next(error);
-  }
+// Release the batch locks when the write itself fails
+materialRISchema.post('save', async function(error, doc, next) {
+  await releaseBatchLocks(this.$locals.batchLocks);
+  this.$locals.batchLocks = null;
+  next(error);
 });
 
-materialRISchema.post('remove', async function() {
-  try {
-    // Recalculate stock for remaining records in the batch
-    const remainingRecords = await this.constructor.find({
-      Batch: this._batchToUpdate
-    }).sort({ Date: 1 });
+// Recalculate the batch after a record is deleted with doc.deleteOne()
+materialRISchema.post('deleteOne', { document: true, query: false }, async function() {
+  await rebuildBatchOrFlag(this.constructor, this.Batch, { session: this.$session() });
+  materialCache.delete(`material_${this.Material.toLowerCase().trim()}`);
+  await flagItemRecost(this.constructor.modelName, this.Material);
+});
 
-    let runningStock = 0;
-    const bulkOps = [];
-    
-    for (const record of remainingRecords) {
-      if (record.Activity === 'Receive') {
-        runningStock += record.Quantity;
-      } else {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
-    }
+// Query updates and deletes (findByIdAndUpdate, findByIdAndDelete, deleteMany, ...) skip the
+// save hooks, so note the batches they touch and recalculate those batches afterwards
+materialRISchema.pre(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  this._batchesToUpdate = await getQueryBatches(this);
+});
 
-    // Clear cache
-    materialCache.delete(`material_${this._materialToUpdate.toLowerCase().trim()}`);
-  } catch (error) {
-    console.error('Error recalculating stock after deletion:', error);
+materialRISchema.post(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  for (const batch of this._batchesToUpdate || []) {
+    await rebuildBatchOrFlag(this.model, batch, { session: this.getOptions().session });
   }
 });
 
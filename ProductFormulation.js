@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import FormulationVersion from './FormulationVersion.js';
 
 const ProductFormulationSchema = new mongoose.Schema({
   productName: {
@@ -69,4 +70,42 @@ ProductFormulationSchema.pre('findOneAndUpdate', function(next) {
 // Index to ensure unique combination of productName and materialName
 ProductFormulationSchema.index({ productName: 1, materialName: 1 }, { unique: true });
 
+// Static method to explode a product quantity into gross material requirements.
+// Products with versioned formulations use the version effective on `date`; the
+// single-row formulations below remain for products that have no versions yet.
+ProductFormulationSchema.statics.explode = async function(productName, quantity, date = new Date()) {
+  const version = await FormulationVersion.findEffective(productName, date).lean();
+  if (version) {
+    return version.lines.map(line => ({
+      materialName: line.materialName,
+      materialUnit: line.materialUnit,
+      quantityPerUnit: line.quantity,
+      lossFactor: line.lossFactor,
+      effectiveQuantityPerUnit: line.effectiveQuantity,
+      requiredQuantity: line.effectiveQuantity * quantity,
+      formulationVersion: version.version
+    }));
+  }
+
+  const formulations = await this.find({
+    productName: productName,
+    status: 'Active'
+  }).lean();
+
+  return formulations.map(formulation => {
+    // Fall back to quantity + loss factor for rows saved before effectiveQuantity existed
+    const perUnit = formulation.effectiveQuantity ??
+      formulation.quantity * (1 + (formulation.lossFactor || 0) / 100);
+
+    return {
+      materialName: formulation.materialName,
+      materialUnit: formulation.materialUnit,
+      quantityPerUnit: formulation.quantity,
+      lossFactor: formulation.lossFactor,
+      effectiveQuantityPerUnit: perUnit,
+      requiredQuantity: perUnit * quantity
+    };
+  });
+};
+
 export default mongoose.model('ProductFormulation', ProductFormulationSchema);
\ No newline at end of file
@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const productQSchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Product',
+        ref: 'Products',
         required: true
     },
     batchNumber: String,
@@ -1,4 +1,19 @@
 import mongoose from 'mongoose';
+import { acquireBatchLocks, releaseBatchLocks } from '../utils/ledgerLock.js';
+import {
+  checkRecordEdit,
+  getQueryBatches,
+  LEDGER_QUERY_HOOKS
+} from '../utils/ledgerRecalculation.js';
+import { flagItemRecost, rebuildBatchOrFlag } from '../utils/ledgerRebuild.js';
+import { DEFAULT_LOCATION, LOCATION_EXPRESSION, locationMatch } from '../utils/locations.js';
+import { assertBatchNotRecalled } from '../utils/recallGuard.js';
+import { assertBatchReleased, quarantineBatch, QUARANTINE_ACTIVITIES } from '../utils/qualityHold.js';
+
+// Activities that add to a batch. Transfers move stock between locations,
+// so a Transfer Out / Transfer In pair leaves the batch total unchanged.
+// Adjustment In/Out correct a stock-take count and are not sales.
+const POSITIVE_ACTIVITIES = ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]', 'Transfer In', 'Adjustment In'];
 
 const productRISchema = new mongoose.Schema({
   Date: { 
@@ -15,7 +30,7 @@ const productRISchema = new mongoose.Schema({
   },
   Activity: { 
     type: String, 
-    enum: ['Receive', 'Issue', 'Return', 'ReceiveCustomer [Rework]', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'ReceiveProd [Rework]', 'Sample', 'Gift', 'Promotion', 'Waste'], 
+    enum: ['Receive', 'Issue', 'Return', 'ReceiveCustomer [Rework]', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'ReceiveProd [Rework]', 'Sample', 'Gift', 'Promotion', 'Waste', 'Transfer Out', 'Transfer In', 'Adjustment In', 'Adjustment Out'], 
     required: true,
     index: true
   },
@@ -65,11 +80,12 @@ const productRISchema = new mongoose.Schema({
       validator: function(date) {
         const expireDateRequiredActivities = ['Receive', 'ReceiveProd [Rework]', 'Waste', 'Issue', 'IssueCustomer [Rework]'];
         if (expireDateRequiredActivities.includes(this.Activity)) {
-          return date && date >= this.Date;
+          // Expired stock is written off as Waste after its expiry date
+          return date && (this.Activity === 'Waste' || date >= this.Date);
         }
         return true;
       },
-      message: 'ExpireDate must be on or after the transaction date for Receive, ReceiveProd [Rework], Waste, Issue, and IssueCustomer [Rework] activities'
+      message: 'ExpireDate must be on or after the transaction date for Receive, ReceiveProd [Rework], Issue, and IssueCustomer [Rework] activities'
     }
   },
   Note: { 
@@ -86,6 +102,34 @@ const productRISchema = new mongoose.Schema({
     type: String,
     required: true,
     index: true
+  },
+  // Warehouse code, or WAREHOUSE/BIN, the stock moved in or out of
+  Location: {
+    type: String,
+    default: DEFAULT_LOCATION,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  // The other location of a Transfer Out / Transfer In
+  TransferLocation: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Receipts: production cost of the batch unless entered. Outgoing records: cost by the
+  // product's costing method, restated by the ledger rebuild job after every save
+  UnitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  TotalCost: {
+    type: Number
+  },
+  // Set on receipts saved with their UnitCost. Costs the rebuild job computes leave it
+  // unset, so a production receipt follows later changes to its batch's material costs.
+  CostEntered: {
+    type: Boolean
   }
 }, {
   timestamps: true,
@@ -820,7 +864,12 @@ productRISchema.pre('save', async function(next) {
       'Sample', 'Gift', 'Promotion'
     ];
 
-    if (populatedBatchActivities.includes(this.Activity) && this.Batch) {
+    // Expiry write-offs post against batches already on the ledger, so they skip the
+    // activity batch lists (an expired batch is no longer offered for Waste). An edit that
+    // keeps its activity and batch is checked by the ledger replay in calculateStock instead,
+    // as the lists still count the record's stored quantity.
+    const batchSelected = this.isNew || this.isModified('Activity') || this.isModified('Batch');
+    if (populatedBatchActivities.includes(this.Activity) && this.Batch && batchSelected && !this.$locals.stockAdjustment) {
       const availableBatches = await BatchPopulationSystem.getBatchesForActivity(
         this.Activity, 
         this.Product, 
@@ -845,16 +894,49 @@ productRISchema.pre('save', async function(next) {
       }
     }
 
+    // Recalled batches and batches on QC hold cannot be issued; stock-take adjustments only correct the count
+    if ((this.isNew || this.isModified('Activity') || this.isModified('Batch')) && !this.$locals.stockAdjustment) {
+      await assertBatchNotRecalled('ProductRI', this.Activity, this.Batch);
+      await assertBatchReleased('ProductRI', this.Activity, this.Batch);
+    }
+
+    // A cost given with the record is kept by the costing replay
+    if (this.isNew && this.UnitCost != null) {
+      this.CostEntered = true;
+    }
+
     // Truncate note
     if (this.Note && this.Note.length > 100) {
       this.Note = this.Note.substring(0, 100);
     }
 
+    // An edited record moved to another batch leaves the old batch to recalculate
+    if (!this.isNew && this.isModified('Batch')) {
+      const previous = await this.constructor.findById(this._id).select('Batch').lean();
+      this.$locals.previousBatch = previous?.Batch;
+    }
+
+    // Hold the batch lock until post-save has updated the running balances. An edit that
+    // moves the record holds the batch it leaves as well.
+    this.$locals.batchLocks = await acquireBatchLocks(
+      this.constructor.modelName,
+      [this.Batch, this.$locals.previousBatch],
+      { session: this.$session() }
+    );
+
     // Calculate stock
     await this.calculateStock();
+
+    // A received batch waits in quarantine for its quality check. Held before the write,
+    // so a receipt is never stored without its hold.
+    if (this.isNew && !this.$locals.stockAdjustment && QUARANTINE_ACTIVITIES.ProductRI.includes(this.Activity)) {
+      await quarantineBatch('ProductRI', this.Batch, this.Product, { session: this.$session() });
+    }
     
     next();
   } catch (error) {
+    await releaseBatchLocks(this.$locals.batchLocks);
+    this.$locals.batchLocks = null;
     next(error);
   }
 });
@@ -874,20 +956,23 @@ productRISchema.statics.getAvailableBatches = async function(productName = null,
   }
 };
 
-// Optimized batch stock calculation with new activity types
-productRISchema.statics.getBatchStock = async function(batch) {
+// Optimized batch stock calculation with new activity types, optionally at one location
+productRISchema.statics.getBatchStock = async function(batch, location = null, session = null) {
   if (!batch) return 0;
   
   try {
+    const matchStage = { Batch: batch };
+    if (location) matchStage.Location = locationMatch(location);
+
     const result = await this.aggregate([
-      { $match: { Batch: batch } },
+      { $match: matchStage },
       {
         $group: {
           _id: '$Batch',
           stock: { 
             $sum: { 
               $cond: [
-                { $in: ['$Activity', ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'] ] }, 
+                { $in: ['$Activity', POSITIVE_ACTIVITIES] }, 
                 '$Quantity', 
                 { $multiply: ['$Quantity', -1] }
               ]
@@ -895,7 +980,7 @@ productRISchema.statics.getBatchStock = async function(batch) {
           }
         }
       }
-    ]).exec();
+    ]).session(session).exec();
     
     return result.length > 0 ? Math.max(0, result[0].stock) : 0;
   } catch (error) {
@@ -907,30 +992,36 @@ productRISchema.statics.getBatchStock = async function(batch) {
 // Instance method to calculate stock with new activity types
 productRISchema.methods.calculateStock = async function() {
   try {
-    const currentStock = await this.constructor.getBatchStock(this.Batch);
+    // Inside a ledger transaction, count its earlier uncommitted records too
+    const session = this.$session();
+    const currentStock = await this.constructor.getBatchStock(this.Batch, null, session);
     
     if (this.isNew) {
-      // Positive stock activities (receiving)
-      const positiveActivities = ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'];
       // Negative stock activities (issuing)  
-      const negativeActivities = ['Issue', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'Sample', 'Gift', 'Promotion', 'Waste', 'Return'];
+      const negativeActivities = ['Issue', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'Sample', 'Gift', 'Promotion', 'Waste', 'Return', 'Transfer Out', 'Adjustment Out'];
       
-      if (positiveActivities.includes(this.Activity)) {
+      if (POSITIVE_ACTIVITIES.includes(this.Activity)) {
         this.Stock = currentStock + this.Quantity;
       } else if (negativeActivities.includes(this.Activity)) {
         if (currentStock < this.Quantity) {
           throw new Error(`Insufficient stock. Available: ${currentStock}, Requested: ${this.Quantity}`);
         }
+
+        // The stock also has to be at the location it is taken from
+        const locationStock = await this.constructor.getBatchStock(this.Batch, this.Location, session);
+        if (locationStock < this.Quantity) {
+          throw new Error(`Insufficient stock at ${this.Location}. Available: ${locationStock}, Requested: ${this.Quantity}`);
+        }
         this.Stock = currentStock - this.Quantity;
       }
     } else {
-      // For updates, recalculate based on all transactions
-      this.Stock = await this.constructor.getBatchStock(this.Batch);
+      // An edit is replayed against the batch history, and that of the batch it leaves,
+      // so it cannot take stock that later records already used
+      this.Stock = await checkRecordEdit(this, { session });
     }
   } catch (error) {
     // If stock calculation fails, set a safe default
-    const positiveActivities = ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'];
-    if (positiveActivities.includes(this.Activity)) {
+    if (POSITIVE_ACTIVITIES.includes(this.Activity)) {
       this.Stock = this.Quantity;
     } else {
       this.Stock = 0;
@@ -939,95 +1030,138 @@ productRISchema.methods.calculateStock = async function() {
   }
 };
 
+// Total on-hand stock for a product across all of its batches
+productRISchema.statics.getProductStock = async function(productName, asOf = null) {
+  if (!productName) return 0;
+
+  const match = { Product: productName };
+  if (asOf) match.Date = { $lte: new Date(asOf) };
+
+  const result = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$Product',
+        stock: {
+          $sum: {
+            $cond: [
+              { $in: ['$Activity', POSITIVE_ACTIVITIES] },
+              '$Quantity',
+              { $multiply: ['$Quantity', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]).exec();
+
+  return result.length > 0 ? Math.max(0, result[0].stock) : 0;
+};
+
+// Stock on hand per batch with stock > 0, oldest expiry first
+productRISchema.statics.getStockByBatch = async function(productName = null, location = null) {
+  const matchStage = productName ? { Product: productName } : {};
+  if (location) matchStage.Location = locationMatch(location);
+
+  return await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: '$Batch',
+        totalStock: {
+          $sum: {
+            $cond: [
+              { $in: ['$Activity', POSITIVE_ACTIVITIES] },
+              '$Quantity',
+              { $multiply: ['$Quantity', -1] }
+            ]
+          }
+        },
+        product: { $first: '$Product' },
+        productCode: { $first: '$ProductCode' },
+        unit: { $first: '$Unit' },
+        expireDate: { $max: '$ExpireDate' }
+      }
+    },
+    { $match: { totalStock: { $gt: 0 } } },
+    { $sort: { expireDate: 1 } }
+  ]).exec();
+};
+
+// Stock per batch and location (stock > 0), for the location breakdown of stock summaries
+productRISchema.statics.getLocationStock = async function(productName = null) {
+  const matchStage = productName ? { Product: productName } : {};
+
+  return await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: { batch: '$Batch', location: LOCATION_EXPRESSION },
+        stock: {
+          $sum: {
+            $cond: [
+              { $in: ['$Activity', POSITIVE_ACTIVITIES] },
+              '$Quantity',
+              { $multiply: ['$Quantity', -1] }
+            ]
+          }
+        },
+        product: { $first: '$Product' }
+      }
+    },
+    { $match: { stock: { $gt: 0 } } },
+    { $sort: { '_id.location': 1 } }
+  ]).exec();
+};
+
 // Enhanced post-save middleware with new activity types
 productRISchema.post('save', async function() {
   try {
-    // Update subsequent records for the same batch
-    const subsequentRecords = await this.constructor.find({
-      Batch: this.Batch,
-      Date: { $gt: this.Date }
-    }).select('_id Activity Quantity').sort({ Date: 1 }).lean();
-
-    let runningStock = this.Stock;
-    const bulkOps = [];
-    
-    for (const record of subsequentRecords) {
-      const positiveActivities = ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'];
-      const negativeActivities = ['Issue', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'Sample', 'Gift', 'Promotion', 'Waste', 'Return'];
-      
-      if (positiveActivities.includes(record.Activity)) {
-        runningStock += record.Quantity;
-      } else if (negativeActivities.includes(record.Activity)) {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
+    // Rebuild the running balances of the batch, and of the batch an edit moved the record
+    // out of, so backdated entries correct later rows. The locks taken in pre-save are still
+    // held. The record is already written, so outside a transaction a failure flags the
+    // batch for the rebuild job rather than failing the request.
+    await rebuildBatchOrFlag(this.constructor, this.Batch, { lock: false, session: this.$session() });
+    if (this.$locals.previousBatch && this.$locals.previousBatch !== this.Batch) {
+      await rebuildBatchOrFlag(this.constructor, this.$locals.previousBatch, { lock: false, session: this.$session() });
     }
-
-    // Clear relevant cache entries
-    productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
-  } catch (error) {
-    console.error('Error updating subsequent records:', error);
+  } finally {
+    await releaseBatchLocks(this.$locals.batchLocks);
+    this.$locals.batchLocks = null;
+    this.$locals.previousBatch = null;
   }
+
+  // Clear relevant cache entries
+  productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
+
+  // Outgoing costs depend on every earlier movement of the product; the rebuild job
+  // restates them instead of replaying the whole ledger on every save
+  await flagItemRecost(this.constructor.modelName, this.Product);
 });
 
-// Pre-remove middleware to handle stock recalculation
-productRISchema.pre('remove', async function(next) {
-  try {
-    // Store batch info for post-remove
-    this._batchToUpdate = this.Batch;
-    this._productToUpdate = this.Product;
-    next();
-  } catch (error) {
-    next(error);
-  }
+// Release the batch locks when the write itself fails
+productRISchema.post('save', async function(error, doc, next) {
+  await releaseBatchLocks(this.$locals.batchLocks);
+  this.$locals.batchLocks = null;
+  next(error);
 });
 
-productRISchema.post('remove', async function() {
-  try {
-    // Recalculate stock for remaining records in the batch
-    const remainingRecords = await this.constructor.find({
-      Batch: this._batchToUpdate
-    }).sort({ Date: 1 });
+// Recalculate the batch after a record is deleted with doc.deleteOne()
+productRISchema.post('deleteOne', { document: true, query: false }, async function() {
+  await rebuildBatchOrFlag(this.constructor, this.Batch, { session: this.$session() });
+  productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
+  await flagItemRecost(this.constructor.modelName, this.Product);
+});
 
-    let runningStock = 0;
-    const bulkOps = [];
-    
-    for (const record of remainingRecords) {
-      const positiveActivities = ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'];
-      const negativeActivities = ['Issue', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'Sample', 'Gift', 'Promotion', 'Waste', 'Return'];
-      
-      if (positiveActivities.includes(record.Activity)) {
-        runningStock += record.Quantity;
-      } else if (negativeActivities.includes(record.Activity)) {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
-    }
+// Query updates and deletes (findByIdAndUpdate, findByIdAndDelete, deleteMany, ...) skip the
+// save hooks, so note the batches they touch and recalculate those batches afterwards
+productRISchema.pre(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  this._batchesToUpdate = await getQueryBatches(this);
+});
 
-    // Clear cache
-    productCache.delete(`product_${this._productToUpdate.toLowerCase().trim()}`);
-  } catch (error) {
-    console.error('Error recalculating stock after deletion:', error);
+productRISchema.post(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  for (const batch of this._batchesToUpdate || []) {
+    await rebuildBatchOrFlag(this.model, batch, { session: this.getOptions().session });
   }
 });
 
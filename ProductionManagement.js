@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { acquireBatchLocks, releaseBatchLocks } from '../utils/ledgerLock.js';
+import {
+  checkRecordEdit,
+  getQueryBatches,
+  LEDGER_QUERY_HOOKS
+} from '../utils/ledgerRecalculation.js';
+import { rebuildBatchOrFlag } from '../utils/ledgerRebuild.js';
 
 const productionManagementSchema = new mongoose.Schema({
   Date: { 
@@ -215,11 +222,27 @@ productionManagementSchema.pre('save', async function(next) {
       this.Note = this.Note.substring(0, 100);
     }
 
+    // An edited record moved to another batch leaves the old batch to recalculate
+    if (!this.isNew && this.isModified('Batch')) {
+      const previous = await this.constructor.findById(this._id).select('Batch').lean();
+      this.$locals.previousBatch = previous?.Batch;
+    }
+
+    // Hold the batch lock until post-save has updated the running balances. An edit that
+    // moves the record holds the batch it leaves as well.
+    this.$locals.batchLocks = await acquireBatchLocks(
+      this.constructor.modelName,
+      [this.Batch, this.$locals.previousBatch],
+      { session: this.$session() }
+    );
+
     // Calculate stock
     await this.calculateStock();
     
     next();
   } catch (error) {
+    await releaseBatchLocks(this.$locals.batchLocks);
+    this.$locals.batchLocks = null;
     next(error);
   }
 });
@@ -352,7 +375,7 @@ productionManagementSchema.statics.getAvailableBatches = async function(productN
 };
 
 // Optimized batch stock calculation
-productionManagementSchema.statics.getBatchStock = async function(batch) {
+productionManagementSchema.statics.getBatchStock = async function(batch, session = null) {
   if (!batch) return 0;
   
   try {
@@ -372,7 +395,7 @@ productionManagementSchema.statics.getBatchStock = async function(batch) {
           }
         }
       }
-    ]).exec();
+    ]).session(session).exec();
     
     return result.length > 0 ? Math.max(0, result[0].stock) : 0;
   } catch (error) {
@@ -381,10 +404,40 @@ productionManagementSchema.statics.getBatchStock = async function(batch) {
   }
 };
 
+// Total on-hand stock for a product across all of its batches
+productionManagementSchema.statics.getProductStock = async function(productName, asOf = null) {
+  if (!productName) return 0;
+
+  const match = { Product: productName };
+  if (asOf) match.Date = { $lte: new Date(asOf) };
+
+  const result = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$Product',
+        stock: {
+          $sum: {
+            $cond: [
+              { $in: ['$Activity', ['Production', 'Receive [Rework]'] ] },
+              '$Quantity',
+              { $multiply: ['$Quantity', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]).exec();
+
+  return result.length > 0 ? Math.max(0, result[0].stock) : 0;
+};
+
 // Instance method to calculate stock
 productionManagementSchema.methods.calculateStock = async function() {
   try {
-    const currentStock = await this.constructor.getBatchStock(this.Batch);
+    // Inside a ledger transaction, count its earlier uncommitted records too
+    const session = this.$session();
+    const currentStock = await this.constructor.getBatchStock(this.Batch, session);
     
     if (this.isNew) {
       // Positive stock activities
@@ -401,8 +454,9 @@ productionManagementSchema.methods.calculateStock = async function() {
         this.Stock = currentStock - this.Quantity;
       }
     } else {
-      // For updates, recalculate based on all transactions
-      this.Stock = await this.constructor.getBatchStock(this.Batch);
+      // An edit is replayed against the batch history, and that of the batch it leaves,
+      // so it cannot take stock that later records already used
+      this.Stock = await checkRecordEdit(this, { session });
     }
   } catch (error) {
     // If stock calculation fails, set a safe default
@@ -419,92 +473,46 @@ productionManagementSchema.methods.calculateStock = async function() {
 // Enhanced post-save middleware
 productionManagementSchema.post('save', async function() {
   try {
-    // Update subsequent records for the same batch
-    const subsequentRecords = await this.constructor.find({
-      Batch: this.Batch,
-      Date: { $gt: this.Date }
-    }).select('_id Activity Quantity').sort({ Date: 1 }).lean();
-
-    let runningStock = this.Stock;
-    const bulkOps = [];
-    
-    for (const record of subsequentRecords) {
-      const positiveActivities = ['Production', 'Receive [Rework]'];
-      const negativeActivities = ['Transfer', 'Issue [Rework]', 'Waste'];
-      
-      if (positiveActivities.includes(record.Activity)) {
-        runningStock += record.Quantity;
-      } else if (negativeActivities.includes(record.Activity)) {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
+    // Rebuild the running balances of the batch, and of the batch an edit moved the record
+    // out of, so backdated entries correct later rows. The locks taken in pre-save are still
+    // held. The record is already written, so outside a transaction a failure flags the
+    // batch for the rebuild job rather than failing the request.
+    await rebuildBatchOrFlag(this.constructor, this.Batch, { lock: false, session: this.$session() });
+    if (this.$locals.previousBatch && this.$locals.previousBatch !== this.Batch) {
+      await rebuildBatchOrFlag(this.constructor, this.$locals.previousBatch, { lock: false, session: this.$session() });
     }
-
-    // Clear relevant cache entries
-    productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
-  } catch (error) {
-    console.error('Error updating subsequent records:', error);
+  } finally {
+    await releaseBatchLocks(this.$locals.batchLocks);
+    this.$locals.batchLocks = null;
+    this.$locals.previousBatch = null;
   }
+
+  // Clear relevant cache entries
+  productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
 });
 
-// Pre-remove middleware to handle stock recalculation
-productionManagementSchema.pre('remove', async function(next) {
-  try {
-    // Store batch info for post-remove
-    this._batchToUpdate = this.Batch;
-    this._productToUpdate = this.Product;
-    next();
-  } catch (error) {
-    next(error);
-  }
+// Release the batch locks when the write itself fails
+productionManagementSchema.post('save', async function(error, doc, next) {
+  await releaseBatchLocks(this.$locals.batchLocks);
+  this.$locals.batchLocks = null;
+  next(error);
 });
 
-productionManagementSchema.post('remove', async function() {
-  try {
-    // Recalculate stock for remaining records in the batch
-    const remainingRecords = await this.constructor.find({
-      Batch: this._batchToUpdate
-    }).sort({ Date: 1 });
+// Recalculate the batch after a record is deleted with doc.deleteOne()
+productionManagementSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await rebuildBatchOrFlag(this.constructor, this.Batch, { session: this.$session() });
+  productCache.delete(`product_${this.Product.toLowerCase().trim()}`);
+});
 
-    let runningStock = 0;
-    const bulkOps = [];
-    
-    for (const record of remainingRecords) {
-      const positiveActivities = ['Production', 'Receive [Rework]'];
-      const negativeActivities = ['Transfer', 'Issue [Rework]', 'Waste'];
-      
-      if (positiveActivities.includes(record.Activity)) {
-        runningStock += record.Quantity;
-      } else if (negativeActivities.includes(record.Activity)) {
-        runningStock = Math.max(0, runningStock - record.Quantity);
-      }
-      
-      bulkOps.push({
-        updateOne: {
-          filter: { _id: record._id },
-          update: { $set: { Stock: runningStock } }
-        }
-      });
-    }
-    
-    if (bulkOps.length > 0) {
-      await this.constructor.bulkWrite(bulkOps);
-    }
+// Query updates and deletes (findByIdAndUpdate, findByIdAndDelete, deleteMany, ...) skip the
+// save hooks, so note the batches they touch and recalculate those batches afterwards
+productionManagementSchema.pre(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  this._batchesToUpdate = await getQueryBatches(this);
+});
 
-    // Clear cache
-    productCache.delete(`product_${this._productToUpdate.toLowerCase().trim()}`);
-  } catch (error) {
-    console.error('Error recalculating stock after deletion:', error);
+productionManagementSchema.post(LEDGER_QUERY_HOOKS, { document: false, query: true }, async function() {
+  for (const batch of this._batchesToUpdate || []) {
+    await rebuildBatchOrFlag(this.model, batch, { session: this.getOptions().session });
   }
 });
 
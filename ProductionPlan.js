@@ -1,5 +1,6 @@
 // models/ProductionPlan.js
 import mongoose from 'mongoose';
+import { parseFiscalYear } from '../utils/ethiopianCalendar.js';
 
 const ProductionPlanSchema = new mongoose.Schema({
   planId: {
@@ -22,8 +23,14 @@ const ProductionPlanSchema = new mongoose.Schema({
   },
   yearRange: {
     type: String,
-    enum: ['2024-2025', '2025-2026', '2026-2027'],
-    required: true
+    required: true,
+    validate: {
+      validator: function(v) {
+        return /^\d{4}-\d{4}$/.test(v) &&
+               parseInt(v.split('-')[1]) === parseInt(v.split('-')[0]) + 1;
+      },
+      message: 'Year range must be in format "YYYY-YYYY" where second year is first year + 1 (e.g., "2025-2026")'
+    }
   },
   quarterlyBreakdown: [{
     quarter: { type: Number, required: true },
@@ -56,7 +63,14 @@ const ProductionPlanSchema = new mongoose.Schema({
     utilizationRate: { type: Number }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Ethiopian fiscal year (Hamle-Sene) the plan belongs to, e.g. 2018 for "2025-2026"
+ProductionPlanSchema.virtual('ethiopianFiscalYear').get(function() {
+  return this.yearRange ? parseFiscalYear(this.yearRange).ethiopianFiscalYear : null;
 });
 
 export default mongoose.model('ProductionPlan', ProductionPlanSchema);
\ No newline at end of file
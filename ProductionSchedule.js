@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getFiscalPeriod } from '../utils/ethiopianCalendar.js';
 
 const ProductionScheduleSchema = new mongoose.Schema({
   orderId: {
@@ -74,10 +75,11 @@ const ProductionScheduleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ProductionPlan'
   },
+  // Fiscal year (Hamle-Sene), defaults to the one in progress
   yearRange: {
     type: String,
-    enum: ['2024-2025', '2025-2026', '2026-2027', '2027-2028', '2028-2029', '2029-2030'],
-    default: '2025-2026'
+    match: [/^\d{4}-\d{4}$/, 'Year range must be in format "YYYY-YYYY"'],
+    default: () => getFiscalPeriod(new Date()).fiscalYear
   },
   constraints: {
     materialAvailable: { type: Boolean, default: true },
@@ -117,8 +119,9 @@ ProductionScheduleSchema.pre('save', function(next) {
     return next(new Error('End date must be after start date'));
   }
   
-  // Auto-calculate completion rate if actual hours are provided
-  if (this.actualHours > 0 && this.plannedHours > 0) {
+  // Auto-calculate completion rate if actual hours are provided. Schedules rolled up from
+  // shift reports take it from reported output instead.
+  if (!this.$locals.shiftRollup && this.actualHours > 0 && this.plannedHours > 0) {
     this.completionRate = Math.min((this.actualHours / this.plannedHours) * 100, 100);
   }
   
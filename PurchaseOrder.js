@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+    material: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Materials',
+        required: true
+    },
+    materialName: {
+        type: String,
+        required: true
+    },
+    materialCode: {
+        type: String,
+        required: true
+    },
+    unit: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: [0.001, 'Quantity must be greater than 0']
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    receivedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    expectedDate: Date
+});
+
+// Remaining quantity still to be delivered on the line
+purchaseOrderLineSchema.virtual('remainingQuantity').get(function() {
+    return Math.max(0, this.quantity - this.receivedQuantity);
+});
+
+purchaseOrderLineSchema.virtual('lineTotal').get(function() {
+    return this.quantity * this.unitPrice;
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String,
+        unique: true
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true
+    },
+    orderDate: {
+        type: Date,
+        default: Date.now
+    },
+    expectedDeliveryDate: {
+        type: Date,
+        required: true
+    },
+    lines: {
+        type: [purchaseOrderLineSchema],
+        validate: {
+            validator: function(lines) {
+                return lines && lines.length > 0;
+            },
+            message: 'A purchase order needs at least one line'
+        }
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'approved', 'partially_received', 'closed', 'cancelled'],
+        default: 'draft'
+    },
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+    receivedAmount: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        default: 'ETB'
+    },
+    mrpRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MRPRun'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    closedAt: Date,
+    paymentTerms: String,
+    remarks: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Generate PO number and keep totals in sync with the lines
+purchaseOrderSchema.pre('validate', async function(next) {
+    if (!this.poNumber) {
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const sequence = await Counter.next(`PurchaseOrder:${year}${month}`);
+
+        this.poNumber = `PO-${year}${month}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    this.totalAmount = parseFloat(this.lines
+        .reduce((sum, line) => sum + line.quantity * line.unitPrice, 0)
+        .toFixed(2));
+    this.receivedAmount = parseFloat(this.lines
+        .reduce((sum, line) => sum + line.receivedQuantity * line.unitPrice, 0)
+        .toFixed(2));
+
+    next();
+});
+
+// Check whether every line has been fully delivered
+purchaseOrderSchema.methods.isFullyReceived = function() {
+    return this.lines.every(line => line.receivedQuantity >= line.quantity);
+};
+
+purchaseOrderSchema.index({ supplier: 1, orderDate: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ 'lines.material': 1 });
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
\ No newline at end of file
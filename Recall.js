@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+// Product store stock of a recalled batch when the recall was opened
+const recallStockSchema = new mongoose.Schema({
+    product: String,
+    batch: {
+        type: String,
+        required: true
+    },
+    location: String,
+    quantity: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// A 'Sales' record that shipped a recalled batch
+const recallShipmentSchema = new mongoose.Schema({
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DailySalesForm'
+    },
+    date: Date,
+    product: String,
+    batch: {
+        type: String,
+        required: true
+    },
+    category: String,
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    quantity: {
+        type: Number,
+        default: 0
+    },
+    documentNumber: String
+}, { _id: false });
+
+const recallSchema = new mongoose.Schema({
+    recallNumber: {
+        type: String,
+        unique: true
+    },
+    // Product batches under recall; issue and sale of these is blocked while the recall is open
+    batches: {
+        type: [String],
+        validate: {
+            validator: batches => batches.length > 0,
+            message: 'At least one batch is required'
+        }
+    },
+    products: [String],
+    reason: {
+        type: String,
+        required: [true, 'Recall reason is required']
+    },
+    severity: {
+        type: String,
+        enum: ['Class I', 'Class II', 'Class III'],
+        default: 'Class II'
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed', 'cancelled'],
+        default: 'open'
+    },
+    stockOnHand: [recallStockSchema],
+    shipments: [recallShipmentSchema],
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedAt: Date,
+    cancelledAt: Date,
+    remarks: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+recallSchema.virtual('shippedQuantity').get(function() {
+    return parseFloat(this.shipments.reduce((sum, shipment) => sum + shipment.quantity, 0).toFixed(6));
+});
+
+recallSchema.pre('validate', async function(next) {
+    if (!this.recallNumber) {
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const startOfMonth = new Date(year, now.getMonth(), 1);
+
+        const count = await mongoose.model('Recall').countDocuments({
+            createdAt: { $gte: startOfMonth }
+        });
+
+        this.recallNumber = `RCL-${year}${month}-${String(count + 1).padStart(4, '0')}`;
+    }
+
+    this.batches = [...new Set(this.batches.map(batch => batch.trim()).filter(Boolean))];
+
+    next();
+});
+
+// Open recall covering a batch, if any
+recallSchema.statics.findOpenForBatch = function(batch) {
+    return this.findOne({ status: 'open', batches: batch }).select('recallNumber reason').lean();
+};
+
+recallSchema.index({ batches: 1, status: 1 });
+recallSchema.index({ status: 1, openedAt: -1 });
+
+export default mongoose.model('Recall', recallSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { PLAN_MONTHS, getCalendarForMonth, getMonthRange, parseFiscalYear } from '../utils/ethiopianCalendar.js';
 
 const SalesPlanSchema = new mongoose.Schema({
   // ✅ FIXED: Store product name only (no ObjectId reference)
@@ -24,18 +25,32 @@ const SalesPlanSchema = new mongoose.Schema({
       message: 'Fiscal year must be in format "YYYY-YYYY" where second year is first year + 1 (e.g., "2025-2026")'
     }
   },
+  // Gregorian (January-December) or Ethiopian (Meskerem-Pagume) month name
   month: {
     type: String,
     required: [true, 'Month is required'],
     enum: {
-      values: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+      values: PLAN_MONTHS,
       message: '{VALUE} is not a valid month'
     }
   },
+  calendar: {
+    type: String,
+    enum: ['gregorian', 'ethiopian'],
+    default: 'gregorian'
+  },
+  // Gregorian dates the plan month covers, derived from fiscalYear and month
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
   status: {
     type: String,
     enum: {
-      values: ['Active', 'Inactive'],
+      // Draft plans (e.g. seeded from a forecast) are ignored by MRP and the dashboard
+      values: ['Active', 'Inactive', 'Draft'],
       message: '{VALUE} is not a valid status'
     },
     default: 'Active'
@@ -65,12 +80,55 @@ SalesPlanSchema.index({ productName: 1, fiscalYear: 1, month: 1, status: 1 });
 SalesPlanSchema.index({ fiscalYear: 1, month: 1 });
 SalesPlanSchema.index({ productName: 1, status: 1 });
 SalesPlanSchema.index({ fiscalYear: 1, productName: 1 });
+SalesPlanSchema.index({ periodStart: 1, periodEnd: 1 });
 
 // ✅ FIXED: Virtual for display name
 SalesPlanSchema.virtual('displayName').get(function() {
   return `${this.fiscalYear} - ${this.month} - ${this.productName}`;
 });
 
+SalesPlanSchema.virtual('ethiopianFiscalYear').get(function() {
+  try {
+    return parseFiscalYear(this.fiscalYear).ethiopianFiscalYear;
+  } catch (error) {
+    return null;
+  }
+});
+
+// Keep calendar and period dates in step with fiscal year and month
+const applyPlanPeriod = (target) => {
+  if (!target.fiscalYear || !target.month || !getCalendarForMonth(target.month)) return;
+  try {
+    const { start, end, calendar } = getMonthRange(target.fiscalYear, target.month);
+    target.calendar = calendar;
+    target.periodStart = start;
+    target.periodEnd = end;
+  } catch (error) {
+    // Invalid fiscal years are reported by the field validator
+  }
+};
+
+SalesPlanSchema.pre('validate', function(next) {
+  applyPlanPeriod(this);
+  next();
+});
+
+SalesPlanSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const changes = update.$set || update;
+  if (changes.fiscalYear === undefined && changes.month === undefined) return;
+
+  const current = await this.model.findOne(this.getQuery()).select('fiscalYear month').lean();
+  const period = {
+    fiscalYear: changes.fiscalYear ?? current?.fiscalYear,
+    month: changes.month ?? current?.month
+  };
+  applyPlanPeriod(period);
+  if (period.periodStart) {
+    this.set({ calendar: period.calendar, periodStart: period.periodStart, periodEnd: period.periodEnd });
+  }
+});
+
 // ✅ FIXED: Pre-save middleware - enhanced validation
 SalesPlanSchema.pre('save', function(next) {
   // Ensure unit is never empty
@@ -143,6 +201,32 @@ SalesPlanSchema.statics.getDashboardStats = async function(fiscalYear = null) {
   }
 };
 
+// Apply create/update/delete operations one by one, collecting a result per operation
+SalesPlanSchema.statics.applyBulkOperations = async function(operations) {
+  const results = [];
+
+  for (const operation of operations) {
+    try {
+      let result;
+      if (operation.data?.fiscalYear) {
+        operation.data.fiscalYear = parseFiscalYear(operation.data.fiscalYear).yearRange;
+      }
+      if (operation.type === 'create') {
+        result = await this.create(operation.data);
+      } else if (operation.type === 'update') {
+        result = await this.findByIdAndUpdate(operation.id, operation.data, { new: true });
+      } else if (operation.type === 'delete') {
+        result = await this.findByIdAndDelete(operation.id);
+      }
+      results.push({ success: true, operation: operation.type, result });
+    } catch (error) {
+      results.push({ success: false, operation: operation.type, error: error.message });
+    }
+  }
+
+  return results;
+};
+
 // ✅ NEW: Instance method for formatted response
 SalesPlanSchema.methods.toFormattedJSON = function() {
   const salesPlan = this.toObject();
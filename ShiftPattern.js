@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const ShiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shift name is required'],
+    trim: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:mm format']
+  },
+  breakMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Days of week the shift runs (0 = Sunday ... 6 = Saturday)
+  days: {
+    type: [Number],
+    default: [1, 2, 3, 4, 5],
+    validate: {
+      validator: function(days) {
+        return days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      },
+      message: 'Shift days must be between 0 (Sunday) and 6 (Saturday)'
+    }
+  }
+});
+
+// Paid hours of the shift, handling shifts that run past midnight
+ShiftSchema.virtual('hours').get(function() {
+  const [startHour, startMinute] = this.startTime.split(':').map(Number);
+  const [endHour, endMinute] = this.endTime.split(':').map(Number);
+  let minutes = (endHour * 60 + endMinute) - (startHour * 60 + startMinute);
+  if (minutes <= 0) minutes += 24 * 60;
+  return Math.max(0, (minutes - (this.breakMinutes || 0)) / 60);
+});
+
+const ShiftPatternSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pattern name is required'],
+    trim: true
+  },
+  // Empty line means the company default pattern
+  lineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Line'
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  effectiveTo: {
+    type: Date
+  },
+  shifts: {
+    type: [ShiftSchema],
+    validate: {
+      validator: function(shifts) {
+        return shifts && shifts.length > 0;
+      },
+      message: 'A shift pattern needs at least one shift'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ShiftPatternSchema.index({ lineId: 1, effectiveFrom: -1 });
+ShiftPatternSchema.index({ status: 1 });
+
+// Scheduled hours on a given day of the week
+ShiftPatternSchema.methods.getHoursForDay = function(date) {
+  const dayOfWeek = new Date(date).getDay();
+  return this.shifts
+    .filter(shift => shift.days.includes(dayOfWeek))
+    .reduce((sum, shift) => sum + shift.hours, 0);
+};
+
+ShiftPatternSchema.methods.getShiftsForDay = function(date) {
+  const dayOfWeek = new Date(date).getDay();
+  return this.shifts.filter(shift => shift.days.includes(dayOfWeek));
+};
+
+ShiftPatternSchema.methods.isEffectiveOn = function(date) {
+  const day = new Date(date);
+  if (day < this.effectiveFrom) return false;
+  return !this.effectiveTo || day <= this.effectiveTo;
+};
+
+export default mongoose.model('ShiftPattern', ShiftPatternSchema);
\ No newline at end of file
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+
+// Reason codes for time the line stood still during a shift
+const STOPPAGE_REASONS = [
+  'breakdown',
+  'changeover',
+  'material-shortage',
+  'no-operator',
+  'quality-issue',
+  'cleaning',
+  'planned-maintenance',
+  'power-outage',
+  'other'
+];
+
+const operatorSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  // Name at the time of the shift, so reports read the same after staff changes
+  name: String,
+  role: {
+    type: String,
+    trim: true,
+    default: 'Operator'
+  }
+}, { _id: false });
+
+const stoppageSchema = new mongoose.Schema({
+  reasonCode: {
+    type: String,
+    enum: {
+      values: STOPPAGE_REASONS,
+      message: 'Unknown stoppage reason code: {VALUE}'
+    },
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  minutes: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    maxlength: [200, 'Stoppage note cannot exceed 200 characters']
+  }
+});
+
+const shiftReportSchema = new mongoose.Schema({
+  reportNumber: {
+    type: String,
+    unique: true
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionSchedule',
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  lineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Line',
+    required: true
+  },
+  lineCode: {
+    type: String,
+    required: true
+  },
+  shiftDate: {
+    type: Date,
+    required: [true, 'Shift date is required']
+  },
+  shiftName: {
+    type: String,
+    required: [true, 'Shift is required'],
+    trim: true
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // Empty while the shift is still running
+  endTime: {
+    type: Date
+  },
+  operators: {
+    type: [operatorSchema],
+    validate: {
+      validator: function(operators) {
+        return operators && operators.length > 0;
+      },
+      message: 'A shift report needs at least one operator'
+    }
+  },
+  outputQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Output cannot be negative']
+  },
+  rejectedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rejected quantity cannot be negative']
+  },
+  stoppages: [stoppageSchema],
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'cancelled'],
+    default: 'open'
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  cancelledAt: Date,
+  remarks: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Shift length in hours, up to now for an open shift
+shiftReportSchema.virtual('grossHours').get(function() {
+  if (!this.startTime) return 0;
+  const end = this.endTime || new Date();
+  return parseFloat((Math.max(0, end - this.startTime) / 3600000).toFixed(2));
+});
+
+shiftReportSchema.virtual('stoppageMinutes').get(function() {
+  return (this.stoppages || []).reduce((sum, stoppage) => sum + (stoppage.minutes || 0), 0);
+});
+
+// Hours the line actually ran
+shiftReportSchema.virtual('runHours').get(function() {
+  return parseFloat(Math.max(0, this.grossHours - this.stoppageMinutes / 60).toFixed(2));
+});
+
+shiftReportSchema.statics.getStoppageReasons = function() {
+  return STOPPAGE_REASONS;
+};
+
+shiftReportSchema.pre('validate', async function(next) {
+  if (this.endTime && this.startTime && this.endTime <= this.startTime) {
+    return next(new Error('End time must be after start time'));
+  }
+
+  const operatorIds = this.operators.map(operator => operator.employee.toString());
+  if (new Set(operatorIds).size !== operatorIds.length) {
+    return next(new Error('An operator is listed more than once'));
+  }
+
+  for (const stoppage of this.stoppages) {
+    if (stoppage.endTime <= stoppage.startTime) {
+      return next(new Error(`Stoppage (${stoppage.reasonCode}) must end after it starts`));
+    }
+    if (stoppage.startTime < this.startTime || (this.endTime && stoppage.endTime > this.endTime)) {
+      return next(new Error(`Stoppage (${stoppage.reasonCode}) falls outside the shift`));
+    }
+    stoppage.minutes = Math.round((stoppage.endTime - stoppage.startTime) / 60000);
+  }
+
+  if (!this.reportNumber) {
+    const day = new Date(this.shiftDate || Date.now());
+    const dateKey = `${day.getFullYear()}${String(day.getMonth() + 1).padStart(2, '0')}${String(day.getDate()).padStart(2, '0')}`;
+    const count = await mongoose.model('ShiftReport').countDocuments({
+      reportNumber: new RegExp(`^SR-${dateKey}-`)
+    });
+
+    this.reportNumber = `SR-${dateKey}-${String(count + 1).padStart(3, '0')}`;
+  }
+  next();
+});
+
+shiftReportSchema.index({ schedule: 1, status: 1 });
+shiftReportSchema.index({ lineId: 1, shiftDate: -1 });
+shiftReportSchema.index({ 'operators.employee': 1, shiftDate: -1 });
+
+export default mongoose.model('ShiftReport', shiftReportSchema);
\ No newline at end of file
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { DEFAULT_LOCATION } from '../utils/locations.js';
+
+const stockTakeLineSchema = new mongoose.Schema({
+    item: {
+        type: String,
+        required: true
+    },
+    itemCode: {
+        type: String,
+        required: true
+    },
+    unit: String,
+    batch: {
+        type: String,
+        required: true
+    },
+    expireDate: Date,
+    // Ledger stock of the batch when the count was opened
+    systemQuantity: {
+        type: Number,
+        default: 0
+    },
+    countedQuantity: {
+        type: Number,
+        default: null,
+        min: [0, 'Counted quantity cannot be negative']
+    },
+    unitPrice: {
+        type: Number,
+        default: 0
+    },
+    // Batch was found during the count but had no stock on the ledger
+    addedDuringCount: {
+        type: Boolean,
+        default: false
+    },
+    countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    countedAt: Date,
+    note: String,
+    // MaterialRI / ProductRI entry posted for the variance on approval
+    adjustmentRecord: mongoose.Schema.Types.ObjectId
+});
+
+stockTakeLineSchema.virtual('variance').get(function() {
+    if (this.countedQuantity === null || this.countedQuantity === undefined) return null;
+    return parseFloat((this.countedQuantity - this.systemQuantity).toFixed(6));
+});
+
+stockTakeLineSchema.virtual('varianceValue').get(function() {
+    const variance = this.variance;
+    return variance === null ? null : parseFloat((variance * this.unitPrice).toFixed(2));
+});
+
+const stockTakeSchema = new mongoose.Schema({
+    countNumber: {
+        type: String,
+        unique: true
+    },
+    category: {
+        type: String,
+        enum: ['Material', 'Product'],
+        required: true
+    },
+    // Snapshot time; adjustments are posted at this date
+    countDate: {
+        type: Date,
+        default: Date.now
+    },
+    // Warehouse or WAREHOUSE/BIN being counted; adjustments are posted here
+    location: {
+        type: String,
+        default: DEFAULT_LOCATION,
+        uppercase: true,
+        trim: true
+    },
+    // Materials or products in scope, empty for everything with stock
+    items: [String],
+    lines: [stockTakeLineSchema],
+    status: {
+        type: String,
+        enum: ['open', 'submitted', 'approved', 'cancelled'],
+        default: 'open'
+    },
+    gainValue: {
+        type: Number,
+        default: 0
+    },
+    lossValue: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    submittedAt: Date,
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    cancelledAt: Date,
+    remarks: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+stockTakeSchema.virtual('netVarianceValue').get(function() {
+    return parseFloat((this.gainValue - this.lossValue).toFixed(2));
+});
+
+// Generate the count number, which is also the DocumentNumber of the adjustments,
+// and keep the value impact in sync with the counted lines
+stockTakeSchema.pre('validate', async function(next) {
+    if (!this.countNumber) {
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const startOfMonth = new Date(year, now.getMonth(), 1);
+
+        const count = await mongoose.model('StockTake').countDocuments({
+            createdAt: { $gte: startOfMonth }
+        });
+
+        this.countNumber = `STK-${year}${month}-${String(count + 1).padStart(4, '0')}`;
+    }
+
+    const values = this.lines.map(line => line.varianceValue || 0);
+    this.gainValue = parseFloat(values.filter(v => v > 0).reduce((sum, v) => sum + v, 0).toFixed(2));
+    this.lossValue = parseFloat(Math.abs(values.filter(v => v < 0).reduce((sum, v) => sum + v, 0)).toFixed(2));
+
+    next();
+});
+
+// Lines that have not been counted yet
+stockTakeSchema.methods.getUncountedLines = function() {
+    return this.lines.filter(line => line.countedQuantity === null || line.countedQuantity === undefined);
+};
+
+stockTakeSchema.index({ status: 1, countDate: -1 });
+stockTakeSchema.index({ category: 1, location: 1 });
+stockTakeSchema.index({ 'lines.batch': 1 });
+
+export default mongoose.model('StockTake', stockTakeSchema);
\ No newline at end of file
@@ -51,6 +51,16 @@ const supplierSchema = new mongoose.Schema({
         type: String,
         default: 'ETB'
     },
+    // Last computed performance, written by the suppliers POST /performance/recompute
+    performance: {
+        onTimeDelivery: Number,
+        acceptanceRate: Number,
+        priceVariance: Number,
+        score: Number,
+        periodStart: Date,
+        periodEnd: Date,
+        evaluatedAt: Date
+    },
     remarks: String
 }, {
     timestamps: true
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const binSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Bin code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]+$/, 'Bin code can only contain letters, numbers and dashes']
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['Active', 'Inactive'],
+    default: 'Active'
+  }
+});
+
+const warehouseSchema = new mongoose.Schema({
+  // Ledger records store the location as CODE or CODE/BIN
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]+$/, 'Warehouse code can only contain letters, numbers and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['Material', 'Product', 'Both'],
+    default: 'Both'
+  },
+  address: String,
+  description: String,
+  bins: [binSchema],
+  status: {
+    type: String,
+    enum: ['Active', 'Inactive'],
+    default: 'Active'
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.pre('validate', function(next) {
+  const codes = this.bins.map(bin => bin.code);
+  if (new Set(codes).size !== codes.length) {
+    return next(new Error('Bin codes must be unique within a warehouse'));
+  }
+  next();
+});
+
+warehouseSchema.methods.holds = function(category) {
+  return this.category === 'Both' || this.category === category;
+};
+
+warehouseSchema.methods.hasActiveBin = function(code) {
+  return this.bins.some(bin => bin.code === code && bin.status === 'Active');
+};
+
+warehouseSchema.index({ status: 1, category: 1 });
+
+export default mongoose.model('Warehouse', warehouseSchema);
\ No newline at end of file
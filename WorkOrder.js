@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+
+// Standard usage of one formulation material and what has actually been issued against it
+const workOrderMaterialSchema = new mongoose.Schema({
+  material: {
+    type: String,
+    required: true
+  },
+  unit: String,
+  // Effective quantity per unit of product in the formulation in force when the order was released
+  standardPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Standard for the planned quantity
+  plannedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Standard for the quantity reported so far
+  standardQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Backflushed (issued) quantity
+  actualQuantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+workOrderMaterialSchema.virtual('variance').get(function() {
+  return parseFloat((this.actualQuantity - this.standardQuantity).toFixed(6));
+});
+
+workOrderMaterialSchema.virtual('variancePercent').get(function() {
+  if (!this.standardQuantity) return null;
+  return parseFloat((((this.actualQuantity - this.standardQuantity) / this.standardQuantity) * 100).toFixed(2));
+});
+
+// An output report: the Production record it posted and the material issues it backflushed
+const workOrderOutputSchema = new mongoose.Schema({
+  production: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionManagement'
+  },
+  batch: String,
+  date: Date,
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Formulation version effective on the output date, the standard the usage is measured against
+  formulationVersion: Number,
+  materials: [{
+    _id: false,
+    material: String,
+    standardQuantity: Number,
+    actualQuantity: Number
+  }],
+  issues: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaterialRI'
+  }],
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+const workOrderSchema = new mongoose.Schema({
+  workOrderNumber: {
+    type: String,
+    unique: true
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionSchedule',
+    required: true
+  },
+  // ProductionSchedule.orderId the work order executes
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  product: {
+    type: String,
+    required: true
+  },
+  productCode: {
+    type: String,
+    required: true
+  },
+  unit: String,
+  // Formulation version in force on the schedule start date (none for single-row formulations)
+  formulationVersion: Number,
+  plannedQuantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Planned quantity must be greater than 0']
+  },
+  producedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Material store location the backflushed materials are issued from
+  location: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'MAIN'
+  },
+  status: {
+    type: String,
+    enum: ['released', 'in-progress', 'completed', 'cancelled'],
+    default: 'released'
+  },
+  materials: [workOrderMaterialSchema],
+  outputs: [workOrderOutputSchema],
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  remarks: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+workOrderSchema.virtual('completionRate').get(function() {
+  if (!this.plannedQuantity) return 0;
+  return Math.min(100, parseFloat(((this.producedQuantity / this.plannedQuantity) * 100).toFixed(2)));
+});
+
+workOrderSchema.pre('validate', async function(next) {
+  if (!this.workOrderNumber) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const startOfMonth = new Date(year, now.getMonth(), 1);
+
+    const count = await mongoose.model('WorkOrder').countDocuments({
+      createdAt: { $gte: startOfMonth }
+    });
+
+    this.workOrderNumber = `WO-${year}${month}-${String(count + 1).padStart(4, '0')}`;
+  }
+  next();
+});
+
+workOrderSchema.index({ status: 1, createdAt: -1 });
+workOrderSchema.index({ schedule: 1 });
+workOrderSchema.index({ 'outputs.batch': 1 });
+
+export default mongoose.model('WorkOrder', workOrderSchema);
\ No newline at end of file
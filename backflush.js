@@ -0,0 +1,292 @@
+// backend/utils/backflush.js
+import WorkOrder from '../models/WorkOrder.js';
+import ProductionSchedule from '../models/ProductionSchedule.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import ProductFormulation from '../models/ProductFormulation.js';
+import MaterialRI from '../models/MaterialRI.js';
+import Product from '../models/Product.js';
+import { consumeMaterials } from './lotGenealogy.js';
+import { validateLocation } from './locations.js';
+import { withLedgerTransaction } from './ledgerLock.js';
+import { refreshCapacityEfficiency } from './oee.js';
+
+// Production work orders with material backflushing. Reporting output on a work order posts
+// the ProductionManagement 'Production' record and issues the formulation materials for that
+// quantity (FEFO, through consumeMaterials), so material stock falls as product is made.
+// Both are posted in one ledger transaction with the work order progress, so nothing is
+// posted when any material is short.
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+// Batch number for production output, the same DDMMYY format productionmanagements generates
+const generateBatch = (productCode, date) => {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const year = String(date.getFullYear()).slice(-2);
+  return `${productCode}-${day}${month}${year}`;
+};
+
+/**
+ * Release a work order for a production schedule, taking the standard material usage
+ * from the product's active formulation.
+ */
+export const createWorkOrder = async ({ orderId, quantity, location, remarks, createdBy }) => {
+  const schedule = await ProductionSchedule.findOne({ orderId });
+  if (!schedule) {
+    throw new Error(`Production schedule ${orderId} not found`);
+  }
+  if (['completed', 'cancelled'].includes(schedule.status)) {
+    throw new Error(`Production schedule ${orderId} is ${schedule.status}`);
+  }
+
+  const existing = await WorkOrder.findOne({ orderId, status: { $ne: 'cancelled' } }).select('workOrderNumber').lean();
+  if (existing) {
+    throw new Error(`Production schedule ${orderId} already has work order ${existing.workOrderNumber}`);
+  }
+
+  const product = await Product.findById(schedule.productId).select('Product ProductCode Unit').lean() ||
+    await Product.findOne({ Product: schedule.productName }).select('Product ProductCode Unit').lean();
+  if (!product) {
+    throw new Error(`Product of production schedule ${orderId} not found`);
+  }
+
+  const plannedQuantity = quantity !== undefined ? parseFloat(quantity) : schedule.quantity;
+  const requirements = await ProductFormulation.explode(product.Product, plannedQuantity, schedule.startDate);
+  if (requirements.length === 0) {
+    throw new Error(`No active formulation found for ${product.Product}`);
+  }
+
+  const workOrder = new WorkOrder({
+    schedule: schedule._id,
+    orderId,
+    product: product.Product,
+    productCode: product.ProductCode,
+    unit: product.Unit,
+    plannedQuantity,
+    formulationVersion: requirements[0].formulationVersion,
+    location: await validateLocation(location, 'Material'),
+    materials: requirements.map(requirement => ({
+      material: requirement.materialName,
+      unit: requirement.materialUnit,
+      standardPerUnit: requirement.effectiveQuantityPerUnit,
+      plannedQuantity: round(requirement.requiredQuantity)
+    })),
+    remarks,
+    createdBy
+  });
+
+  return workOrder.save();
+};
+
+// Material each backflush line would be short of, checked before anything is posted
+const findShortages = async (lines, date, location) => {
+  const shortages = [];
+  const byMaterial = new Map();
+  lines.filter(line => !line.Batch).forEach(line => {
+    byMaterial.set(line.Material, round((byMaterial.get(line.Material) || 0) + line.Quantity));
+  });
+
+  for (const [material, required] of byMaterial) {
+    const result = await MaterialRI.allocateFEFO(material, required, date, location);
+    if (result.shortage > 0) {
+      shortages.push({
+        material,
+        required,
+        available: result.availableStock,
+        shortage: result.shortage,
+        expiredStock: result.expiredStock,
+        heldStock: result.heldStock
+      });
+    }
+  }
+
+  for (const line of lines.filter(line => line.Batch)) {
+    const available = await MaterialRI.getBatchStock(line.Batch, location);
+    if (available < line.Quantity) {
+      shortages.push({
+        material: line.Material,
+        batch: line.Batch,
+        required: line.Quantity,
+        available,
+        shortage: round(line.Quantity - available)
+      });
+    }
+  }
+
+  return shortages;
+};
+
+/**
+ * Report output on a work order: post the Production record and backflush materials.
+ * `materials` optionally overrides the standard usage per material ({ Material, Quantity,
+ * Batch? }); materials not listed are issued at standard. Throws an error carrying
+ * `shortages` when stock is insufficient, in which case nothing is posted.
+ */
+export const reportWorkOrderOutput = async (workOrder, { quantity, date, batch, expireDate, documentNumber, note, materials = [], reportedBy }) => {
+  if (!['released', 'in-progress'].includes(workOrder.status)) {
+    throw new Error(`Cannot report output on a ${workOrder.status} work order`);
+  }
+
+  const outputQuantity = parseFloat(quantity);
+  if (!(outputQuantity > 0)) {
+    throw new Error('Output quantity must be greater than 0');
+  }
+  if (!expireDate) {
+    throw new Error('Expire Date is required for production output');
+  }
+
+  const outputDate = date ? new Date(date) : new Date();
+  const reported = new Map((materials || []).map(line => [line.Material, line]));
+
+  // Standard usage for this output from the formulation effective on the output date,
+  // replaced by the reported actual where given
+  const requirements = await ProductFormulation.explode(workOrder.product, outputQuantity, outputDate);
+  if (requirements.length === 0) {
+    throw new Error(`No formulation for ${workOrder.product} is effective on ${outputDate.toDateString()}`);
+  }
+
+  const usage = requirements.map(requirement => {
+    const actual = reported.get(requirement.materialName);
+    const standardQuantity = round(requirement.requiredQuantity);
+    return {
+      material: requirement.materialName,
+      unit: requirement.materialUnit,
+      standardPerUnit: requirement.effectiveQuantityPerUnit,
+      standardQuantity,
+      actualQuantity: actual ? round(parseFloat(actual.Quantity) || 0) : standardQuantity,
+      batch: actual?.Batch
+    };
+  });
+  // Substitutes and extra materials outside the formulation have no standard
+  reported.forEach((line, material) => {
+    if (!usage.some(entry => entry.material === material)) {
+      usage.push({ material, standardQuantity: 0, actualQuantity: round(parseFloat(line.Quantity) || 0), batch: line.Batch });
+    }
+  });
+
+  const lines = usage
+    .filter(entry => entry.actualQuantity > 0)
+    .map(entry => ({ Material: entry.material, Quantity: entry.actualQuantity, Batch: entry.batch, Location: workOrder.location }));
+
+  const shortages = await findShortages(lines, outputDate, workOrder.location);
+  if (shortages.length > 0) {
+    const error = new Error(`Insufficient material stock for ${outputQuantity} ${workOrder.product}: ${shortages.map(shortage => shortage.material).join(', ')}`);
+    error.shortages = shortages;
+    throw error;
+  }
+
+  // A material that runs short when its issue is saved (another posting got there first)
+  // aborts the transaction, and the Production record is not stored either
+  return withLedgerTransaction(async (session) => {
+    const production = await new ProductionManagement({
+      Date: outputDate,
+      Activity: 'Production',
+      Product: workOrder.product,
+      ProductCode: workOrder.productCode,
+      Unit: workOrder.unit || 'PCS',
+      Batch: batch && batch.trim() !== '' ? batch.trim() : generateBatch(workOrder.productCode, outputDate),
+      Quantity: outputQuantity,
+      ExpireDate: new Date(expireDate),
+      Note: (note || `Work order ${workOrder.workOrderNumber}`).substring(0, 100),
+      DocumentNumber: documentNumber || workOrder.workOrderNumber
+    }).save({ session });
+
+    const issues = lines.length > 0 ? await consumeMaterials(production, lines, { session }) : [];
+
+    usage.forEach(entry => {
+      let line = workOrder.materials.find(material => material.material === entry.material);
+      if (!line) {
+        workOrder.materials.push({ material: entry.material, unit: entry.unit, standardPerUnit: entry.standardPerUnit || 0 });
+        line = workOrder.materials[workOrder.materials.length - 1];
+      }
+      line.standardQuantity = round(line.standardQuantity + entry.standardQuantity);
+      line.actualQuantity = round(line.actualQuantity + entry.actualQuantity);
+    });
+
+    workOrder.outputs.push({
+      production: production._id,
+      batch: production.Batch,
+      date: outputDate,
+      quantity: outputQuantity,
+      formulationVersion: requirements[0].formulationVersion,
+      materials: usage.map(({ material, standardQuantity, actualQuantity }) => ({ material, standardQuantity, actualQuantity })),
+      issues: issues.map(issue => issue._id),
+      reportedBy
+    });
+    workOrder.producedQuantity = round(workOrder.producedQuantity + outputQuantity);
+
+    if (workOrder.status === 'released') {
+      workOrder.status = 'in-progress';
+      workOrder.startedAt = outputDate;
+
+      const schedule = await ProductionSchedule.findById(workOrder.schedule).session(session);
+      if (schedule && schedule.status === 'scheduled') {
+        schedule.status = 'in-progress';
+        schedule.actualStartDate = schedule.actualStartDate || outputDate;
+        await schedule.save({ session });
+      }
+    }
+
+    await workOrder.save({ session });
+
+    return { production, issues };
+  });
+};
+
+/**
+ * Complete a work order, reporting a final output first when one is given. A final output
+ * that is short of material stock leaves the work order open.
+ */
+export const completeWorkOrder = async (workOrder, finalOutput = null) => {
+  let result = null;
+  if (finalOutput && finalOutput.quantity !== undefined) {
+    result = await reportWorkOrderOutput(workOrder, finalOutput);
+  }
+
+  if (workOrder.status !== 'in-progress') {
+    throw new Error(`Cannot complete a ${workOrder.status} work order`);
+  }
+  if (workOrder.producedQuantity <= 0) {
+    throw new Error('Report output before completing the work order');
+  }
+
+  workOrder.status = 'completed';
+  workOrder.completedAt = new Date();
+  await workOrder.save();
+
+  const schedule = await ProductionSchedule.findById(workOrder.schedule);
+  if (schedule && !['completed', 'cancelled'].includes(schedule.status)) {
+    schedule.status = 'completed';
+    schedule.actualEndDate = workOrder.completedAt;
+    await schedule.save();
+  }
+
+  // The line's efficiency follows its OEE; a failed refresh does not undo the completion
+  if (schedule?.lineId) {
+    try {
+      await refreshCapacityEfficiency({ lineId: schedule.lineId });
+    } catch (error) {
+      console.error('Capacity efficiency refresh failed:', error.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Standard against actual material usage of a work order, per material.
+ */
+export const getUsageVariance = (workOrder) => ({
+  plannedQuantity: workOrder.plannedQuantity,
+  producedQuantity: workOrder.producedQuantity,
+  materials: workOrder.materials.map(line => ({
+    material: line.material,
+    unit: line.unit,
+    standardPerUnit: line.standardPerUnit,
+    plannedQuantity: line.plannedQuantity,
+    standardQuantity: line.standardQuantity,
+    actualQuantity: line.actualQuantity,
+    variance: line.variance,
+    variancePercent: line.variancePercent
+  }))
+});
\ No newline at end of file
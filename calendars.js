@@ -0,0 +1,396 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CalendarEvent from '../models/CalendarEvent.js';
+import ShiftPattern from '../models/ShiftPattern.js';
+import Line from '../models/LineManagement.js';
+import { loadWorkingCalendar, getEthiopianHolidays, toDateKey } from '../utils/workingCalendar.js';
+import {
+  toEthiopian,
+  fromEthiopian,
+  formatEthiopian,
+  parseFiscalYear,
+  getFiscalYearRange,
+  getFiscalMonths,
+  getFiscalPeriod
+} from '../utils/ethiopianCalendar.js';
+
+const router = express.Router();
+
+const handleValidationError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Get calendar events (holidays, shutdowns, reduced hours)
+router.get('/events', async (req, res) => {
+  try {
+    const { type, status, startDate, endDate, lineId } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (lineId) filter.$or = [{ lines: lineId }, { lines: { $size: 0 } }];
+    if (startDate || endDate) {
+      const dateFilter = {};
+      if (endDate) dateFilter.startDate = { $lte: new Date(endDate) };
+      if (startDate) dateFilter.endDate = { $gte: new Date(startDate) };
+      filter.$and = [{ $or: [{ recurring: true }, dateFilter] }];
+    }
+
+    const events = await CalendarEvent.find(filter)
+      .populate('lines', 'lineCode lineName')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a calendar event
+router.post('/events', async (req, res) => {
+  try {
+    const event = new CalendarEvent({
+      ...req.body,
+      endDate: req.body.endDate || req.body.startDate
+    });
+    const newEvent = await event.save();
+
+    res.status(201).json({
+      success: true,
+      data: newEvent,
+      message: 'Calendar event created successfully'
+    });
+  } catch (error) {
+    handleValidationError(error, res);
+  }
+});
+
+// Generate the Ethiopian public holidays for a Gregorian year
+router.post('/events/seed-ethiopian', async (req, res) => {
+  try {
+    const year = parseInt(req.body.year) || new Date().getFullYear();
+    const created = [];
+    const skipped = [];
+
+    for (const holiday of getEthiopianHolidays(year)) {
+      const existing = await CalendarEvent.findOne({
+        type: 'holiday',
+        startDate: holiday.date,
+        lines: { $size: 0 }
+      });
+
+      if (existing) {
+        skipped.push(holiday.name);
+        continue;
+      }
+
+      created.push(await CalendarEvent.create({
+        name: holiday.name,
+        type: 'holiday',
+        startDate: holiday.date,
+        endDate: holiday.date,
+        note: `Ethiopian public holiday ${year}`
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      skipped,
+      message: `${created.length} holidays added for ${year}. Eid al-Fitr, Eid al-Adha and Mawlid must be added manually.`
+    });
+  } catch (error) {
+    handleValidationError(error, res);
+  }
+});
+
+// Update a calendar event
+router.put('/events/:id', async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar event not found'
+      });
+    }
+
+    Object.assign(event, req.body);
+    const updatedEvent = await event.save();
+
+    res.json({
+      success: true,
+      data: updatedEvent,
+      message: 'Calendar event updated successfully'
+    });
+  } catch (error) {
+    handleValidationError(error, res);
+  }
+});
+
+// Delete a calendar event
+router.delete('/events/:id', async (req, res) => {
+  try {
+    const event = await CalendarEvent.findByIdAndDelete(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar event deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get shift patterns
+router.get('/shift-patterns', async (req, res) => {
+  try {
+    const { lineId, status } = req.query;
+    const filter = {};
+    if (lineId) filter.lineId = lineId;
+    if (status) filter.status = status;
+
+    const patterns = await ShiftPattern.find(filter)
+      .populate('lineId', 'lineCode lineName')
+      .sort({ effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      data: patterns,
+      count: patterns.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a shift pattern
+router.post('/shift-patterns', async (req, res) => {
+  try {
+    if (req.body.lineId) {
+      const line = await Line.findById(req.body.lineId);
+      if (!line) {
+        return res.status(404).json({
+          success: false,
+          message: 'Production line not found'
+        });
+      }
+    }
+
+    const pattern = new ShiftPattern(req.body);
+    const newPattern = await pattern.save();
+
+    res.status(201).json({
+      success: true,
+      data: newPattern,
+      message: 'Shift pattern created successfully'
+    });
+  } catch (error) {
+    handleValidationError(error, res);
+  }
+});
+
+// Update a shift pattern
+router.put('/shift-patterns/:id', async (req, res) => {
+  try {
+    const pattern = await ShiftPattern.findById(req.params.id);
+    if (!pattern) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift pattern not found'
+      });
+    }
+
+    Object.assign(pattern, req.body);
+    const updatedPattern = await pattern.save();
+
+    res.json({
+      success: true,
+      data: updatedPattern,
+      message: 'Shift pattern updated successfully'
+    });
+  } catch (error) {
+    handleValidationError(error, res);
+  }
+});
+
+// Delete a shift pattern
+router.delete('/shift-patterns/:id', async (req, res) => {
+  try {
+    const pattern = await ShiftPattern.findByIdAndDelete(req.params.id);
+    if (!pattern) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift pattern not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift pattern deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Working days and available hours for a line (or the company default)
+router.get('/working-days', async (req, res) => {
+  try {
+    const { lineId, startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date and end date are required'
+      });
+    }
+
+    let line = null;
+    if (lineId) {
+      if (!mongoose.Types.ObjectId.isValid(lineId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid line ID'
+        });
+      }
+      line = await Line.findById(lineId);
+      if (!line) {
+        return res.status(404).json({
+          success: false,
+          message: 'Production line not found'
+        });
+      }
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const calendar = await loadWorkingCalendar(start, end);
+    const days = calendar.describeRange(line, start, end);
+
+    res.json({
+      success: true,
+      data: {
+        line: line ? { _id: line._id, lineCode: line.lineCode, lineName: line.lineName } : null,
+        startDate: start,
+        endDate: end,
+        calendarDays: days.length,
+        workingDays: days.filter(day => day.availableHours > 0).length,
+        availableHours: days.reduce((sum, day) => sum + day.availableHours, 0),
+        days: days.map(day => ({ ...day, date: toDateKey(day.date) }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Convert between Gregorian and Ethiopian dates.
+// ?date=2025-09-11 converts to Ethiopian, ?year=2018&month=1&day=1 converts to Gregorian
+router.get('/ethiopian/convert', async (req, res) => {
+  try {
+    const { date, year, month, day } = req.query;
+
+    let gregorian;
+    if (date) {
+      gregorian = new Date(date);
+      if (isNaN(gregorian)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date'
+        });
+      }
+    } else if (year && month && day) {
+      const monthValue = isNaN(month) ? month : parseInt(month);
+      gregorian = fromEthiopian(parseInt(year), monthValue, parseInt(day));
+    } else {
+      gregorian = new Date();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        gregorian: toDateKey(gregorian),
+        ethiopian: toEthiopian(gregorian),
+        formatted: formatEthiopian(gregorian),
+        fiscalPeriod: getFiscalPeriod(gregorian)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Fiscal year (Hamle-Sene) boundaries and months in either calendar
+router.get('/fiscal-year', async (req, res) => {
+  try {
+    const { calendar = 'ethiopian' } = req.query;
+    const { yearRange, ethiopianFiscalYear } = parseFiscalYear(
+      req.query.fiscalYear || getFiscalPeriod(new Date()).fiscalYear
+    );
+    const { start, end } = getFiscalYearRange(yearRange);
+
+    res.json({
+      success: true,
+      data: {
+        fiscalYear: yearRange,
+        ethiopianFiscalYear,
+        startDate: toDateKey(start),
+        endDate: toDateKey(end),
+        calendar,
+        months: getFiscalMonths(yearRange, calendar === 'gregorian' ? 'gregorian' : 'ethiopian').map(month => ({
+          ...month,
+          start: toDateKey(month.start),
+          end: toDateKey(month.end)
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -1,5 +1,10 @@
 import express from 'express';
 import Capacity from '../models/Capacity.js';
+import Line from '../models/LineManagement.js';
+import ProductionSchedule from '../models/ProductionSchedule.js';
+import MaintenanceMngt from '../models/MaintenanceMngt.js';
+import { loadWorkingCalendar, toDateKey, eachDay } from '../utils/workingCalendar.js';
+import { calculateLineOEE, refreshCapacityEfficiency } from '../utils/oee.js';
 
 const router = express.Router();
 
@@ -13,12 +18,13 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Update capacity
+// Update capacity. Efficiency is computed from OEE and cannot be set here.
 router.put('/:id', async (req, res) => {
   try {
+    const { efficiency, efficiencyUpdatedAt, ...update } = req.body;
     const capacity = await Capacity.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true }
     );
     
@@ -32,22 +38,242 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Calculate capacity utilization
+// Calculate capacity utilization per line, bucketed by day, week or month
 router.get('/utilization/calculate', async (req, res) => {
   try {
-    // This would calculate current utilization based on active schedules
-    // For now, returning mock data
-    const utilization = [
-      { productionLine: 'Line 1', utilization: 85 },
-      { productionLine: 'Line 2', utilization: 92 },
-      { productionLine: 'Line 3', utilization: 65 },
-      { productionLine: 'Line 4', utilization: 78 }
-    ];
-    
+    const { startDate, endDate, bucket = 'week', lineId } = req.query;
+
+    if (!['day', 'week', 'month'].includes(bucket)) {
+      return res.status(400).json({ message: 'Bucket must be day, week or month' });
+    }
+
+    // Default to the current month
+    const now = new Date();
+    const start = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = endDate ? new Date(endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+
+    if (isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const lineFilter = lineId ? { _id: lineId } : { status: { $ne: 'inactive' } };
+    const lines = await Line.find(lineFilter).sort({ lineCode: 1 });
+
+    const utilization = [];
+    for (const line of lines) {
+      utilization.push(await calculateLineUtilization(line, start, end, bucket));
+    }
+
     res.json(utilization);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Calculate OEE per line with availability, performance and quality losses,
+// bucketed by day, week or month
+router.get('/oee/calculate', async (req, res) => {
+  try {
+    const { startDate, endDate, bucket = 'day', lineId } = req.query;
+
+    if (!['day', 'week', 'month'].includes(bucket)) {
+      return res.status(400).json({ message: 'Bucket must be day, week or month' });
+    }
+
+    // Default to the current month
+    const now = new Date();
+    const start = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = endDate ? new Date(endDate) : new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+
+    if (isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const lineFilter = lineId ? { _id: lineId } : { status: { $ne: 'inactive' } };
+    const lines = await Line.find(lineFilter).sort({ lineCode: 1 });
+
+    const oee = [];
+    for (const line of lines) {
+      oee.push(await calculateLineOEE(line, start, end, bucket));
+    }
+
+    res.json(oee);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Recompute Capacity.efficiency from each line's OEE over the trailing window
+router.post('/oee/refresh', async (req, res) => {
+  try {
+    const { lineId, asOf } = req.body;
+    const result = await refreshCapacityEfficiency({ lineId, asOf: asOf ? new Date(asOf) : new Date() });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Utilization Calculation Functions
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const getBucketKey = (date, bucket) => {
+  if (bucket === 'day') return toDateKey(date);
+  if (bucket === 'month') return toDateKey(date).substring(0, 7);
+
+  const weekStart = new Date(date);
+  weekStart.setDate(weekStart.getDate() - ((date.getDay() + 6) % 7));
+  return toDateKey(weekStart);
+};
+
+// Spread a schedule's hours evenly across the line's working days in the schedule
+const spreadScheduleHours = (schedule, line, calendar) => {
+  const scheduleEnd = new Date(schedule.endDate.getTime() - 1);
+  let workingDays = eachDay(schedule.startDate, scheduleEnd)
+    .filter(day => calendar.isWorkingDay(line, day));
+
+  // A schedule that sits entirely on non-working days still loads its start day
+  if (workingDays.length === 0) {
+    const startDay = new Date(schedule.startDate);
+    startDay.setHours(0, 0, 0, 0);
+    workingDays = [startDay];
+  }
+
+  const plannedPerDay = (schedule.plannedHours || 0) / workingDays.length;
+  const actualPerDay = (schedule.actualHours || 0) / workingDays.length;
+
+  return workingDays.map(day => ({
+    key: toDateKey(day),
+    plannedHours: plannedPerDay,
+    actualHours: actualPerDay
+  }));
+};
+
+const calculateLineUtilization = async (line, start, end, bucket) => {
+  const [schedules, maintenance] = await Promise.all([
+    ProductionSchedule.find({
+      lineId: line._id,
+      status: { $ne: 'cancelled' },
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    }).select('orderId plannedHours actualHours startDate endDate status').lean(),
+    MaintenanceMngt.find({
+      $or: [{ line: line._id }, { equipmentCode: line.lineCode }],
+      status: { $ne: 'cancelled' },
+      downtimeHours: { $gt: 0 },
+      $and: [{
+        $or: [
+          { startDate: { $gte: start, $lte: end } },
+          { startDate: { $exists: false }, reportedDate: { $gte: start, $lte: end } }
+        ]
+      }]
+    }).select('downtimeHours startDate reportedDate maintenanceType').lean()
+  ]);
+
+  // Calendar has to cover schedules that run past either end of the window
+  const calendar = await loadWorkingCalendar(
+    new Date(Math.min(start, ...schedules.map(schedule => schedule.startDate))),
+    new Date(Math.max(end, ...schedules.map(schedule => schedule.endDate)))
+  );
+
+  // Daily load and downtime keyed by YYYY-MM-DD
+  const dailyLoad = new Map();
+  for (const schedule of schedules) {
+    for (const day of spreadScheduleHours(schedule, line, calendar)) {
+      const load = dailyLoad.get(day.key) || { plannedHours: 0, actualHours: 0 };
+      load.plannedHours += day.plannedHours;
+      load.actualHours += day.actualHours;
+      dailyLoad.set(day.key, load);
+    }
+  }
+
+  const dailyDowntime = new Map();
+  for (const record of maintenance) {
+    const key = toDateKey(new Date(record.startDate || record.reportedDate));
+    dailyDowntime.set(key, (dailyDowntime.get(key) || 0) + record.downtimeHours);
+  }
+
+  const buckets = new Map();
+  for (const day of eachDay(start, end)) {
+    const key = getBucketKey(day, bucket);
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        period: key,
+        workingDays: 0,
+        availableHours: 0,
+        downtimeHours: 0,
+        plannedHours: 0,
+        actualHours: 0
+      });
+    }
+
+    const entry = buckets.get(key);
+    const dayKey = toDateKey(day);
+    const load = dailyLoad.get(dayKey);
+
+    const availableHours = calendar.getAvailableHours(line, day);
+    if (availableHours > 0) {
+      entry.workingDays++;
+      entry.availableHours += availableHours;
+    }
+    entry.downtimeHours += dailyDowntime.get(dayKey) || 0;
+    if (load) {
+      entry.plannedHours += load.plannedHours;
+      entry.actualHours += load.actualHours;
+    }
+  }
+
+  const summarize = (entry) => {
+    const netAvailableHours = Math.max(0, entry.availableHours - entry.downtimeHours);
+    return {
+      ...entry,
+      availableHours: round(entry.availableHours),
+      downtimeHours: round(entry.downtimeHours),
+      netAvailableHours: round(netAvailableHours),
+      plannedHours: round(entry.plannedHours),
+      actualHours: round(entry.actualHours),
+      capacityUnits: Math.round(netAvailableHours * line.capacity.hourlyCapacity),
+      utilization: netAvailableHours > 0 ? round((entry.plannedHours / netAvailableHours) * 100) : 0,
+      actualUtilization: netAvailableHours > 0 ? round((entry.actualHours / netAvailableHours) * 100) : 0,
+      overloaded: entry.plannedHours > netAvailableHours
+    };
+  };
+
+  const periods = [...buckets.values()].map(summarize);
+  const totals = summarize(periods.reduce((sum, p) => ({
+    workingDays: sum.workingDays + p.workingDays,
+    availableHours: sum.availableHours + p.availableHours,
+    downtimeHours: sum.downtimeHours + p.downtimeHours,
+    plannedHours: sum.plannedHours + p.plannedHours,
+    actualHours: sum.actualHours + p.actualHours
+  }), { workingDays: 0, availableHours: 0, downtimeHours: 0, plannedHours: 0, actualHours: 0 }));
+
+  return {
+    productionLine: line.lineCode,
+    lineId: line._id,
+    lineName: line.lineName,
+    status: line.status,
+    operationalHours: line.operationalHours,
+    hourlyCapacity: line.capacity.hourlyCapacity,
+    utilization: totals.utilization,
+    actualUtilization: totals.actualUtilization,
+    availableHours: totals.availableHours,
+    downtimeHours: totals.downtimeHours,
+    netAvailableHours: totals.netAvailableHours,
+    plannedHours: totals.plannedHours,
+    actualHours: totals.actualHours,
+    capacityUnits: totals.capacityUnits,
+    scheduleCount: schedules.length,
+    bucket,
+    periods
+  };
+};
+
 export default router;
\ No newline at end of file
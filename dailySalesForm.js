@@ -2,6 +2,7 @@ import express from 'express';
 import mongoose from 'mongoose';
 import DailySalesForm from '../models/DailySalesForm.js';
 import Product from '../models/Product.js';
+import { assertBatchNotRecalled } from '../utils/recallGuard.js';
 
 const router = express.Router();
 
@@ -107,6 +108,7 @@ router.get('/', async (req, res) => {
       activity,
       category,
       product,
+      customer,
       startDate,
       endDate,
       search,
@@ -115,7 +117,7 @@ router.get('/', async (req, res) => {
     } = req.query;
 
     // Create cache key for identical queries
-    const cacheKey = JSON.stringify({ page, limit, activity, category, product, startDate, endDate, search, sortBy, sortOrder });
+    const cacheKey = JSON.stringify({ page, limit, activity, category, product, customer, startDate, endDate, search, sortBy, sortOrder });
     const cached = summaryCache.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < SUMMARY_CACHE_TTL) {
@@ -128,6 +130,7 @@ router.get('/', async (req, res) => {
     if (activity) filter.Activity = activity;
     if (category) filter.Category = category;
     if (product) filter.Product = product;
+    if (customer) filter.Customer = customer;
     
     if (startDate || endDate) {
       filter.Date = {};
@@ -179,6 +182,7 @@ router.get('/', async (req, res) => {
         ExpireDate: record.ExpireDate,
         Note: record.Note,
         DocumentNumber: record.DocumentNumber,
+        Customer: record.Customer,
         createdAt: record.createdAt,
         updatedAt: record.updatedAt
       })),
@@ -296,6 +300,9 @@ async function validateRecord(recordData) {
       return { valid: false, error: 'Valid quantity is required' };
     }
 
+    // insertMany skips the save hooks, so check the recall block here
+    await assertBatchNotRecalled('DailySalesForm', Activity, recordData.Batch);
+
     // Create and validate record instance
     const record = new DailySalesForm({
       ...recordData,
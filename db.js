@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { assertTransactionSupport } from '../utils/ledgerLock.js';
 
 /**
  * Connect to MongoDB with enhanced configuration
@@ -21,6 +22,9 @@ const connectDB = async () => {
 
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
         console.log(`📊 Database: ${conn.connection.db.databaseName}`);
+
+        // Multi-record stock postings run in transactions, which need a replica set
+        await assertTransactionSupport();
         
         // Create indexes for better performance
         await createIndexes();
@@ -0,0 +1,233 @@
+// backend/utils/ethiopianCalendar.js
+
+// Ethiopian calendar: 12 months of 30 days plus Pagume (5 days, 6 in a leap year).
+// Plans are stored against Gregorian dates; these helpers convert in both directions
+// and map the "YYYY-YYYY" fiscal year strings onto the Ethiopian fiscal year (Hamle-Sene).
+
+export const ETHIOPIAN_MONTHS = [
+  'Meskerem', 'Tikimt', 'Hidar', 'Tahsas', 'Tir', 'Yekatit',
+  'Megabit', 'Miazia', 'Ginbot', 'Sene', 'Hamle', 'Nehase', 'Pagume'
+];
+
+export const GREGORIAN_MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Fiscal year order: Hamle (July) through Sene (June)
+export const ETHIOPIAN_FISCAL_MONTHS = [
+  'Hamle', 'Nehase', 'Pagume', 'Meskerem', 'Tikimt', 'Hidar',
+  'Tahsas', 'Tir', 'Yekatit', 'Megabit', 'Miazia', 'Ginbot', 'Sene'
+];
+
+export const GREGORIAN_FISCAL_MONTHS = [
+  'July', 'August', 'September', 'October', 'November', 'December',
+  'January', 'February', 'March', 'April', 'May', 'June'
+];
+
+export const PLAN_MONTHS = [...GREGORIAN_MONTHS, ...ETHIOPIAN_MONTHS];
+
+// Julian day number of the day before 1 Meskerem 1 (Amete Mihret era)
+const ETHIOPIAN_EPOCH = 1724220;
+// Julian day number of 1970-01-01
+const UNIX_EPOCH_JDN = 2440588;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const gregorianToJdn = (date) => {
+  const day = new Date(date);
+  return Math.floor(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()) / DAY_MS) + UNIX_EPOCH_JDN;
+};
+
+const jdnToGregorian = (jdn) => {
+  const utc = new Date((jdn - UNIX_EPOCH_JDN) * DAY_MS);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+// Pagume has 6 days in the year before a Gregorian leap year
+export const isEthiopianLeapYear = (year) => year % 4 === 3;
+
+export const getEthiopianMonthDays = (year, month) => {
+  if (month < 13) return 30;
+  return isEthiopianLeapYear(year) ? 6 : 5;
+};
+
+export const getCalendarForMonth = (monthName) => {
+  if (ETHIOPIAN_MONTHS.includes(monthName)) return 'ethiopian';
+  if (GREGORIAN_MONTHS.includes(monthName)) return 'gregorian';
+  return null;
+};
+
+/**
+ * Convert a Gregorian date to { year, month, day, monthName } in the Ethiopian calendar
+ */
+export const toEthiopian = (date) => {
+  const daysSinceEpoch = gregorianToJdn(date) - ETHIOPIAN_EPOCH - 1;
+
+  // Four-year cycles where the third year has the leap day
+  let year = 4 * Math.floor(daysSinceEpoch / 1461) + 1;
+  let dayOfYear = daysSinceEpoch % 1461;
+  while (dayOfYear >= (isEthiopianLeapYear(year) ? 366 : 365)) {
+    dayOfYear -= isEthiopianLeapYear(year) ? 366 : 365;
+    year++;
+  }
+
+  const month = Math.floor(dayOfYear / 30) + 1;
+  const day = (dayOfYear % 30) + 1;
+
+  return { year, month, day, monthName: ETHIOPIAN_MONTHS[month - 1] };
+};
+
+/**
+ * Convert an Ethiopian date to a Gregorian Date (local midnight)
+ */
+export const fromEthiopian = (year, month, day) => {
+  const monthIndex = typeof month === 'string' ? ETHIOPIAN_MONTHS.indexOf(month) + 1 : month;
+  if (monthIndex < 1 || monthIndex > 13) {
+    throw new Error(`Invalid Ethiopian month: ${month}`);
+  }
+  if (day < 1 || day > getEthiopianMonthDays(year, monthIndex)) {
+    throw new Error(`Invalid day ${day} for ${ETHIOPIAN_MONTHS[monthIndex - 1]} ${year}`);
+  }
+
+  const jdn = ETHIOPIAN_EPOCH + 365 * (year - 1) + Math.floor(year / 4) + 30 * (monthIndex - 1) + day;
+  return jdnToGregorian(jdn);
+};
+
+export const formatEthiopian = (date) => {
+  const { year, day, monthName } = toEthiopian(date);
+  return `${monthName} ${day}, ${year}`;
+};
+
+/**
+ * Parse a fiscal year given as "2024-2025" or as an Ethiopian fiscal year ("2017", "2017 EFY").
+ * Returns the stored "YYYY-YYYY" form and the Ethiopian fiscal year number.
+ */
+export const parseFiscalYear = (value) => {
+  const text = String(value ?? '').trim();
+
+  const range = text.match(/^(\d{4})-(\d{4})$/);
+  if (range) {
+    const startYear = parseInt(range[1]);
+    if (parseInt(range[2]) !== startYear + 1) {
+      throw new Error('Fiscal year must be in consecutive years format (e.g., "2025-2026")');
+    }
+    return { yearRange: text, ethiopianFiscalYear: startYear - 7 };
+  }
+
+  const ethiopian = text.match(/^(\d{4})(\s*E\.?F\.?Y\.?)?$/i);
+  if (ethiopian) {
+    const ethiopianFiscalYear = parseInt(ethiopian[1]);
+    return {
+      yearRange: `${ethiopianFiscalYear + 7}-${ethiopianFiscalYear + 8}`,
+      ethiopianFiscalYear
+    };
+  }
+
+  throw new Error('Fiscal year must be "YYYY-YYYY" (e.g., "2025-2026") or an Ethiopian fiscal year (e.g., "2018")');
+};
+
+/**
+ * Gregorian start and end of a fiscal year: 1 Hamle to 30 Sene of the Ethiopian fiscal year
+ */
+export const getFiscalYearRange = (fiscalYear) => {
+  const { ethiopianFiscalYear } = parseFiscalYear(fiscalYear);
+  const end = fromEthiopian(ethiopianFiscalYear, 10, 30);
+  end.setHours(23, 59, 59, 999);
+
+  return {
+    start: fromEthiopian(ethiopianFiscalYear - 1, 11, 1),
+    end
+  };
+};
+
+/**
+ * Gregorian start and end of a plan month inside a fiscal year. Ethiopian months
+ * Hamle-Pagume and Gregorian months July-December fall in the first calendar year.
+ */
+export const getMonthRange = (fiscalYear, monthName) => {
+  const { yearRange, ethiopianFiscalYear } = parseFiscalYear(fiscalYear);
+  const calendar = getCalendarForMonth(monthName);
+
+  if (calendar === 'ethiopian') {
+    const month = ETHIOPIAN_MONTHS.indexOf(monthName) + 1;
+    const year = month >= 11 ? ethiopianFiscalYear - 1 : ethiopianFiscalYear;
+    const end = fromEthiopian(year, month, getEthiopianMonthDays(year, month));
+    end.setHours(23, 59, 59, 999);
+    return { start: fromEthiopian(year, month, 1), end, calendar };
+  }
+
+  if (calendar === 'gregorian') {
+    const startYear = parseInt(yearRange.split('-')[0]);
+    const month = GREGORIAN_MONTHS.indexOf(monthName);
+    const year = month >= 6 ? startYear : startYear + 1;
+    return {
+      start: new Date(year, month, 1),
+      end: new Date(year, month + 1, 0, 23, 59, 59, 999),
+      calendar
+    };
+  }
+
+  throw new Error(`${monthName} is not a valid month`);
+};
+
+/**
+ * Gregorian start and end of a month in a calendar year: a Gregorian year for
+ * January-December (3-letter abbreviations accepted), an Ethiopian year for Meskerem-Pagume
+ */
+export const getCalendarMonthRange = (year, monthName) => {
+  const ethiopianMonth = ETHIOPIAN_MONTHS.indexOf(monthName) + 1;
+  if (ethiopianMonth > 0) {
+    const end = fromEthiopian(year, ethiopianMonth, getEthiopianMonthDays(year, ethiopianMonth));
+    end.setHours(23, 59, 59, 999);
+    return { start: fromEthiopian(year, ethiopianMonth, 1), end, calendar: 'ethiopian' };
+  }
+
+  const month = GREGORIAN_MONTHS.findIndex(name =>
+    name === monthName || name.substring(0, 3) === String(monthName).substring(0, 3)
+  );
+  if (month < 0) {
+    throw new Error(`${monthName} is not a valid month`);
+  }
+
+  return {
+    start: new Date(year, month, 1),
+    end: new Date(year, month + 1, 0, 23, 59, 59, 999),
+    calendar: 'gregorian'
+  };
+};
+
+/**
+ * The months of a fiscal year in order, with their Gregorian date ranges
+ */
+export const getFiscalMonths = (fiscalYear, calendar = 'ethiopian') => {
+  const months = calendar === 'gregorian' ? GREGORIAN_FISCAL_MONTHS : ETHIOPIAN_FISCAL_MONTHS;
+  return months.map((month, index) => ({
+    month,
+    fiscalMonth: index + 1,
+    ...getMonthRange(fiscalYear, month)
+  }));
+};
+
+/**
+ * Fiscal year and plan month that a Gregorian date falls in
+ */
+export const getFiscalPeriod = (date, calendar = 'ethiopian') => {
+  const ethiopian = toEthiopian(date);
+
+  // Gregorian plan months switch fiscal year on 1 July, Ethiopian ones on 1 Hamle
+  let ethiopianFiscalYear = ethiopian.month >= 11 ? ethiopian.year + 1 : ethiopian.year;
+  if (calendar === 'gregorian') {
+    const day = new Date(date);
+    const startYear = day.getMonth() >= 6 ? day.getFullYear() : day.getFullYear() - 1;
+    ethiopianFiscalYear = startYear - 7;
+  }
+
+  return {
+    fiscalYear: `${ethiopianFiscalYear + 7}-${ethiopianFiscalYear + 8}`,
+    ethiopianFiscalYear,
+    month: calendar === 'gregorian'
+      ? GREGORIAN_MONTHS[new Date(date).getMonth()]
+      : ethiopian.monthName,
+    ethiopianDate: ethiopian
+  };
+};
\ No newline at end of file
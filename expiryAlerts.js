@@ -0,0 +1,196 @@
+import express from 'express';
+import ExpiryAlert from '../models/ExpiryAlert.js';
+import { runExpiryCheck, getExpiryThresholds, postWriteOff } from '../utils/expiryMonitor.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Get alert history
+router.get('/', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 20, ledger, status, threshold, batch, item, writeOffStatus } = req.query;
+
+        const filter = {};
+        if (ledger) filter.ledger = ledger;
+        if (status) filter.status = status;
+        if (threshold !== undefined) filter.threshold = parseInt(threshold, 10);
+        if (batch) filter.batch = batch;
+        if (item) filter.item = { $regex: item, $options: 'i' };
+        if (writeOffStatus) filter['writeOff.status'] = writeOffStatus;
+
+        const alerts = await ExpiryAlert.find(filter)
+            .populate('acknowledgedBy', 'firstName lastName')
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .sort({ expireDate: 1, threshold: 1 });
+
+        const total = await ExpiryAlert.countDocuments(filter);
+
+        res.json({
+            alerts,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        console.error('Get expiry alerts error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Open alerts and proposed write-offs, by ledger and threshold
+router.get('/summary', auth, async (req, res) => {
+    try {
+        const [alerts, writeOffs] = await Promise.all([
+            ExpiryAlert.aggregate([
+                { $match: { status: { $in: ['open', 'acknowledged'] } } },
+                {
+                    $group: {
+                        _id: { ledger: '$ledger', threshold: '$threshold', status: '$status' },
+                        count: { $sum: 1 },
+                        stock: { $sum: '$stock' },
+                        value: { $sum: '$value' }
+                    }
+                },
+                { $sort: { '_id.ledger': 1, '_id.threshold': 1 } }
+            ]),
+            ExpiryAlert.aggregate([
+                { $match: { 'writeOff.status': 'proposed' } },
+                {
+                    $group: {
+                        _id: '$ledger',
+                        count: { $sum: 1 },
+                        quantity: { $sum: '$writeOff.quantity' },
+                        value: { $sum: '$writeOff.value' }
+                    }
+                }
+            ])
+        ]);
+
+        res.json({ thresholds: getExpiryThresholds(), alerts, writeOffs });
+    } catch (error) {
+        console.error('Get expiry summary error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get alert by ID
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const alert = await ExpiryAlert.findById(req.params.id)
+            .populate('acknowledgedBy', 'firstName lastName')
+            .populate('writeOff.decidedBy', 'firstName lastName');
+
+        if (!alert) {
+            return res.status(404).json({ message: 'Expiry alert not found' });
+        }
+
+        res.json(alert);
+    } catch (error) {
+        console.error('Get expiry alert error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Run the expiry check now instead of waiting for the daily job (Admin only)
+router.post('/run', adminAuth, async (req, res) => {
+    try {
+        const thresholds = req.body.thresholds
+            ? getExpiryThresholds([].concat(req.body.thresholds).join(','))
+            : getExpiryThresholds();
+
+        const summary = await runExpiryCheck({ thresholds, asOf: req.body.asOf || new Date() });
+        res.json(summary);
+    } catch (error) {
+        console.error('Run expiry check error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Acknowledge an alert
+router.put('/:id/acknowledge', auth, async (req, res) => {
+    try {
+        const alert = await ExpiryAlert.findById(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ message: 'Expiry alert not found' });
+        }
+        if (alert.status !== 'open') {
+            return res.status(400).json({ message: `Cannot acknowledge a ${alert.status} alert` });
+        }
+
+        alert.status = 'acknowledged';
+        alert.acknowledgedBy = req.user?._id;
+        alert.acknowledgedAt = new Date();
+        if (req.body.note) alert.acknowledgeNote = req.body.note;
+        await alert.save();
+
+        res.json(alert);
+    } catch (error) {
+        console.error('Acknowledge expiry alert error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Post the proposed write-off of an expired batch to the ledger (Admin only)
+router.put('/:id/write-off', adminAuth, async (req, res) => {
+    try {
+        const alert = await ExpiryAlert.findById(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ message: 'Expiry alert not found' });
+        }
+        if (alert.writeOff?.status !== 'proposed') {
+            return res.status(400).json({ message: 'Alert has no open write-off proposal' });
+        }
+
+        let records;
+        try {
+            records = await postWriteOff(alert, {
+                userId: req.user?._id,
+                date: req.body.date ? new Date(req.body.date) : new Date(),
+                note: req.body.note
+            });
+        } catch (error) {
+            return res.status(400).json({ message: `Could not post write-off: ${error.message}` });
+        }
+
+        console.log(`🗑️ Expiry write-off posted for batch ${alert.batch}: ${alert.writeOff.quantity}`);
+
+        res.json({
+            message: `Write-off posted, ${records.length} ledger entries created`,
+            alert,
+            records
+        });
+    } catch (error) {
+        console.error('Post expiry write-off error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Reject a proposed write-off, e.g. when the batch is reworked or its shelf life extended (Admin only)
+router.put('/:id/write-off/reject', adminAuth, async (req, res) => {
+    try {
+        const alert = await ExpiryAlert.findById(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ message: 'Expiry alert not found' });
+        }
+        if (alert.writeOff?.status !== 'proposed') {
+            return res.status(400).json({ message: 'Alert has no open write-off proposal' });
+        }
+        if (!req.body.note) {
+            return res.status(400).json({ message: 'A note is required to reject a write-off' });
+        }
+
+        alert.writeOff.status = 'rejected';
+        alert.writeOff.decidedBy = req.user?._id;
+        alert.writeOff.decidedAt = new Date();
+        alert.writeOff.note = req.body.note;
+        await alert.save();
+
+        res.json(alert);
+    } catch (error) {
+        console.error('Reject expiry write-off error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
\ No newline at end of file
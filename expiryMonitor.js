@@ -0,0 +1,277 @@
+// backend/utils/expiryMonitor.js
+import ExpiryAlert from '../models/ExpiryAlert.js';
+import MaterialBatch from '../models/MaterialBatch.js';
+import MaterialRI from '../models/MaterialRI.js';
+import ProductRI from '../models/ProductRI.js';
+import Material2 from '../models/Material2.js';
+import Product from '../models/Product.js';
+import { withLedgerTransaction } from './ledgerLock.js';
+
+// Daily expiry check over the MaterialRI and ProductRI ledgers. Batches with stock are
+// flagged when they come within an alert threshold (days before ExpireDate), and expired
+// batches get a write-off proposal valued at the item master price. Proposals are only
+// posted to the ledger when someone approves them, see routes/expiryAlerts.js.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_THRESHOLDS = [90, 30, 7];
+
+// Write-off activity per ledger: products are wasted, materials disposed of. Neither
+// counts as cost of goods sold or production consumption.
+export const WRITE_OFF_ACTIVITIES = {
+  MaterialRI: 'Disposal',
+  ProductRI: 'Waste'
+};
+
+const LEDGERS = { MaterialRI, ProductRI };
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+/**
+ * Alert thresholds in days, largest first. Set with EXPIRY_ALERT_DAYS, e.g. "90,30,7".
+ */
+export const getExpiryThresholds = (value = process.env.EXPIRY_ALERT_DAYS) => {
+  const thresholds = String(value || '')
+    .split(',')
+    .map(days => parseInt(days, 10))
+    .filter(days => Number.isInteger(days) && days > 0);
+
+  return [...new Set(thresholds.length > 0 ? thresholds : DEFAULT_THRESHOLDS)].sort((a, b) => b - a);
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Tightest threshold the batch has reached; 0 once it has expired, null while it is outside all of them
+const thresholdFor = (daysUntilExpiry, thresholds) => {
+  if (daysUntilExpiry < 0) return 0;
+  const reached = thresholds.filter(days => daysUntilExpiry <= days);
+  return reached.length > 0 ? Math.min(...reached) : null;
+};
+
+// Batches with stock and an expiry date on both ledgers, with the master price for valuation
+const loadBatches = async () => {
+  const [materialBatches, productBatches] = await Promise.all([
+    MaterialRI.getAvailableBatches(),
+    ProductRI.getStockByBatch()
+  ]);
+
+  const [materials, products] = await Promise.all([
+    Material2.find({ Material: { $in: [...new Set(materialBatches.map(batch => batch.material))] } })
+      .select('Material UnitPrice')
+      .lean(),
+    Product.find({ Product: { $in: [...new Set(productBatches.map(batch => batch.product))] } })
+      .select('Product ProductPrice')
+      .lean()
+  ]);
+  const materialPrices = new Map(materials.map(material => [material.Material, material.UnitPrice || 0]));
+  const productPrices = new Map(products.map(product => [product.Product, product.ProductPrice || 0]));
+
+  return [
+    ...materialBatches.map(batch => ({
+      ledger: 'MaterialRI',
+      item: batch.material,
+      itemCode: batch.materialCode,
+      batch: batch._id,
+      expireDate: batch.expireDate,
+      stock: batch.totalStock,
+      unitPrice: materialPrices.get(batch.material) || 0
+    })),
+    ...productBatches.map(batch => ({
+      ledger: 'ProductRI',
+      item: batch.product,
+      itemCode: batch.productCode,
+      batch: batch._id,
+      expireDate: batch.expireDate,
+      stock: batch.totalStock,
+      unitPrice: productPrices.get(batch.product) || 0
+    }))
+  ].filter(batch => batch.expireDate);
+};
+
+/**
+ * Raise or refresh expiry alerts for every batch with stock, propose write-offs for
+ * expired batches, resolve alerts of batches that have run out and mark expired
+ * MaterialBatch records. Reaching a closer threshold supersedes the batch's earlier
+ * alerts. Safe to run more than once a day.
+ */
+export const runExpiryCheck = async ({ thresholds = getExpiryThresholds(), asOf = new Date() } = {}) => {
+  const checkedAt = new Date();
+  const today = startOfDay(asOf);
+  const summary = { checkedAt, asOf: today, thresholds, raised: 0, updated: 0, proposals: 0, resolved: 0, superseded: 0, expiredMaterialBatches: 0 };
+
+  const batches = await loadBatches();
+  const flagged = { MaterialRI: [], ProductRI: [] };
+
+  for (const batch of batches) {
+    const daysUntilExpiry = Math.round((startOfDay(batch.expireDate) - today) / DAY_MS);
+    const threshold = thresholdFor(daysUntilExpiry, thresholds);
+    if (threshold === null) continue;
+
+    flagged[batch.ledger].push(batch.batch);
+    const value = round(batch.stock * batch.unitPrice);
+
+    // The alerts of wider thresholds are done with once a closer one is reached
+    const superseded = await ExpiryAlert.updateMany(
+      { ledger: batch.ledger, batch: batch.batch, threshold: { $gt: threshold }, status: { $in: ['open', 'acknowledged'] } },
+      { $set: { status: 'superseded', resolvedAt: checkedAt } }
+    );
+    summary.superseded += superseded.modifiedCount || 0;
+
+    const alert = await ExpiryAlert.findOne({ ledger: batch.ledger, batch: batch.batch, threshold });
+    if (!alert) {
+      await ExpiryAlert.create({
+        ...batch,
+        threshold,
+        daysUntilExpiry,
+        value,
+        raisedAt: checkedAt,
+        lastCheckedAt: checkedAt,
+        writeOff: threshold === 0
+          ? { activity: WRITE_OFF_ACTIVITIES[batch.ledger], quantity: batch.stock, value }
+          : undefined
+      });
+      summary.raised++;
+      if (threshold === 0) summary.proposals++;
+      continue;
+    }
+
+    alert.daysUntilExpiry = daysUntilExpiry;
+    alert.stock = batch.stock;
+    alert.unitPrice = batch.unitPrice;
+    alert.value = value;
+    alert.lastCheckedAt = checkedAt;
+    if (['resolved', 'superseded'].includes(alert.status)) {
+      // Stock came back into the batch (e.g. a customer return) after the alert was resolved
+      alert.status = 'open';
+      alert.resolvedAt = undefined;
+    }
+    if (threshold === 0 && (!alert.writeOff || alert.writeOff.status === 'cancelled')) {
+      alert.writeOff = { activity: WRITE_OFF_ACTIVITIES[batch.ledger], quantity: batch.stock, value };
+      summary.proposals++;
+    } else if (alert.writeOff?.status === 'proposed') {
+      alert.writeOff.quantity = batch.stock;
+      alert.writeOff.value = value;
+    }
+    await alert.save();
+    summary.updated++;
+  }
+
+  // Batches that no longer hold stock need no further action
+  for (const ledger of Object.keys(flagged)) {
+    const stale = { ledger, status: { $in: ['open', 'acknowledged'] }, batch: { $nin: flagged[ledger] } };
+    await ExpiryAlert.updateMany(
+      { ...stale, 'writeOff.status': 'proposed' },
+      { $set: { 'writeOff.status': 'cancelled', 'writeOff.decidedAt': checkedAt, 'writeOff.note': 'Batch has no stock left' } }
+    );
+    const result = await ExpiryAlert.updateMany(stale, { $set: { status: 'resolved', resolvedAt: checkedAt } });
+    summary.resolved += result.modifiedCount || 0;
+  }
+
+  const expired = await MaterialBatch.updateMany(
+    { expiryDate: { $lt: today }, status: { $ne: 'expired' } },
+    { $set: { status: 'expired' } }
+  );
+  summary.expiredMaterialBatches = expired.modifiedCount || 0;
+
+  return summary;
+};
+
+/**
+ * Post the write-off proposed on an expired-batch alert: one ledger entry per location
+ * still holding the batch, written in one transaction with the alert update.
+ */
+export const postWriteOff = async (alert, { userId, date = new Date(), note } = {}) => {
+  if (!alert.writeOff || alert.writeOff.status !== 'proposed') {
+    throw new Error('Alert has no open write-off proposal');
+  }
+
+  const Ledger = LEDGERS[alert.ledger];
+  const itemField = alert.ledger === 'MaterialRI' ? 'material' : 'product';
+  const rows = (await Ledger.getLocationStock())
+    .filter(row => row._id.batch === alert.batch && row[itemField] === alert.item);
+  if (rows.length === 0) {
+    throw new Error(`Batch ${alert.batch} has no stock left to write off`);
+  }
+
+  const documentNumber = `EXP-${alert.batch}`;
+
+  return await withLedgerTransaction(async (session) => {
+    const created = [];
+
+    for (const row of rows) {
+      const common = {
+        Date: date,
+        Activity: alert.writeOff.activity,
+        Batch: alert.batch,
+        Quantity: row.stock,
+        Note: (note || `Expiry write-off of batch ${alert.batch}`).slice(0, 100),
+        DocumentNumber: documentNumber,
+        Location: row._id.location
+      };
+
+      const record = alert.ledger === 'MaterialRI'
+        ? new Ledger({ ...common, Material: alert.item, MaterialCode: alert.itemCode })
+        : new Ledger({ ...common, Product: alert.item, ProductCode: alert.itemCode, ExpireDate: alert.expireDate });
+      // Expired batches are often on QC hold or recall; the write-off must still go through
+      record.$locals.stockAdjustment = true;
+
+      created.push(await record.save({ session }));
+    }
+
+    const quantity = round(rows.reduce((sum, row) => sum + row.stock, 0));
+    alert.writeOff.quantity = quantity;
+    alert.writeOff.value = round(quantity * alert.unitPrice);
+    alert.writeOff.status = 'posted';
+    alert.writeOff.records = created.map(record => record._id);
+    alert.writeOff.decidedBy = userId;
+    alert.writeOff.decidedAt = new Date();
+    if (note) alert.writeOff.note = note;
+    alert.stock = 0;
+    alert.status = 'resolved';
+    alert.resolvedAt = new Date();
+    await alert.save({ session });
+
+    return created;
+  });
+};
+
+let expiryTimer = null;
+let expiryRunning = false;
+
+const runScheduledCheck = async () => {
+  if (expiryRunning) return;
+  expiryRunning = true;
+  try {
+    const summary = await runExpiryCheck();
+    console.log(`⏰ Expiry check: ${summary.raised} alerts raised, ${summary.proposals} write-offs proposed, ${summary.resolved} resolved`);
+  } catch (error) {
+    console.error('❌ Expiry check failed:', error);
+  } finally {
+    expiryRunning = false;
+  }
+};
+
+/**
+ * Run the expiry check once a day at EXPIRY_CHECK_HOUR (server local time, default 1),
+ * plus once shortly after startup. Disabled with EXPIRY_CHECK_ENABLED=false.
+ */
+export const startExpiryJob = () => {
+  if (expiryTimer || process.env.EXPIRY_CHECK_ENABLED === 'false') return;
+
+  const hour = parseInt(process.env.EXPIRY_CHECK_HOUR, 10);
+  const nextRun = new Date();
+  nextRun.setHours(Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : 1, 0, 0, 0);
+  if (nextRun <= new Date()) nextRun.setDate(nextRun.getDate() + 1);
+
+  setTimeout(runScheduledCheck, 60 * 1000);
+  expiryTimer = setTimeout(() => {
+    runScheduledCheck();
+    expiryTimer = setInterval(runScheduledCheck, DAY_MS);
+  }, nextRun - new Date());
+
+  console.log(`⏰ Expiry check scheduled daily, next run ${nextRun.toISOString()}`);
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+// backend/utils/forecasting.js
+
+// Time-series forecasting for monthly demand. Every method takes the history as an
+// array of numbers (oldest first) and returns `horizon` forecast values.
+
+export const FORECAST_METHODS = ['moving-average', 'exponential-smoothing', 'holt-winters'];
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+const clampForecast = (values) => values.map(value => Math.max(0, value));
+
+/**
+ * Average of the last `window` periods carried flat over the horizon
+ */
+export const movingAverage = (series, horizon, { window = 3 } = {}) => {
+  const recent = series.slice(-Math.max(1, window));
+  return new Array(horizon).fill(mean(recent));
+};
+
+/**
+ * Simple exponential smoothing, flat forecast from the final level
+ */
+export const exponentialSmoothing = (series, horizon, { alpha = 0.3 } = {}) => {
+  if (series.length === 0) return new Array(horizon).fill(0);
+
+  let level = series[0];
+  for (let t = 1; t < series.length; t++) {
+    level = alpha * series[t] + (1 - alpha) * level;
+  }
+  return new Array(horizon).fill(Math.max(0, level));
+};
+
+/**
+ * Additive Holt-Winters (level, trend and seasonality). Needs two full seasons.
+ */
+export const holtWinters = (series, horizon, { alpha = 0.3, beta = 0.1, gamma = 0.2, seasonLength = 12 } = {}) => {
+  if (series.length < seasonLength * 2) {
+    throw new Error(`Holt-Winters needs at least ${seasonLength * 2} periods of history, found ${series.length}`);
+  }
+
+  const firstSeason = series.slice(0, seasonLength);
+  const secondSeason = series.slice(seasonLength, seasonLength * 2);
+  let level = mean(firstSeason);
+  let trend = (mean(secondSeason) - mean(firstSeason)) / seasonLength;
+  const seasonal = firstSeason.map(value => value - level);
+
+  for (let t = seasonLength; t < series.length; t++) {
+    const season = seasonal[t % seasonLength];
+    const previousLevel = level;
+    level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[t % seasonLength] = gamma * (series[t] - level) + (1 - gamma) * season;
+  }
+
+  const forecast = [];
+  for (let h = 1; h <= horizon; h++) {
+    forecast.push(level + h * trend + seasonal[(series.length + h - 1) % seasonLength]);
+  }
+  return clampForecast(forecast);
+};
+
+export const forecast = (method, series, horizon, params = {}) => {
+  switch (method) {
+    case 'moving-average':
+      return movingAverage(series, horizon, params);
+    case 'exponential-smoothing':
+      return exponentialSmoothing(series, horizon, params);
+    case 'holt-winters':
+      return holtWinters(series, horizon, params);
+    default:
+      throw new Error(`Unknown forecast method: ${method}. Use ${FORECAST_METHODS.join(', ')}`);
+  }
+};
+
+/**
+ * Mean absolute percentage error. Periods with zero actuals are skipped,
+ * so the result is null when every actual is zero.
+ */
+export const mape = (actuals, forecasts) => {
+  const errors = actuals
+    .map((actual, index) => ({ actual, forecast: forecasts[index] }))
+    .filter(point => point.actual !== 0)
+    .map(point => Math.abs((point.actual - point.forecast) / point.actual));
+
+  return errors.length > 0 ? (errors.reduce((sum, e) => sum + e, 0) / errors.length) * 100 : null;
+};
+
+/**
+ * Hold back the last `holdout` periods, forecast them from the rest and compare
+ */
+export const backtest = (method, series, holdout, params = {}) => {
+  const training = series.slice(0, series.length - holdout);
+  const actuals = series.slice(series.length - holdout);
+  const predicted = forecast(method, training, holdout, params);
+
+  return {
+    holdout,
+    actuals,
+    forecasts: predicted,
+    mape: mape(actuals, predicted)
+  };
+};
\ No newline at end of file
@@ -0,0 +1,311 @@
+import express from 'express';
+import DailySalesForm from '../models/DailySalesForm.js';
+import SalesPlan from '../models/SalesPlan.js';
+import Product from '../models/Product.js';
+import { FORECAST_METHODS, forecast, backtest } from '../utils/forecasting.js';
+import { parseFiscalYear, getFiscalMonths, getFiscalYearRange, getFiscalPeriod } from '../utils/ethiopianCalendar.js';
+
+const router = express.Router();
+
+const CALENDARS = ['ethiopian', 'gregorian'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Validate the shared forecast options from a request body or query
+const parseForecastOptions = (source) => {
+  const calendar = source.calendar || 'ethiopian';
+  const method = source.method || 'holt-winters';
+  const historyYears = Math.min(10, Math.max(1, parseInt(source.historyYears) || 3));
+
+  if (!CALENDARS.includes(calendar)) {
+    throw new Error('Calendar must be ethiopian or gregorian');
+  }
+  if (!FORECAST_METHODS.includes(method)) {
+    throw new Error(`Method must be one of ${FORECAST_METHODS.join(', ')}`);
+  }
+
+  const { yearRange } = parseFiscalYear(source.fiscalYear);
+  return { yearRange, calendar, method, historyYears, params: source.params || {} };
+};
+
+// Fiscal months from `historyYears` before the target year through the target year
+const buildPeriods = (yearRange, historyYears, calendar) => {
+  const startYear = parseInt(yearRange.split('-')[0]);
+  const periods = [];
+  for (let year = startYear - historyYears; year <= startYear; year++) {
+    const fiscalYear = `${year}-${year + 1}`;
+    for (const month of getFiscalMonths(fiscalYear, calendar)) {
+      periods.push({ fiscalYear, ...month });
+    }
+  }
+  return periods;
+};
+
+// Monthly 'Sales' quantities per product over the given periods
+const loadSalesHistory = async (periods, productNames) => {
+  const filter = {
+    Activity: 'Sales',
+    Date: { $gte: periods[0].start, $lte: periods[periods.length - 1].end }
+  };
+  if (productNames) filter.Product = { $in: productNames };
+
+  const sales = await DailySalesForm.find(filter).select('Product Date Quantity Unit').lean();
+
+  const history = new Map();
+  for (const sale of sales) {
+    if (!history.has(sale.Product)) {
+      history.set(sale.Product, { unit: sale.Unit, quantities: new Array(periods.length).fill(0) });
+    }
+    const index = periods.findIndex(period => sale.Date >= period.start && sale.Date <= period.end);
+    if (index >= 0) history.get(sale.Product).quantities[index] += sale.Quantity;
+  }
+  return history;
+};
+
+// Forecast each product's target fiscal year and measure accuracy on past actuals
+const runForecast = async ({ yearRange, calendar, method, historyYears, params }, productNames) => {
+  const periods = buildPeriods(yearRange, historyYears, calendar);
+  const seasonLength = calendar === 'ethiopian' ? 13 : 12;
+  const targetStart = getFiscalYearRange(yearRange).start;
+  const today = new Date();
+
+  // History runs up to the last complete month before the target year (or today)
+  const cutoff = targetStart < today ? targetStart : today;
+  const historyCount = periods.filter(period => period.end < cutoff).length;
+  const targetPeriods = periods.filter(period => period.fiscalYear === yearRange);
+  const horizon = periods.length - historyCount;
+
+  const history = await loadSalesHistory(periods, productNames);
+  const results = [];
+
+  for (const [productName, { unit, quantities }] of history) {
+    const warnings = [];
+    // Ignore the months before the product's first sale
+    const firstSale = quantities.findIndex(quantity => quantity > 0);
+    const series = firstSale >= 0 && firstSale < historyCount ? quantities.slice(firstSale, historyCount) : [];
+
+    if (series.length === 0) {
+      warnings.push('No sales history before the forecast year');
+      results.push({ productName, unit, method, history: [], forecast: [], accuracy: null, warnings });
+      continue;
+    }
+
+    let usedMethod = method;
+    const methodParams = { ...params, seasonLength };
+    if (method === 'holt-winters' && series.length < seasonLength * 2) {
+      warnings.push(`Only ${series.length} months of history, Holt-Winters needs ${seasonLength * 2}. Used exponential smoothing instead`);
+      usedMethod = 'exponential-smoothing';
+    }
+
+    const predicted = forecast(usedMethod, series, horizon, methodParams);
+
+    // Hold back up to a season of actuals, keeping enough history to fit on
+    const minimumTraining = usedMethod === 'holt-winters' ? seasonLength * 2 : 3;
+    const holdout = Math.min(parseInt(params.holdout) || seasonLength, series.length - minimumTraining);
+    let accuracy = null;
+    if (holdout > 0) {
+      const test = backtest(usedMethod, series, holdout, methodParams);
+      const testPeriods = periods.slice(firstSale + series.length - holdout, firstSale + series.length);
+      accuracy = {
+        mape: test.mape !== null ? round(test.mape) : null,
+        holdout,
+        points: testPeriods.map((period, index) => ({
+          fiscalYear: period.fiscalYear,
+          month: period.month,
+          actual: round(test.actuals[index]),
+          forecast: round(test.forecasts[index])
+        }))
+      };
+    } else {
+      warnings.push('Not enough history to measure accuracy');
+    }
+
+    const forecastByPeriod = periods.slice(historyCount).map((period, index) => ({ period, quantity: predicted[index] }));
+
+    results.push({
+      productName,
+      unit,
+      method: usedMethod,
+      history: series.map((quantity, index) => ({
+        fiscalYear: periods[firstSale + index].fiscalYear,
+        month: periods[firstSale + index].month,
+        quantity: round(quantity)
+      })),
+      forecast: forecastByPeriod
+        .filter(({ period }) => targetPeriods.includes(period))
+        .map(({ period, quantity }) => ({
+          fiscalYear: period.fiscalYear,
+          month: period.month,
+          start: period.start,
+          end: period.end,
+          quantity: Math.round(quantity)
+        })),
+      accuracy,
+      warnings
+    });
+  }
+
+  return results.sort((a, b) => a.productName.localeCompare(b.productName));
+};
+
+// Monthly sales history per product, bucketed by fiscal month
+router.get('/history', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = parseForecastOptions({
+        ...req.query,
+        fiscalYear: req.query.fiscalYear || getFiscalPeriod(new Date()).fiscalYear
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const periods = buildPeriods(options.yearRange, options.historyYears, options.calendar);
+    const history = await loadSalesHistory(periods, req.query.product ? [req.query.product] : null);
+
+    res.json({
+      success: true,
+      calendar: options.calendar,
+      data: [...history.entries()].map(([productName, { unit, quantities }]) => ({
+        productName,
+        unit,
+        months: periods.map((period, index) => ({
+          fiscalYear: period.fiscalYear,
+          month: period.month,
+          quantity: round(quantities[index])
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sales history:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Forecast monthly demand for a fiscal year
+router.post('/run', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = parseForecastOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const productNames = Array.isArray(req.body.products) && req.body.products.length > 0 ? req.body.products : null;
+    const results = await runForecast(options, productNames);
+
+    res.json({
+      success: true,
+      fiscalYear: options.yearRange,
+      calendar: options.calendar,
+      method: options.method,
+      data: results,
+      count: results.length
+    });
+  } catch (error) {
+    console.error('❌ Error running forecast:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Forecast and create Draft sales plans through the sales plan bulk operations.
+// Months that already have a plan are skipped; with overwrite, Draft plans are updated.
+router.post('/sales-plans', async (req, res) => {
+  try {
+    let options;
+    try {
+      options = parseForecastOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const overwrite = req.body.overwrite === true;
+    const productNames = Array.isArray(req.body.products) && req.body.products.length > 0 ? req.body.products : null;
+    const results = await runForecast(options, productNames);
+
+    const products = await Product.find({ Product: { $in: results.map(result => result.productName) } })
+      .select('Product Unit Status')
+      .lean();
+    const existingPlans = await SalesPlan.find({
+      fiscalYear: options.yearRange,
+      productName: { $in: results.map(result => result.productName) },
+      status: { $ne: 'Inactive' }
+    }).select('productName month status').lean();
+
+    const operations = [];
+    const skipped = [];
+
+    for (const result of results) {
+      const product = products.find(p => p.Product === result.productName);
+      if (!product || product.Status !== 'Active') {
+        skipped.push({ productName: result.productName, reason: 'Product is not an active product' });
+        continue;
+      }
+
+      const note = `Forecast: ${result.method}${result.accuracy?.mape != null ? `, MAPE ${result.accuracy.mape}%` : ''}`;
+
+      for (const period of result.forecast) {
+        const existing = existingPlans.find(plan =>
+          plan.productName === result.productName && plan.month === period.month
+        );
+
+        if (existing && !(overwrite && existing.status === 'Draft')) {
+          skipped.push({ productName: result.productName, month: period.month, reason: `${existing.status} plan already exists` });
+          continue;
+        }
+
+        const data = {
+          productName: result.productName,
+          unit: product.Unit || result.unit || 'Unit',
+          fiscalYear: options.yearRange,
+          month: period.month,
+          targetQuantity: period.quantity,
+          status: 'Draft',
+          note
+        };
+        operations.push(existing ? { type: 'update', id: existing._id, data } : { type: 'create', data });
+      }
+    }
+
+    const bulkResults = operations.length > 0 ? await SalesPlan.applyBulkOperations(operations) : [];
+    const failed = bulkResults.filter(result => !result.success);
+
+    console.log(`📈 Forecast seeded ${bulkResults.length - failed.length} draft sales plans for ${options.yearRange}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${bulkResults.length - failed.length} draft sales plans written, ${skipped.length} skipped, ${failed.length} failed`,
+      fiscalYear: options.yearRange,
+      calendar: options.calendar,
+      method: options.method,
+      results: bulkResults,
+      skipped,
+      forecasts: results
+    });
+  } catch (error) {
+    console.error('❌ Error seeding sales plans from forecast:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,308 @@
+import express from 'express';
+import FormulationVersion from '../models/FormulationVersion.js';
+import ProductFormulation from '../models/ProductFormulation.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import { getMaterialReceiptCost } from '../utils/inventoryCosting.js';
+import { adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const readLines = (lines) => (Array.isArray(lines) ? lines : []).map(line => ({
+  materialName: line.materialName,
+  quantity: line.quantity,
+  materialUnit: line.materialUnit,
+  lossFactor: line.lossFactor || 0
+}));
+
+// GET /api/formulation-versions - Versions, optionally for one product or status
+router.get('/', async (req, res) => {
+  try {
+    const { productName, status } = req.query;
+    const filter = {};
+    if (productName) filter.productName = productName;
+    if (status) filter.status = status;
+
+    const versions = await FormulationVersion.find(filter).sort({ productName: 1, version: -1 });
+    res.json(versions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/formulation-versions/effective?productName&date - Version in force on a date (default today)
+router.get('/effective', async (req, res) => {
+  try {
+    const { productName, date } = req.query;
+    if (!productName) {
+      return res.status(400).json({ message: 'productName is required' });
+    }
+
+    const version = await FormulationVersion.findEffective(productName, date ? new Date(date) : new Date());
+    if (!version) {
+      return res.status(404).json({ message: `No approved formulation version of ${productName} is effective on that date` });
+    }
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/formulation-versions/cost?productName&date&quantity - Standard material cost of the
+// formulation effective on a date, at current purchase prices
+router.get('/cost', async (req, res) => {
+  try {
+    const { productName, date } = req.query;
+    const quantity = req.query.quantity !== undefined ? parseFloat(req.query.quantity) : 1;
+    if (!productName) {
+      return res.status(400).json({ message: 'productName is required' });
+    }
+    if (!(quantity > 0)) {
+      return res.status(400).json({ message: 'quantity must be greater than 0' });
+    }
+
+    const onDate = date ? new Date(date) : new Date();
+    const requirements = await ProductFormulation.explode(productName, quantity, onDate);
+    if (requirements.length === 0) {
+      return res.status(404).json({ message: `No formulation of ${productName} is effective on that date` });
+    }
+
+    const materials = [];
+    for (const requirement of requirements) {
+      const unitCost = await getMaterialReceiptCost(requirement.materialName);
+      materials.push({
+        materialName: requirement.materialName,
+        materialUnit: requirement.materialUnit,
+        requiredQuantity: requirement.requiredQuantity,
+        unitCost,
+        cost: parseFloat((requirement.requiredQuantity * unitCost).toFixed(2))
+      });
+    }
+    const totalCost = materials.reduce((sum, material) => sum + material.cost, 0);
+
+    res.json({
+      productName,
+      date: onDate,
+      quantity,
+      formulationVersion: requirements[0].formulationVersion || null,
+      materials,
+      totalCost: parseFloat(totalCost.toFixed(2)),
+      unitCost: parseFloat((totalCost / quantity).toFixed(4))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/formulation-versions/:id - A single version
+router.get('/:id', async (req, res) => {
+  try {
+    const version = await FormulationVersion.findById(req.params.id)
+      .populate('approvedBy', 'firstName lastName');
+    if (!version) {
+      return res.status(404).json({ message: 'Formulation version not found' });
+    }
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/formulation-versions/:id/diff/:otherId - Material line changes from :id to :otherId
+router.get('/:id/diff/:otherId', async (req, res) => {
+  try {
+    const [from, to] = await Promise.all([
+      FormulationVersion.findById(req.params.id),
+      FormulationVersion.findById(req.params.otherId)
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ message: 'Formulation version not found' });
+    }
+    if (from.productName !== to.productName) {
+      return res.status(400).json({ message: 'Only versions of the same product can be compared' });
+    }
+
+    res.json({
+      productName: from.productName,
+      from: { _id: from._id, version: from.version, effectiveFrom: from.effectiveFrom, status: from.status },
+      to: { _id: to._id, version: to.version, effectiveFrom: to.effectiveFrom, status: to.status },
+      ...FormulationVersion.diff(from, to)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/formulation-versions - Create a draft version. Without lines it starts from the
+// latest version of the product, or from its single-row formulations when it has no versions.
+router.post('/', async (req, res) => {
+  try {
+    const { productName, effectiveFrom, changeNote } = req.body;
+    if (!productName) {
+      return res.status(400).json({ message: 'productName is required' });
+    }
+
+    let lines = readLines(req.body.lines);
+    if (lines.length === 0) {
+      const latest = await FormulationVersion.findOne({ productName }).sort({ version: -1 }).lean();
+      lines = latest
+        ? readLines(latest.lines)
+        : readLines(await ProductFormulation.find({ productName, status: 'Active' }).lean());
+    }
+
+    const version = new FormulationVersion({
+      productName,
+      effectiveFrom,
+      changeNote,
+      lines,
+      status: 'draft',
+      createdBy: req.user?._id
+    });
+
+    const newVersion = await version.save();
+    res.status(201).json(newVersion);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This version number already exists for the product, please retry' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PUT /api/formulation-versions/:id - Edit a draft version
+router.put('/:id', async (req, res) => {
+  try {
+    const version = await FormulationVersion.findById(req.params.id);
+    if (!version) {
+      return res.status(404).json({ message: 'Formulation version not found' });
+    }
+    if (version.status !== 'draft') {
+      return res.status(400).json({ message: `An ${version.status} version cannot be edited, create a new version instead` });
+    }
+
+    if (req.body.lines !== undefined) version.lines = readLines(req.body.lines);
+    if (req.body.effectiveFrom !== undefined) version.effectiveFrom = req.body.effectiveFrom;
+    if (req.body.changeNote !== undefined) version.changeNote = req.body.changeNote;
+
+    const updatedVersion = await version.save();
+    res.json(updatedVersion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PUT /api/formulation-versions/:id/approve - Approve a draft (Admin only). The version in
+// force before it ends on the new effective-from date, which cannot be in the past or before
+// production already recorded under that version.
+router.put('/:id/approve', adminAuth, async (req, res) => {
+  try {
+    const version = await FormulationVersion.findById(req.params.id);
+    if (!version) {
+      return res.status(404).json({ message: 'Formulation version not found' });
+    }
+    if (version.status !== 'draft') {
+      return res.status(400).json({ message: `Cannot approve an ${version.status} version` });
+    }
+
+    const later = await FormulationVersion.findOne({
+      productName: version.productName,
+      status: 'approved',
+      effectiveFrom: { $gte: version.effectiveFrom }
+    }).select('version effectiveFrom').lean();
+    if (later) {
+      return res.status(400).json({
+        message: `Version ${later.version} is already effective from ${later.effectiveFrom.toISOString().slice(0, 10)}. Approved versions must take effect after the latest one.`
+      });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (version.effectiveFrom < today) {
+      return res.status(400).json({
+        message: `Effective from ${version.effectiveFrom.toISOString().slice(0, 10)} is in the past. Set it to today or later before approving.`
+      });
+    }
+
+    const produced = await ProductionManagement.findOne({
+      Product: version.productName,
+      Activity: 'Production',
+      Date: { $gte: version.effectiveFrom }
+    }).sort({ Date: -1 }).select('Batch Date').lean();
+    if (produced) {
+      return res.status(400).json({
+        message: `Batch ${produced.Batch} was produced on ${produced.Date.toISOString().slice(0, 10)} under the current version. Set the effective-from date after it.`
+      });
+    }
+
+    await FormulationVersion.updateMany(
+      {
+        productName: version.productName,
+        status: 'approved',
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: version.effectiveFrom } }]
+      },
+      { $set: { effectiveTo: version.effectiveFrom } }
+    );
+
+    version.status = 'approved';
+    version.approvedBy = req.user?._id;
+    version.approvedAt = new Date();
+    const approvedVersion = await version.save();
+
+    res.json(approvedVersion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PUT /api/formulation-versions/:id/obsolete - Withdraw an approved version (Admin only).
+// It stays on record for the dates it covered.
+router.put('/:id/obsolete', adminAuth, async (req, res) => {
+  try {
+    const version = await FormulationVersion.findById(req.params.id);
+    if (!version) {
+      return res.status(404).json({ message: 'Formulation version not found' });
+    }
+    if (version.status !== 'approved') {
+      return res.status(400).json({ message: `Cannot make an ${version.status} version obsolete` });
+    }
+
+    const now = new Date();
+    if (version.effectiveFrom > now) {
+      // Never took effect: the version it would have replaced stays in force
+      await FormulationVersion.updateMany(
+        { productName: version.productName, status: 'approved', effectiveTo: version.effectiveFrom },
+        { $set: { effectiveTo: version.effectiveTo } }
+      );
+    } else if (!version.effectiveTo || version.effectiveTo > now) {
+      version.effectiveTo = now;
+    }
+
+    version.status = 'obsolete';
+    version.obsoletedAt = now;
+    if (req.body.changeNote) version.changeNote = req.body.changeNote;
+    const obsoleteVersion = await version.save();
+
+    res.json(obsoleteVersion);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// DELETE /api/formulation-versions/:id - Delete a draft version
+router.delete('/:id', async (req, res) => {
+  try {
+    const version = await FormulationVersion.findById(req.params.id);
+    if (!version) {
+      return res.status(404).json({ message: 'Formulation version not found' });
+    }
+    if (version.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft versions can be deleted' });
+    }
+
+    await FormulationVersion.deleteOne({ _id: req.params.id });
+    res.json({ message: 'Formulation version deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
\ No newline at end of file
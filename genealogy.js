@@ -0,0 +1,50 @@
+import express from 'express';
+import { traceProductBatch, traceMaterialBatch } from '../utils/lotGenealogy.js';
+
+const router = express.Router();
+
+// GET /api/genealogy/product-batches/:batch - Materials, suppliers and QC results behind a product batch
+router.get('/product-batches/:batch', async (req, res) => {
+  try {
+    const { batch } = req.params;
+    console.log('🔎 Tracing product batch back to materials:', batch);
+
+    const trace = await traceProductBatch(batch);
+    if (!trace) {
+      return res.status(404).json({ message: `No production or material consumption found for batch "${batch}"` });
+    }
+
+    console.log(`✅ Batch ${batch} consumed ${trace.materials.length} material batches`);
+    res.json(trace);
+  } catch (error) {
+    console.error('❌ Error tracing product batch:', error);
+    res.status(500).json({
+      message: 'Error tracing product batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/genealogy/material-batches/:batch - Product batches and customer sales a material batch reached
+router.get('/material-batches/:batch', async (req, res) => {
+  try {
+    const { batch } = req.params;
+    console.log('🔎 Tracing material batch forward to customers:', batch);
+
+    const trace = await traceMaterialBatch(batch);
+    if (!trace) {
+      return res.status(404).json({ message: `Material batch "${batch}" not found` });
+    }
+
+    console.log(`✅ Batch ${batch} reached ${trace.productBatches.length} product batches and ${trace.customers.length} customers`);
+    res.json(trace);
+  } catch (error) {
+    console.error('❌ Error tracing material batch:', error);
+    res.status(500).json({
+      message: 'Error tracing material batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
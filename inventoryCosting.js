@@ -0,0 +1,477 @@
+// backend/utils/inventoryCosting.js
+import mongoose from 'mongoose';
+import Material2 from '../models/Material2.js';
+import Product from '../models/Product.js';
+import MaterialCost from '../models/MaterialCost.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import { POSITIVE_ACTIVITIES, ITEM_FIELDS } from './ledgerRecalculation.js';
+import { normalizeLocation } from './locations.js';
+import { flagItemRecost } from './ledgerRebuild.js';
+
+// Inventory costing for the MaterialRI and ProductRI ledgers. Receipts carry a UnitCost
+// (purchase order price or MaterialCost for materials, material consumption of the
+// production batch for products); every outgoing record is costed by replaying the
+// item's ledger in Date order with the item's costing method, FIFO or moving weighted
+// average. The replay always uses the current method over the whole history, so changing
+// an item's method restates its past issue costs as well.
+//
+// Only a receipt saved with its cost (CostEntered) keeps it. Other receipt costs are
+// worked out on every replay, so a product receipt follows its batch's material issue
+// costs: the rebuild job recosts materials before products, and a material recost that
+// changes the cost of issues to production flags the products made from them.
+//
+// Every location of an item keeps its own cost pool. A Transfer Out takes cost out of the
+// source pool like an issue (FIFO layers or the average cost) and the paired Transfer In
+// puts the same cost into the destination pool, so a transfer leaves the item's value as it
+// was. Item totals are the sum of its location pools.
+
+export const COSTING_METHODS = ['FIFO', 'Weighted Average'];
+
+// Outgoing activities that count as cost of goods sold; other outflows (waste, expiry
+// disposals, stock-take losses, samples, rework issues, returns) are reported separately
+export const COGS_ACTIVITIES = {
+  MaterialRI: ['Issue'],
+  ProductRI: ['Issue', 'IssueCustomer [Rework]']
+};
+
+// Transfers move stock and its cost between locations of the same item
+const TRANSFER_ACTIVITIES = ['Transfer Out', 'Transfer In'];
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+/**
+ * Costing method of an item master (Materials or Products record). Items without one
+ * use INVENTORY_COSTING_METHOD, default FIFO.
+ */
+export const getCostingMethod = (item) => {
+  if (COSTING_METHODS.includes(item?.CostingMethod)) return item.CostingMethod;
+  return COSTING_METHODS.includes(process.env.INVENTORY_COSTING_METHOD)
+    ? process.env.INVENTORY_COSTING_METHOD
+    : 'FIFO';
+};
+
+/**
+ * Unit cost for a material receipt entered without one: the latest MaterialCost price
+ * for the material, otherwise the master UnitPrice.
+ */
+export const getMaterialReceiptCost = async (material) => {
+  const cost = await MaterialCost.findOne({ material }).sort({ updatedAt: -1 }).select('materialPrice').lean();
+  if (cost) return cost.materialPrice;
+
+  const master = await Material2.findOne({ Material: material }).select('UnitPrice').lean();
+  return master?.UnitPrice || 0;
+};
+
+// Stock of one item at one location valued by its costing method. FIFO keeps receipt
+// layers and issues from the oldest; weighted average keeps one pool re-averaged on every
+// receipt. `initialCost` values stock taken out before anything came in.
+const createCostPool = (method, initialCost = 0) => {
+  const layers = [];
+  let quantity = 0;
+  let value = 0;
+  let lastCost = initialCost;
+
+  return {
+    get quantity() { return round(quantity); },
+    get value() { return round(value); },
+    get averageCost() { return quantity > 0 ? round(value / quantity) : lastCost; },
+
+    receive(receiptQuantity, unitCost) {
+      if (method === 'FIFO') layers.push({ quantity: receiptQuantity, unitCost });
+      quantity += receiptQuantity;
+      value += receiptQuantity * unitCost;
+      lastCost = unitCost;
+    },
+
+    // Take stock out, returning its cost and the cost layers it came from
+    take(takeQuantity) {
+      const taken = [];
+      let cost = 0;
+
+      if (method === 'FIFO') {
+        let remaining = takeQuantity;
+        while (remaining > 0.000001 && layers.length > 0) {
+          const layer = layers[0];
+          const take = Math.min(remaining, layer.quantity);
+          cost += take * layer.unitCost;
+          taken.push({ quantity: take, unitCost: layer.unitCost });
+          lastCost = layer.unitCost;
+          layer.quantity = round(layer.quantity - take);
+          remaining = round(remaining - take);
+          if (layer.quantity <= 0) layers.shift();
+        }
+        // Taken beyond the recorded receipts, at the last known cost
+        if (remaining > 0.000001) {
+          cost += remaining * lastCost;
+          taken.push({ quantity: remaining, unitCost: lastCost });
+        }
+      } else {
+        const unitCost = quantity > 0 ? value / quantity : lastCost;
+        cost = takeQuantity * unitCost;
+        taken.push({ quantity: takeQuantity, unitCost });
+      }
+
+      quantity = Math.max(0, round(quantity - takeQuantity));
+      value = quantity > 0 ? Math.max(0, value - cost) : 0;
+      return { cost: round(cost), layers: taken };
+    },
+
+    issue(issueQuantity) {
+      return this.take(issueQuantity).cost;
+    }
+  };
+};
+
+// Item totals over all of its location pools
+const getItemBalance = (result) => {
+  let quantity = 0;
+  let value = 0;
+  for (const pool of result.pools.values()) {
+    quantity += pool.quantity;
+    value += pool.value;
+  }
+  return { quantity: round(quantity), value: round(value) };
+};
+
+const getItemCost = (result) => {
+  const balance = getItemBalance(result);
+  return balance.quantity > 0 ? round(balance.value / balance.quantity) : result.lastCost;
+};
+
+const getPool = (result, location) => {
+  if (!result.pools.has(location)) {
+    result.pools.set(location, createCostPool(result.method, getItemCost(result)));
+  }
+  return result.pools.get(location);
+};
+
+// Matches a Transfer In to the Transfer Out of the same posting
+const transferKey = (record, from, to) => `${record.DocumentNumber}|${record.Batch}|${from}>${to}|${record.Quantity}`;
+
+// Unit material cost of each product batch: costed material issues consumed by the
+// production batch over the quantity produced (or received, for batches without production)
+const getProductionCosts = async (productRecords) => {
+  const batches = [...new Set(productRecords.filter(record => record.Activity === 'Receive').map(record => record.Batch))];
+  if (batches.length === 0) return new Map();
+
+  const [consumption, production] = await Promise.all([
+    mongoose.model('MaterialRI').aggregate([
+      { $match: { Activity: 'Issue', ProductionBatch: { $in: batches } } },
+      { $group: { _id: '$ProductionBatch', cost: { $sum: { $ifNull: ['$TotalCost', 0] } } } }
+    ]),
+    ProductionManagement.aggregate([
+      { $match: { Activity: 'Production', Batch: { $in: batches } } },
+      { $group: { _id: '$Batch', quantity: { $sum: '$Quantity' } } }
+    ])
+  ]);
+
+  const produced = new Map(production.map(row => [row._id, row.quantity]));
+  const received = new Map();
+  productRecords
+    .filter(record => record.Activity === 'Receive')
+    .forEach(record => received.set(record.Batch, (received.get(record.Batch) || 0) + record.Quantity));
+
+  const costs = new Map();
+  consumption.forEach(row => {
+    const quantity = produced.get(row._id) || received.get(row._id);
+    if (quantity > 0) costs.set(row._id, round(row.cost / quantity));
+  });
+  return costs;
+};
+
+// Item masters and fallback unit costs for receipts without a UnitCost
+const loadItemCosts = async (ledger, names) => {
+  if (ledger === 'MaterialRI') {
+    const [masters, costs] = await Promise.all([
+      Material2.find({ Material: { $in: names } })
+        .select('Material MaterialCode Unit UnitPrice MinimumConsumption CostingMethod')
+        .lean(),
+      MaterialCost.find({ material: { $in: names } }).sort({ updatedAt: 1 }).select('material materialPrice').lean()
+    ]);
+    const latestCost = new Map(costs.map(cost => [cost.material, cost.materialPrice]));
+
+    return new Map(masters.map(master => [master.Material, {
+      master,
+      method: getCostingMethod(master),
+      fallbackCost: latestCost.get(master.Material) ?? master.UnitPrice ?? 0
+    }]));
+  }
+
+  // Standard material cost of a product, from its MaterialCost lines
+  const [masters, standardCosts] = await Promise.all([
+    Product.find({ Product: { $in: names } })
+      .select('Product ProductCode Unit ProductPrice MinimumStock CostingMethod')
+      .lean(),
+    MaterialCost.aggregate([
+      { $match: { product: { $in: names } } },
+      { $group: { _id: '$product', cost: { $sum: '$totalCost' } } }
+    ])
+  ]);
+  const standardCost = new Map(standardCosts.map(row => [row._id, row.cost]));
+
+  return new Map(masters.map(master => [master.Product, {
+    master,
+    method: getCostingMethod(master),
+    fallbackCost: standardCost.get(master.Product) || 0
+  }]));
+};
+
+/**
+ * Replay a ledger's records up to `until` and cost every movement. Returns a Map of
+ * item name to { master, method, movements, closing }, where each movement carries its
+ * unit and total cost and the item's quantity and value after it.
+ */
+export const costLedger = async (Model, { items = null, until = null } = {}) => {
+  const ledger = Model.modelName;
+  const itemField = ITEM_FIELDS[ledger];
+  const positiveActivities = POSITIVE_ACTIVITIES[ledger];
+  if (!COGS_ACTIVITIES[ledger]) {
+    throw new Error(`${ledger} is not a costed ledger`);
+  }
+
+  const match = {};
+  if (items) match[itemField] = { $in: items };
+  if (until) match.Date = { $lte: new Date(until) };
+
+  const records = await Model.find(match)
+    .select(`_id Date Activity ${itemField} Batch Location TransferLocation Quantity UnitCost TotalCost CostEntered DocumentNumber createdAt`)
+    .sort({ Date: 1, createdAt: 1, _id: 1 })
+    .lean();
+
+  const names = [...new Set(records.map(record => record[itemField]))];
+  const [itemCosts, productionCosts] = await Promise.all([
+    loadItemCosts(ledger, names),
+    ledger === 'ProductRI' ? getProductionCosts(records) : new Map()
+  ]);
+
+  const results = new Map();
+  for (const record of records) {
+    const name = record[itemField];
+    if (!results.has(name)) {
+      const info = itemCosts.get(name) || { master: null, method: getCostingMethod(null), fallbackCost: 0 };
+      results.set(name, {
+        master: info.master,
+        method: info.method,
+        fallbackCost: info.fallbackCost,
+        lastCost: info.fallbackCost,
+        pools: new Map(),
+        transfers: new Map(),
+        movements: []
+      });
+    }
+    const result = results.get(name);
+    const location = normalizeLocation(record.Location);
+    const pool = getPool(result, location);
+
+    let unitCost;
+    let totalCost;
+    const incoming = positiveActivities.includes(record.Activity);
+
+    if (record.Activity === 'Transfer Out') {
+      const taken = pool.take(record.Quantity);
+      const key = transferKey(record, location, normalizeLocation(record.TransferLocation));
+      if (!result.transfers.has(key)) result.transfers.set(key, []);
+      result.transfers.get(key).push(taken.layers);
+      totalCost = taken.cost;
+      unitCost = round(totalCost / record.Quantity);
+    } else if (record.Activity === 'Transfer In') {
+      // Arrives with the cost its Transfer Out took from the source location
+      const key = transferKey(record, normalizeLocation(record.TransferLocation), location);
+      const layers = result.transfers.get(key)?.shift() || [{ quantity: record.Quantity, unitCost: getItemCost(result) }];
+      totalCost = 0;
+      layers.forEach(layer => {
+        pool.receive(layer.quantity, layer.unitCost);
+        totalCost += layer.quantity * layer.unitCost;
+      });
+      totalCost = round(totalCost);
+      unitCost = round(totalCost / record.Quantity);
+    } else if (incoming) {
+      // Production receipts cost what the batch consumed; rework and customer returns
+      // come back at the current cost of the item
+      if (record.CostEntered && record.UnitCost != null) {
+        unitCost = record.UnitCost;
+      } else if (record.Activity === 'Receive' && productionCosts.has(record.Batch)) {
+        unitCost = productionCosts.get(record.Batch);
+      } else if (getItemBalance(result).quantity > 0) {
+        unitCost = getItemCost(result);
+      } else {
+        unitCost = result.fallbackCost;
+      }
+      totalCost = round(record.Quantity * unitCost);
+      pool.receive(record.Quantity, unitCost);
+    } else {
+      totalCost = pool.issue(record.Quantity);
+      unitCost = round(totalCost / record.Quantity);
+    }
+    result.lastCost = unitCost;
+
+    const balance = getItemBalance(result);
+    result.movements.push({
+      _id: record._id,
+      date: record.Date,
+      activity: record.Activity,
+      batch: record.Batch,
+      location,
+      documentNumber: record.DocumentNumber,
+      direction: incoming ? 'in' : 'out',
+      quantity: record.Quantity,
+      unitCost,
+      totalCost,
+      storedUnitCost: record.UnitCost,
+      storedTotalCost: record.TotalCost,
+      balanceQuantity: balance.quantity,
+      balanceValue: balance.value,
+      locationBalanceQuantity: pool.quantity,
+      locationBalanceValue: pool.value
+    });
+  }
+
+  for (const result of results.values()) {
+    const balance = getItemBalance(result);
+    result.closing = {
+      quantity: balance.quantity,
+      value: balance.value,
+      unitCost: getItemCost(result),
+      locations: [...result.pools.entries()]
+        .filter(([, pool]) => pool.quantity > 0)
+        .map(([location, pool]) => ({ location, quantity: pool.quantity, value: pool.value, unitCost: pool.averageCost }))
+        .sort((a, b) => a.location.localeCompare(b.location))
+    };
+    delete result.pools;
+    delete result.transfers;
+    delete result.fallbackCost;
+    delete result.lastCost;
+  }
+
+  return results;
+};
+
+// Flag the products whose production batches consumed the given material issues
+const flagConsumingProducts = async (issueIds) => {
+  if (issueIds.length === 0) return;
+
+  const batches = await mongoose.model('MaterialRI').distinct('ProductionBatch', {
+    _id: { $in: issueIds },
+    ProductionBatch: { $nin: [null, ''] }
+  });
+  if (batches.length === 0) return;
+
+  const products = await mongoose.model('ProductRI').distinct('Product', { Activity: 'Receive', Batch: { $in: batches } });
+  for (const product of products) {
+    await flagItemRecost('ProductRI', product);
+  }
+};
+
+/**
+ * Re-cost one item and store UnitCost and TotalCost on its records where they changed.
+ * The ledger hooks flag an item after a record is saved or deleted and the ledger rebuild
+ * job calls this once per flagged item, see utils/ledgerRebuild.js.
+ */
+export const recostItem = async (Model, item) => {
+  const results = await costLedger(Model, { items: [item] });
+  const result = results.get(item);
+  if (!result) return 0;
+
+  const bulkOps = result.movements
+    .filter(movement =>
+      movement.storedUnitCost == null ||
+      movement.storedTotalCost == null ||
+      Math.abs(movement.storedUnitCost - movement.unitCost) > 0.000001 ||
+      Math.abs(movement.storedTotalCost - movement.totalCost) > 0.000001)
+    .map(movement => ({
+      updateOne: {
+        filter: { _id: movement._id },
+        update: { $set: { UnitCost: movement.unitCost, TotalCost: movement.totalCost } }
+      }
+    }));
+
+  if (bulkOps.length > 0) {
+    await Model.bulkWrite(bulkOps);
+  }
+
+  if (Model.modelName === 'MaterialRI') {
+    await flagConsumingProducts(result.movements
+      .filter(movement => movement.activity === 'Issue' &&
+        (movement.storedTotalCost == null || Math.abs(movement.storedTotalCost - movement.totalCost) > 0.000001))
+      .map(movement => movement._id));
+  }
+  return bulkOps.length;
+};
+
+const emptyTotals = () => ({ quantity: 0, value: 0 });
+
+const addTo = (totals, quantity, value) => {
+  totals.quantity = round(totals.quantity + quantity);
+  totals.value = round(totals.value + value);
+};
+
+/**
+ * Period valuation and cost of goods sold per item: opening stock, receipts, outgoing
+ * movements by activity, COGS and closing stock, all at cost.
+ */
+export const buildValuationReport = async (Model, { startDate, endDate, items = null } = {}) => {
+  const ledger = Model.modelName;
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const results = await costLedger(Model, { items, until: end });
+
+  const report = [];
+  for (const [item, result] of results) {
+    const opening = emptyTotals();
+    const receipts = emptyTotals();
+    const cogs = emptyTotals();
+    const outflows = {};
+
+    for (const movement of result.movements) {
+      if (movement.date < start) {
+        opening.quantity = movement.balanceQuantity;
+        opening.value = movement.balanceValue;
+        continue;
+      }
+      // Moves value between locations, not in or out of the item
+      if (TRANSFER_ACTIVITIES.includes(movement.activity)) continue;
+
+      if (movement.direction === 'in') {
+        addTo(receipts, movement.quantity, movement.totalCost);
+      } else {
+        outflows[movement.activity] = outflows[movement.activity] || emptyTotals();
+        addTo(outflows[movement.activity], movement.quantity, movement.totalCost);
+        if (COGS_ACTIVITIES[ledger].includes(movement.activity)) {
+          addTo(cogs, movement.quantity, movement.totalCost);
+        }
+      }
+    }
+
+    // Items with no stock and no movement in the period add nothing to the report
+    if (opening.quantity === 0 && receipts.quantity === 0 && Object.keys(outflows).length === 0 && result.closing.quantity === 0) {
+      continue;
+    }
+
+    report.push({
+      item,
+      itemCode: result.master?.MaterialCode || result.master?.ProductCode,
+      unit: result.master?.Unit,
+      method: result.method,
+      opening,
+      receipts,
+      outflows,
+      cogs,
+      closing: result.closing
+    });
+  }
+
+  report.sort((a, b) => a.item.localeCompare(b.item));
+
+  const totals = { opening: emptyTotals(), receipts: emptyTotals(), cogs: emptyTotals(), otherOutflows: emptyTotals(), closing: emptyTotals() };
+  report.forEach(row => {
+    addTo(totals.opening, row.opening.quantity, row.opening.value);
+    addTo(totals.receipts, row.receipts.quantity, row.receipts.value);
+    addTo(totals.cogs, row.cogs.quantity, row.cogs.value);
+    addTo(totals.closing, row.closing.quantity, row.closing.value);
+    Object.entries(row.outflows)
+      .filter(([activity]) => !COGS_ACTIVITIES[ledger].includes(activity))
+      .forEach(([, outflow]) => addTo(totals.otherOutflows, outflow.quantity, outflow.value));
+  });
+
+  return { startDate: start, endDate: end, items: report, totals };
+};
\ No newline at end of file
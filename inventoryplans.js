@@ -2,6 +2,7 @@ import express from 'express';
 import InventoryPlan from '../models/InventoryPlan.js';
 import Product from '../models/Product.js';
 import Material from '../models/Material2.js';
+import { PLAN_MONTHS } from '../utils/ethiopianCalendar.js';
 
 const router = express.Router();
 
@@ -31,6 +32,7 @@ router.get('/', async (req, res) => {
     if (category) filter.category = category;
     if (fiscalYear) filter.fiscalYear = parseInt(fiscalYear);
     if (month) filter.month = month;
+    if (req.query.calendar) filter.calendar = req.query.calendar;
     if (balanceType) filter.balanceType = balanceType;
 
     // Sort by creation date (oldest first) so newest appear at bottom
@@ -100,10 +102,8 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate month
-    const validMonths = ['January', 'February', 'March', 'April', 'May', 'June', 
-                        'July', 'August', 'September', 'October', 'November', 'December'];
-    if (!validMonths.includes(month)) {
+    // Validate month (Gregorian or Ethiopian month name)
+    if (!PLAN_MONTHS.includes(month)) {
       return res.status(400).json({ 
         message: 'Invalid month' 
       });
@@ -270,9 +270,7 @@ router.put('/:id', async (req, res) => {
 
     // Validate month if provided
     if (updateData.month) {
-      const validMonths = ['January', 'February', 'March', 'April', 'May', 'June', 
-                          'July', 'August', 'September', 'October', 'November', 'December'];
-      if (!validMonths.includes(updateData.month)) {
+      if (!PLAN_MONTHS.includes(updateData.month)) {
         return res.status(400).json({ 
           message: 'Invalid month' 
         });
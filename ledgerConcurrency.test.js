@@ -0,0 +1,162 @@
+// backend/tests/ledgerConcurrency.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Material2 from '../models/Material2.js';
+import MaterialRI from '../models/MaterialRI.js';
+import BatchLock from '../models/BatchLock.js';
+import LedgerRebuild from '../models/LedgerRebuild.js';
+import { recalculateBatch } from '../utils/ledgerRecalculation.js';
+import { withLedgerTransaction } from '../utils/ledgerLock.js';
+
+// Oversell checks for the batch ledgers against a real MongoDB. Point MONGODB_URI at a
+// throwaway database: node --test tests/
+// The transaction test also needs a replica set and is skipped on a standalone server.
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const RUN_ID = Date.now().toString(36).toUpperCase();
+const MATERIAL = `Concurrency Test ${RUN_ID}`;
+const MATERIAL_CODE = `CT${RUN_ID}`;
+const BATCH = `${MATERIAL_CODE}-TEST`;
+const RECEIVED = 10;
+const WRITERS = 25;
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const issue = (quantity, documentNumber, session = null) => {
+  const record = new MaterialRI({
+    Activity: 'Issue',
+    Material: MATERIAL,
+    MaterialCode: MATERIAL_CODE,
+    Batch: BATCH,
+    Quantity: quantity,
+    DocumentNumber: documentNumber
+  });
+  return record.save({ session });
+};
+
+// Batch balance from the records themselves, not clamped at zero like getBatchStock
+const ledgerBalance = async () => {
+  const records = await MaterialRI.find({ Batch: BATCH }).select('Activity Quantity Stock').lean();
+  const balance = records.reduce((sum, record) => sum + (record.Activity === 'Receive' ? record.Quantity : -record.Quantity), 0);
+  return { records, balance };
+};
+
+describe('batch ledger concurrency', { skip: !MONGODB_URI && 'MONGODB_URI is not set' }, () => {
+  before(async () => {
+    await mongoose.connect(MONGODB_URI);
+    await Promise.all([MaterialRI.init(), BatchLock.init(), LedgerRebuild.init()]);
+
+    await Material2.create({
+      Material: MATERIAL,
+      MaterialCode: MATERIAL_CODE,
+      PackSize: 1,
+      Unit: 'kg',
+      UnitPrice: 1,
+      ReorderQuantity: 0,
+      MinimumConsumption: 0,
+      MaximumConsumption: 0,
+      MinimumLeadTime: 0,
+      MaximumLeadTime: 0
+    });
+
+    // Posted like a stock-take correction so the batch does not wait for QC
+    const receipt = new MaterialRI({
+      Activity: 'Receive',
+      Material: MATERIAL,
+      MaterialCode: MATERIAL_CODE,
+      Batch: BATCH,
+      Quantity: RECEIVED,
+      UnitCost: 1,
+      ExpireDate: inDays(365),
+      DocumentNumber: `GRN-${RUN_ID}`
+    });
+    receipt.$locals.stockAdjustment = true;
+    await receipt.save();
+  });
+
+  after(async () => {
+    if (mongoose.connection.readyState !== 1) return;
+
+    await MaterialRI.collection.deleteMany({ Batch: BATCH });
+    await Promise.all([
+      Material2.deleteMany({ Material: MATERIAL }),
+      BatchLock.deleteMany({ batch: BATCH }),
+      LedgerRebuild.deleteMany({ key: { $in: [BATCH, MATERIAL] } })
+    ]);
+    await mongoose.disconnect();
+  });
+
+  it('never issues more than the batch holds', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: WRITERS }, (_, index) => issue(1, `ISS-${RUN_ID}-${index}`))
+    );
+
+    const issued = results.filter(result => result.status === 'fulfilled').length;
+    const refused = results.filter(result => result.status === 'rejected');
+
+    assert.equal(issued, RECEIVED, `expected ${RECEIVED} issues to go through, got ${issued}`);
+    refused.forEach(result => assert.match(result.reason.message, /Insufficient stock|is busy/));
+
+    const { records, balance } = await ledgerBalance();
+    assert.equal(balance, 0);
+    records.forEach(record => assert.ok(record.Stock >= 0, `record Stock ${record.Stock} is negative`));
+
+    const check = await recalculateBatch(MaterialRI, BATCH, { dryRun: true });
+    assert.deepEqual(check.shortfalls, []);
+    assert.deepEqual(check.discrepancies, []);
+    assert.equal(await LedgerRebuild.countDocuments({ kind: 'stock', key: BATCH }), 0);
+  });
+
+  it('rolls back every leg of a transaction that fails', async (t) => {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName) {
+      t.skip('transactions need a replica set');
+      return;
+    }
+
+    // Put stock back so the first leg passes on its own
+    const correction = new MaterialRI({
+      Activity: 'Receive',
+      Material: MATERIAL,
+      MaterialCode: MATERIAL_CODE,
+      Batch: BATCH,
+      Quantity: 5,
+      UnitCost: 1,
+      ExpireDate: inDays(365),
+      DocumentNumber: `ADJ-${RUN_ID}`
+    });
+    correction.$locals.stockAdjustment = true;
+    await correction.save();
+
+    const documentNumber = `TX-${RUN_ID}`;
+    await assert.rejects(
+      withLedgerTransaction(async (session) => {
+        await issue(4, documentNumber, session);
+        // 1 left after the first leg inside the transaction
+        await issue(2, documentNumber, session);
+      }),
+      /Insufficient stock/
+    );
+
+    assert.equal(await MaterialRI.countDocuments({ DocumentNumber: documentNumber }), 0);
+    assert.equal((await ledgerBalance()).balance, 5);
+    assert.equal(await BatchLock.countDocuments({ batch: BATCH }), 0);
+  });
+
+  it('refuses edits the batch stock cannot cover', async () => {
+    const { balance } = await ledgerBalance();
+
+    const issued = await MaterialRI.findOne({ Batch: BATCH, Activity: 'Issue' });
+    issued.Quantity += balance + 1;
+    await assert.rejects(issued.save(), /Insufficient stock/);
+
+    const received = await MaterialRI.findOne({ Batch: BATCH, DocumentNumber: `GRN-${RUN_ID}` });
+    received.Activity = 'Issue';
+    received.ExpireDate = undefined;
+    await assert.rejects(received.save(), /Insufficient stock/);
+
+    assert.equal((await ledgerBalance()).balance, balance);
+    assert.equal(await BatchLock.countDocuments({ batch: BATCH }), 0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+// backend/utils/ledgerLock.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import BatchLock from '../models/BatchLock.js';
+
+// Per-batch locks for the stock ledgers (MaterialRI, ProductRI, ProductionManagement,
+// DailySalesForm). The stock check in pre('save') and the running-balance update in
+// post('save') run while the lock is held, so two writers on one batch cannot both
+// pass the "Insufficient stock" check.
+// A held lock is renewed every ttl/3, so a long recalculation keeps it; the TTL only
+// frees locks left behind by a holder that stopped (crashed process).
+//
+// Writes that span several records (transfers, FEFO issues, stock-take adjustments,
+// receipts) run in withLedgerTransaction. Locks taken by a save in the transaction stay
+// held until it commits or aborts, so later writes in it check the same balances and
+// nothing is visible to other writers half done. Transactions need a replica set (a
+// single-member set is enough); the server checks for one at startup and refuses to run
+// on a standalone MongoDB, where every transfer, FEFO issue and receipt would fail.
+
+const LOCK_TTL = 30000;
+const LOCK_TIMEOUT = 10000;
+const RETRY_DELAY = 25;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Push the expiry of a held lock forward until it is released
+const startRenewal = (ledger, batch, token, ttl) => {
+  const timer = setInterval(async () => {
+    try {
+      const result = await BatchLock.updateOne(
+        { ledger, batch, token },
+        { $set: { expiresAt: new Date(Date.now() + ttl) } }
+      );
+      if (result.matchedCount === 0) {
+        console.error(`Lock on batch ${batch} was lost while held`);
+        clearInterval(timer);
+      }
+    } catch (error) {
+      console.error(`Error renewing lock on batch ${batch}:`, error);
+    }
+  }, Math.max(1000, Math.floor(ttl / 3)));
+  timer.unref?.();
+  return timer;
+};
+
+/**
+ * Wait for and take the lock on a ledger batch. Returns the handle to release.
+ * A lock whose holder has not renewed it within `ttl` ms is taken over.
+ */
+export const acquireBatchLock = async (ledger, batch, { ttl = LOCK_TTL, timeout = LOCK_TIMEOUT, session = null } = {}) => {
+  // A transaction takes each batch once and keeps it until it ends
+  const key = `${ledger}:${batch}`;
+  if (session?.batchLocks?.has(key)) {
+    return session.batchLocks.get(key);
+  }
+
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const now = new Date();
+    try {
+      // Inserts a new lock, or takes over an expired one. A live lock makes the
+      // upsert collide with the unique index and we wait for it.
+      await BatchLock.findOneAndUpdate(
+        { ledger, batch, expiresAt: { $lt: now } },
+        { $set: { token, expiresAt: new Date(now.getTime() + ttl) } },
+        { upsert: true }
+      );
+      const lock = { ledger, batch, token, renewTimer: startRenewal(ledger, batch, token, ttl) };
+      if (session?.batchLocks) {
+        lock.transactional = true;
+        session.batchLocks.set(key, lock);
+      }
+      return lock;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Batch ${batch} is busy with another transaction. Please try again`);
+    }
+    await sleep(RETRY_DELAY + Math.random() * RETRY_DELAY);
+  }
+};
+
+const deleteLock = async (lock) => {
+  clearInterval(lock.renewTimer);
+
+  try {
+    await BatchLock.deleteOne({ ledger: lock.ledger, batch: lock.batch, token: lock.token });
+  } catch (error) {
+    console.error(`Error releasing lock on batch ${lock.batch}:`, error);
+  }
+};
+
+/**
+ * Release a lock taken with acquireBatchLock. Only the holder's token is removed,
+ * so a lock that expired and was taken over is left alone. Locks held for a
+ * transaction are released when it ends.
+ */
+export const releaseBatchLock = async (lock) => {
+  if (!lock || lock.transactional) return;
+  await deleteLock(lock);
+};
+
+/**
+ * Take the locks on several batches of one ledger, skipping empty and repeated names.
+ * They are taken in name order, so two writers that need the same batches cannot each
+ * hold one and wait for the other.
+ */
+export const acquireBatchLocks = async (ledger, batches, options) => {
+  const locks = [];
+  try {
+    for (const batch of [...new Set(batches.filter(Boolean))].sort()) {
+      locks.push(await acquireBatchLock(ledger, batch, options));
+    }
+    return locks;
+  } catch (error) {
+    await releaseBatchLocks(locks);
+    throw error;
+  }
+};
+
+/**
+ * Release locks taken with acquireBatchLocks
+ */
+export const releaseBatchLocks = async (locks) => {
+  for (const lock of locks || []) {
+    await releaseBatchLock(lock);
+  }
+};
+
+/**
+ * Run `work` while holding the lock on a ledger batch (reentrant for a transaction's session)
+ */
+export const withBatchLock = async (ledger, batch, work, options) => {
+  const lock = await acquireBatchLock(ledger, batch, options);
+  try {
+    return await work();
+  } finally {
+    await releaseBatchLock(lock);
+  }
+};
+
+/**
+ * Throw unless the connection is to a replica set or a sharded cluster, which
+ * withLedgerTransaction needs. Called once after connecting.
+ */
+export const assertTransactionSupport = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB is running standalone, but stock ledger transactions need a replica set. ' +
+      'Start mongod with --replSet and run rs.initiate() once; a single-member set is enough.'
+    );
+  }
+};
+
+/**
+ * Run `work(session)` in a MongoDB transaction. Save every ledger record with the session
+ * (`new Model(data).save({ session })`); if anything throws, none of them is stored.
+ */
+export const withLedgerTransaction = async (work) => {
+  let session = null;
+
+  try {
+    return await mongoose.connection.transaction(async (transactionSession) => {
+      session = transactionSession;
+      session.batchLocks = session.batchLocks || new Map();
+      return await work(session);
+    });
+  } finally {
+    if (session?.batchLocks) {
+      for (const lock of session.batchLocks.values()) {
+        await deleteLock(lock);
+      }
+      session.batchLocks.clear();
+    }
+  }
+};
\ No newline at end of file
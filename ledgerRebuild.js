@@ -0,0 +1,139 @@
+// backend/utils/ledgerRebuild.js
+import mongoose from 'mongoose';
+import LedgerRebuild from '../models/LedgerRebuild.js';
+import { recalculateBatch } from './ledgerRecalculation.js';
+import { recostItem } from './inventoryCosting.js';
+
+// Deferred work for the batch ledgers. The post-save and post-delete hooks run after the
+// record is written, so a failed recalculation there must not fail the request: the client
+// would see an error for a record that exists and post it again. The batch is flagged
+// instead and rebuilt by a background job. Costing replays an item's whole ledger, so the
+// hooks only flag the item and the same job recosts it once however many records changed.
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+/**
+ * Flag a batch for a later rebuild. A batch flagged again keeps one entry with the latest error.
+ */
+export const flagBatchRebuild = async (ledger, batch, error) => {
+  if (!batch) return;
+
+  try {
+    await LedgerRebuild.updateOne(
+      { ledger, kind: 'stock', key: batch },
+      { $set: { lastError: error?.message, flaggedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (flagError) {
+    console.error(`Error flagging ${ledger} batch ${batch} for rebuild:`, flagError);
+  }
+};
+
+/**
+ * Flag a material or product for the job to restate its issue costs
+ */
+export const flagItemRecost = async (ledger, item) => {
+  if (!item) return;
+
+  try {
+    await LedgerRebuild.updateOne(
+      { ledger, kind: 'cost', key: item },
+      { $set: { flaggedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (flagError) {
+    console.error(`Error flagging ${ledger} item ${item} for costing:`, flagError);
+  }
+};
+
+/**
+ * Recalculate a batch from a post-write hook, flagging it for the rebuild job on failure.
+ * Inside a transaction the error is rethrown instead, so the whole write is rolled back.
+ */
+export const rebuildBatchOrFlag = async (Model, batch, options = {}) => {
+  if (!batch) return;
+
+  try {
+    await recalculateBatch(Model, batch, options);
+  } catch (error) {
+    if (options.session) throw error;
+    console.error(`Error recalculating ${Model.modelName} batch ${batch}, flagged for rebuild:`, error);
+    await flagBatchRebuild(Model.modelName, batch, error);
+  }
+};
+
+// Product receipts are costed from the material issues of their batch, so material
+// costs are restated before product costs
+const isProductCost = (entry) => entry.kind === 'cost' && entry.ledger === 'ProductRI';
+
+/**
+ * Batches and items waiting for the job: balances, then material costs, then product
+ * costs, each oldest first
+ */
+export const getPendingRebuilds = async () => {
+  const pending = await LedgerRebuild.find().sort({ kind: -1, flaggedAt: 1 }).lean();
+  return [...pending.filter(entry => !isProductCost(entry)), ...pending.filter(isProductCost)];
+};
+
+/**
+ * Rebuild every flagged batch and recost every flagged item. An entry is only removed
+ * when no newer write flagged it again while it was being processed.
+ */
+export const runPendingRebuilds = async () => {
+  const pending = await getPendingRebuilds();
+  const summary = { pending: pending.length, rebuilt: 0, recosted: 0, failed: 0 };
+
+  for (const entry of pending) {
+    const Model = mongoose.model(entry.ledger);
+    try {
+      if (entry.kind === 'cost') {
+        await recostItem(Model, entry.key);
+        summary.recosted++;
+      } else {
+        await recalculateBatch(Model, entry.key);
+        summary.rebuilt++;
+      }
+      await LedgerRebuild.deleteOne({ _id: entry._id, flaggedAt: entry.flaggedAt });
+    } catch (error) {
+      console.error(`Error processing ${entry.kind} rebuild of ${entry.ledger} ${entry.key}:`, error);
+      await LedgerRebuild.updateOne(
+        { _id: entry._id },
+        { $set: { lastError: error.message }, $inc: { attempts: 1 } }
+      );
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+let rebuildTimer = null;
+let rebuildRunning = false;
+
+const runScheduledRebuild = async () => {
+  if (rebuildRunning) return;
+  rebuildRunning = true;
+  try {
+    const summary = await runPendingRebuilds();
+    if (summary.pending > 0) {
+      console.log(`🔧 Ledger rebuild: ${summary.rebuilt} batches rebuilt, ${summary.recosted} items recosted, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Ledger rebuild failed:', error);
+  } finally {
+    rebuildRunning = false;
+  }
+};
+
+/**
+ * Rebuild flagged batches every LEDGER_REBUILD_INTERVAL_MINUTES (default 5).
+ * Disabled with LEDGER_REBUILD_ENABLED=false.
+ */
+export const startLedgerRebuildJob = () => {
+  if (rebuildTimer || process.env.LEDGER_REBUILD_ENABLED === 'false') return;
+
+  const minutes = parseInt(process.env.LEDGER_REBUILD_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+  rebuildTimer = setInterval(runScheduledRebuild, minutes * 60 * 1000);
+
+  console.log(`⏰ Ledger rebuild job scheduled every ${minutes} minutes`);
+};
\ No newline at end of file
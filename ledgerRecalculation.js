@@ -0,0 +1,201 @@
+// backend/utils/ledgerRecalculation.js
+import { withBatchLock } from './ledgerLock.js';
+
+// Running-balance recalculation for the batch ledgers. Every record's Stock is the
+// batch balance after that record, in Date order (ties by creation time). The model
+// hooks call this after creates, updates and deletes so backdated and edited entries
+// leave later balances right; the ledgers admin route uses it to rebuild whole histories.
+
+// Activities that add to a batch; everything else takes stock out
+export const POSITIVE_ACTIVITIES = {
+  MaterialRI: ['Receive', 'Transfer In', 'Adjustment In'],
+  ProductRI: ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]', 'Transfer In', 'Adjustment In'],
+  ProductionManagement: ['Production', 'Receive [Rework]'],
+  DailySalesForm: ['Receive', 'Return from Customer']
+};
+
+export const ITEM_FIELDS = {
+  MaterialRI: 'Material',
+  ProductRI: 'Product',
+  ProductionManagement: 'Product',
+  DailySalesForm: 'Product'
+};
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+/**
+ * Recompute Stock on every record of a batch. Records whose stored Stock differs are
+ * reported as discrepancies and corrected unless `dryRun` is set; records that take the
+ * balance below zero are reported as shortfalls. Pass `lock: false` when the caller
+ * already holds the batch lock (the post-save hooks do), and the `session` of a ledger
+ * transaction to read and correct its uncommitted records.
+ */
+export const recalculateBatch = async (Model, batch, { lock = true, dryRun = false, session = null } = {}) => {
+  const ledger = Model.modelName;
+  const positiveActivities = POSITIVE_ACTIVITIES[ledger];
+  if (!positiveActivities) {
+    throw new Error(`${ledger} is not a batch ledger`);
+  }
+
+  const run = async () => {
+    const records = await Model.find({ Batch: batch })
+      .select('_id Date Activity Quantity Stock createdAt')
+      .sort({ Date: 1, createdAt: 1, _id: 1 })
+      .session(session)
+      .lean();
+
+    let runningStock = 0;
+    const bulkOps = [];
+    const discrepancies = [];
+    const shortfalls = [];
+
+    for (const record of records) {
+      runningStock = round(positiveActivities.includes(record.Activity)
+        ? runningStock + record.Quantity
+        : runningStock - record.Quantity);
+
+      if (runningStock < 0) {
+        shortfalls.push({
+          recordId: record._id,
+          date: record.Date,
+          activity: record.Activity,
+          quantity: record.Quantity,
+          balance: runningStock
+        });
+      }
+
+      // Stock cannot be negative on a record, a shortfall is stored as zero
+      const expectedStock = Math.max(0, runningStock);
+      if (record.Stock == null || Math.abs(record.Stock - expectedStock) > 0.000001) {
+        discrepancies.push({
+          recordId: record._id,
+          date: record.Date,
+          activity: record.Activity,
+          quantity: record.Quantity,
+          storedStock: record.Stock,
+          expectedStock
+        });
+        bulkOps.push({
+          updateOne: {
+            filter: { _id: record._id },
+            update: { $set: { Stock: expectedStock } }
+          }
+        });
+      }
+    }
+
+    if (!dryRun && bulkOps.length > 0) {
+      await Model.bulkWrite(bulkOps, { session });
+    }
+
+    return {
+      ledger,
+      batch,
+      records: records.length,
+      stock: Math.max(0, runningStock),
+      discrepancies,
+      shortfalls,
+      corrected: dryRun ? 0 : bulkOps.length
+    };
+  };
+
+  return lock ? withBatchLock(ledger, batch, run, { session }) : run();
+};
+
+// Ledger order of records in memory: by Date, ties by creation time
+const byLedgerOrder = (a, b) =>
+  (a.Date - b.Date) || ((a.createdAt || 0) - (b.createdAt || 0)) || String(a._id).localeCompare(String(b._id));
+
+// Closing balance of records in ledger order, and the lowest balance on the way
+const replayBalances = (records, positiveActivities) => {
+  let stock = 0;
+  let lowest = 0;
+  for (const record of records) {
+    stock = round(positiveActivities.includes(record.Activity) ? stock + record.Quantity : stock - record.Quantity);
+    lowest = Math.min(lowest, stock);
+  }
+  return { stock, lowest };
+};
+
+/**
+ * Check an edited ledger record before it is saved. Its batch, and the batch it is moving
+ * out of, are replayed with the record as edited in place of the stored one; an edit that
+ * takes either balance below zero, or further below than it already is, throws an
+ * "Insufficient stock" error. Call it holding both batch locks (the pre-save hooks do).
+ * Returns the closing balance of the record's batch after the edit.
+ */
+export const checkRecordEdit = async (record, { session = null } = {}) => {
+  const Model = record.constructor;
+  const positiveActivities = POSITIVE_ACTIVITIES[Model.modelName];
+  const stored = await Model.findById(record._id).select('Batch').session(session).lean();
+  let closingStock = 0;
+
+  for (const batch of new Set([record.Batch, stored?.Batch].filter(Boolean))) {
+    const records = await Model.find({ Batch: batch })
+      .select('_id Date Activity Quantity createdAt')
+      .session(session)
+      .lean();
+    const edited = records.filter(entry => !entry._id.equals(record._id));
+    if (batch === record.Batch) edited.push(record);
+
+    const before = replayBalances(records.sort(byLedgerOrder), positiveActivities);
+    const after = replayBalances(edited.sort(byLedgerOrder), positiveActivities);
+    if (after.lowest < 0 && after.lowest < before.lowest) {
+      throw new Error(`Insufficient stock in batch ${batch}. The edit would take its balance to ${after.lowest}`);
+    }
+    if (batch === record.Batch) closingStock = Math.max(0, after.stock);
+  }
+
+  return closingStock;
+};
+
+/**
+ * Recalculate several batches one after another, skipping empty and repeated names
+ */
+export const recalculateBatches = async (Model, batches, options = {}) => {
+  const results = [];
+  for (const batch of new Set(batches.filter(Boolean))) {
+    results.push(await recalculateBatch(Model, batch, options));
+  }
+  return results;
+};
+
+/**
+ * Recalculate every batch of a material or product on a ledger
+ */
+export const recalculateItem = async (Model, itemName, options = {}) => {
+  const itemField = ITEM_FIELDS[Model.modelName];
+  const batches = await Model.distinct('Batch', { [itemField]: itemName });
+  const results = await recalculateBatches(Model, batches.sort(), options);
+
+  return {
+    ledger: Model.modelName,
+    item: itemName,
+    batches: results,
+    stock: round(results.reduce((sum, result) => sum + result.stock, 0)),
+    discrepancies: results.reduce((sum, result) => sum + result.discrepancies.length, 0),
+    shortfalls: results.reduce((sum, result) => sum + result.shortfalls.length, 0),
+    corrected: results.reduce((sum, result) => sum + result.corrected, 0)
+  };
+};
+
+// Query middleware that can change or remove ledger records without running save hooks
+export const LEDGER_QUERY_HOOKS = ['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'];
+
+/**
+ * Batches touched by an update or delete query: the batches of the matched records
+ * and, for updates, the batch they are being moved to. Used by the model query hooks.
+ */
+export const getQueryBatches = async (query) => {
+  const records = await query.model.find(query.getFilter())
+    .select('Batch')
+    .session(query.getOptions().session || null)
+    .lean();
+  const batches = records.map(record => record.Batch);
+
+  const update = query.getUpdate();
+  const newBatch = update && (update.$set?.Batch ?? update.Batch);
+  if (newBatch) batches.push(newBatch);
+
+  return [...new Set(batches)];
+};
\ No newline at end of file
@@ -0,0 +1,107 @@
+import express from 'express';
+import MaterialRI from '../models/MaterialRI.js';
+import ProductRI from '../models/ProductRI.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import DailySalesForm from '../models/DailySalesForm.js';
+import { recalculateBatch, recalculateItem } from '../utils/ledgerRecalculation.js';
+import { getPendingRebuilds, runPendingRebuilds } from '../utils/ledgerRebuild.js';
+import { adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Keyed by the API path each ledger is served under
+const LEDGERS = {
+  'material-ri': MaterialRI,
+  'product-ri': ProductRI,
+  'production-managements': ProductionManagement,
+  'dailySalesForm': DailySalesForm
+};
+
+// Rebuild (or with dryRun only check) one batch or every batch of an item
+const runRecalculation = async (req, res, dryRun) => {
+  const Model = LEDGERS[req.params.ledger];
+  if (!Model) {
+    return res.status(404).json({ 
+      message: `Unknown ledger "${req.params.ledger}". Use one of ${Object.keys(LEDGERS).join(', ')}` 
+    });
+  }
+
+  const { batch, item } = { ...req.query, ...req.body };
+  if (!batch && !item) {
+    return res.status(400).json({ message: 'Batch or item is required' });
+  }
+
+  if (batch) {
+    const result = await recalculateBatch(Model, batch, { dryRun });
+    if (result.records === 0) {
+      return res.status(404).json({ message: `Batch "${batch}" not found on ${Model.modelName}` });
+    }
+
+    console.log(`🔧 ${dryRun ? 'Checked' : 'Rebuilt'} ${Model.modelName} batch ${batch}: ${result.discrepancies.length} discrepancies`);
+    return res.json({ dryRun, ...result });
+  }
+
+  const result = await recalculateItem(Model, item, { dryRun });
+  if (result.batches.length === 0) {
+    return res.status(404).json({ message: `No ${Model.modelName} records found for "${item}"` });
+  }
+
+  console.log(`🔧 ${dryRun ? 'Checked' : 'Rebuilt'} ${result.batches.length} ${Model.modelName} batches of ${item}: ${result.discrepancies} discrepancies`);
+  res.json({ dryRun, ...result });
+};
+
+// GET /api/ledgers/rebuilds - Batches flagged for a balance rebuild and items waiting to be recosted
+router.get('/rebuilds', adminAuth, async (req, res) => {
+  try {
+    res.json(await getPendingRebuilds());
+  } catch (error) {
+    console.error('❌ Error fetching pending ledger rebuilds:', error);
+    res.status(500).json({ 
+      message: 'Error fetching pending ledger rebuilds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/ledgers/rebuilds/run - Process the flagged batches and items now instead of waiting for the job
+router.post('/rebuilds/run', adminAuth, async (req, res) => {
+  try {
+    const summary = await runPendingRebuilds();
+    console.log(`🔧 Rebuilt ${summary.rebuilt} flagged ledger batches, recosted ${summary.recosted} items, ${summary.failed} failed`);
+    res.json(summary);
+  } catch (error) {
+    console.error('❌ Error running ledger rebuilds:', error);
+    res.status(500).json({ 
+      message: 'Error running ledger rebuilds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/ledgers/:ledger/check?batch=|item= - Report Stock discrepancies without changing anything
+router.get('/:ledger/check', adminAuth, async (req, res) => {
+  try {
+    await runRecalculation(req, res, true);
+  } catch (error) {
+    console.error('❌ Error checking ledger balances:', error);
+    res.status(500).json({ 
+      message: 'Error checking ledger balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/ledgers/:ledger/rebuild - Recompute the whole Stock history of a batch or item
+router.post('/:ledger/rebuild', adminAuth, async (req, res) => {
+  try {
+    await runRecalculation(req, res, false);
+  } catch (error) {
+    console.error('❌ Error rebuilding ledger balances:', error);
+    res.status(500).json({ 
+      message: 'Error rebuilding ledger balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
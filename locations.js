@@ -0,0 +1,76 @@
+// backend/utils/locations.js
+import Warehouse from '../models/Warehouse.js';
+import { withLedgerTransaction } from './ledgerLock.js';
+
+// Stock locations on the MaterialRI and ProductRI ledgers are a warehouse code with an
+// optional bin, e.g. "RM-STORE" or "RM-STORE/A-01". Records posted before locations
+// existed have no Location and are treated as the default MAIN store.
+
+export const DEFAULT_LOCATION = 'MAIN';
+
+export const normalizeLocation = (location) => {
+  const code = String(location ?? '').trim().toUpperCase();
+  return code === '' ? DEFAULT_LOCATION : code;
+};
+
+export const splitLocation = (location) => {
+  const [warehouse, bin = null] = normalizeLocation(location).split('/');
+  return { warehouse, bin };
+};
+
+// Ledger filter for a location; MAIN also matches records without a Location
+export const locationMatch = (location) => {
+  const code = normalizeLocation(location);
+  return code === DEFAULT_LOCATION ? { $in: [DEFAULT_LOCATION, null] } : code;
+};
+
+// Aggregation expression for a record's location
+export const LOCATION_EXPRESSION = { $ifNull: ['$Location', DEFAULT_LOCATION] };
+
+/**
+ * Check that a location exists, is active and can hold the category (Material or Product).
+ * Returns the normalized location code. MAIN is always valid.
+ */
+export const validateLocation = async (location, category) => {
+  const code = normalizeLocation(location);
+  if (code === DEFAULT_LOCATION) return code;
+
+  const { warehouse: warehouseCode, bin } = splitLocation(code);
+  const warehouse = await Warehouse.findOne({ code: warehouseCode });
+
+  if (!warehouse || warehouse.status !== 'Active') {
+    throw new Error(`Warehouse "${warehouseCode}" not found or not active`);
+  }
+  if (category && !warehouse.holds(category)) {
+    throw new Error(`Warehouse "${warehouseCode}" does not hold ${category.toLowerCase()}s`);
+  }
+  if (bin && !warehouse.hasActiveBin(bin)) {
+    throw new Error(`Bin "${bin}" not found in warehouse "${warehouseCode}"`);
+  }
+
+  return code;
+};
+
+/**
+ * Move batch stock between locations as a Transfer Out / Transfer In pair. Total batch
+ * stock is unchanged. Both legs are written in one transaction, so neither is stored alone.
+ */
+export const postLocationTransfer = async (Model, { from, to, ...fields }) => {
+  return await withLedgerTransaction(async (session) => {
+    const transferOut = await new Model({
+      ...fields,
+      Activity: 'Transfer Out',
+      Location: from,
+      TransferLocation: to
+    }).save({ session });
+
+    const transferIn = await new Model({
+      ...fields,
+      Activity: 'Transfer In',
+      Location: to,
+      TransferLocation: from
+    }).save({ session });
+
+    return [transferOut, transferIn];
+  });
+};
\ No newline at end of file
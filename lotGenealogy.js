@@ -0,0 +1,293 @@
+// backend/utils/lotGenealogy.js
+import MaterialRI from '../models/MaterialRI.js';
+import Material2 from '../models/Material2.js';
+import MaterialQ from '../models/MaterialQ.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import DailySalesForm from '../models/DailySalesForm.js';
+import { validateLocation } from './locations.js';
+
+// Lot genealogy. Material consumption is recorded as MaterialRI Issue records carrying the
+// ProductionBatch they went into; product batches carry the same Batch from production
+// through the product store to DailySalesForm sales, so both trace directions are queries.
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+const uniqueById = (items) => [...new Map(items.filter(Boolean).map(item => [String(item._id), item])).values()];
+
+/**
+ * Record the materials a Production record consumed. Each line either links an existing
+ * Issue record ({ IssueRecord }) or issues new stock ({ Material, Quantity, Batch?, Location? });
+ * without a Batch the quantity is allocated first-expiry-first-out. Run it in the ledger
+ * transaction that posts the Production record and pass its `session`: if any line fails,
+ * neither the record nor any issue or link is stored.
+ */
+export const consumeMaterials = async (production, materials, { session = null } = {}) => {
+  if (production.Activity !== 'Production') {
+    throw new Error('Materials can only be consumed by Production records');
+  }
+  if (!Array.isArray(materials) || materials.length === 0) {
+    throw new Error('At least one material is required');
+  }
+
+  const created = [];
+  const linked = [];
+
+  for (const line of materials) {
+    if (line.IssueRecord) {
+      const issue = await MaterialRI.findById(line.IssueRecord).session(session);
+      if (!issue || issue.Activity !== 'Issue') {
+        throw new Error(`Issue record ${line.IssueRecord} not found`);
+      }
+      if (issue.ProductionBatch && issue.ProductionBatch !== production.Batch) {
+        throw new Error(`Issue of batch ${issue.Batch} is already consumed by production batch ${issue.ProductionBatch}`);
+      }
+      if (!issue.ProductionBatch) {
+        await MaterialRI.updateOne({ _id: issue._id }, { ProductionBatch: production.Batch }, { session });
+        issue.ProductionBatch = production.Batch;
+        linked.push(issue);
+      }
+      continue;
+    }
+
+    const quantity = parseFloat(line.Quantity);
+    if (!line.Material || !(quantity > 0)) {
+      throw new Error('Each material needs a name and a quantity greater than 0');
+    }
+
+    const material = await Material2.findOne({ Material: line.Material, Status: 'Active' })
+      .select('Material MaterialCode')
+      .lean();
+    if (!material) {
+      throw new Error(`Active material "${line.Material}" not found`);
+    }
+
+    const location = await validateLocation(line.Location, 'Material');
+
+    // Allocated from committed stock; each issue is checked again against the batch,
+    // earlier issues of this transaction included, when it is saved
+    let allocation = [{ batch: line.Batch, quantity }];
+    if (!line.Batch) {
+      const result = await MaterialRI.allocateFEFO(material.Material, quantity, production.Date, location);
+      if (result.shortage > 0) {
+        throw new Error(`Insufficient stock of ${material.Material} at ${location}. Available: ${result.availableStock}, Requested: ${quantity}`);
+      }
+      allocation = result.allocation;
+    }
+
+    for (const part of allocation) {
+      const issue = await new MaterialRI({
+        Date: production.Date,
+        Activity: 'Issue',
+        Material: material.Material,
+        MaterialCode: material.MaterialCode,
+        Batch: part.batch,
+        Quantity: part.quantity,
+        Location: location,
+        Note: `Production ${production.Batch}`.substring(0, 100),
+        DocumentNumber: production.DocumentNumber,
+        ProductionBatch: production.Batch
+      }).save({ session });
+      created.push(issue);
+    }
+  }
+
+  return [...linked, ...created];
+};
+
+// Where a material batch came from: receipts with their suppliers and purchase orders, and QC results
+const getMaterialSource = async (batch) => {
+  const [receipts, qualityChecks] = await Promise.all([
+    MaterialRI.find({ Batch: batch, Activity: 'Receive' })
+      .populate('Supplier', 'name code')
+      .populate('PurchaseOrder', 'poNumber')
+      .sort({ Date: 1 })
+      .lean(),
+    MaterialQ.find({ batchNumber: batch })
+      .populate('supplier', 'name code')
+      .sort({ testedAt: -1 })
+      .lean()
+  ]);
+
+  return {
+    expireDate: receipts.length > 0 ? receipts[0].ExpireDate : null,
+    receipts: receipts.map(receipt => ({
+      _id: receipt._id,
+      date: receipt.Date,
+      quantity: receipt.Quantity,
+      documentNumber: receipt.DocumentNumber,
+      supplier: receipt.Supplier || null,
+      purchaseOrder: receipt.PurchaseOrder || null
+    })),
+    suppliers: uniqueById([
+      ...receipts.map(receipt => receipt.Supplier),
+      ...qualityChecks.map(check => check.supplier)
+    ]),
+    qualityChecks: qualityChecks.map(check => ({
+      _id: check._id,
+      overallStatus: check.overallStatus,
+      testedAt: check.testedAt,
+      quantityTested: check.quantityTested,
+      quantityAccepted: check.quantityAccepted,
+      quantityRejected: check.quantityRejected,
+      rejectionReason: check.rejectionReason,
+      failedParameters: (check.testParameters || [])
+        .filter(parameter => parameter.status === 'fail')
+        .map(parameter => parameter.parameter)
+    }))
+  };
+};
+
+/**
+ * Backward trace: the production records of a product batch and every material batch it
+ * consumed, with suppliers and quality results. Returns null for an unknown batch.
+ */
+export const traceProductBatch = async (batch) => {
+  const [production, issues] = await Promise.all([
+    ProductionManagement.find({ Batch: batch, Activity: 'Production' }).sort({ Date: 1 }).lean(),
+    MaterialRI.find({ ProductionBatch: batch, Activity: 'Issue' }).sort({ Date: 1 }).lean()
+  ]);
+
+  if (production.length === 0 && issues.length === 0) return null;
+
+  const byMaterialBatch = new Map();
+  for (const issue of issues) {
+    if (!byMaterialBatch.has(issue.Batch)) {
+      byMaterialBatch.set(issue.Batch, {
+        material: issue.Material,
+        materialCode: issue.MaterialCode,
+        batch: issue.Batch,
+        quantity: 0,
+        issues: []
+      });
+    }
+    const entry = byMaterialBatch.get(issue.Batch);
+    entry.quantity = round(entry.quantity + issue.Quantity);
+    entry.issues.push({
+      _id: issue._id,
+      date: issue.Date,
+      quantity: issue.Quantity,
+      location: issue.Location,
+      documentNumber: issue.DocumentNumber
+    });
+  }
+
+  const materials = [];
+  for (const entry of byMaterialBatch.values()) {
+    materials.push({ ...entry, ...(await getMaterialSource(entry.batch)) });
+  }
+
+  const warnings = [];
+  if (issues.length === 0) {
+    warnings.push('No material consumption is recorded for this batch');
+  }
+  materials
+    .filter(material => material.qualityChecks.some(check => check.overallStatus === 'rejected'))
+    .forEach(material => warnings.push(`Material batch ${material.batch} has a rejected quality check`));
+
+  return {
+    batch,
+    product: production[0]?.Product || null,
+    productCode: production[0]?.ProductCode || null,
+    produced: round(production.reduce((sum, record) => sum + record.Quantity, 0)),
+    production: production.map(record => ({
+      _id: record._id,
+      date: record.Date,
+      quantity: record.Quantity,
+      expireDate: record.ExpireDate,
+      documentNumber: record.DocumentNumber
+    })),
+    materials: materials.sort((a, b) => a.material.localeCompare(b.material) || a.batch.localeCompare(b.batch)),
+    suppliers: uniqueById(materials.flatMap(material => material.suppliers)),
+    warnings
+  };
+};
+
+/**
+ * Forward trace: every product batch a material batch went into, and the customer sales
+ * and returns of those product batches. Returns null for an unknown batch.
+ */
+export const traceMaterialBatch = async (batch) => {
+  const records = await MaterialRI.find({ Batch: batch }).sort({ Date: 1 }).lean();
+  if (records.length === 0) return null;
+
+  const consumption = records.filter(record => record.Activity === 'Issue' && record.ProductionBatch);
+  const productBatchNames = [...new Set(consumption.map(record => record.ProductionBatch))];
+
+  const [production, sales] = await Promise.all([
+    ProductionManagement.find({ Batch: { $in: productBatchNames }, Activity: 'Production' }).lean(),
+    DailySalesForm.find({
+      Batch: { $in: productBatchNames },
+      Activity: { $in: ['Sales', 'Return from Customer'] }
+    })
+      .populate('Customer', 'name code phone')
+      .sort({ Date: 1 })
+      .lean()
+  ]);
+
+  const productBatches = productBatchNames.map(productBatch => {
+    const produced = production.filter(record => record.Batch === productBatch);
+    const batchSales = sales.filter(sale => sale.Batch === productBatch);
+    const sum = (activity) => round(batchSales
+      .filter(sale => sale.Activity === activity)
+      .reduce((total, sale) => total + sale.Quantity, 0));
+
+    return {
+      batch: productBatch,
+      product: produced[0]?.Product || batchSales[0]?.Product || null,
+      consumed: round(consumption
+        .filter(record => record.ProductionBatch === productBatch)
+        .reduce((total, record) => total + record.Quantity, 0)),
+      produced: round(produced.reduce((total, record) => total + record.Quantity, 0)),
+      productionDates: produced.map(record => record.Date),
+      sold: sum('Sales'),
+      returned: sum('Return from Customer')
+    };
+  });
+
+  // Sales without a Customer were posted before customers were recorded on sales
+  const customers = new Map();
+  for (const sale of sales.filter(sale => sale.Activity === 'Sales' && sale.Customer)) {
+    const key = String(sale.Customer._id);
+    if (!customers.has(key)) {
+      customers.set(key, { ...sale.Customer, quantity: 0, batches: [] });
+    }
+    const customer = customers.get(key);
+    customer.quantity = round(customer.quantity + sale.Quantity);
+    if (!customer.batches.includes(sale.Batch)) customer.batches.push(sale.Batch);
+  }
+
+  return {
+    batch,
+    material: records[0].Material,
+    materialCode: records[0].MaterialCode,
+    ...(await getMaterialSource(batch)),
+    productBatches,
+    sales: sales.map(sale => ({
+      _id: sale._id,
+      date: sale.Date,
+      activity: sale.Activity,
+      product: sale.Product,
+      batch: sale.Batch,
+      quantity: sale.Quantity,
+      category: sale.Category,
+      documentNumber: sale.DocumentNumber,
+      customer: sale.Customer || null
+    })),
+    customers: [...customers.values()],
+    unattributedSales: sales.filter(sale => sale.Activity === 'Sales' && !sale.Customer).length
+  };
+};
+
+/**
+ * Move consumption links to a production batch's new name once no Production record
+ * uses the old one (several records of a day can share an auto-generated batch)
+ */
+export const relinkProductionBatch = async (oldBatch, newBatch) => {
+  if (!oldBatch || !newBatch || oldBatch === newBatch) return 0;
+
+  const stillUsed = await ProductionManagement.exists({ Batch: oldBatch, Activity: 'Production' });
+  if (stillUsed) return 0;
+
+  const result = await MaterialRI.updateMany({ ProductionBatch: oldBatch }, { ProductionBatch: newBatch });
+  return result.modifiedCount;
+};
\ No newline at end of file
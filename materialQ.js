@@ -1,6 +1,9 @@
 import express from 'express';
 import MaterialQ from '../models/MaterialQ.js';
-import Material from '../models/Material.js';
+import Material from '../models/Material2.js';
+import MaterialRI from '../models/MaterialRI.js';
+import MaterialBatch from '../models/MaterialBatch.js';
+import { applyQualityResult, HELD_STATUSES } from '../utils/qualityHold.js';
 import { auth, adminAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -15,7 +18,7 @@ router.get('/', auth, async (req, res) => {
         if (material) filter.material = material;
 
         const qualityChecks = await MaterialQ.find(filter)
-            .populate('material', 'name code unit category')
+            .populate('material', 'Material MaterialCode Unit')
             .populate('supplier', 'name code')
             .populate('testedBy', 'firstName lastName')
             .populate('approvedBy', 'firstName lastName')
@@ -46,7 +49,7 @@ router.post('/', auth, async (req, res) => {
         });
 
         await qualityCheck.save();
-        await qualityCheck.populate('material', 'name code unit');
+        await qualityCheck.populate('material', 'Material MaterialCode Unit');
         await qualityCheck.populate('supplier', 'name code');
         await qualityCheck.populate('testedBy', 'firstName lastName');
 
@@ -57,11 +60,38 @@ router.post('/', auth, async (req, res) => {
     }
 });
 
-// Approve/reject material quality
+// Material batches on QC hold (quarantine or rejected) with their stock
+router.get('/holds', auth, async (req, res) => {
+    try {
+        const statuses = req.query.status ? [req.query.status] : HELD_STATUSES;
+
+        const holds = await MaterialBatch.find({ qualityStatus: { $in: statuses } })
+            .populate({ path: 'material', model: Material, select: 'Material MaterialCode Unit' })
+            .sort({ receivedDate: 1 })
+            .lean();
+
+        const batches = await Promise.all(holds.map(async hold => ({
+            ...hold,
+            stock: await MaterialRI.getBatchStock(hold.batchNumber)
+        })));
+
+        res.json(batches);
+    } catch (error) {
+        console.error('Get material quality holds error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Approve/reject material quality. The result releases (approved, conditional) or
+// rejects the quality check's batch, which stays unissuable in quarantine until then.
 router.put('/:id/approve', adminAuth, async (req, res) => {
     try {
         const { overallStatus, comments } = req.body;
 
+        if (!['approved', 'rejected', 'conditional'].includes(overallStatus)) {
+            return res.status(400).json({ message: 'Overall status must be approved, rejected or conditional' });
+        }
+
         const qualityCheck = await MaterialQ.findByIdAndUpdate(
             req.params.id,
             {
@@ -72,7 +102,7 @@ router.put('/:id/approve', adminAuth, async (req, res) => {
             },
             { new: true, runValidators: true }
         )
-        .populate('material', 'name code unit')
+        .populate('material', 'Material MaterialCode Unit')
         .populate('supplier', 'name code')
         .populate('testedBy', 'firstName lastName')
         .populate('approvedBy', 'firstName lastName');
@@ -81,6 +111,8 @@ router.put('/:id/approve', adminAuth, async (req, res) => {
             return res.status(404).json({ message: 'Quality check not found' });
         }
 
+        await applyQualityResult('MaterialRI', qualityCheck.batchNumber, qualityCheck, req.user._id);
+
         res.json(qualityCheck);
     } catch (error) {
         console.error('Approve material quality error:', error);
@@ -2,6 +2,9 @@ import express from 'express';
 import mongoose from 'mongoose';
 import MaterialRI from '../models/MaterialRI.js';
 import Material2 from '../models/Material2.js';
+import { validateLocation, postLocationTransfer } from '../utils/locations.js';
+import { withLedgerTransaction } from '../utils/ledgerLock.js';
+import { costLedger, buildValuationReport } from '../utils/inventoryCosting.js';
 
 const router = express.Router();
 
@@ -98,6 +101,13 @@ const transformRecord = (record) => ({
   Note: record.Note,
   DocumentNumber: record.DocumentNumber,
   Unit: record.Unit,
+  Location: record.Location,
+  TransferLocation: record.TransferLocation,
+  PurchaseOrder: record.PurchaseOrder,
+  Supplier: record.Supplier,
+  ProductionBatch: record.ProductionBatch,
+  UnitCost: record.UnitCost,
+  TotalCost: record.TotalCost,
   createdAt: record.createdAt,
   updatedAt: record.updatedAt
 });
@@ -187,7 +197,9 @@ router.post('/', async (req, res) => {
       ExpireDate,
       Note,
       DocumentNumber,
-      Unit
+      Unit,
+      Location,
+      UnitCost
     } = req.body;
 
     console.log('📥 Received data for new record:', {
@@ -196,6 +208,7 @@ router.post('/', async (req, res) => {
       Quantity,
       Batch,
       DocumentNumber,
+      Location,
       dateValue
     });
 
@@ -216,6 +229,12 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Document number is required' });
     }
 
+    // ✅ Unit cost is optional on receipts; without it the current purchase price is used
+    const hasUnitCost = UnitCost !== undefined && UnitCost !== null && UnitCost !== '';
+    if (hasUnitCost && (Activity !== 'Receive' || isNaN(parseFloat(UnitCost)) || parseFloat(UnitCost) < 0)) {
+      return res.status(400).json({ message: 'Unit cost must be a non-negative number and only applies to Receive' });
+    }
+
     // ✅ Validate ExpireDate for Receive activities - must be on or after transaction date
     if (Activity === 'Receive') {
       if (!ExpireDate) {
@@ -246,6 +265,13 @@ router.post('/', async (req, res) => {
 
     console.log('✅ Material found:', materialDoc);
 
+    let finalLocation;
+    try {
+      finalLocation = await validateLocation(Location, 'Material');
+    } catch (locationError) {
+      return res.status(400).json({ message: locationError.message });
+    }
+
     let finalBatch = Batch;
     let finalUnit = Unit || materialDoc.unit || 'pcs';
     
@@ -263,16 +289,16 @@ router.post('/', async (req, res) => {
     // ✅ Stock validation for Issue activities
     if (Activity === 'Issue') {
       if (!finalBatch) {
-        return res.status(400).json({ message: 'Batch is required for Issue activities' });
+        return res.status(400).json({ message: 'Batch is required for Issue activities. Use /issue/fefo to allocate batches automatically' });
       }
 
       try {
-        const availableBatches = await MaterialRI.getAvailableBatches(materialName);
+        const availableBatches = await MaterialRI.getAvailableBatches(materialName, finalLocation);
         const selectedBatch = availableBatches.find(b => b._id === finalBatch);
         
         if (!selectedBatch) {
           return res.status(400).json({ 
-            message: `Batch "${finalBatch}" not found for material "${materialName}"` 
+            message: `Batch "${finalBatch}" not found for material "${materialName}" at ${finalLocation}` 
           });
         }
         
@@ -300,7 +326,9 @@ router.post('/', async (req, res) => {
       ExpireDate: Activity === 'Receive' ? new Date(ExpireDate) : undefined,
       Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
       DocumentNumber: DocumentNumber,
-      Unit: finalUnit
+      Unit: finalUnit,
+      Location: finalLocation,
+      UnitCost: hasUnitCost ? parseFloat(UnitCost) : undefined
     });
 
     console.log('💾 Saving record with material name:', {
@@ -344,6 +372,11 @@ router.post('/', async (req, res) => {
     if (error.message && error.message.includes('Insufficient stock')) {
       return res.status(400).json({ message: error.message });
     }
+
+    // Batches held by quality control
+    if (error.message && error.message.includes('quality control')) {
+      return res.status(400).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: 'Error creating record',
@@ -352,6 +385,144 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/material-ri/allocation/fefo - Preview a first-expiry-first-out issue
+router.get('/allocation/fefo', async (req, res) => {
+  try {
+    const { material, quantity, date, location } = req.query;
+
+    if (!material) {
+      return res.status(400).json({ message: 'Material name is required' });
+    }
+    if (!quantity || parseFloat(quantity) <= 0) {
+      return res.status(400).json({ message: 'Valid quantity is required' });
+    }
+
+    const result = await MaterialRI.allocateFEFO(material, parseFloat(quantity), date ? new Date(date) : new Date(), location);
+
+    res.json({ material, location: location || null, requested: parseFloat(quantity), ...result });
+  } catch (error) {
+    console.error('❌ Error previewing FEFO allocation:', error);
+    res.status(500).json({ 
+      message: 'Error previewing FEFO allocation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/material-ri/issue/fefo - Issue by material and quantity only.
+// The quantity is split across batches first-expiry-first-out, one Issue record per batch,
+// all written in one transaction.
+router.post('/issue/fefo', async (req, res) => {
+  try {
+    const {
+      Date: dateValue,
+      Material: materialName,
+      Quantity,
+      Note,
+      DocumentNumber,
+      Unit,
+      Location
+    } = req.body;
+
+    if (!materialName) {
+      return res.status(400).json({ message: 'Material name is required' });
+    }
+
+    if (!Quantity || Quantity <= 0) {
+      return res.status(400).json({ message: 'Valid quantity is required' });
+    }
+
+    if (!DocumentNumber || DocumentNumber.trim() === '') {
+      return res.status(400).json({ message: 'Document number is required' });
+    }
+
+    const materialDoc = await findMaterialByName(materialName);
+    if (!materialDoc) {
+      return res.status(400).json({ 
+        message: `Active material "${materialName}" not found. Please select a valid active material.` 
+      });
+    }
+
+    let location;
+    try {
+      location = await validateLocation(Location, 'Material');
+    } catch (locationError) {
+      return res.status(400).json({ message: locationError.message });
+    }
+
+    const issueDate = dateValue ? new Date(dateValue) : new Date();
+    const quantity = parseFloat(Quantity);
+    const { allocation, shortage, availableStock, expiredStock, heldStock } = await MaterialRI.allocateFEFO(materialName, quantity, issueDate, location);
+
+    if (shortage > 0) {
+      return res.status(400).json({ 
+        message: `Insufficient stock at ${location}. Available: ${availableStock}, Requested: ${quantity}` +
+          (expiredStock > 0 ? ` (${expiredStock} more in expired batches)` : '') +
+          (heldStock > 0 ? ` (${heldStock} more on QC hold)` : ''),
+        availableStock,
+        expiredStock,
+        heldStock
+      });
+    }
+
+    console.log(`📤 FEFO issue of ${quantity} ${materialName} across ${allocation.length} batches`);
+
+    // Every batch is locked and re-checked as its record is saved; if any fails, none is stored
+    const savedRecords = await withLedgerTransaction(async (session) => {
+      const saved = [];
+      for (const line of allocation) {
+        const record = new MaterialRI({
+          Date: issueDate,
+          Activity: 'Issue',
+          Material: materialName,
+          MaterialCode: materialDoc.code,
+          Batch: line.batch,
+          Quantity: line.quantity,
+          Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
+          DocumentNumber: DocumentNumber,
+          Unit: Unit || materialDoc.unit || 'pcs',
+          Location: location
+        });
+
+        saved.push(await record.save({ session }));
+      }
+      return saved;
+    });
+    const records = savedRecords.map(record => transformRecord(record.toObject()));
+
+    materialCache.remove(`material_${materialName.toLowerCase().trim()}`);
+
+    console.log('✅ FEFO issue saved:', savedRecords.map(record => record._id));
+
+    res.status(201).json({
+      message: `Issued ${quantity} from ${allocation.length} batch${allocation.length === 1 ? '' : 'es'}`,
+      allocation,
+      records
+    });
+  } catch (error) {
+    console.error('❌ Error creating FEFO issue:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    if (error.message && error.message.includes('Insufficient stock')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Batches held by quality control
+    if (error.message && error.message.includes('quality control')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ 
+      message: 'Error creating FEFO issue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // ENHANCED PUT /api/material-ri/:id - Fixed update functionality
 router.put('/:id', async (req, res) => {
   try {
@@ -371,7 +542,8 @@ router.put('/:id', async (req, res) => {
       ExpireDate,
       Note,
       DocumentNumber,
-      Unit
+      Unit,
+      Location
     } = req.body;
 
     console.log('📥 Updating record:', { id, materialName, Activity, DocumentNumber });
@@ -408,6 +580,15 @@ router.put('/:id', async (req, res) => {
     const materialCode = existingRecord.MaterialCode; // Keep existing material code
     const finalUnit = Unit || existingRecord.Unit;
 
+    let finalLocation = existingRecord.Location;
+    if (Location) {
+      try {
+        finalLocation = await validateLocation(Location, 'Material');
+      } catch (locationError) {
+        return res.status(400).json({ message: locationError.message });
+      }
+    }
+
     console.log('🔧 Update material handling:', {
       providedMaterial: materialName,
       finalMaterialName,
@@ -415,8 +596,9 @@ router.put('/:id', async (req, res) => {
       unit: finalUnit
     });
 
-    // Update record - use findByIdAndUpdate to ensure pre-save middleware runs
-    const updateData = {
+    // Saved through the document so the save hooks lock the old and new batch, check the
+    // QC hold and refuse an edit the batch stock cannot cover
+    existingRecord.set({
       Date: new Date(dateValue),
       Activity,
       Material: finalMaterialName, // Store material name directly
@@ -426,14 +608,11 @@ router.put('/:id', async (req, res) => {
       ExpireDate: Activity === 'Receive' ? new Date(ExpireDate) : undefined,
       Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
       DocumentNumber,
-      Unit: finalUnit
-    };
+      Unit: finalUnit,
+      Location: finalLocation
+    });
 
-    const updatedRecord = await MaterialRI.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const updatedRecord = await existingRecord.save();
 
     console.log('✅ Record updated successfully:', id);
     
@@ -452,6 +631,10 @@ router.put('/:id', async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid record ID' });
     }
+
+    if (error.message && (error.message.includes('Insufficient stock') || error.message.includes('quality control'))) {
+      return res.status(400).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: 'Error updating record',
@@ -501,20 +684,31 @@ router.delete('/:id', async (req, res) => {
 // GET /api/material-ri/stocks/summary - Stock summary endpoint
 router.get('/stocks/summary', async (req, res) => {
   try {
-    console.log('📊 Fetching stock summary');
+    const location = req.query.location ? req.query.location.toUpperCase() : null;
+    console.log('📊 Fetching stock summary', location ? `at ${location}` : '');
     
     // Use the existing method to get available batches for all materials
-    const availableBatches = await MaterialRI.getAvailableBatches();
+    const availableBatches = await MaterialRI.getAvailableBatches(null, location);
+
+    // Where each batch's stock sits
+    const batchLocations = new Map();
+    for (const row of await MaterialRI.getLocationStock()) {
+      if (location && row._id.location !== location) continue;
+      if (!batchLocations.has(row._id.batch)) batchLocations.set(row._id.batch, []);
+      batchLocations.get(row._id.batch).push({ location: row._id.location, stock: row.stock });
+    }
     
     // Group by material and calculate total stock
     const stockSummary = availableBatches.reduce((acc, batch) => {
       const materialName = batch.material;
+      const locations = batchLocations.get(batch._id) || [];
       
       if (!acc[materialName]) {
         acc[materialName] = {
           materialName: materialName,
           materialCode: batch.materialCode || 'N/A',
           totalStock: 0,
+          locations: {},
           batches: []
         };
       }
@@ -523,13 +717,20 @@ router.get('/stocks/summary', async (req, res) => {
       acc[materialName].batches.push({
         batch: batch._id,
         stock: batch.totalStock,
-        expireDate: batch.expireDate
+        expireDate: batch.expireDate,
+        locations
+      });
+      locations.forEach(entry => {
+        acc[materialName].locations[entry.location] = (acc[materialName].locations[entry.location] || 0) + entry.stock;
       });
       
       return acc;
     }, {});
 
-    const summaryArray = Object.values(stockSummary);
+    const summaryArray = Object.values(stockSummary).map(summary => ({
+      ...summary,
+      locations: Object.entries(summary.locations).map(([code, stock]) => ({ location: code, stock }))
+    }));
     
     console.log(`✅ Stock summary: ${summaryArray.length} materials with stock`);
     res.json(summaryArray);
@@ -545,9 +746,9 @@ router.get('/stocks/summary', async (req, res) => {
 // GET /api/material-ri/batches/available - Available batches
 router.get('/batches/available', async (req, res) => {
   try {
-    const { materialName } = req.query;
+    const { materialName, location } = req.query;
     
-    console.log('🔍 Fetching available batches for material:', materialName);
+    console.log('🔍 Fetching available batches for material:', materialName, location || '');
 
     if (!materialName) {
       return res.status(400).json({ message: 'Material name is required' });
@@ -559,7 +760,7 @@ router.get('/batches/available', async (req, res) => {
       return res.status(400).json({ message: 'Material not found or not active' });
     }
 
-    const availableBatches = await MaterialRI.getAvailableBatches(materialName);
+    const availableBatches = await MaterialRI.getAvailableBatches(materialName, location || null);
     
     console.log(`✅ Found ${availableBatches.length} available batches with stock > 0`);
     
@@ -580,6 +781,98 @@ router.get('/batches/available', async (req, res) => {
   }
 });
 
+// POST /api/material-ri/transfers - Move batch stock between locations.
+// Posts a Transfer Out at the source and a Transfer In at the destination; total stock is unchanged.
+router.post('/transfers', async (req, res) => {
+  try {
+    const {
+      Date: dateValue,
+      Material: materialName,
+      Batch,
+      Quantity,
+      FromLocation,
+      ToLocation,
+      Note,
+      DocumentNumber
+    } = req.body;
+
+    if (!materialName || !Batch) {
+      return res.status(400).json({ message: 'Material name and batch are required' });
+    }
+
+    if (!Quantity || Quantity <= 0) {
+      return res.status(400).json({ message: 'Valid quantity is required' });
+    }
+
+    if (!DocumentNumber || DocumentNumber.trim() === '') {
+      return res.status(400).json({ message: 'Document number is required' });
+    }
+
+    let from, to;
+    try {
+      from = await validateLocation(FromLocation, 'Material');
+      to = await validateLocation(ToLocation, 'Material');
+    } catch (locationError) {
+      return res.status(400).json({ message: locationError.message });
+    }
+
+    if (from === to) {
+      return res.status(400).json({ message: 'From and to locations must be different' });
+    }
+
+    const materialDoc = await findMaterialByName(materialName);
+    if (!materialDoc) {
+      return res.status(400).json({ 
+        message: `Active material "${materialName}" not found. Please select a valid active material.` 
+      });
+    }
+
+    const batchRecord = await MaterialRI.findOne({ Batch, Material: materialName, Activity: 'Receive' }).lean();
+    if (!batchRecord) {
+      return res.status(400).json({ message: `Batch "${Batch}" not found for material "${materialName}"` });
+    }
+
+    console.log(`🔁 Transferring ${Quantity} of ${Batch} from ${from} to ${to}`);
+
+    const records = await postLocationTransfer(MaterialRI, {
+      from,
+      to,
+      Date: dateValue ? new Date(dateValue) : new Date(),
+      Material: materialName,
+      MaterialCode: materialDoc.code,
+      Batch,
+      Quantity: parseFloat(Quantity),
+      ExpireDate: batchRecord.ExpireDate,
+      Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
+      DocumentNumber
+    });
+
+    materialCache.remove(`material_${materialName.toLowerCase().trim()}`);
+
+    res.status(201).json({
+      message: `Transferred ${Quantity} from ${from} to ${to}`,
+      transfer: { batch: Batch, quantity: parseFloat(Quantity), from, to },
+      records: records.map(record => transformRecord(record.toObject()))
+    });
+  } catch (error) {
+    console.error('❌ Error transferring stock:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    if (error.message && error.message.includes('Insufficient stock')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ 
+      message: 'Error transferring stock',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /api/material-ri/stock/:batch - Batch stock
 router.get('/stock/:batch', async (req, res) => {
   try {
@@ -828,79 +1121,34 @@ router.get('/alerts/expiration', async (req, res) => {
   }
 });
 
-// NEW: Get material stock summary with valuation
+// Material stock valued at cost by each material's costing method (FIFO or weighted average), optionally as of a date
 router.get('/stock-valuation', async (req, res) => {
   try {
-    const stockSummary = await MaterialRI.aggregate([
-      {
-        $group: {
-          _id: '$Material',
-          materialCode: { $first: '$MaterialCode' },
-          unit: { $first: '$Unit' },
-          totalReceived: {
-            $sum: {
-              $cond: [{ $eq: ['$Activity', 'Receive'] }, '$Quantity', 0]
-            }
-          },
-          totalIssued: {
-            $sum: {
-              $cond: [{ $eq: ['$Activity', 'Issue'] }, '$Quantity', 0]
-            }
-          }
-        }
-      },
-      {
-        $addFields: {
-          currentStock: { $subtract: ['$totalReceived', '$totalIssued'] }
-        }
-      },
-      {
-        $match: {
-          currentStock: { $gt: 0 }
-        }
-      },
-      {
-        $lookup: {
-          from: 'materials',
-          localField: '_id',
-          foreignField: 'Material',
-          as: 'materialData'
-        }
-      },
-      {
-        $unwind: '$materialData'
-      },
-      {
-        $project: {
-          material: '$_id',
-          materialCode: 1,
-          unit: 1,
-          currentStock: 1,
-          unitPrice: '$materialData.UnitPrice',
-          totalValue: {
-            $multiply: ['$currentStock', '$materialData.UnitPrice']
-          },
-          status: {
-            $cond: [
-              { $lte: ['$currentStock', 0] },
-              'Out of Stock',
-              {
-                $cond: [
-                  { $lte: ['$currentStock', '$materialData.MinimumConsumption'] },
-                  'Low Stock',
-                  'Normal'
-                ]
-              }
-            ]
-          }
-        }
-      },
-      { $sort: { totalValue: -1 } }
-    ]);
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : null;
+    if (asOf && isNaN(asOf)) {
+      return res.status(400).json({ message: 'Invalid asOf date' });
+    }
+
+    const costed = await costLedger(MaterialRI, { until: asOf });
+
+    const stockSummary = [...costed.entries()]
+      .filter(([, result]) => result.closing.quantity > 0)
+      .map(([material, result]) => ({
+        material,
+        materialCode: result.master?.MaterialCode,
+        unit: result.master?.Unit,
+        costingMethod: result.method,
+        currentStock: result.closing.quantity,
+        unitPrice: result.closing.unitCost,
+        totalValue: result.closing.value,
+        status: result.master && result.closing.quantity <= result.master.MinimumConsumption ? 'Low Stock' : 'Normal'
+      }))
+      .sort((a, b) => b.totalValue - a.totalValue);
 
     const totalValuation = stockSummary.reduce((sum, item) => sum + (item.totalValue || 0), 0);
 
     res.json({
+      asOf: asOf || new Date(),
       stockSummary,
       totalValuation: Math.round(totalValuation * 100) / 100,
       totalItems: stockSummary.length,
@@ -916,6 +1164,37 @@ router.get('/stock-valuation', async (req, res) => {
   }
 });
 
+// GET /api/material-ri/valuation-report?startDate&endDate - Opening, receipts, issues (COGS) and closing stock at cost
+router.get('/valuation-report', async (req, res) => {
+  try {
+    const { startDate, endDate, material } = req.query;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: 'startDate and endDate are required' });
+    }
+    if (isNaN(new Date(startDate)) || isNaN(new Date(endDate)) || new Date(startDate) > new Date(endDate)) {
+      return res.status(400).json({ message: 'Invalid reporting period' });
+    }
+
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const report = await buildValuationReport(MaterialRI, {
+      startDate,
+      endDate: end,
+      items: material ? [material] : null
+    });
+
+    console.log(`✅ Material valuation report: ${report.items.length} materials, COGS ${report.totals.cogs.value}`);
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error building material valuation report:', error);
+    res.status(500).json({ 
+      message: 'Error building material valuation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({ 
@@ -1,5 +1,7 @@
 import express from 'express';
 import Material from '../models/Material2.js';
+import MaterialRI from '../models/MaterialRI.js';
+import { recostItem } from '../utils/inventoryCosting.js';
 
 const router = express.Router();
 
@@ -210,7 +212,8 @@ router.post('/', async (req, res) => {
       MaximumConsumption: parseFloat(req.body.MaximumConsumption),
       MinimumLeadTime: parseInt(req.body.MinimumLeadTime),
       MaximumLeadTime: parseInt(req.body.MaximumLeadTime),
-      Status: req.body.Status || 'Active'
+      Status: req.body.Status || 'Active',
+      CostingMethod: req.body.CostingMethod || undefined
     });
 
     const newMaterial = await material.save();
@@ -389,6 +392,16 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    // Validate costing method
+    if (req.body.CostingMethod !== undefined) {
+      const validMethods = ['FIFO', 'Weighted Average'];
+      if (!validMethods.includes(req.body.CostingMethod)) {
+        validationErrors.push(`CostingMethod must be one of: ${validMethods.join(', ')}`);
+      } else {
+        updateData.CostingMethod = req.body.CostingMethod;
+      }
+    }
+
     if (validationErrors.length > 0) {
       return res.status(400).json({ 
         message: 'Validation failed',
@@ -405,6 +418,11 @@ router.put('/:id', async (req, res) => {
       }
     );
 
+    // Stored issue costs follow the item's costing method
+    if (updateData.CostingMethod) {
+      await recostItem(MaterialRI, updatedMaterial.Material);
+    }
+
     // Transform response to include name field
     const transformedMaterial = {
       ...updatedMaterial.toObject(),
@@ -543,6 +561,16 @@ router.patch('/:id', async (req, res) => {
       }
     }
 
+    // Validate costing method
+    if (req.body.CostingMethod !== undefined) {
+      const validMethods = ['FIFO', 'Weighted Average'];
+      if (!validMethods.includes(req.body.CostingMethod)) {
+        validationErrors.push(`CostingMethod must be one of: ${validMethods.join(', ')}`);
+      } else {
+        updateData.CostingMethod = req.body.CostingMethod;
+      }
+    }
+
     if (validationErrors.length > 0) {
       return res.status(400).json({ 
         message: 'Validation failed',
@@ -559,6 +587,11 @@ router.patch('/:id', async (req, res) => {
       }
     );
 
+    // Stored issue costs follow the item's costing method
+    if (updateData.CostingMethod) {
+      await recostItem(MaterialRI, updatedMaterial.Material);
+    }
+
     // Transform response to include name field
     const transformedMaterial = {
       ...updatedMaterial.toObject(),
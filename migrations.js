@@ -0,0 +1,55 @@
+// backend/utils/migrations.js
+import Capacity from '../models/Capacity.js';
+import Line from '../models/LineManagement.js';
+
+// Data fixes run once the database is connected. Each one only touches documents still in
+// the old shape, so running them on every start is safe.
+
+// Capacity records used to name their line 'Line 1'..'Line 4'; they are keyed by the
+// LineManagement line code now. A legacy name is matched to the line of that name or code.
+// Records without a matching line, or whose line already has a capacity record, are left as
+// they are.
+const migrateCapacityLines = async () => {
+  const capacities = await Capacity.find({ lineId: { $exists: false } }).select('productionLine').lean();
+
+  let migrated = 0;
+  for (const capacity of capacities) {
+    const name = capacity.productionLine.trim();
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const line = await Line.findOne({
+      $or: [
+        { lineCode: { $in: [name.toUpperCase(), name.replace(/\s+/g, '').toUpperCase()] } },
+        { lineName: new RegExp(`^${escaped}$`, 'i') }
+      ]
+    }).select('lineCode').lean();
+    if (!line) continue;
+
+    const taken = await Capacity.exists({ productionLine: line.lineCode, _id: { $ne: capacity._id } });
+    if (taken) continue;
+
+    await Capacity.updateOne({ _id: capacity._id }, { $set: { productionLine: line.lineCode, lineId: line._id } });
+    migrated++;
+  }
+  return migrated;
+};
+
+const MIGRATIONS = [
+  ['capacity lines', migrateCapacityLines]
+];
+
+/**
+ * Run every migration, logging the ones that changed something. A failed migration is
+ * logged and retried on the next start.
+ */
+export const runStartupMigrations = async () => {
+  for (const [name, migrate] of MIGRATIONS) {
+    try {
+      const migrated = await migrate();
+      if (migrated > 0) {
+        console.log(`🔧 Migrated ${name}: ${migrated} documents`);
+      }
+    } catch (error) {
+      console.error(`❌ Migration of ${name} failed:`, error);
+    }
+  }
+};
\ No newline at end of file
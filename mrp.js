@@ -0,0 +1,536 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import MRPRun from '../models/MRPRun.js';
+import SalesPlan from '../models/SalesPlan.js';
+import ProductionPlan from '../models/ProductionPlan.js';
+import ProductFormulation from '../models/ProductFormulation.js';
+import ProductRI from '../models/ProductRI.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import MaterialRI from '../models/MaterialRI.js';
+import Material2 from '../models/Material2.js';
+import { PLAN_MONTHS, GREGORIAN_FISCAL_MONTHS, getMonthRange, parseFiscalYear } from '../utils/ethiopianCalendar.js';
+
+const router = express.Router();
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Run MRP for a fiscal year
+router.post('/run', async (req, res) => {
+  try {
+    const { demandSource = 'combined', products, note } = req.body;
+
+    // "2025-2026" or an Ethiopian fiscal year such as "2018"
+    let fiscalYear;
+    try {
+      fiscalYear = parseFiscalYear(req.body.fiscalYear).yearRange;
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!['sales', 'production', 'combined'].includes(demandSource)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Demand source must be sales, production or combined'
+      });
+    }
+
+    const productNames = Array.isArray(products) && products.length > 0 ? products : null;
+    const result = await runMRP(fiscalYear, demandSource, productNames);
+
+    const mrpRun = new MRPRun({
+      fiscalYear,
+      demandSource,
+      note: note || '',
+      ...result
+    });
+    const savedRun = await mrpRun.save();
+
+    res.status(201).json({
+      success: true,
+      data: savedRun,
+      message: `MRP run completed with ${savedRun.plannedOrders.length} planned orders`
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get all MRP runs
+router.get('/', async (req, res) => {
+  try {
+    const { fiscalYear, status } = req.query;
+    const filter = {};
+    if (fiscalYear) filter.fiscalYear = fiscalYear;
+    if (status) filter.status = status;
+
+    const runs = await MRPRun.find(filter)
+      .select('-productRequirements -materialRequirements -plannedOrders')
+      .sort({ runDate: -1 });
+
+    res.json({
+      success: true,
+      data: runs,
+      count: runs.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get planned purchase orders across runs for procurement
+router.get('/planned-orders', async (req, res) => {
+  try {
+    const { status = 'planned', material, runStatus = 'released', releaseBefore } = req.query;
+
+    const runFilter = {};
+    if (runStatus !== 'all') runFilter.status = runStatus;
+
+    const runs = await MRPRun.find(runFilter)
+      .select('runNumber fiscalYear runDate plannedOrders')
+      .sort({ runDate: -1 })
+      .lean();
+
+    const releaseLimit = releaseBefore ? new Date(releaseBefore) : null;
+    const plannedOrders = [];
+
+    for (const run of runs) {
+      for (const order of run.plannedOrders) {
+        if (status !== 'all' && order.status !== status) continue;
+        if (material && order.materialName !== material) continue;
+        if (releaseLimit && new Date(order.releaseDate) > releaseLimit) continue;
+
+        plannedOrders.push({
+          ...order,
+          runId: run._id,
+          runNumber: run.runNumber,
+          fiscalYear: run.fiscalYear
+        });
+      }
+    }
+
+    plannedOrders.sort((a, b) => new Date(a.releaseDate) - new Date(b.releaseDate));
+
+    res.json({
+      success: true,
+      data: plannedOrders,
+      count: plannedOrders.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get MRP run by ID
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid MRP run ID'
+      });
+    }
+
+    const run = await MRPRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'MRP run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update MRP run status (draft -> released -> closed)
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const { status } = req.body;
+    const run = await MRPRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'MRP run not found'
+      });
+    }
+
+    const allowedTransitions = {
+      draft: ['released', 'closed'],
+      released: ['closed'],
+      closed: []
+    };
+
+    if (!allowedTransitions[run.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change MRP run status from ${run.status} to ${status}`
+      });
+    }
+
+    run.status = status;
+    const updatedRun = await run.save();
+
+    res.json({
+      success: true,
+      data: updatedRun,
+      message: 'MRP run status updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a planned order (procurement releases or cancels it)
+router.patch('/:id/planned-orders/:orderId', async (req, res) => {
+  try {
+    const { status, quantity } = req.body;
+    const run = await MRPRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'MRP run not found'
+      });
+    }
+
+    const order = run.plannedOrders.id(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Planned order not found'
+      });
+    }
+
+    if (status) order.status = status;
+    if (quantity !== undefined) {
+      order.quantity = parseFloat(quantity);
+      order.estimatedCost = round(order.quantity * order.unitPrice);
+    }
+
+    run.summary.estimatedCost = round(run.plannedOrders
+      .filter(o => o.status !== 'cancelled')
+      .reduce((sum, o) => sum + o.estimatedCost, 0));
+
+    const updatedRun = await run.save();
+
+    res.json({
+      success: true,
+      data: updatedRun.plannedOrders.id(req.params.orderId),
+      message: 'Planned order updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a draft MRP run
+router.delete('/:id', async (req, res) => {
+  try {
+    const run = await MRPRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'MRP run not found'
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft MRP runs can be deleted'
+      });
+    }
+
+    await MRPRun.findByIdAndDelete(req.params.id);
+    res.json({
+      success: true,
+      message: 'MRP run deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// MRP Calculation Functions
+
+// First day of a plan month, e.g. ('2025-2026', 'January') -> 2026-01-01,
+// ('2025-2026', 'Meskerem') -> 2025-09-11
+const getPeriodStart = (fiscalYear, monthName) => getMonthRange(fiscalYear, monthName).start;
+
+// Gregorian and Ethiopian plan months of a fiscal year in date order
+const getPlanMonths = (fiscalYear) => PLAN_MONTHS
+  .map(month => ({ month, ...getMonthRange(fiscalYear, month) }))
+  .sort((a, b) => a.start - b.start);
+
+// Collect monthly demand per product from sales plans and production plans
+const collectDemand = async (fiscalYear, demandSource, productNames) => {
+  const salesDemand = new Map();
+  const productionDemand = new Map();
+
+  const addDemand = (target, productName, month, quantity) => {
+    if (!target.has(productName)) target.set(productName, new Map());
+    const periods = target.get(productName);
+    periods.set(month, (periods.get(month) || 0) + quantity);
+  };
+
+  if (demandSource !== 'production') {
+    const salesFilter = { fiscalYear, status: 'Active' };
+    if (productNames) salesFilter.productName = { $in: productNames };
+
+    const salesPlans = await SalesPlan.find(salesFilter).lean();
+    for (const plan of salesPlans) {
+      addDemand(salesDemand, plan.productName, plan.month, plan.targetQuantity);
+    }
+  }
+
+  if (demandSource !== 'sales') {
+    const productionFilter = { yearRange: fiscalYear, status: { $ne: 'completed' } };
+    if (productNames) productionFilter.productName = { $in: productNames };
+
+    const productionPlans = await ProductionPlan.find(productionFilter).lean();
+    for (const plan of productionPlans) {
+      for (const quarter of plan.quarterlyBreakdown || []) {
+        for (const month of quarter.months || []) {
+          // Production plan months are fiscal month numbers, 1 = July
+          const monthName = GREGORIAN_FISCAL_MONTHS[month.month - 1];
+          if (monthName && month.quantity > 0) {
+            addDemand(productionDemand, plan.productName, monthName, month.quantity);
+          }
+        }
+      }
+    }
+  }
+
+  // Production plans take precedence over sales targets for any month they
+  // overlap, including Ethiopian-month sales targets against Gregorian plan months
+  const demand = new Map();
+  const allProducts = new Set([...salesDemand.keys(), ...productionDemand.keys()]);
+  const planMonths = getPlanMonths(fiscalYear);
+
+  for (const productName of allProducts) {
+    const periods = new Map();
+    const productionMonths = planMonths.filter(month => productionDemand.get(productName)?.has(month.month));
+
+    for (const { month, start, end } of planMonths) {
+      const productionQuantity = productionDemand.get(productName)?.get(month);
+      const salesQuantity = salesDemand.get(productName)?.get(month);
+      const coveredByProduction = productionMonths.some(plan => plan.start <= end && plan.end >= start);
+
+      if (productionQuantity !== undefined) {
+        periods.set(month, { quantity: productionQuantity, source: 'production' });
+      } else if (salesQuantity !== undefined && !coveredByProduction) {
+        periods.set(month, { quantity: salesQuantity, source: 'sales' });
+      }
+    }
+    demand.set(productName, periods);
+  }
+
+  return demand;
+};
+
+const runMRP = async (fiscalYear, demandSource, productNames) => {
+  const warnings = [];
+  const productRequirements = [];
+  const materialGross = new Map();
+
+  const demand = await collectDemand(fiscalYear, demandSource, productNames);
+  const planMonths = getPlanMonths(fiscalYear).map(period => period.month);
+
+  if (demand.size === 0) {
+    warnings.push(`No ${demandSource === 'combined' ? 'sales or production' : demandSource} plans found for ${fiscalYear}`);
+  }
+
+  // Net finished goods and explode the remainder through the formulation
+  for (const [productName, periods] of demand) {
+    const [storeStock, productionStock] = await Promise.all([
+      ProductRI.getProductStock(productName),
+      ProductionManagement.getProductStock(productName)
+    ]);
+    let projectedOnHand = storeStock + productionStock;
+
+    for (const month of planMonths) {
+      const periodDemand = periods.get(month);
+      if (!periodDemand) continue;
+
+      const periodStart = getPeriodStart(fiscalYear, month);
+      const netRequirement = Math.max(0, periodDemand.quantity - projectedOnHand);
+      projectedOnHand = Math.max(0, projectedOnHand - periodDemand.quantity);
+
+      productRequirements.push({
+        productName,
+        period: month,
+        periodStart,
+        grossRequirement: periodDemand.quantity,
+        projectedOnHand,
+        netRequirement,
+        source: periodDemand.source
+      });
+
+      if (netRequirement <= 0) continue;
+
+      const materials = await ProductFormulation.explode(productName, netRequirement);
+      if (materials.length === 0) {
+        warnings.push(`No active formulation for "${productName}" - ${netRequirement} units in ${month} not exploded`);
+        continue;
+      }
+
+      for (const material of materials) {
+        if (!materialGross.has(material.materialName)) {
+          materialGross.set(material.materialName, { unit: material.materialUnit, periods: new Map() });
+        }
+        const entry = materialGross.get(material.materialName);
+        entry.periods.set(month, (entry.periods.get(month) || 0) + material.requiredQuantity);
+      }
+    }
+  }
+
+  // Net material requirements against store stock and plan purchases by lead time
+  const materialRequirements = [];
+  const plannedOrders = [];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  for (const [materialName, { unit, periods }] of materialGross) {
+    const [material, batches] = await Promise.all([
+      Material2.findOne({ Material: materialName }).lean(),
+      MaterialRI.getAvailableBatches(materialName)
+    ]);
+
+    if (!material) {
+      warnings.push(`Material "${materialName}" used in formulations was not found in the material master`);
+    }
+
+    const packSize = material?.PackSize > 0 ? material.PackSize : 0;
+    const minimumLeadTime = material?.MinimumLeadTime || 0;
+    const maximumLeadTime = material?.MaximumLeadTime || minimumLeadTime;
+    const unitPrice = material?.UnitPrice || 0;
+
+    for (const month of planMonths) {
+      const grossRequirement = periods.get(month);
+      if (!grossRequirement) continue;
+
+      const requiredDate = getPeriodStart(fiscalYear, month);
+
+      // Only batches that are still usable on the required date count as on hand
+      const usableStock = batches
+        .filter(batch => !batch.expireDate || new Date(batch.expireDate) >= requiredDate)
+        .reduce((sum, batch) => sum + batch.totalStock, 0);
+      const consumed = materialRequirements
+        .filter(r => r.materialName === materialName)
+        .reduce((sum, r) => sum + r.grossRequirement, 0);
+      const ordered = plannedOrders
+        .filter(o => o.materialName === materialName)
+        .reduce((sum, o) => sum + o.quantity, 0);
+      const availableBefore = Math.max(0, usableStock + ordered - consumed);
+
+      const netRequirement = Math.max(0, grossRequirement - availableBefore);
+
+      let orderQuantity = 0;
+      if (netRequirement > 0) {
+        orderQuantity = packSize ? Math.ceil(netRequirement / packSize) * packSize : netRequirement;
+        const releaseDate = new Date(requiredDate.getTime() - maximumLeadTime * DAY_MS);
+        const latestReleaseDate = new Date(requiredDate.getTime() - minimumLeadTime * DAY_MS);
+
+        plannedOrders.push({
+          materialName,
+          materialCode: material?.MaterialCode || '',
+          unit: material?.Unit || unit,
+          period: month,
+          requiredDate,
+          releaseDate,
+          latestReleaseDate,
+          grossRequirement: round(grossRequirement),
+          netRequirement: round(netRequirement),
+          quantity: round(orderQuantity),
+          unitPrice,
+          estimatedCost: round(orderQuantity * unitPrice),
+          leadTime: {
+            minimum: minimumLeadTime,
+            maximum: maximumLeadTime
+          },
+          pastDue: latestReleaseDate < today
+        });
+      }
+
+      materialRequirements.push({
+        materialName,
+        unit: material?.Unit || unit,
+        period: month,
+        requiredDate,
+        grossRequirement: round(grossRequirement),
+        projectedOnHand: round(Math.max(0, availableBefore + orderQuantity - grossRequirement)),
+        netRequirement: round(netRequirement)
+      });
+    }
+  }
+
+  plannedOrders.sort((a, b) => a.releaseDate - b.releaseDate);
+
+  const pastDueOrders = plannedOrders.filter(order => order.pastDue).length;
+  if (pastDueOrders > 0) {
+    warnings.push(`${pastDueOrders} planned orders are past due for release`);
+  }
+
+  return {
+    productRequirements,
+    materialRequirements,
+    plannedOrders,
+    warnings,
+    summary: {
+      totalProducts: demand.size,
+      totalMaterials: materialGross.size,
+      totalPlannedOrders: plannedOrders.length,
+      estimatedCost: round(plannedOrders.reduce((sum, order) => sum + order.estimatedCost, 0))
+    }
+  };
+};
+
+export default router;
\ No newline at end of file
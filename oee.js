@@ -0,0 +1,221 @@
+// backend/utils/oee.js
+import Capacity from '../models/Capacity.js';
+import Line from '../models/LineManagement.js';
+import ProductionSchedule from '../models/ProductionSchedule.js';
+import MaintenanceMngt from '../models/MaintenanceMngt.js';
+import WorkOrder from '../models/WorkOrder.js';
+import ProductQ from '../models/ProductQ.js';
+import { loadWorkingCalendar, toDateKey, eachDay, startOfDay } from './workingCalendar.js';
+
+// Overall Equipment Effectiveness per production line:
+//   availability = run time / planned time, where planned time is the shift hours less planned
+//                  maintenance and run time is planned time less breakdown downtime
+//   performance  = work order output / (run time x line hourly capacity)
+//   quality      = ProductQ accepted / tested quantity of the batches the line produced
+// OEE is their product. Output comes from work order outputs, so production recorded outside
+// a work order has no line and is not counted.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const ratio = (value, total) => (total > 0 ? Math.min(1, value / total) : null);
+
+const getBucketKey = (date, bucket) => {
+  if (bucket === 'day') return toDateKey(date);
+  if (bucket === 'month') return toDateKey(date).substring(0, 7);
+
+  const weekStart = new Date(date);
+  weekStart.setDate(weekStart.getDate() - ((date.getDay() + 6) % 7));
+  return toDateKey(weekStart);
+};
+
+// Work order outputs of the line in the window, one entry per output
+const getLineOutputs = async (line, start, end) => {
+  const schedules = await ProductionSchedule.find({
+    $or: [{ lineId: line._id }, { lineCode: line.lineCode }]
+  }).select('_id').lean();
+
+  const workOrders = await WorkOrder.find({
+    schedule: { $in: schedules.map(schedule => schedule._id) },
+    outputs: { $elemMatch: { date: { $gte: start, $lte: end } } }
+  }).select('outputs.batch outputs.date outputs.quantity').lean();
+
+  return workOrders.flatMap(order => order.outputs)
+    .filter(output => output.date >= start && output.date <= end);
+};
+
+const summarize = (entry, hourlyCapacity) => {
+  const plannedHours = Math.max(0, entry.shiftHours - entry.plannedDowntimeHours);
+  const runHours = Math.max(0, plannedHours - entry.breakdownHours);
+  const idealOutput = runHours * hourlyCapacity;
+
+  const availability = ratio(runHours, plannedHours);
+  const performance = ratio(entry.output, idealOutput);
+  // Untested output counts as good until QC says otherwise
+  const quality = entry.testedQuantity > 0 ? ratio(entry.acceptedQuantity, entry.testedQuantity) : (entry.output > 0 ? 1 : null);
+  const oee = availability !== null && performance !== null && quality !== null
+    ? availability * performance * quality
+    : null;
+
+  const goodOutput = entry.output * (quality ?? 1);
+  const outputHours = hourlyCapacity > 0 ? entry.output / hourlyCapacity : 0;
+
+  return {
+    ...entry,
+    shiftHours: round(entry.shiftHours),
+    plannedDowntimeHours: round(entry.plannedDowntimeHours),
+    breakdownHours: round(entry.breakdownHours),
+    plannedHours: round(plannedHours),
+    runHours: round(runHours),
+    output: round(entry.output),
+    idealOutput: Math.round(idealOutput),
+    goodOutput: round(goodOutput),
+    availability: availability === null ? null : round(availability * 100),
+    performance: performance === null ? null : round(performance * 100),
+    quality: quality === null ? null : round(quality * 100),
+    oee: oee === null ? null : round(oee * 100),
+    // Planned time lost to each OEE factor, in hours
+    losses: {
+      availabilityHours: round(Math.min(entry.breakdownHours, plannedHours)),
+      performanceHours: round(Math.max(0, runHours - outputHours)),
+      qualityHours: hourlyCapacity > 0 ? round((entry.output - goodOutput) / hourlyCapacity) : 0,
+      rejectedQuantity: round(entry.rejectedQuantity)
+    }
+  };
+};
+
+/**
+ * OEE of one line between two dates, bucketed by day, week or month
+ */
+export const calculateLineOEE = async (line, start, end, bucket = 'day') => {
+  const [calendar, maintenance, outputs] = await Promise.all([
+    loadWorkingCalendar(start, end),
+    MaintenanceMngt.find({
+      $or: [{ line: line._id }, { equipmentCode: line.lineCode }],
+      status: { $ne: 'cancelled' },
+      downtimeHours: { $gt: 0 },
+      $and: [{
+        $or: [
+          { startDate: { $gte: start, $lte: end } },
+          { startDate: { $exists: false }, reportedDate: { $gte: start, $lte: end } }
+        ]
+      }]
+    }).select('downtimeHours startDate reportedDate maintenanceType').lean(),
+    getLineOutputs(line, start, end)
+  ]);
+
+  // QC results count in the period the batch was produced
+  const batchDates = new Map();
+  outputs.forEach(output => {
+    if (!batchDates.has(output.batch)) batchDates.set(output.batch, output.date);
+  });
+  const inspections = await ProductQ.find({ batchNumber: { $in: [...batchDates.keys()] } })
+    .select('batchNumber quantityTested quantityAccepted quantityRejected')
+    .lean();
+
+  const buckets = new Map();
+  const bucketFor = (date) => {
+    const key = getBucketKey(date, bucket);
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        period: key,
+        shiftHours: 0,
+        plannedDowntimeHours: 0,
+        breakdownHours: 0,
+        output: 0,
+        testedQuantity: 0,
+        acceptedQuantity: 0,
+        rejectedQuantity: 0
+      });
+    }
+    return buckets.get(key);
+  };
+
+  for (const day of eachDay(start, end)) {
+    bucketFor(day).shiftHours += calendar.getAvailableHours(line, day);
+  }
+  for (const record of maintenance) {
+    const entry = bucketFor(startOfDay(record.startDate || record.reportedDate));
+    if (record.maintenanceType === 'breakdown') {
+      entry.breakdownHours += record.downtimeHours;
+    } else {
+      entry.plannedDowntimeHours += record.downtimeHours;
+    }
+  }
+  for (const output of outputs) {
+    bucketFor(startOfDay(output.date)).output += output.quantity;
+  }
+  for (const inspection of inspections) {
+    const entry = bucketFor(startOfDay(batchDates.get(inspection.batchNumber)));
+    const accepted = inspection.quantityAccepted || 0;
+    const rejected = inspection.quantityRejected || 0;
+    entry.testedQuantity += inspection.quantityTested || accepted + rejected;
+    entry.acceptedQuantity += accepted;
+    entry.rejectedQuantity += rejected;
+  }
+
+  const hourlyCapacity = line.capacity?.hourlyCapacity || 0;
+  const periods = [...buckets.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(entry => summarize(entry, hourlyCapacity));
+
+  const totals = summarize([...buckets.values()].reduce((sum, entry) => ({
+    shiftHours: sum.shiftHours + entry.shiftHours,
+    plannedDowntimeHours: sum.plannedDowntimeHours + entry.plannedDowntimeHours,
+    breakdownHours: sum.breakdownHours + entry.breakdownHours,
+    output: sum.output + entry.output,
+    testedQuantity: sum.testedQuantity + entry.testedQuantity,
+    acceptedQuantity: sum.acceptedQuantity + entry.acceptedQuantity,
+    rejectedQuantity: sum.rejectedQuantity + entry.rejectedQuantity
+  }), {
+    shiftHours: 0,
+    plannedDowntimeHours: 0,
+    breakdownHours: 0,
+    output: 0,
+    testedQuantity: 0,
+    acceptedQuantity: 0,
+    rejectedQuantity: 0
+  }), hourlyCapacity);
+
+  return {
+    productionLine: line.lineCode,
+    lineId: line._id,
+    lineName: line.lineName,
+    status: line.status,
+    hourlyCapacity,
+    bucket,
+    ...totals,
+    periods
+  };
+};
+
+/**
+ * Store each line's OEE over the trailing window (OEE_EFFICIENCY_DAYS, default 30) as
+ * Capacity.efficiency. Lines with no output in the window keep their current value.
+ */
+export const refreshCapacityEfficiency = async ({ lineId, asOf = new Date() } = {}) => {
+  const days = parseInt(process.env.OEE_EFFICIENCY_DAYS, 10) || 30;
+  const end = new Date(asOf);
+  end.setHours(23, 59, 59, 999);
+  const start = startOfDay(end);
+  start.setDate(start.getDate() - days + 1);
+
+  const lines = await Line.find(lineId ? { _id: lineId } : { status: { $ne: 'inactive' } });
+  const results = [];
+
+  for (const line of lines) {
+    const oee = await calculateLineOEE(line, start, end, 'month');
+    if (oee.oee === null) {
+      results.push({ productionLine: line.lineCode, efficiency: null, updated: false });
+      continue;
+    }
+
+    await Capacity.findOneAndUpdate(
+      { productionLine: line.lineCode },
+      { $set: { lineId: line._id, efficiency: oee.oee, efficiencyUpdatedAt: new Date() } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    results.push({ productionLine: line.lineCode, efficiency: oee.oee, updated: true });
+  }
+
+  return { startDate: start, endDate: end, lines: results };
+};
\ No newline at end of file
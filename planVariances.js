@@ -0,0 +1,288 @@
+import express from 'express';
+import SalesPlan from '../models/SalesPlan.js';
+import InventoryPlan from '../models/InventoryPlan.js';
+import MasterSchedule from '../models/MasterSchedule.js';
+import DailySalesForm from '../models/DailySalesForm.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import ProductRI from '../models/ProductRI.js';
+import MaterialRI from '../models/MaterialRI.js';
+import {
+  parseFiscalYear,
+  getFiscalYearRange,
+  getMonthRange,
+  getCalendarMonthRange
+} from '../utils/ethiopianCalendar.js';
+
+const router = express.Router();
+
+const VARIANCE_TYPES = ['sales', 'production', 'inventory'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const buildVariance = (plan, actual) => {
+  const variance = actual - plan;
+  return {
+    plan: round(plan),
+    actual: round(actual),
+    variance: round(variance),
+    variancePercent: plan !== 0 ? round((variance / plan) * 100) : null
+  };
+};
+
+const summarize = (rows) => {
+  const plan = rows.reduce((sum, row) => sum + row.plan, 0);
+  const actual = rows.reduce((sum, row) => sum + row.actual, 0);
+  return { rows: rows.length, ...buildVariance(plan, actual) };
+};
+
+// Quantity on an activity ledger within a date range
+const sumActivity = async (Model, match, start, end) => {
+  const result = await Model.aggregate([
+    { $match: { ...match, Date: { $gte: start, $lte: end } } },
+    { $group: { _id: null, quantity: { $sum: '$Quantity' } } }
+  ]);
+  return result.length > 0 ? result[0].quantity : 0;
+};
+
+// Finished goods on hand as of a date: production floor plus the product store
+const getProductBalance = async (productName, asOf) => {
+  const [store, floor] = await Promise.all([
+    ProductRI.getProductStock(productName, asOf),
+    ProductionManagement.getProductStock(productName, asOf)
+  ]);
+  return store + floor;
+};
+
+// Plan/actual rows for sales plans against 'Sales' activity
+const getSalesVariance = async (yearRange, productName) => {
+  const filter = { fiscalYear: yearRange, status: 'Active' };
+  if (productName) filter.productName = productName;
+
+  const plans = await SalesPlan.find(filter).lean();
+  const rows = [];
+
+  for (const plan of plans) {
+    const { start, end } = plan.periodStart
+      ? { start: plan.periodStart, end: plan.periodEnd }
+      : getMonthRange(plan.fiscalYear, plan.month);
+    const actual = await sumActivity(DailySalesForm, { Activity: 'Sales', Product: plan.productName }, start, end);
+
+    rows.push({
+      productName: plan.productName,
+      unit: plan.unit,
+      fiscalYear: plan.fiscalYear,
+      month: plan.month,
+      start,
+      end,
+      ...buildVariance(plan.targetQuantity, actual)
+    });
+  }
+
+  return rows.sort((a, b) => a.productName.localeCompare(b.productName) || a.start - b.start);
+};
+
+// Master schedule monthly targets that fall in the fiscal year, with actual production.
+// Read-only; POST /master-schedules/actuals stores the actuals on the schedules.
+const getProductionVariance = async (yearRange, productName) => {
+  const { ethiopianFiscalYear } = parseFiscalYear(yearRange);
+  const { start: fiscalStart, end: fiscalEnd } = getFiscalYearRange(yearRange);
+  const startYear = parseInt(yearRange.split('-')[0]);
+
+  // Gregorian-year and Ethiopian-year schedules can both reach into the fiscal year
+  const filter = { year: { $in: [startYear, startYear + 1, ethiopianFiscalYear - 1, ethiopianFiscalYear] } };
+  if (productName) filter.productName = productName;
+
+  const schedules = await MasterSchedule.find(filter).lean();
+  const rows = [];
+
+  for (const schedule of schedules) {
+    for (const target of schedule.monthlyTargets) {
+      let range;
+      try {
+        range = getCalendarMonthRange(schedule.year, target.month);
+      } catch (error) {
+        continue;
+      }
+      if (range.start < fiscalStart || range.start > fiscalEnd) continue;
+
+      const actual = await sumActivity(
+        ProductionManagement,
+        { Activity: 'Production', Product: schedule.productName },
+        range.start,
+        range.end
+      );
+
+      rows.push({
+        scheduleId: schedule._id,
+        targetId: target._id,
+        productName: schedule.productName,
+        year: schedule.year,
+        month: target.month,
+        start: range.start,
+        end: range.end,
+        ...buildVariance(target.target || 0, actual)
+      });
+    }
+  }
+
+  return rows.sort((a, b) => a.productName.localeCompare(b.productName) || a.start - b.start);
+};
+
+// Opening/closing balance plans against ledger balances at the period boundary
+const getInventoryVariance = async (yearRange, itemName) => {
+  const startYear = parseInt(yearRange.split('-')[0]);
+  const filter = { fiscalYear: startYear };
+  if (itemName) filter.item = itemName;
+
+  const plans = await InventoryPlan.find(filter).lean();
+  const rows = [];
+
+  for (const plan of plans) {
+    const { start, end } = plan.periodStart
+      ? { start: plan.periodStart, end: plan.periodEnd }
+      : getMonthRange(yearRange, plan.month);
+
+    // Opening balance is everything posted before the month starts
+    const asOf = plan.balanceType === 'Opening Balance' ? new Date(start.getTime() - 1) : end;
+    const actual = plan.category === 'Material'
+      ? await MaterialRI.getMaterialStock(plan.item, asOf)
+      : await getProductBalance(plan.item, asOf);
+
+    rows.push({
+      category: plan.category,
+      item: plan.item,
+      unit: plan.unit,
+      fiscalYear: yearRange,
+      month: plan.month,
+      balanceType: plan.balanceType,
+      asOf,
+      ...buildVariance(plan.quantity, actual)
+    });
+  }
+
+  return rows.sort((a, b) =>
+    a.category.localeCompare(b.category) ||
+    a.item.localeCompare(b.item) ||
+    a.asOf - b.asOf
+  );
+};
+
+// Plan vs actual for sales, production and inventory plans in a fiscal year
+router.get('/', async (req, res) => {
+  try {
+    const { type, product } = req.query;
+
+    let yearRange;
+    try {
+      ({ yearRange } = parseFiscalYear(req.query.fiscalYear));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const types = type ? [type] : VARIANCE_TYPES;
+    if (types.some(t => !VARIANCE_TYPES.includes(t))) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of ${VARIANCE_TYPES.join(', ')}`
+      });
+    }
+
+    const data = {};
+    if (types.includes('sales')) {
+      const rows = await getSalesVariance(yearRange, product);
+      data.sales = { summary: summarize(rows), rows };
+    }
+    if (types.includes('production')) {
+      const rows = await getProductionVariance(yearRange, product);
+      data.production = { summary: summarize(rows), rows };
+    }
+    if (types.includes('inventory')) {
+      const rows = await getInventoryVariance(yearRange, product);
+      data.inventory = { summary: summarize(rows), rows };
+    }
+
+    res.json({
+      success: true,
+      fiscalYear: yearRange,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error calculating plan variance:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Write actual production into MasterSchedule monthly and weekly targets
+router.post('/master-schedules/actuals', async (req, res) => {
+  try {
+    const { year, productName } = req.body;
+
+    if (!year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Year is required'
+      });
+    }
+
+    const filter = { year: parseInt(year) };
+    if (productName) filter.productName = productName;
+
+    const schedules = await MasterSchedule.find(filter);
+    let updatedTargets = 0;
+
+    for (const schedule of schedules) {
+      const match = { Activity: 'Production', Product: schedule.productName };
+
+      for (const target of schedule.monthlyTargets) {
+        let range;
+        try {
+          range = getCalendarMonthRange(schedule.year, target.month);
+        } catch (error) {
+          continue;
+        }
+        target.actual = await sumActivity(ProductionManagement, match, range.start, range.end);
+        updatedTargets++;
+      }
+
+      // Weekly targets in ISO week form, e.g. "2025-W07"
+      for (const target of schedule.weeklyTargets) {
+        const isoWeek = /^(\d{4})-W(\d{1,2})$/.exec(target.week || '');
+        if (!isoWeek) continue;
+
+        const weekYear = parseInt(isoWeek[1]);
+        const january4 = new Date(weekYear, 0, 4);
+        const start = new Date(weekYear, 0, 4 - ((january4.getDay() + 6) % 7) + (parseInt(isoWeek[2]) - 1) * 7);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 6);
+        end.setHours(23, 59, 59, 999);
+
+        target.actual = await sumActivity(ProductionManagement, match, start, end);
+        updatedTargets++;
+      }
+
+      await schedule.save();
+    }
+
+    console.log(`✅ Updated ${updatedTargets} master schedule actuals for ${year}`);
+
+    res.json({
+      success: true,
+      message: `Updated ${updatedTargets} targets across ${schedules.length} master schedules`,
+      data: schedules
+    });
+  } catch (error) {
+    console.error('❌ Error updating master schedule actuals:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -1,6 +1,9 @@
 import express from 'express';
 import ProductQ from '../models/ProductQ.js';
-import Product from '/models/Product.js';
+import Product from '../models/Product.js';
+import ProductRI from '../models/ProductRI.js';
+import BatchQuality from '../models/BatchQuality.js';
+import { applyQualityResult, HELD_STATUSES } from '../utils/qualityHold.js';
 import { auth, adminAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -15,7 +18,7 @@ router.get('/', auth, async (req, res) => {
         if (product) filter.product = product;
 
         const qualityChecks = await ProductQ.find(filter)
-            .populate('product', 'name code unit category')
+            .populate('product', 'Product ProductCode Unit')
             .populate('testedBy', 'firstName lastName')
             .populate('approvedBy', 'firstName lastName')
             .limit(limit * 1)
@@ -45,7 +48,7 @@ router.post('/', auth, async (req, res) => {
         });
 
         await qualityCheck.save();
-        await qualityCheck.populate('product', 'name code unit');
+        await qualityCheck.populate('product', 'Product ProductCode Unit');
         await qualityCheck.populate('testedBy', 'firstName lastName');
 
         res.status(201).json(qualityCheck);
@@ -55,6 +58,63 @@ router.post('/', auth, async (req, res) => {
     }
 });
 
+// Product batches on QC hold (quarantine or rejected) with their store stock
+router.get('/holds', auth, async (req, res) => {
+    try {
+        const statuses = req.query.status ? [req.query.status] : HELD_STATUSES;
+
+        const holds = await BatchQuality.find({ ledger: 'ProductRI', status: { $in: statuses } })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const batches = await Promise.all(holds.map(async hold => ({
+            ...hold,
+            stock: await ProductRI.getBatchStock(hold.batch)
+        })));
+
+        res.json(batches);
+    } catch (error) {
+        console.error('Get product quality holds error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Approve/reject product quality. The result releases (approved, conditional) or
+// rejects the quality check's batch, which stays unissuable in quarantine until then.
+router.put('/:id/approve', adminAuth, async (req, res) => {
+    try {
+        const { overallStatus } = req.body;
+
+        if (!['approved', 'rejected', 'conditional'].includes(overallStatus)) {
+            return res.status(400).json({ message: 'Overall status must be approved, rejected or conditional' });
+        }
+
+        const qualityCheck = await ProductQ.findByIdAndUpdate(
+            req.params.id,
+            {
+                overallStatus,
+                approvedBy: req.user._id,
+                approvedAt: new Date()
+            },
+            { new: true, runValidators: true }
+        )
+        .populate('product', 'Product ProductCode Unit')
+        .populate('testedBy', 'firstName lastName')
+        .populate('approvedBy', 'firstName lastName');
+
+        if (!qualityCheck) {
+            return res.status(404).json({ message: 'Quality check not found' });
+        }
+
+        await applyQualityResult('ProductRI', qualityCheck.batchNumber, qualityCheck, req.user._id);
+
+        res.json(qualityCheck);
+    } catch (error) {
+        console.error('Approve product quality error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // Get product quality statistics
 router.get('/stats/quality', auth, async (req, res) => {
     try {
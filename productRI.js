@@ -2,6 +2,8 @@ import express from 'express';
 import mongoose from 'mongoose';
 import ProductRI from '../models/ProductRI.js';
 import Product from '../models/Product.js';
+import { validateLocation, postLocationTransfer } from '../utils/locations.js';
+import { costLedger, buildValuationReport } from '../utils/inventoryCosting.js';
 
 const router = express.Router();
 
@@ -98,6 +100,10 @@ const transformRecord = (record) => ({
   ExpireDate: record.ExpireDate,
   Note: record.Note,
   DocumentNumber: record.DocumentNumber,
+  Location: record.Location,
+  TransferLocation: record.TransferLocation,
+  UnitCost: record.UnitCost,
+  TotalCost: record.TotalCost,
   createdAt: record.createdAt,
   updatedAt: record.updatedAt
 });
@@ -187,7 +193,8 @@ router.post('/', async (req, res) => {
       Quantity,
       ExpireDate,
       Note,
-      DocumentNumber
+      DocumentNumber,
+      Location
     } = req.body;
 
     console.log('📥 Received data for new record:', {
@@ -196,6 +203,7 @@ router.post('/', async (req, res) => {
       Quantity,
       Batch,
       DocumentNumber,
+      Location,
       dateValue,
       ExpireDate
     });
@@ -232,7 +240,8 @@ router.post('/', async (req, res) => {
       transactionDate.setHours(0, 0, 0, 0);
       expireDateObj.setHours(0, 0, 0, 0);
       
-      if (expireDateObj < transactionDate) {
+      // Waste may write off stock that has already expired
+      if (expireDateObj < transactionDate && Activity !== 'Waste') {
         return res.status(400).json({ 
           message: 'Expire Date cannot be before the transaction date' 
         });
@@ -272,6 +281,13 @@ router.post('/', async (req, res) => {
 
     console.log('✅ Product found:', productDoc);
 
+    let finalLocation;
+    try {
+      finalLocation = await validateLocation(Location, 'Product');
+    } catch (locationError) {
+      return res.status(400).json({ message: locationError.message });
+    }
+
     let finalBatch = Batch;
     let finalUnit = Unit || productDoc.unit || 'PCS';
     
@@ -330,7 +346,8 @@ router.post('/', async (req, res) => {
       Quantity: parseFloat(Quantity),
       ExpireDate: expireDateRequiredActivities.includes(Activity) ? new Date(ExpireDate) : undefined,
       Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
-      DocumentNumber: DocumentNumber
+      DocumentNumber: DocumentNumber,
+      Location: finalLocation
     });
 
     console.log('💾 Saving record:', {
@@ -375,6 +392,10 @@ router.post('/', async (req, res) => {
     if (error.message && error.message.includes('Insufficient stock')) {
       return res.status(400).json({ message: error.message });
     }
+
+    if (error.message && (error.message.includes('under recall') || error.message.includes('quality control'))) {
+      return res.status(400).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: 'Error creating record',
@@ -402,7 +423,8 @@ router.put('/:id', async (req, res) => {
       Quantity,
       ExpireDate,
       Note,
-      DocumentNumber
+      DocumentNumber,
+      Location
     } = req.body;
 
     console.log('📥 Updating record:', { id, productName, Activity, DocumentNumber });
@@ -427,7 +449,8 @@ router.put('/:id', async (req, res) => {
       transactionDate.setHours(0, 0, 0, 0);
       expireDateObj.setHours(0, 0, 0, 0);
       
-      if (expireDateObj < transactionDate) {
+      // Waste may write off stock that has already expired
+      if (expireDateObj < transactionDate && Activity !== 'Waste') {
         return res.status(400).json({ 
           message: 'Expire Date cannot be before the transaction date' 
         });
@@ -456,6 +479,15 @@ router.put('/:id', async (req, res) => {
     const productCode = existingRecord.ProductCode;
     const finalUnit = existingRecord.Unit;
 
+    let finalLocation = existingRecord.Location;
+    if (Location) {
+      try {
+        finalLocation = await validateLocation(Location, 'Product');
+      } catch (locationError) {
+        return res.status(400).json({ message: locationError.message });
+      }
+    }
+
     console.log('🔧 Update product handling:', {
       providedProduct: productName,
       finalProductName,
@@ -463,8 +495,9 @@ router.put('/:id', async (req, res) => {
       unit: finalUnit
     });
 
-    // Update record
-    const updateData = {
+    // Saved through the document so the save hooks lock the old and new batch, check the
+    // recall and QC blocks and refuse an edit the batch stock cannot cover
+    existingRecord.set({
       Date: new Date(dateValue),
       Activity,
       Product: finalProductName,
@@ -474,14 +507,11 @@ router.put('/:id', async (req, res) => {
       Quantity: parseFloat(Quantity),
       ExpireDate: expireDateRequiredActivities.includes(Activity) ? new Date(ExpireDate) : undefined,
       Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
-      DocumentNumber
-    };
+      DocumentNumber,
+      Location: finalLocation
+    });
 
-    const updatedRecord = await ProductRI.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const updatedRecord = await existingRecord.save();
 
     console.log('✅ Record updated successfully:', id);
     
@@ -500,6 +530,14 @@ router.put('/:id', async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid record ID' });
     }
+
+    if (error.message && error.message.includes('Insufficient stock')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.message && (error.message.includes('under recall') || error.message.includes('quality control'))) {
+      return res.status(400).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: 'Error updating record',
@@ -549,39 +587,30 @@ router.delete('/:id', async (req, res) => {
 // GET /api/product-ri/stocks/summary - Stock summary endpoint
 router.get('/stocks/summary', async (req, res) => {
   try {
-    console.log('📊 Fetching stock summary');
-    
-    const availableBatches = await ProductRI.aggregate([
-      {
-        $group: {
-          _id: '$Batch',
-          totalStock: { 
-            $sum: { 
-              $cond: [
-                { $in: ['$Activity', ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'] ]}, 
-                '$Quantity', 
-                { $multiply: ['$Quantity', -1] }
-              ]
-            }
-          },
-          product: { $first: '$Product' },
-          productCode: { $first: '$ProductCode' },
-          expireDate: { $max: '$ExpireDate' }
-        }
-      },
-      { $match: { totalStock: { $gt: 0 } } },
-      { $sort: { expireDate: 1 } }
-    ]).exec();
+    const location = req.query.location ? req.query.location.toUpperCase() : null;
+    console.log('📊 Fetching stock summary', location ? `at ${location}` : '');
+    
+    const availableBatches = await ProductRI.getStockByBatch(null, location);
+
+    // Where each batch's stock sits
+    const batchLocations = new Map();
+    for (const row of await ProductRI.getLocationStock()) {
+      if (location && row._id.location !== location) continue;
+      if (!batchLocations.has(row._id.batch)) batchLocations.set(row._id.batch, []);
+      batchLocations.get(row._id.batch).push({ location: row._id.location, stock: row.stock });
+    }
     
     // Group by product and calculate total stock
     const stockSummary = availableBatches.reduce((acc, batch) => {
       const productName = batch.product;
+      const locations = batchLocations.get(batch._id) || [];
       
       if (!acc[productName]) {
         acc[productName] = {
           productName: productName,
           productCode: batch.productCode || 'N/A',
           totalStock: 0,
+          locations: {},
           batches: []
         };
       }
@@ -590,13 +619,20 @@ router.get('/stocks/summary', async (req, res) => {
       acc[productName].batches.push({
         batch: batch._id,
         stock: batch.totalStock,
-        expireDate: batch.expireDate
+        expireDate: batch.expireDate,
+        locations
+      });
+      locations.forEach(entry => {
+        acc[productName].locations[entry.location] = (acc[productName].locations[entry.location] || 0) + entry.stock;
       });
       
       return acc;
     }, {});
 
-    const summaryArray = Object.values(stockSummary);
+    const summaryArray = Object.values(stockSummary).map(summary => ({
+      ...summary,
+      locations: Object.entries(summary.locations).map(([code, stock]) => ({ location: code, stock }))
+    }));
     
     console.log(`✅ Stock summary: ${summaryArray.length} products with stock`);
     res.json(summaryArray);
@@ -657,6 +693,103 @@ router.get('/batches/available', async (req, res) => {
   }
 });
 
+// POST /api/product-ri/transfers - Move batch stock between locations.
+// Posts a Transfer Out at the source and a Transfer In at the destination; total stock is unchanged.
+router.post('/transfers', async (req, res) => {
+  try {
+    const {
+      Date: dateValue,
+      Product: productName,
+      Batch,
+      Quantity,
+      FromLocation,
+      ToLocation,
+      Note,
+      DocumentNumber
+    } = req.body;
+
+    if (!productName || !Batch) {
+      return res.status(400).json({ message: 'Product name and batch are required' });
+    }
+
+    if (!Quantity || Quantity <= 0) {
+      return res.status(400).json({ message: 'Valid quantity is required' });
+    }
+
+    if (!DocumentNumber || DocumentNumber.trim() === '') {
+      return res.status(400).json({ message: 'Document number is required' });
+    }
+
+    let from, to;
+    try {
+      from = await validateLocation(FromLocation, 'Product');
+      to = await validateLocation(ToLocation, 'Product');
+    } catch (locationError) {
+      return res.status(400).json({ message: locationError.message });
+    }
+
+    if (from === to) {
+      return res.status(400).json({ message: 'From and to locations must be different' });
+    }
+
+    const productDoc = await findProductByName(productName);
+    if (!productDoc) {
+      return res.status(400).json({ 
+        message: `Active product "${productName}" not found. Please select a valid active product.` 
+      });
+    }
+
+    const batchRecord = await ProductRI.findOne({
+      Batch,
+      Product: productName,
+      Activity: { $in: ['Receive', 'ReceiveCustomer [Rework]', 'ReceiveProd [Rework]'] }
+    }).lean();
+    if (!batchRecord) {
+      return res.status(400).json({ message: `Batch "${Batch}" not found for product "${productName}"` });
+    }
+
+    console.log(`🔁 Transferring ${Quantity} of ${Batch} from ${from} to ${to}`);
+
+    const records = await postLocationTransfer(ProductRI, {
+      from,
+      to,
+      Date: dateValue ? new Date(dateValue) : new Date(),
+      Product: productName,
+      ProductCode: productDoc.code,
+      Unit: productDoc.unit,
+      Batch,
+      Quantity: parseFloat(Quantity),
+      ExpireDate: batchRecord.ExpireDate,
+      Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
+      DocumentNumber
+    });
+
+    productCache.remove(`product_${productName.toLowerCase().trim()}`);
+
+    res.status(201).json({
+      message: `Transferred ${Quantity} from ${from} to ${to}`,
+      transfer: { batch: Batch, quantity: parseFloat(Quantity), from, to },
+      records: records.map(record => transformRecord(record.toObject()))
+    });
+  } catch (error) {
+    console.error('❌ Error transferring stock:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    if (error.message && error.message.includes('Insufficient stock')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ 
+      message: 'Error transferring stock',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // GET /api/product-ri/stock/:batch - Batch stock
 router.get('/stock/:batch', async (req, res) => {
   try {
@@ -744,6 +877,79 @@ router.get('/products/active', async (req, res) => {
   }
 });
 
+// GET /api/product-ri/stock-valuation - Finished product stock at cost by each product's costing method, optionally as of a date
+router.get('/stock-valuation', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : null;
+    if (asOf && isNaN(asOf)) {
+      return res.status(400).json({ message: 'Invalid asOf date' });
+    }
+
+    const costed = await costLedger(ProductRI, { until: asOf });
+
+    const stockSummary = [...costed.entries()]
+      .filter(([, result]) => result.closing.quantity > 0)
+      .map(([product, result]) => ({
+        product,
+        productCode: result.master?.ProductCode,
+        unit: result.master?.Unit,
+        costingMethod: result.method,
+        currentStock: result.closing.quantity,
+        unitCost: result.closing.unitCost,
+        totalValue: result.closing.value,
+        status: result.master && result.closing.quantity <= result.master.MinimumStock ? 'Low Stock' : 'Normal'
+      }))
+      .sort((a, b) => b.totalValue - a.totalValue);
+
+    const totalValuation = stockSummary.reduce((sum, item) => sum + (item.totalValue || 0), 0);
+
+    res.json({
+      asOf: asOf || new Date(),
+      stockSummary,
+      totalValuation: Math.round(totalValuation * 100) / 100,
+      totalItems: stockSummary.length,
+      lowStockItems: stockSummary.filter(item => item.status === 'Low Stock').length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching product stock valuation:', error);
+    res.status(500).json({
+      message: 'Error fetching product stock valuation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/product-ri/valuation-report?startDate&endDate - Opening, receipts, COGS, other outflows and closing stock at cost
+router.get('/valuation-report', async (req, res) => {
+  try {
+    const { startDate, endDate, product } = req.query;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: 'startDate and endDate are required' });
+    }
+    if (isNaN(new Date(startDate)) || isNaN(new Date(endDate)) || new Date(startDate) > new Date(endDate)) {
+      return res.status(400).json({ message: 'Invalid reporting period' });
+    }
+
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const report = await buildValuationReport(ProductRI, {
+      startDate,
+      endDate: end,
+      items: product ? [product] : null
+    });
+
+    console.log(`✅ Product valuation report: ${report.items.length} products, COGS ${report.totals.cogs.value}`);
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error building product valuation report:', error);
+    res.status(500).json({
+      message: 'Error building product valuation report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({ 
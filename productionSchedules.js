@@ -4,10 +4,28 @@ import ProductionPlan from '../models/ProductionPlan.js';
 import Product from '../models/Product.js';
 import Employee from '../models/Employee.js';
 import Line from '../models/LineManagement.js';
+import ProductFormulation from '../models/ProductFormulation.js';
+import MaterialRI from '../models/MaterialRI.js';
+import ShiftReport from '../models/ShiftReport.js';
+import { loadWorkingCalendar } from '../utils/workingCalendar.js';
+import { getHeldBatches } from '../utils/qualityHold.js';
+import { getRecalledBatches } from '../utils/recallGuard.js';
+import { getFiscalYearRange, getFiscalMonths } from '../utils/ethiopianCalendar.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
 
+// Actuals of schedules with shift reports are rolled up from the reports, not edited by hand
+const SHIFT_ROLLUP_FIELDS = ['actualHours', 'completionRate', 'actualStartDate', 'actualEndDate'];
+
+const keepShiftRollup = async (schedule, update) => {
+  const hasShiftReports = await ShiftReport.exists({ schedule: schedule._id, status: { $ne: 'cancelled' } });
+  if (hasShiftReports) {
+    SHIFT_ROLLUP_FIELDS.forEach(field => delete update[field]);
+    schedule.$locals.shiftRollup = true;
+  }
+};
+
 // Get all production lines
 router.get('/lines', async (req, res) => {
   try {
@@ -200,6 +218,7 @@ router.put('/:id', async (req, res) => {
       req.body.productName = product.name;
     }
 
+    await keepShiftRollup(schedule, req.body);
     Object.assign(schedule, req.body);
     const updatedSchedule = await schedule.save();
     
@@ -298,6 +317,7 @@ router.get('/products/:productId/compatible-lines', async (req, res) => {
 router.get('/capacity/:lineId/:productId', async (req, res) => {
   try {
     const { lineId, productId } = req.params;
+    const { startDate } = req.query;
     
     if (!mongoose.Types.ObjectId.isValid(lineId) || !mongoose.Types.ObjectId.isValid(productId)) {
       return res.status(400).json({
@@ -332,8 +352,17 @@ router.get('/capacity/:lineId/:productId', async (req, res) => {
     const productionTimePerUnit = product.productionTime || 1;
     
     const adjustedDailyCapacity = Math.floor(dailyHours / productionTimePerUnit);
-    const weeklyCapacity = adjustedDailyCapacity * line.operationalHours.workingDaysPerWeek;
-    const monthlyCapacity = weeklyCapacity * 4;
+
+    // Week and month ahead of the start date (today by default), from the working calendar
+    const start = startDate ? new Date(startDate) : new Date();
+    start.setHours(0, 0, 0, 0);
+    const weekEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+    const monthEnd = new Date(start.getFullYear(), start.getMonth() + 1, start.getDate() - 1);
+    const calendar = await loadWorkingCalendar(start, monthEnd);
+    const weeklyAvailableHours = calendar.getAvailableHoursInRange(line, start, weekEnd);
+    const monthlyAvailableHours = calendar.getAvailableHoursInRange(line, start, monthEnd);
+    const weeklyCapacity = Math.floor(weeklyAvailableHours / productionTimePerUnit);
+    const monthlyCapacity = Math.floor(monthlyAvailableHours / productionTimePerUnit);
 
     res.json({
       success: true,
@@ -345,6 +374,8 @@ router.get('/capacity/:lineId/:productId', async (req, res) => {
         adjustedDailyCapacity: adjustedDailyCapacity,
         productionTimePerUnit: productionTimePerUnit,
         dailyAvailableHours: dailyHours,
+        weeklyAvailableHours: weeklyAvailableHours,
+        monthlyAvailableHours: monthlyAvailableHours,
         weeklyCapacity: weeklyCapacity,
         monthlyCapacity: monthlyCapacity,
         operationalHours: line.operationalHours,
@@ -422,6 +453,7 @@ router.patch('/:id/status', async (req, res) => {
       updateData.actualEndDate = new Date();
     }
     
+    await keepShiftRollup(schedule, updateData);
     Object.assign(schedule, updateData);
     const updatedSchedule = await schedule.save();
     
@@ -481,8 +513,17 @@ router.post('/capacity-planning', async (req, res) => {
 // Generate Detailed Schedule from MPS
 router.post('/generate-from-mps', async (req, res) => {
   try {
-    const { mpsPlanId, startDate } = req.body;
+    const { mpsPlanId, startDate, mode = 'infinite', priority = 'medium' } = req.body;
     
+    if (mode === 'finite') {
+      const result = await generateFiniteScheduleFromMPS(mpsPlanId, startDate, priority);
+      return res.json({
+        success: true,
+        data: result,
+        message: `${result.scheduled.length} orders scheduled, ${result.unplaced.length} could not be placed`
+      });
+    }
+
     const detailedSchedules = await generateDetailedSchedule(mpsPlanId, startDate);
     res.json({
       success: true,
@@ -496,6 +537,48 @@ router.post('/generate-from-mps', async (req, res) => {
   }
 });
 
+// Finite-capacity scheduling of a list of orders onto compatible lines
+router.post('/finite-schedule', async (req, res) => {
+  try {
+    const { orders, save = true } = req.body;
+
+    if (!Array.isArray(orders) || orders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one order is required'
+      });
+    }
+
+    for (const order of orders) {
+      if (!mongoose.Types.ObjectId.isValid(order.productId) || !order.quantity || !order.dueDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each order needs a valid productId, quantity and dueDate'
+        });
+      }
+      // Orders are scheduled in whole units
+      if (!(Math.round(order.quantity) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `Order quantity ${order.quantity} rounds to less than one unit`
+        });
+      }
+    }
+
+    const result = await scheduleFiniteCapacity(orders, { save });
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.scheduled.length} orders scheduled, ${result.unplaced.length} could not be placed`
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      message: error.message 
+    });
+  }
+});
+
 // Disaggregate Annual Plan
 router.post('/disaggregate-plan', async (req, res) => {
   try {
@@ -567,10 +650,11 @@ const calculateMPS = async (annualPlan, lineId, yearRange) => {
   const productionTimePerUnit = product.productionTime || 1;
   const totalHoursRequired = annualQuantity * productionTimePerUnit;
   
-  // Calculate available hours based on line operational hours
-  const dailyAvailableHours = line.operationalHours.shiftsPerDay * line.operationalHours.hoursPerShift;
-  const weeklyAvailableHours = dailyAvailableHours * line.operationalHours.workingDaysPerWeek;
-  const annualAvailableHours = weeklyAvailableHours * 52;
+  // Available hours from the working calendar (shift patterns, holidays, shutdowns)
+  const { start, end } = getFiscalYearRange(yearRange);
+  const calendar = await loadWorkingCalendar(start, end);
+  const workingDays = calendar.getWorkingDays(line, start, end);
+  const annualAvailableHours = workingDays.reduce((sum, day) => sum + day.hours, 0);
 
   // Check against line capacity
   const maxAnnualCapacity = line.capacity.monthlyCapacity * 12;
@@ -584,6 +668,7 @@ const calculateMPS = async (annualPlan, lineId, yearRange) => {
     hoursUtilization: Math.min(hoursUtilization, 100),
     feasible: annualQuantity <= maxAnnualCapacity && totalHoursRequired <= annualAvailableHours,
     productionTimePerUnit,
+    workingDays: workingDays.length,
     lineCapacity: line.capacity,
     operationalHours: line.operationalHours,
     maxAnnualCapacity
@@ -600,11 +685,11 @@ const calculateCapacity = async (lineId, startDate, endDate, quantity, productId
   const start = new Date(startDate);
   const end = new Date(endDate);
   
-  // Calculate total available hours in period
-  const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-  const totalWeeks = Math.ceil(totalDays / 7);
-  const workingDays = totalWeeks * line.operationalHours.workingDaysPerWeek;
-  const totalAvailableHours = workingDays * line.operationalHours.shiftsPerDay * line.operationalHours.hoursPerShift;
+  // Calculate total available hours in period from the working calendar
+  const calendar = await loadWorkingCalendar(start, end);
+  const workingDays = calendar.getWorkingDays(line, start, end);
+  const totalAvailableHours = workingDays.reduce((sum, day) => sum + day.hours, 0);
+  const nominalDailyHours = line.operationalHours.shiftsPerDay * line.operationalHours.hoursPerShift;
 
   // Calculate required hours
   const product = await Product.findById(productId);
@@ -615,25 +700,23 @@ const calculateCapacity = async (lineId, startDate, endDate, quantity, productId
   const availableUnits = (totalAvailableHours / productionTimePerUnit);
   const capacityUtilization = (quantity / availableUnits) * 100;
 
-  const dailyBreakdown = [];
-  const currentDate = new Date(start);
-  
-  while (currentDate <= end) {
-    // Skip weekends if configured
-    if (currentDate.getDay() !== 0 && currentDate.getDay() !== 6) {
-      const dailyCapacity = line.capacity.dailyCapacity;
-      dailyBreakdown.push({
-        date: new Date(currentDate),
-        availableCapacity: dailyCapacity,
-        utilizedCapacity: 0,
-        remainingCapacity: dailyCapacity
-      });
-    }
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
+  // Reduced-hours days get a proportional share of the daily capacity
+  const dailyBreakdown = workingDays.map(day => {
+    const dailyCapacity = nominalDailyHours > 0
+      ? Math.round(line.capacity.dailyCapacity * Math.min(1, day.hours / nominalDailyHours))
+      : line.capacity.dailyCapacity;
+    return {
+      date: day.date,
+      availableHours: day.hours,
+      availableCapacity: dailyCapacity,
+      utilizedCapacity: 0,
+      remainingCapacity: dailyCapacity
+    };
+  });
 
   return {
     totalAvailableHours,
+    workingDays: workingDays.length,
     totalRequiredHours,
     capacityUtilization: Math.min(capacityUtilization, 100),
     feasible: quantity <= availableUnits && totalRequiredHours <= totalAvailableHours,
@@ -662,29 +745,46 @@ const disaggregateAnnualPlan = async (annualQuantity, yearRange, productId, line
   const maxQuarterlyCapacity = line.capacity.monthlyCapacity * 3;
   const maxMonthlyCapacity = line.capacity.monthlyCapacity;
 
-  // Simple proportional distribution with capacity constraints
-  const quarterlyBase = Math.min(annualQuantity / 4, maxQuarterlyCapacity);
-  const monthlyBase = Math.min(annualQuantity / 12, maxMonthlyCapacity);
+  // Available hours per fiscal month (month 1 = July). The first and last months
+  // are trimmed to the Hamle-Sene fiscal year boundaries.
+  const { start, end } = getFiscalYearRange(yearRange);
+  const calendar = await loadWorkingCalendar(start, end);
+  const monthlyHours = getFiscalMonths(yearRange, 'gregorian').map((month, index, months) =>
+    calendar.getAvailableHoursInRange(
+      line,
+      index === 0 ? start : month.start,
+      index === months.length - 1 ? end : month.end
+    )
+  );
+  const totalAvailableHours = monthlyHours.reduce((sum, hours) => sum + hours, 0);
 
+  // Distribute in proportion to available hours, capped by line capacity
   for (let quarter = 1; quarter <= 4; quarter++) {
-    const quarterQuantity = Math.round(quarterlyBase);
     const monthlyBreakdown = [];
 
     for (let month = (quarter - 1) * 3 + 1; month <= quarter * 3; month++) {
-      const monthlyQuantity = Math.round(monthlyBase);
+      const share = totalAvailableHours > 0 ? monthlyHours[month - 1] / totalAvailableHours : 1 / 12;
+      const monthlyQuantity = Math.round(Math.min(annualQuantity * share, maxMonthlyCapacity));
       monthlyBreakdown.push({
         month,
         quantity: monthlyQuantity,
+        availableHours: monthlyHours[month - 1],
         productionHours: monthlyQuantity * (product.productionTime || 1)
       });
       
       monthlyQuantities.push({
         month,
         quantity: monthlyQuantity,
+        availableHours: monthlyHours[month - 1],
         productionHours: monthlyQuantity * (product.productionTime || 1)
       });
     }
 
+    const quarterQuantity = Math.min(
+      monthlyBreakdown.reduce((sum, month) => sum + month.quantity, 0),
+      maxQuarterlyCapacity
+    );
+
     quarterlyQuantities.push({
       quarter,
       quantity: quarterQuantity,
@@ -697,6 +797,7 @@ const disaggregateAnnualPlan = async (annualQuantity, yearRange, productId, line
     annualQuantity,
     yearRange,
     totalProductionTime,
+    totalAvailableHours,
     quarterlyBreakdown: quarterlyQuantities,
     monthlyBreakdown: monthlyQuantities,
     product: {
@@ -755,6 +856,272 @@ const generateDetailedSchedule = async (mpsPlanId, startDate) => {
   return savedSchedules;
 };
 
+// Finite-capacity scheduling
+
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Units the line can make on a day, scaled down on reduced-hours days
+const getDailyUnits = (line, hours) => {
+  const nominalHours = line.operationalHours.shiftsPerDay * line.operationalHours.hoursPerShift;
+  if (nominalHours <= 0) return line.capacity.dailyCapacity;
+  return line.capacity.dailyCapacity * Math.min(1, hours / nominalHours);
+};
+
+// Hours per unit from the product, or from the line's hourly rate when the product has none
+const getHoursPerUnit = (product, line) => {
+  if (product.productionTime) return product.productionTime;
+  return line.capacity.hourlyCapacity > 0 ? 1 / line.capacity.hourlyCapacity : 1;
+};
+
+// Units and hours already committed per line per day by existing schedules
+const buildLineLoad = async (lines, from, to, calendar) => {
+  const load = new Map(lines.map(line => [line._id.toString(), new Map()]));
+
+  const schedules = await ProductionSchedule.find({
+    lineId: { $in: lines.map(line => line._id) },
+    status: { $in: ['scheduled', 'in-progress', 'delayed'] },
+    startDate: { $lte: to },
+    endDate: { $gte: from }
+  }).lean();
+
+  for (const schedule of schedules) {
+    const line = lines.find(l => l._id.toString() === schedule.lineId.toString());
+    const days = [];
+    const current = startOfDay(schedule.startDate);
+    while (current < schedule.endDate) {
+      if (calendar.isWorkingDay(line, current)) days.push(toDateKey(current));
+      current.setDate(current.getDate() + 1);
+    }
+    if (days.length === 0) days.push(toDateKey(startOfDay(schedule.startDate)));
+
+    const lineLoad = load.get(schedule.lineId.toString());
+    for (const key of days) {
+      const used = lineLoad.get(key) || { units: 0, hours: 0 };
+      used.units += schedule.quantity / days.length;
+      used.hours += (schedule.plannedHours || 0) / days.length;
+      lineLoad.set(key, used);
+    }
+  }
+
+  return load;
+};
+
+// Walk forward day by day and take whatever free capacity the line has
+const simulatePlacement = (order, line, lineLoad, hoursPerUnit, calendar) => {
+  const allocations = [];
+  let remaining = order.quantity;
+  const current = startOfDay(order.earliestStart);
+  const due = startOfDay(order.dueDate);
+
+  while (remaining > 0 && current <= due) {
+    const availableHours = calendar.getAvailableHours(line, current);
+    if (availableHours > 0) {
+      const used = lineLoad.get(toDateKey(current)) || { units: 0, hours: 0 };
+      const freeUnits = getDailyUnits(line, availableHours) - used.units;
+      const freeHours = availableHours - used.hours;
+      const placeable = Math.min(remaining, Math.floor(Math.min(freeUnits, freeHours / hoursPerUnit)));
+
+      if (placeable > 0) {
+        allocations.push({ date: new Date(current), quantity: placeable, hours: placeable * hoursPerUnit });
+        remaining -= placeable;
+      }
+    }
+    current.setDate(current.getDate() + 1);
+  }
+
+  return {
+    allocations,
+    placedQuantity: order.quantity - remaining,
+    finishDate: allocations.length > 0 ? allocations[allocations.length - 1].date : null
+  };
+};
+
+const scheduleFiniteCapacity = async (orders, { save = true, parentPlanId, timeFrame = 'daily' } = {}) => {
+  const productIds = [...new Set(orders.map(order => order.productId.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const lines = await Line.find({ status: 'active', products: { $in: productIds } });
+
+  const normalizedOrders = orders.map((order, index) => ({
+    ...order,
+    sequence: index,
+    quantity: Math.round(order.quantity),
+    priority: PRIORITY_RANK[order.priority] !== undefined ? order.priority : 'medium',
+    earliestStart: startOfDay(order.earliestStart || new Date()),
+    dueDate: startOfDay(order.dueDate)
+  }));
+
+  // Highest priority first, then earliest due date
+  normalizedOrders.sort((a, b) =>
+    PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+    a.dueDate - b.dueDate ||
+    a.sequence - b.sequence
+  );
+
+  const horizonStart = new Date(Math.min(...normalizedOrders.map(o => o.earliestStart)));
+  const horizonEnd = new Date(Math.max(...normalizedOrders.map(o => o.dueDate)));
+  horizonEnd.setDate(horizonEnd.getDate() + 1);
+  const calendar = await loadWorkingCalendar(horizonStart, horizonEnd);
+  const load = await buildLineLoad(lines, horizonStart, horizonEnd, calendar);
+
+  const requestedOrderIds = normalizedOrders.map(order => order.orderId).filter(Boolean);
+  const existingOrderIds = new Set((await ProductionSchedule.find({ orderId: { $in: requestedOrderIds } })
+    .select('orderId').lean()).map(schedule => schedule.orderId));
+
+  const scheduled = [];
+  const unplaced = [];
+
+  for (const order of normalizedOrders) {
+    if (order.orderId && existingOrderIds.has(order.orderId)) {
+      unplaced.push({ ...order, reason: 'Order ID already exists' });
+      continue;
+    }
+
+    const product = products.find(p => p._id.toString() === order.productId.toString());
+    if (!product) {
+      unplaced.push({ ...order, reason: 'Product not found' });
+      continue;
+    }
+
+    if (order.earliestStart > order.dueDate) {
+      unplaced.push({ ...order, reason: 'Earliest start is after the due date' });
+      continue;
+    }
+
+    const compatibleLines = lines.filter(line => line.canProduceProduct(product._id.toString()));
+    if (compatibleLines.length === 0) {
+      unplaced.push({ ...order, reason: `No active line is set up to produce ${product.Product || product.name}` });
+      continue;
+    }
+
+    // Pick the line that finishes the whole order earliest
+    let best = null;
+    let bestPartial = null;
+    for (const line of compatibleLines) {
+      const hoursPerUnit = getHoursPerUnit(product, line);
+      const placement = simulatePlacement(order, line, load.get(line._id.toString()), hoursPerUnit, calendar);
+
+      if (placement.placedQuantity === order.quantity) {
+        const isPreferred = order.lineId && order.lineId.toString() === line._id.toString();
+        if (!best || placement.finishDate < best.placement.finishDate ||
+            (placement.finishDate.getTime() === best.placement.finishDate.getTime() && isPreferred)) {
+          best = { line, placement, hoursPerUnit };
+        }
+      } else if (!bestPartial || placement.placedQuantity > bestPartial.placement.placedQuantity) {
+        bestPartial = { line, placement };
+      }
+    }
+
+    if (!best) {
+      unplaced.push({
+        ...order,
+        reason: `Insufficient line capacity before due date. Could place ${bestPartial.placement.placedQuantity} of ${order.quantity} on ${bestPartial.line.lineCode}`,
+        bestLine: bestPartial.line.lineCode,
+        placeableQuantity: bestPartial.placement.placedQuantity
+      });
+      continue;
+    }
+
+    // Commit the capacity so later orders see it as used
+    const lineLoad = load.get(best.line._id.toString());
+    for (const allocation of best.placement.allocations) {
+      const key = toDateKey(allocation.date);
+      const used = lineLoad.get(key) || { units: 0, hours: 0 };
+      used.units += allocation.quantity;
+      used.hours += allocation.hours;
+      lineLoad.set(key, used);
+    }
+
+    const firstDay = best.placement.allocations[0].date;
+    const endDate = new Date(best.placement.finishDate);
+    endDate.setDate(endDate.getDate() + 1);
+
+    scheduled.push({
+      orderId: order.orderId || `FCS-${product.ProductCode || product._id}-${toDateKey(firstDay).replace(/-/g, '')}-${order.sequence + 1}`,
+      productName: product.Product || product.name,
+      productId: product._id,
+      quantity: order.quantity,
+      lineCode: best.line.lineCode,
+      lineId: best.line._id,
+      startDate: firstDay,
+      endDate,
+      status: 'scheduled',
+      priority: order.priority,
+      assignedTo: order.assignedTo || 'Production Team',
+      plannedHours: Math.round(order.quantity * best.hoursPerUnit * 100) / 100,
+      timeFrame: order.timeFrame || timeFrame,
+      yearRange: order.yearRange,
+      parentPlanId: order.parentPlanId || parentPlanId,
+      dailyAllocation: best.placement.allocations
+    });
+  }
+
+  if (save && scheduled.length > 0) {
+    const saved = await ProductionSchedule.insertMany(
+      scheduled.map(({ dailyAllocation, ...schedule }) => schedule)
+    );
+    saved.forEach((doc, index) => {
+      scheduled[index]._id = doc._id;
+    });
+  }
+
+  return { scheduled, unplaced };
+};
+
+// Finite-capacity variant of the MPS schedule generation: one order per plan month
+const generateFiniteScheduleFromMPS = async (mpsPlanId, startDate, priority) => {
+  const plan = await ProductionPlan.findById(mpsPlanId);
+  if (!plan) {
+    throw new Error('Production plan not found');
+  }
+
+  const orders = [];
+  const monthStart = startOfDay(startDate || new Date());
+  let monthIndex = 0;
+
+  for (const quarter of plan.quarterlyBreakdown) {
+    for (const month of quarter.months) {
+      const windowStart = new Date(monthStart);
+      windowStart.setMonth(windowStart.getMonth() + monthIndex);
+      const dueDate = new Date(windowStart);
+      dueDate.setMonth(dueDate.getMonth() + 1);
+      dueDate.setDate(dueDate.getDate() - 1);
+
+      if (Math.round(month.quantity) > 0) {
+        orders.push({
+          orderId: `MPS-${plan.planId}-${windowStart.getFullYear()}-${month.month.toString().padStart(2, '0')}`,
+          productId: plan.productId,
+          quantity: month.quantity,
+          earliestStart: windowStart,
+          dueDate,
+          priority,
+          lineId: plan.lineId,
+          yearRange: plan.yearRange
+        });
+      }
+      monthIndex++;
+    }
+  }
+
+  if (orders.length === 0) {
+    return { scheduled: [], unplaced: [] };
+  }
+
+  return scheduleFiniteCapacity(orders, { parentPlanId: mpsPlanId, timeFrame: 'monthly' });
+};
+
 // Check production constraints
 const checkProductionConstraints = async (scheduleId, date) => {
   const schedule = await ProductionSchedule.findById(scheduleId)
@@ -765,7 +1132,8 @@ const checkProductionConstraints = async (scheduleId, date) => {
     throw new Error('Schedule not found');
   }
 
-  const checkDate = new Date(date);
+  // Without a date the schedule is checked for the day it starts
+  const checkDate = date ? new Date(date) : new Date(schedule.startDate);
   const constraints = {
     materialAvailable: true,
     machineAvailable: true,
@@ -792,6 +1160,7 @@ const checkProductionConstraints = async (scheduleId, date) => {
 
   // Check material availability
   const materialAvailability = await checkMaterialAvailability(schedule.productId, schedule.quantity, checkDate);
+  constraints.materials = materialAvailability.materials;
   if (!materialAvailability.available) {
     constraints.materialAvailable = false;
     constraints.issues.push(`Material shortage: ${materialAvailability.message}`);
@@ -800,17 +1169,68 @@ const checkProductionConstraints = async (scheduleId, date) => {
   return constraints;
 };
 
-// Helper function for material check
-const checkMaterialAvailability = async (productId, quantity, date) => {
-  // Simplified material check - integrate with inventory system
-  const requiredMaterials = quantity * 1;
-  const availableMaterials = 1000;
-  
+// Helper function for material check - explodes the product formulation
+// against live batch stock in the material store. Like a FEFO issue, it leaves out
+// batches expired by the production date, on QC hold or under recall.
+const checkMaterialAvailability = async (product, quantity, date) => {
+  const productName = product?.Product || product?.name;
+  const requirements = await ProductFormulation.explode(productName, quantity, date);
+  const productionDay = new Date(date);
+  productionDay.setHours(0, 0, 0, 0);
+
+  if (requirements.length === 0) {
+    return {
+      available: false,
+      materials: [],
+      shortages: [],
+      message: `No active formulation found for product "${productName}"`
+    };
+  }
+
+  const materials = [];
+  for (const requirement of requirements) {
+    const batches = await MaterialRI.getAvailableBatches(requirement.materialName);
+    const batchNames = batches.map(batch => batch._id);
+    const [held, recalled] = await Promise.all([
+      getHeldBatches('MaterialRI', batchNames),
+      getRecalledBatches(batchNames)
+    ]);
+
+    // Batches that expire before the production date cannot be used
+    const usableBatches = batches.filter(batch =>
+      (!batch.expireDate || new Date(batch.expireDate) >= productionDay) &&
+      !held.has(batch._id) &&
+      !recalled.has(batch._id)
+    );
+    const availableQuantity = usableBatches.reduce((sum, batch) => sum + batch.totalStock, 0);
+    const shortfall = Math.max(0, requirement.requiredQuantity - availableQuantity);
+
+    materials.push({
+      materialName: requirement.materialName,
+      unit: requirement.materialUnit,
+      effectiveQuantityPerUnit: requirement.effectiveQuantityPerUnit,
+      required: Math.round(requirement.requiredQuantity * 1000) / 1000,
+      available: Math.round(availableQuantity * 1000) / 1000,
+      shortfall: Math.round(shortfall * 1000) / 1000,
+      batches: usableBatches.map(batch => ({
+        batch: batch._id,
+        stock: batch.totalStock,
+        expireDate: batch.expireDate
+      }))
+    });
+  }
+
+  const shortages = materials.filter(material => material.shortfall > 0);
+
   return {
-    available: requiredMaterials <= availableMaterials,
-    message: requiredMaterials <= availableMaterials ? 
-      'Materials available' : 
-      `Insufficient materials. Required: ${requiredMaterials}, Available: ${availableMaterials}`
+    available: shortages.length === 0,
+    materials,
+    shortages,
+    message: shortages.length === 0 ?
+      'Materials available' :
+      shortages.map(material =>
+        `${material.materialName} (Required: ${material.required}, Available: ${material.available}, Shortfall: ${material.shortfall} ${material.unit})`
+      ).join('; ')
   };
 };
 
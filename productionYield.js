@@ -0,0 +1,208 @@
+// backend/utils/productionYield.js
+import ProductionManagement from '../models/ProductionManagement.js';
+import ProductFormulation from '../models/ProductFormulation.js';
+import ProductionSchedule from '../models/ProductionSchedule.js';
+import MaterialRI from '../models/MaterialRI.js';
+import WorkOrder from '../models/WorkOrder.js';
+
+// Yield and scrap per production batch. Materials consumed by a batch (MaterialRI issues
+// carrying its ProductionBatch) divided by the formulation's quantity per unit give the
+// theoretical output; the 'Production' quantity less 'Waste' is the good output. Material
+// usage above the formula quantity is the batch's loss, compared per material with the
+// lossFactor the formulation allows.
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+const UNASSIGNED_LINE = 'UNASSIGNED';
+
+// Start of the trend period a date falls in
+const periodKey = (date, groupBy) => {
+  const day = new Date(date);
+  if (groupBy === 'day') return day.toISOString().slice(0, 10);
+  if (groupBy === 'week') {
+    const monday = new Date(day);
+    monday.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  }
+  return day.toISOString().slice(0, 7);
+};
+
+// Production line of each batch, through the work order that produced it
+const getBatchLines = async (batches) => {
+  const workOrders = await WorkOrder.find({ 'outputs.batch': { $in: batches } })
+    .select('orderId outputs.batch')
+    .lean();
+  const schedules = await ProductionSchedule.find({ orderId: { $in: workOrders.map(order => order.orderId) } })
+    .select('orderId lineCode')
+    .lean();
+  const lineByOrder = new Map(schedules.map(schedule => [schedule.orderId, schedule.lineCode]));
+
+  const lines = new Map();
+  workOrders.forEach(order => {
+    order.outputs.forEach(output => {
+      if (!lines.has(output.batch)) lines.set(output.batch, lineByOrder.get(order.orderId) || UNASSIGNED_LINE);
+    });
+  });
+  return lines;
+};
+
+// Theoretical output and per-material loss of one batch against its formulation
+const analyzeBatch = (batch, formula, consumed) => {
+  const materials = formula.map(line => {
+    const actualQuantity = consumed.get(line.materialName) || 0;
+    const nominalQuantity = line.quantityPerUnit * batch.produced;
+    const lossPercent = nominalQuantity > 0 ? ((actualQuantity - nominalQuantity) / nominalQuantity) * 100 : null;
+
+    return {
+      materialName: line.materialName,
+      materialUnit: line.materialUnit,
+      consumedQuantity: round(actualQuantity, 6),
+      nominalQuantity: round(nominalQuantity, 6),
+      standardQuantity: round(line.effectiveQuantityPerUnit * batch.produced, 6),
+      theoreticalOutput: line.quantityPerUnit > 0 ? round(actualQuantity / line.quantityPerUnit, 4) : null,
+      lossPercent: lossPercent === null ? null : round(lossPercent),
+      allowedLossPercent: line.lossFactor || 0,
+      exceedsLossFactor: lossPercent !== null && actualQuantity > 0 && lossPercent > (line.lossFactor || 0)
+    };
+  });
+
+  // The scarcest material limits what the consumed materials could have made
+  const consumedLines = materials.filter(material => material.consumedQuantity > 0 && material.theoreticalOutput !== null);
+  const theoreticalOutput = consumedLines.length > 0
+    ? Math.min(...consumedLines.map(material => material.theoreticalOutput))
+    : null;
+
+  const goodOutput = round(batch.produced - batch.waste, 6);
+  const flags = materials
+    .filter(material => material.exceedsLossFactor)
+    .map(material => `${material.materialName} loss ${material.lossPercent}% exceeds allowed ${material.allowedLossPercent}%`);
+  const unconsumed = materials.filter(material => material.consumedQuantity === 0);
+  if (consumedLines.length > 0 && unconsumed.length > 0) {
+    flags.push(`No consumption recorded for ${unconsumed.map(material => material.materialName).join(', ')}`);
+  }
+
+  return {
+    theoreticalOutput,
+    goodOutput,
+    yieldPercent: theoreticalOutput ? round((goodOutput / theoreticalOutput) * 100) : null,
+    scrapRate: batch.produced > 0 ? round((batch.waste / batch.produced) * 100) : 0,
+    materials,
+    flags
+  };
+};
+
+/**
+ * Yield analysis of the Production batches in a period: per batch, per line and as a
+ * scrap-rate trend (groupBy day, week or month). `flaggedOnly` keeps the batches whose
+ * loss exceeds the formulation's allowance.
+ */
+export const analyzeYield = async ({ startDate, endDate, product, lineCode, groupBy = 'month', flaggedOnly = false }) => {
+  const match = { Activity: 'Production' };
+  if (product) match.Product = product;
+  if (startDate || endDate) {
+    match.Date = {};
+    if (startDate) match.Date.$gte = new Date(startDate);
+    if (endDate) match.Date.$lte = new Date(endDate);
+  }
+
+  const produced = await ProductionManagement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$Batch',
+        product: { $first: '$Product' },
+        date: { $min: '$Date' },
+        produced: { $sum: '$Quantity' }
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+  const batchNames = produced.map(batch => batch._id);
+
+  const [waste, consumption, lines] = await Promise.all([
+    ProductionManagement.aggregate([
+      { $match: { Activity: 'Waste', Batch: { $in: batchNames } } },
+      { $group: { _id: '$Batch', waste: { $sum: '$Quantity' } } }
+    ]),
+    MaterialRI.aggregate([
+      { $match: { Activity: 'Issue', ProductionBatch: { $in: batchNames } } },
+      { $group: { _id: { batch: '$ProductionBatch', material: '$Material' }, quantity: { $sum: '$Quantity' } } }
+    ]),
+    getBatchLines(batchNames)
+  ]);
+
+  const wasteByBatch = new Map(waste.map(row => [row._id, row.waste]));
+  const consumedByBatch = new Map();
+  consumption.forEach(row => {
+    if (!consumedByBatch.has(row._id.batch)) consumedByBatch.set(row._id.batch, new Map());
+    consumedByBatch.get(row._id.batch).set(row._id.material, row.quantity);
+  });
+
+  const batches = [];
+  for (const row of produced) {
+    const line = lines.get(row._id) || UNASSIGNED_LINE;
+    if (lineCode && line !== lineCode) continue;
+
+    const batch = {
+      batch: row._id,
+      product: row.product,
+      date: row.date,
+      lineCode: line,
+      produced: round(row.produced, 6),
+      waste: round(wasteByBatch.get(row._id) || 0, 6)
+    };
+    const formula = await ProductFormulation.explode(row.product, 1, row.date);
+    const analysis = analyzeBatch(batch, formula, consumedByBatch.get(row._id) || new Map());
+
+    batches.push({
+      ...batch,
+      formulationVersion: formula[0]?.formulationVersion || null,
+      ...analysis,
+      flagged: analysis.flags.length > 0
+    });
+  }
+
+  // Totals per line and per trend period; yield only over batches with recorded consumption
+  const summarize = (group) => {
+    const withYield = group.filter(batch => batch.theoreticalOutput);
+    const producedTotal = group.reduce((sum, batch) => sum + batch.produced, 0);
+    const wasteTotal = group.reduce((sum, batch) => sum + batch.waste, 0);
+    const theoreticalTotal = withYield.reduce((sum, batch) => sum + batch.theoreticalOutput, 0);
+    const goodTotal = withYield.reduce((sum, batch) => sum + batch.goodOutput, 0);
+
+    return {
+      batches: group.length,
+      flaggedBatches: group.filter(batch => batch.flagged).length,
+      produced: round(producedTotal, 6),
+      waste: round(wasteTotal, 6),
+      scrapRate: producedTotal > 0 ? round((wasteTotal / producedTotal) * 100) : 0,
+      yieldPercent: theoreticalTotal > 0 ? round((goodTotal / theoreticalTotal) * 100) : null
+    };
+  };
+
+  const groupOf = (keyFor) => {
+    const groups = new Map();
+    batches.forEach(batch => {
+      const key = keyFor(batch);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(batch);
+    });
+    return groups;
+  };
+
+  const byLine = [...groupOf(batch => batch.lineCode)]
+    .map(([line, group]) => ({ lineCode: line, ...summarize(group) }))
+    .sort((a, b) => a.lineCode.localeCompare(b.lineCode));
+
+  const trend = [...groupOf(batch => periodKey(batch.date, groupBy))]
+    .map(([period, group]) => ({ period, ...summarize(group) }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+
+  return {
+    groupBy,
+    summary: summarize(batches),
+    byLine,
+    trend,
+    batches: flaggedOnly ? batches.filter(batch => batch.flagged) : batches
+  };
+};
\ No newline at end of file
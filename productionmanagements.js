@@ -2,6 +2,11 @@ import express from 'express';
 import mongoose from 'mongoose';
 import ProductionManagement from '../models/ProductionManagement.js';
 import Product from '../models/Product.js';
+import ProductFormulation from '../models/ProductFormulation.js';
+import MaterialRI from '../models/MaterialRI.js';
+import { consumeMaterials, relinkProductionBatch } from '../utils/lotGenealogy.js';
+import { analyzeYield } from '../utils/productionYield.js';
+import { withLedgerTransaction } from '../utils/ledgerLock.js';
 
 const router = express.Router();
 
@@ -187,7 +192,8 @@ router.post('/', async (req, res) => {
       Quantity,
       ExpireDate,
       Note,
-      DocumentNumber
+      DocumentNumber,
+      Materials
     } = req.body;
 
     console.log('📥 Received data for new record:', {
@@ -217,6 +223,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Document number is required' });
     }
 
+    // ✅ Consumed materials are recorded against Production batches only
+    if (Materials !== undefined && (Activity !== 'Production' || !Array.isArray(Materials))) {
+      return res.status(400).json({ message: 'Materials must be a list and can only be recorded for Production activities' });
+    }
+
     // ✅ Validate ExpireDate for Production, Transfer, and Receive [Rework] activities
     const expireDateRequiredActivities = ['Production', 'Transfer', 'Receive [Rework]'];
     if (expireDateRequiredActivities.includes(Activity)) {
@@ -338,8 +349,22 @@ router.post('/', async (req, res) => {
       DocumentNumber: DocumentNumber
     });
 
-    // ✅ Save the record
-    const savedRecord = await newRecord.save();
+    // ✅ Save the record and issue the consumed material batches against the production batch
+    // in one ledger transaction, so a material line that fails stores neither
+    let materialIssues = [];
+    const savedRecord = await withLedgerTransaction(async (session) => {
+      const record = await newRecord.save({ session });
+      if (Array.isArray(Materials) && Materials.length > 0) {
+        try {
+          materialIssues = await consumeMaterials(record, Materials, { session });
+        } catch (consumeError) {
+          console.error('❌ Material consumption failed, production record not saved:', consumeError.message);
+          consumeError.materialConsumption = true;
+          throw consumeError;
+        }
+      }
+      return record;
+    });
     
     console.log('✅ Record saved successfully:', savedRecord._id);
     
@@ -348,10 +373,15 @@ router.post('/', async (req, res) => {
     
     res.status(201).json({
       message: 'Record created successfully',
-      record: transformRecord(savedRecord.toObject())
+      record: transformRecord(savedRecord.toObject()),
+      materialIssues
     });
   } catch (error) {
     console.error('❌ Error creating record:', error);
+
+    if (error.materialConsumption) {
+      return res.status(400).json({ message: `Material consumption failed: ${error.message}` });
+    }
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -458,8 +488,10 @@ router.put('/:id', async (req, res) => {
       unit: finalUnit
     });
 
-    // Update record - use findByIdAndUpdate to ensure pre-save middleware runs
-    const updateData = {
+    // Saved through the document so the save hooks lock the old and new batch and refuse
+    // an edit the batch stock cannot cover
+    const { Activity: previousActivity, Batch: previousBatch } = existingRecord;
+    existingRecord.set({
       Date: new Date(dateValue),
       Activity,
       Product: finalProductName, // Store product name directly
@@ -470,13 +502,14 @@ router.put('/:id', async (req, res) => {
       ExpireDate: expireDateRequiredActivities.includes(Activity) ? new Date(ExpireDate) : undefined,
       Note: Note && Note.length > 100 ? Note.substring(0, 100) : Note,
       DocumentNumber
-    };
+    });
 
-    const updatedRecord = await ProductionManagement.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const updatedRecord = await existingRecord.save();
+
+    // Material consumption follows a renamed production batch
+    if (previousActivity === 'Production') {
+      await relinkProductionBatch(previousBatch, updatedRecord.Batch);
+    }
 
     console.log('✅ Record updated successfully:', id);
     
@@ -495,6 +528,10 @@ router.put('/:id', async (req, res) => {
     if (error.name === 'CastError') {
       return res.status(400).json({ message: 'Invalid record ID' });
     }
+
+    if (error.message && error.message.includes('Insufficient stock')) {
+      return res.status(400).json({ message: error.message });
+    }
     
     res.status(500).json({ 
       message: 'Error updating record',
@@ -503,6 +540,103 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// POST /api/production-managements/:id/materials - Record materials consumed by a Production record.
+// Lines are { IssueRecord } to link an existing material issue, or { Material, Quantity, Batch?, Location? }
+// to issue stock now (first-expiry-first-out when no batch is given).
+router.post('/:id/materials', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid record ID' });
+    }
+
+    const production = await ProductionManagement.findById(id);
+    if (!production) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (production.Activity !== 'Production') {
+      return res.status(400).json({ message: 'Materials can only be recorded for Production activities' });
+    }
+
+    console.log(`🧪 Recording ${req.body.Materials?.length || 0} materials for batch ${production.Batch}`);
+
+    let materialIssues;
+    try {
+      materialIssues = await withLedgerTransaction(session => consumeMaterials(production, req.body.Materials, { session }));
+    } catch (consumeError) {
+      return res.status(400).json({ message: consumeError.message });
+    }
+
+    res.status(201).json({
+      message: `Recorded ${materialIssues.length} material issues against batch ${production.Batch}`,
+      record: transformRecord(production.toObject()),
+      materialIssues
+    });
+  } catch (error) {
+    console.error('❌ Error recording consumed materials:', error);
+    res.status(500).json({ 
+      message: 'Error recording consumed materials',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/production-managements/:id/formulation - Formulation effective on the production date,
+// with its standard usage for the produced quantity against the materials actually issued
+router.get('/:id/formulation', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid record ID' });
+    }
+
+    const production = await ProductionManagement.findById(id).lean();
+    if (!production) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
+    if (production.Activity !== 'Production') {
+      return res.status(400).json({ message: 'Formulations only apply to Production activities' });
+    }
+
+    const [requirements, issues] = await Promise.all([
+      ProductFormulation.explode(production.Product, production.Quantity, production.Date),
+      MaterialRI.find({ Activity: 'Issue', ProductionBatch: production.Batch }).select('Material Quantity').lean()
+    ]);
+
+    const issued = new Map();
+    issues.forEach(issue => issued.set(issue.Material, (issued.get(issue.Material) || 0) + issue.Quantity));
+
+    const materials = requirements.map(requirement => ({
+      materialName: requirement.materialName,
+      materialUnit: requirement.materialUnit,
+      standardQuantity: parseFloat(requirement.requiredQuantity.toFixed(6)),
+      actualQuantity: parseFloat((issued.get(requirement.materialName) || 0).toFixed(6))
+    }));
+    // Materials issued to the batch that are not in its formulation
+    issued.forEach((quantity, materialName) => {
+      if (!materials.some(material => material.materialName === materialName)) {
+        materials.push({ materialName, standardQuantity: 0, actualQuantity: parseFloat(quantity.toFixed(6)) });
+      }
+    });
+
+    res.json({
+      record: transformRecord(production),
+      formulationVersion: requirements[0]?.formulationVersion || null,
+      materials
+    });
+  } catch (error) {
+    console.error('❌ Error fetching production formulation:', error);
+    res.status(500).json({ 
+      message: 'Error fetching production formulation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Enhanced DELETE /api/production-managements/:id
 router.delete('/:id', async (req, res) => {
   try {
@@ -585,6 +719,38 @@ router.get('/stocks/summary', async (req, res) => {
   }
 });
 
+// GET /api/production-managements/analytics/yield - Theoretical against actual output and scrap
+// per batch and per line, with the scrap-rate trend and batches whose loss exceeds the formulation
+router.get('/analytics/yield', async (req, res) => {
+  try {
+    const { startDate, endDate, product, lineCode, groupBy = 'month', flaggedOnly } = req.query;
+
+    if (!['day', 'week', 'month'].includes(groupBy)) {
+      return res.status(400).json({ message: 'groupBy must be day, week or month' });
+    }
+
+    console.log('📈 Analyzing production yield:', { startDate, endDate, product, lineCode, groupBy });
+
+    const analysis = await analyzeYield({
+      startDate,
+      endDate,
+      product,
+      lineCode,
+      groupBy,
+      flaggedOnly: flaggedOnly === 'true'
+    });
+
+    console.log(`✅ Yield analysis: ${analysis.summary.batches} batches, ${analysis.summary.flaggedBatches} flagged`);
+    res.json(analysis);
+  } catch (error) {
+    console.error('❌ Error analyzing production yield:', error);
+    res.status(500).json({ 
+      message: 'Error analyzing production yield',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // ENHANCED GET /api/production-managements/batches/available - Available batches with ACTIVITY FILTERING
 router.get('/batches/available', async (req, res) => {
   try {
@@ -0,0 +1,410 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Material2 from '../models/Material2.js';
+import MaterialRI from '../models/MaterialRI.js';
+import { withLedgerTransaction } from '../utils/ledgerLock.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Build PO lines from the request, resolving each material from the material master
+const buildLines = async (lines = []) => {
+    const builtLines = [];
+
+    for (const line of lines) {
+        if (!mongoose.Types.ObjectId.isValid(line.material)) {
+            throw new Error('Each line needs a valid material ID');
+        }
+
+        const material = await Material2.findById(line.material).lean();
+        if (!material || material.Status !== 'Active') {
+            throw new Error(`Material ${line.material} not found or not active`);
+        }
+
+        builtLines.push({
+            material: material._id,
+            materialName: material.Material,
+            materialCode: material.MaterialCode,
+            unit: material.Unit,
+            quantity: parseFloat(line.quantity),
+            unitPrice: line.unitPrice !== undefined ? parseFloat(line.unitPrice) : material.UnitPrice,
+            expectedDate: line.expectedDate
+        });
+    }
+
+    return builtLines;
+};
+
+// Batch number in the same MaterialCode-DDMMYY format the store uses
+const generateBatch = (materialCode, date) => {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const year = String(date.getFullYear()).slice(-2);
+    return `${materialCode}-${day}${month}${year}`;
+};
+
+// Get all purchase orders
+router.get('/', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, supplier, search } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (supplier) filter.supplier = supplier;
+        if (search) {
+            filter.$or = [
+                { poNumber: { $regex: search, $options: 'i' } },
+                { 'lines.materialName': { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const purchaseOrders = await PurchaseOrder.find(filter)
+            .populate('supplier', 'name code')
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .sort({ orderDate: -1 });
+
+        const total = await PurchaseOrder.countDocuments(filter);
+
+        res.json({
+            purchaseOrders,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get purchase order by ID
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+            .populate('supplier', 'name code contactPerson phone email')
+            .populate('createdBy', 'firstName lastName')
+            .populate('approvedBy', 'firstName lastName');
+
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+
+        res.json(purchaseOrder);
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get material receipts posted against a purchase order
+router.get('/:id/receipts', auth, async (req, res) => {
+    try {
+        const receipts = await MaterialRI.find({
+            PurchaseOrder: req.params.id,
+            Activity: 'Receive'
+        }).sort({ Date: 1 });
+
+        res.json(receipts);
+    } catch (error) {
+        console.error('Get purchase order receipts error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create purchase order (draft)
+router.post('/', auth, async (req, res) => {
+    try {
+        const { supplier: supplierId, lines, ...rest } = req.body;
+
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+        if (supplier.status !== 'active') {
+            return res.status(400).json({ message: `Supplier is ${supplier.status}` });
+        }
+
+        const purchaseOrder = new PurchaseOrder({
+            ...rest,
+            supplier: supplier._id,
+            lines: await buildLines(lines),
+            status: 'draft',
+            createdBy: req.user?._id
+        });
+
+        await purchaseOrder.save();
+        await purchaseOrder.populate('supplier', 'name code');
+
+        res.status(201).json(purchaseOrder);
+    } catch (error) {
+        console.error('Create purchase order error:', error);
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Update purchase order (draft only)
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (purchaseOrder.status !== 'draft') {
+            return res.status(400).json({ message: 'Only draft purchase orders can be edited' });
+        }
+
+        const { lines, expectedDeliveryDate, orderDate, paymentTerms, remarks, supplier } = req.body;
+
+        if (supplier && supplier !== purchaseOrder.supplier.toString()) {
+            const newSupplier = await Supplier.findById(supplier);
+            if (!newSupplier) {
+                return res.status(404).json({ message: 'Supplier not found' });
+            }
+            purchaseOrder.supplier = newSupplier._id;
+        }
+        if (lines) purchaseOrder.lines = await buildLines(lines);
+        if (expectedDeliveryDate) purchaseOrder.expectedDeliveryDate = expectedDeliveryDate;
+        if (orderDate) purchaseOrder.orderDate = orderDate;
+        if (paymentTerms !== undefined) purchaseOrder.paymentTerms = paymentTerms;
+        if (remarks !== undefined) purchaseOrder.remarks = remarks;
+
+        await purchaseOrder.save();
+        await purchaseOrder.populate('supplier', 'name code');
+
+        res.json(purchaseOrder);
+    } catch (error) {
+        console.error('Update purchase order error:', error);
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Approve purchase order (Admin only) - counts as a placed order for the supplier
+router.put('/:id/approve', adminAuth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (purchaseOrder.status !== 'draft') {
+            return res.status(400).json({ message: `Cannot approve a ${purchaseOrder.status} purchase order` });
+        }
+
+        purchaseOrder.status = 'approved';
+        purchaseOrder.approvedBy = req.user?._id;
+        purchaseOrder.approvedAt = new Date();
+        await purchaseOrder.save();
+
+        await Supplier.findByIdAndUpdate(purchaseOrder.supplier, {
+            $inc: { totalOrders: 1 },
+            $max: { lastOrderDate: purchaseOrder.orderDate }
+        });
+
+        await purchaseOrder.populate('supplier', 'name code');
+        res.json(purchaseOrder);
+    } catch (error) {
+        console.error('Approve purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Check receipt lines against the order. A line may be received in several batches, so the
+// quantities per PO line are added up before comparing with what is still on order.
+const checkReceiptLines = (purchaseOrder, lines) => {
+    const totals = new Map();
+
+    for (const receiptLine of lines) {
+        const poLine = purchaseOrder.lines.id(receiptLine.lineId);
+        if (!poLine) {
+            throw new Error(`Line ${receiptLine.lineId} is not on this purchase order`);
+        }
+
+        const quantity = parseFloat(receiptLine.quantity);
+        if (!quantity || quantity <= 0) {
+            throw new Error(`Valid quantity is required for ${poLine.materialName}`);
+        }
+        if (!receiptLine.expireDate) {
+            throw new Error(`Expire Date is required for ${poLine.materialName}`);
+        }
+
+        totals.set(poLine.id, parseFloat(((totals.get(poLine.id) || 0) + quantity).toFixed(6)));
+    }
+
+    for (const [lineId, quantity] of totals) {
+        const poLine = purchaseOrder.lines.id(lineId);
+        if (quantity > poLine.remainingQuantity) {
+            throw new Error(`Cannot receive ${quantity} of ${poLine.materialName}. Remaining on order: ${poLine.remainingQuantity}`);
+        }
+    }
+};
+
+// Receive against a purchase order - posts MaterialRI Receive entries. The order is read,
+// checked and updated in the same transaction as the entries, so two receipts against one
+// order at the same time cannot both take its remaining quantity.
+router.post('/:id/receive', auth, async (req, res) => {
+    try {
+        const { date, documentNumber, lines = [] } = req.body;
+        const receiveDate = date ? new Date(date) : new Date();
+
+        if (lines.length === 0) {
+            return res.status(400).json({ message: 'At least one receipt line is required' });
+        }
+
+        const result = await withLedgerTransaction(async (session) => {
+            const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+            if (!purchaseOrder) return null;
+            if (!['approved', 'partially_received'].includes(purchaseOrder.status)) {
+                throw new Error(`Cannot receive against a ${purchaseOrder.status} purchase order`);
+            }
+
+            // Validate every line before posting anything to the ledger
+            checkReceiptLines(purchaseOrder, lines);
+
+            const records = [];
+            let receivedValue = 0;
+
+            for (const receiptLine of lines) {
+                const poLine = purchaseOrder.lines.id(receiptLine.lineId);
+                const quantity = parseFloat(receiptLine.quantity);
+
+                const record = new MaterialRI({
+                    Date: receiveDate,
+                    Activity: 'Receive',
+                    Material: poLine.materialName,
+                    MaterialCode: poLine.materialCode,
+                    Batch: receiptLine.batch && receiptLine.batch.trim() !== '' ?
+                        receiptLine.batch :
+                        generateBatch(poLine.materialCode, receiveDate),
+                    Quantity: quantity,
+                    ExpireDate: new Date(receiptLine.expireDate),
+                    Note: receiptLine.note,
+                    DocumentNumber: documentNumber || purchaseOrder.poNumber,
+                    PurchaseOrder: purchaseOrder._id,
+                    Supplier: purchaseOrder.supplier,
+                    UnitCost: poLine.unitPrice
+                });
+
+                records.push(await record.save({ session }));
+
+                poLine.receivedQuantity += quantity;
+                receivedValue += quantity * poLine.unitPrice;
+            }
+
+            purchaseOrder.status = purchaseOrder.isFullyReceived() ? 'closed' : 'partially_received';
+            if (purchaseOrder.status === 'closed') purchaseOrder.closedAt = new Date();
+            // Version check: the save fails if the order changed since it was read
+            purchaseOrder.increment();
+            await purchaseOrder.save({ session });
+
+            // Supplier spend follows what was actually delivered
+            await Supplier.findByIdAndUpdate(purchaseOrder.supplier, {
+                $inc: { totalAmount: parseFloat(receivedValue.toFixed(2)) },
+                $max: { lastOrderDate: purchaseOrder.orderDate }
+            }, { session });
+
+            return { purchaseOrder, records };
+        });
+
+        if (!result) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+
+        res.status(201).json({
+            message: 'Receipt posted successfully',
+            purchaseOrder: result.purchaseOrder,
+            records: result.records
+        });
+    } catch (error) {
+        console.error('Receive purchase order error:', error);
+
+        if (error.name === 'VersionError') {
+            return res.status(409).json({ message: 'The purchase order was changed by another receipt. Please reload it and try again' });
+        }
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Close a partially received purchase order (short close)
+router.put('/:id/close', adminAuth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (!['approved', 'partially_received'].includes(purchaseOrder.status)) {
+            return res.status(400).json({ message: `Cannot close a ${purchaseOrder.status} purchase order` });
+        }
+
+        purchaseOrder.status = 'closed';
+        purchaseOrder.closedAt = new Date();
+        if (req.body.remarks) purchaseOrder.remarks = req.body.remarks;
+        await purchaseOrder.save();
+
+        res.json(purchaseOrder);
+    } catch (error) {
+        console.error('Close purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Cancel purchase order (nothing received yet)
+router.put('/:id/cancel', adminAuth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (!['draft', 'approved'].includes(purchaseOrder.status)) {
+            return res.status(400).json({ message: `Cannot cancel a ${purchaseOrder.status} purchase order` });
+        }
+
+        const wasApproved = purchaseOrder.status === 'approved';
+        purchaseOrder.status = 'cancelled';
+        if (req.body.remarks) purchaseOrder.remarks = req.body.remarks;
+        await purchaseOrder.save();
+
+        if (wasApproved) {
+            await Supplier.findByIdAndUpdate(purchaseOrder.supplier, { $inc: { totalOrders: -1 } });
+        }
+
+        res.json(purchaseOrder);
+    } catch (error) {
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete purchase order (draft only)
+router.delete('/:id', adminAuth, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ message: 'Purchase order not found' });
+        }
+        if (purchaseOrder.status !== 'draft') {
+            return res.status(400).json({ message: 'Only draft purchase orders can be deleted' });
+        }
+
+        await PurchaseOrder.findByIdAndDelete(req.params.id);
+        res.json({ message: 'Purchase order deleted successfully' });
+    } catch (error) {
+        console.error('Delete purchase order error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
\ No newline at end of file
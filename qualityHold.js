@@ -0,0 +1,153 @@
+// backend/utils/qualityHold.js
+import BatchQuality from '../models/BatchQuality.js';
+import MaterialBatch from '../models/MaterialBatch.js';
+import Material2 from '../models/Material2.js';
+
+// QC holds on the MaterialRI and ProductRI ledgers. A receipt puts a new batch in
+// quarantine, and issue-type activities are refused until a quality check releases it.
+// Waste, returns and transfers stay open so held stock can be moved aside or sent back.
+// Material batches keep their status in MaterialBatch.qualityStatus; finished goods have
+// no batch register, so theirs is kept in BatchQuality.
+
+export const HELD_STATUSES = ['pending', 'quarantine', 'rejected'];
+
+export const QUARANTINE_ACTIVITIES = {
+  MaterialRI: ['Receive'],
+  ProductRI: ['Receive', 'ReceiveProd [Rework]', 'ReceiveCustomer [Rework]']
+};
+
+export const HOLD_BLOCKED_ACTIVITIES = {
+  MaterialRI: ['Issue'],
+  ProductRI: ['Issue', 'IssueCustomer [Rework]', 'IssueProd [Rework]', 'Sample', 'Gift', 'Promotion']
+};
+
+// Quality check outcome (overallStatus) to batch status. MaterialBatch has no conditional
+// status; a conditional release is recorded on the MaterialQ check itself.
+const RESULT_STATUS = {
+  MaterialRI: { approved: 'approved', conditional: 'approved', rejected: 'rejected' },
+  ProductRI: { approved: 'approved', conditional: 'conditional', rejected: 'rejected' }
+};
+
+// MaterialBatch numbers are stored uppercase
+const toBatchNumber = (batch) => String(batch).trim().toUpperCase();
+
+// Batch status to go with a quality status; expired and depleted batches stay so
+const materialBatchStatus = (qualityStatus) => ({
+  $cond: [
+    { $in: ['$status', ['expired', 'depleted']] },
+    '$status',
+    HELD_STATUSES.includes(qualityStatus) ? 'reserved' : 'active'
+  ]
+});
+
+/**
+ * Set a material batch's quality status, registering the batch when it has no MaterialBatch
+ * record yet. Its stock stays on the MaterialRI ledger.
+ */
+export const setMaterialQuality = async (material, batch, qualityStatus) => {
+  return await MaterialBatch.findOneAndUpdate(
+    { material, batchNumber: toBatchNumber(batch) },
+    [{
+      $set: {
+        qualityStatus,
+        status: materialBatchStatus(qualityStatus),
+        quantity: { $ifNull: ['$quantity', 0] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+const findMaterialId = async (materialName, session = null) => {
+  const material = await Material2.findOne({ Material: materialName }).select('_id').session(session).lean();
+  if (!material) {
+    throw new Error(`Material ${materialName} not found`);
+  }
+  return material._id;
+};
+
+/**
+ * Put a newly received batch in quarantine. A batch that already has a status keeps it,
+ * so a further receipt into a released batch does not hold it again.
+ */
+export const quarantineBatch = async (ledger, batch, item, { session = null } = {}) => {
+  if (!batch || !QUARANTINE_ACTIVITIES[ledger]) return;
+
+  if (ledger === 'MaterialRI') {
+    await MaterialBatch.updateOne(
+      { material: await findMaterialId(item, session), batchNumber: toBatchNumber(batch) },
+      { $setOnInsert: { qualityStatus: 'quarantine', status: 'reserved', quantity: 0 } },
+      { upsert: true, session }
+    );
+    return;
+  }
+
+  await BatchQuality.updateOne(
+    { ledger, batch },
+    { $setOnInsert: { item, status: 'quarantine' } },
+    { upsert: true, session }
+  );
+};
+
+/**
+ * Throw when an activity is blocked because the batch is held
+ */
+export const assertBatchReleased = async (ledger, activity, batch) => {
+  if (!batch || !HOLD_BLOCKED_ACTIVITIES[ledger]?.includes(activity)) return;
+
+  const quality = ledger === 'MaterialRI'
+    ? await MaterialBatch.findOne({ batchNumber: toBatchNumber(batch), qualityStatus: { $in: HELD_STATUSES } }).select('qualityStatus').lean()
+    : await BatchQuality.findOne({ ledger, batch }).select('status').lean();
+  const status = quality?.qualityStatus || quality?.status;
+
+  if (HELD_STATUSES.includes(status)) {
+    throw new Error(status === 'rejected'
+      ? `Batch ${batch} was rejected by quality control and cannot be used for ${activity}`
+      : `Batch ${batch} is in quarantine until quality control approves it`);
+  }
+};
+
+/**
+ * Names of the held batches among `batches` (all held batches of the ledger when omitted)
+ */
+export const getHeldBatches = async (ledger, batches = null) => {
+  if (ledger === 'MaterialRI') {
+    const filter = { qualityStatus: { $in: HELD_STATUSES } };
+    if (batches) filter.batchNumber = { $in: batches.map(toBatchNumber) };
+
+    const held = new Set((await MaterialBatch.find(filter).select('batchNumber').lean()).map(entry => entry.batchNumber));
+    return new Set(batches ? batches.filter(batch => held.has(toBatchNumber(batch))) : held);
+  }
+
+  const filter = { ledger, status: { $in: HELD_STATUSES } };
+  if (batches) filter.batch = { $in: batches };
+
+  const held = await BatchQuality.find(filter).select('batch').lean();
+  return new Set(held.map(entry => entry.batch));
+};
+
+/**
+ * Apply an approved/conditional/rejected quality check to its batch
+ */
+export const applyQualityResult = async (ledger, batch, qualityCheck, userId) => {
+  const status = RESULT_STATUS[ledger]?.[qualityCheck.overallStatus];
+  if (!batch || !status) return null;
+
+  if (ledger === 'MaterialRI') {
+    const material = qualityCheck.material?._id || qualityCheck.material;
+    return material ? await setMaterialQuality(material, batch, status) : null;
+  }
+
+  const decision = {
+    status,
+    qualityCheck: qualityCheck._id,
+    decidedBy: userId,
+    decidedAt: new Date()
+  };
+
+  return await BatchQuality.findOneAndUpdate(
+    { ledger, batch },
+    { $set: decision, $push: { history: decision } },
+    { upsert: true, new: true }
+  );
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+// backend/utils/recallGuard.js
+import Recall from '../models/Recall.js';
+
+// Activities that move a batch on towards customers. They are blocked while the batch is
+// under an open recall; returns, waste and transfers stay open so recalled stock can be
+// brought back and disposed of.
+export const RECALL_BLOCKED_ACTIVITIES = {
+  ProductRI: ['Issue', 'IssueCustomer [Rework]', 'Sample', 'Gift', 'Promotion'],
+  DailySalesForm: ['Receive', 'Sales']
+};
+
+/**
+ * The batches among `batches` that are under an open recall
+ */
+export const getRecalledBatches = async (batches) => {
+  if (batches.length === 0) return new Set();
+
+  const recalls = await Recall.find({ status: 'open', batches: { $in: batches } }).select('batches').lean();
+  return new Set(recalls.flatMap(recall => recall.batches).filter(batch => batches.includes(batch)));
+};
+
+/**
+ * Throw when a ledger activity on a batch is blocked by an open recall
+ */
+export const assertBatchNotRecalled = async (ledger, activity, batch) => {
+  if (!batch || !RECALL_BLOCKED_ACTIVITIES[ledger]?.includes(activity)) return;
+
+  const recall = await Recall.findOpenForBatch(batch);
+  if (recall) {
+    throw new Error(`Batch ${batch} is under recall ${recall.recallNumber} and cannot be used for ${activity}`);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,298 @@
+import express from 'express';
+import Recall from '../models/Recall.js';
+import ProductRI from '../models/ProductRI.js';
+import DailySalesForm from '../models/DailySalesForm.js';
+import ProductionManagement from '../models/ProductionManagement.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const round = (value) => parseFloat(value.toFixed(6));
+
+// Product store stock and customer shipments of the batches at the time the recall opens
+const findRecallScope = async (batches) => {
+    const [locationStock, sales, production] = await Promise.all([
+        ProductRI.getLocationStock(),
+        DailySalesForm.find({ Activity: 'Sales', Batch: { $in: batches } }).sort({ Date: 1 }).lean(),
+        ProductionManagement.find({ Batch: { $in: batches } }).select('Batch Product').lean()
+    ]);
+
+    const stockOnHand = locationStock
+        .filter(row => batches.includes(row._id.batch))
+        .map(row => ({
+            product: row.product,
+            batch: row._id.batch,
+            location: row._id.location,
+            quantity: row.stock
+        }));
+
+    const shipments = sales.map(sale => ({
+        sale: sale._id,
+        date: sale.Date,
+        product: sale.Product,
+        batch: sale.Batch,
+        category: sale.Category,
+        customer: sale.Customer,
+        quantity: sale.Quantity,
+        documentNumber: sale.DocumentNumber
+    }));
+
+    const products = [...new Set([
+        ...production.map(record => record.Product),
+        ...stockOnHand.map(row => row.product),
+        ...shipments.map(shipment => shipment.product)
+    ].filter(Boolean))];
+
+    const knownBatches = new Set([
+        ...production.map(record => record.Batch),
+        ...stockOnHand.map(row => row.batch),
+        ...shipments.map(shipment => shipment.batch),
+        ...(await ProductRI.distinct('Batch', { Batch: { $in: batches } }))
+    ]);
+
+    return { stockOnHand, shipments, products, unknownBatches: batches.filter(batch => !knownBatches.has(batch)) };
+};
+
+// Customer returns ('Return from Customer') entered since the recall opened, against what was shipped
+const getReturnProgress = async (recall) => {
+    const [returns, locationStock] = await Promise.all([
+        DailySalesForm.find({
+            Activity: 'Return from Customer',
+            Batch: { $in: recall.batches },
+            createdAt: { $gte: recall.openedAt }
+        })
+            .populate('Customer', 'name code phone')
+            .sort({ Date: 1 })
+            .lean(),
+        ProductRI.getLocationStock()
+    ]);
+
+    const batches = recall.batches.map(batch => {
+        const shipped = recall.shipments
+            .filter(shipment => shipment.batch === batch)
+            .reduce((sum, shipment) => sum + shipment.quantity, 0);
+        const returned = returns
+            .filter(entry => entry.Batch === batch)
+            .reduce((sum, entry) => sum + entry.Quantity, 0);
+
+        return {
+            batch,
+            shipped: round(shipped),
+            returned: round(returned),
+            outstanding: round(Math.max(0, shipped - returned)),
+            inStore: round(locationStock
+                .filter(row => row._id.batch === batch)
+                .reduce((sum, row) => sum + row.stock, 0))
+        };
+    });
+
+    // Shipments and returns without a customer are only tracked per batch
+    const customers = new Map();
+    const customerEntry = (customer) => {
+        const key = String(customer._id || customer);
+        if (!customers.has(key)) customers.set(key, { customer, shipped: 0, returned: 0 });
+        return customers.get(key);
+    };
+    recall.shipments.filter(shipment => shipment.customer).forEach(shipment => {
+        customerEntry(shipment.customer).shipped += shipment.quantity;
+    });
+    returns.filter(entry => entry.Customer).forEach(entry => {
+        customerEntry(entry.Customer).returned += entry.Quantity;
+    });
+
+    const shipped = batches.reduce((sum, batch) => sum + batch.shipped, 0);
+    const returned = batches.reduce((sum, batch) => sum + batch.returned, 0);
+
+    return {
+        shipped: round(shipped),
+        returned: round(returned),
+        outstanding: round(batches.reduce((sum, batch) => sum + batch.outstanding, 0)),
+        returnRate: shipped > 0 ? round((returned / shipped) * 100) : null,
+        batches,
+        customers: [...customers.values()].map(entry => ({
+            ...entry,
+            shipped: round(entry.shipped),
+            returned: round(entry.returned),
+            outstanding: round(Math.max(0, entry.shipped - entry.returned))
+        })),
+        returns: returns.map(entry => ({
+            _id: entry._id,
+            date: entry.Date,
+            batch: entry.Batch,
+            quantity: entry.Quantity,
+            customer: entry.Customer || null,
+            documentNumber: entry.DocumentNumber
+        }))
+    };
+};
+
+// Get all recalls
+router.get('/', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, batch, search } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (batch) filter.batches = batch;
+        if (search) {
+            filter.$or = [
+                { recallNumber: { $regex: search, $options: 'i' } },
+                { batches: { $regex: search, $options: 'i' } },
+                { products: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const recalls = await Recall.find(filter)
+            .select('-shipments -stockOnHand')
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .sort({ openedAt: -1 });
+
+        const total = await Recall.countDocuments(filter);
+
+        res.json({
+            recalls,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        console.error('Get recalls error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get recall by ID with return progress
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const recall = await Recall.findById(req.params.id)
+            .populate('shipments.customer', 'name code phone')
+            .populate('openedBy', 'firstName lastName')
+            .populate('closedBy', 'firstName lastName');
+
+        if (!recall) {
+            return res.status(404).json({ message: 'Recall not found' });
+        }
+
+        const progress = await getReturnProgress(recall);
+
+        res.json({ recall, progress });
+    } catch (error) {
+        console.error('Get recall error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Open a recall for product batches. Stock on hand and shipments are captured now,
+// and the batches are blocked for issue and sale until the recall is closed.
+router.post('/', auth, async (req, res) => {
+    try {
+        const { reason, severity, remarks } = req.body;
+        const batches = [...new Set((req.body.batches || []).map(batch => String(batch).trim()).filter(Boolean))];
+
+        if (batches.length === 0) {
+            return res.status(400).json({ message: 'At least one batch is required' });
+        }
+
+        const alreadyRecalled = await Recall.find({ status: 'open', batches: { $in: batches } })
+            .select('recallNumber batches')
+            .lean();
+        if (alreadyRecalled.length > 0) {
+            return res.status(400).json({
+                message: 'Some batches are already under an open recall',
+                recalls: alreadyRecalled
+            });
+        }
+
+        const scope = await findRecallScope(batches);
+        if (scope.unknownBatches.length > 0) {
+            return res.status(400).json({
+                message: `Batches not found: ${scope.unknownBatches.join(', ')}`
+            });
+        }
+
+        const recall = new Recall({
+            batches,
+            products: scope.products,
+            reason,
+            severity,
+            remarks,
+            stockOnHand: scope.stockOnHand,
+            shipments: scope.shipments,
+            status: 'open',
+            openedBy: req.user?._id,
+            openedAt: new Date()
+        });
+
+        await recall.save();
+
+        console.log(`🚨 Recall ${recall.recallNumber} opened for ${batches.join(', ')}`);
+
+        res.status(201).json(recall);
+    } catch (error) {
+        console.error('Create recall error:', error);
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Close a recall, releasing its batches. Shipped quantity that has not come back
+// has to be explained in the remarks.
+router.put('/:id/close', adminAuth, async (req, res) => {
+    try {
+        const recall = await Recall.findById(req.params.id);
+        if (!recall) {
+            return res.status(404).json({ message: 'Recall not found' });
+        }
+        if (recall.status !== 'open') {
+            return res.status(400).json({ message: `Cannot close a ${recall.status} recall` });
+        }
+
+        const progress = await getReturnProgress(recall);
+        if (progress.outstanding > 0 && !req.body.remarks) {
+            return res.status(400).json({
+                message: `${progress.outstanding} shipped units have not been returned. Add remarks to close the recall anyway`,
+                progress
+            });
+        }
+
+        recall.status = 'closed';
+        recall.closedBy = req.user?._id;
+        recall.closedAt = new Date();
+        if (req.body.remarks) recall.remarks = req.body.remarks;
+        await recall.save();
+
+        res.json({ recall, progress });
+    } catch (error) {
+        console.error('Close recall error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Cancel a recall opened in error
+router.put('/:id/cancel', adminAuth, async (req, res) => {
+    try {
+        const recall = await Recall.findById(req.params.id);
+        if (!recall) {
+            return res.status(404).json({ message: 'Recall not found' });
+        }
+        if (recall.status !== 'open') {
+            return res.status(400).json({ message: `Cannot cancel a ${recall.status} recall` });
+        }
+
+        recall.status = 'cancelled';
+        recall.cancelledAt = new Date();
+        if (req.body.remarks) recall.remarks = req.body.remarks;
+        await recall.save();
+
+        res.json(recall);
+    } catch (error) {
+        console.error('Cancel recall error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
\ No newline at end of file
@@ -1,9 +1,25 @@
 import express from 'express';
 import SalesPlan from '../models/SalesPlan.js';
 import Product from '../models/Product.js';
+import {
+  PLAN_MONTHS,
+  parseFiscalYear,
+  getMonthRange,
+  getFiscalMonths,
+  getFiscalPeriod
+} from '../utils/ethiopianCalendar.js';
 
 const router = express.Router();
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Whole days shared by two date ranges (ends are inclusive)
+const overlapDays = (startA, endA, startB, endB) => {
+  const start = Math.max(startA.getTime(), startB.getTime());
+  const end = Math.min(endA.getTime(), endB.getTime());
+  return end < start ? 0 : Math.round((end - start + 1) / DAY_MS);
+};
+
 // ✅ ENHANCED: Get all sales plans with advanced filtering and pagination
 router.get('/', async (req, res) => {
   try {
@@ -21,9 +37,19 @@ router.get('/', async (req, res) => {
     let filter = {};
     
     if (status) filter.status = status;
-    // UPDATED: Handle fiscalYear as string in range format
-    if (fiscalYear) filter.fiscalYear = fiscalYear;
+    // UPDATED: Handle fiscalYear as string in range format, or as an Ethiopian fiscal year
+    if (fiscalYear) {
+      try {
+        filter.fiscalYear = parseFiscalYear(fiscalYear).yearRange;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
     if (month) filter.month = month;
+    if (req.query.calendar) filter.calendar = req.query.calendar;
     
     // ✅ FIXED: Enhanced product filtering
     if (product) {
@@ -65,6 +91,7 @@ router.get('/', async (req, res) => {
     // ✅ ENHANCED: Add display names
     const enhancedSalesPlans = salesPlans.map(plan => ({
       ...plan,
+      ethiopianFiscalYear: parseFiscalYear(plan.fiscalYear).ethiopianFiscalYear,
       displayName: `${plan.fiscalYear} - ${plan.month} - ${plan.productName}`
     }));
 
@@ -164,21 +191,14 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // UPDATED: Validate fiscalYear format (e.g., "2025-2026")
-    const fiscalYearRegex = /^\d{4}-\d{4}$/;
-    if (!fiscalYearRegex.test(fiscalYear)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Fiscal year must be in format "YYYY-YYYY" (e.g., "2025-2026")'
-      });
-    }
-
-    // Validate the fiscal year range
-    const [startYear, endYear] = fiscalYear.split('-').map(Number);
-    if (endYear !== startYear + 1) {
+    // UPDATED: Accept "2025-2026" or an Ethiopian fiscal year such as "2018"
+    let normalizedFiscalYear;
+    try {
+      normalizedFiscalYear = parseFiscalYear(fiscalYear).yearRange;
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        message: 'Fiscal year must be in consecutive years format (e.g., "2025-2026")'
+        message: error.message
       });
     }
 
@@ -190,9 +210,8 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Validate month
-    const validMonths = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    if (!validMonths.includes(month)) {
+    // Validate month (Gregorian or Ethiopian month name)
+    if (!PLAN_MONTHS.includes(month)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid month'
@@ -226,7 +245,7 @@ router.post('/', async (req, res) => {
     // ✅ FIXED: Check for duplicate using product name (not ID)
     const existingPlan = await SalesPlan.findOne({
       productName: productDoc.Product,
-      fiscalYear: fiscalYear, // UPDATED: Already in range format
+      fiscalYear: normalizedFiscalYear,
       month,
       status: 'Active'
     });
@@ -242,7 +261,7 @@ router.post('/', async (req, res) => {
     const salesPlan = new SalesPlan({
       productName: productDoc.Product, // Store product name only
       unit: unit || productDoc.Unit || 'Unit',
-      fiscalYear: fiscalYear, // UPDATED: In range format
+      fiscalYear: normalizedFiscalYear,
       month,
       targetQuantity: parseInt(targetQuantity),
       status: status || 'Active',
@@ -316,23 +335,24 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // UPDATED: Validate fiscalYear format if provided
+    // UPDATED: Validate fiscalYear if provided ("2025-2026" or Ethiopian "2018")
+    let normalizedFiscalYear;
     if (fiscalYear) {
-      const fiscalYearRegex = /^\d{4}-\d{4}$/;
-      if (!fiscalYearRegex.test(fiscalYear)) {
+      try {
+        normalizedFiscalYear = parseFiscalYear(fiscalYear).yearRange;
+      } catch (error) {
         return res.status(400).json({
           success: false,
-          message: 'Fiscal year must be in format "YYYY-YYYY" (e.g., "2025-2026")'
+          message: error.message
         });
       }
+    }
 
-      const [startYear, endYear] = fiscalYear.split('-').map(Number);
-      if (endYear !== startYear + 1) {
-        return res.status(400).json({
-          success: false,
-          message: 'Fiscal year must be in consecutive years format (e.g., "2025-2026")'
-        });
-      }
+    if (month && !PLAN_MONTHS.includes(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid month'
+      });
     }
 
     // Validate target quantity if provided
@@ -368,7 +388,7 @@ router.put('/:id', async (req, res) => {
     }
 
     // ✅ FIXED: Check for duplicate using product name only for active plans
-    const updatedFiscalYear = fiscalYear || salesPlan.fiscalYear;
+    const updatedFiscalYear = normalizedFiscalYear || salesPlan.fiscalYear;
     const updatedMonth = month || salesPlan.month;
     const updatedStatus = status || salesPlan.status;
 
@@ -393,7 +413,7 @@ router.put('/:id', async (req, res) => {
     const updateData = {};
     if (product) updateData.productName = productName;
     if (unit !== undefined) updateData.unit = finalUnit;
-    if (fiscalYear) updateData.fiscalYear = fiscalYear;
+    if (fiscalYear) updateData.fiscalYear = normalizedFiscalYear;
     if (month) updateData.month = month;
     if (targetQuantity !== undefined) updateData.targetQuantity = parseInt(targetQuantity);
     if (status) updateData.status = status;
@@ -500,6 +520,122 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Plan months of a fiscal year with their Gregorian dates, for plan entry screens
+router.get('/calendar/months', async (req, res) => {
+  try {
+    const { calendar = 'ethiopian' } = req.query;
+    const fiscalYear = req.query.fiscalYear || getFiscalPeriod(new Date()).fiscalYear;
+
+    if (!['ethiopian', 'gregorian'].includes(calendar)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Calendar must be ethiopian or gregorian'
+      });
+    }
+
+    const { yearRange, ethiopianFiscalYear } = parseFiscalYear(fiscalYear);
+
+    res.json({
+      success: true,
+      fiscalYear: yearRange,
+      ethiopianFiscalYear,
+      calendar,
+      months: getFiscalMonths(yearRange, calendar)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching fiscal months:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Monthly targets for a fiscal year grouped by Ethiopian or Gregorian months.
+// Plans entered in the other calendar are split by the days they share with each month.
+router.get('/reports/monthly', async (req, res) => {
+  try {
+    const { calendar = 'ethiopian', product, status = 'Active' } = req.query;
+
+    if (!req.query.fiscalYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fiscal year is required'
+      });
+    }
+
+    if (!['ethiopian', 'gregorian'].includes(calendar)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Calendar must be ethiopian or gregorian'
+      });
+    }
+
+    let yearRange;
+    let ethiopianFiscalYear;
+    try {
+      ({ yearRange, ethiopianFiscalYear } = parseFiscalYear(req.query.fiscalYear));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const filter = { fiscalYear: yearRange };
+    if (status) filter.status = status;
+    if (product) filter.productName = product;
+
+    const salesPlans = await SalesPlan.find(filter).lean();
+    const months = getFiscalMonths(yearRange, calendar).map(month => ({
+      ...month,
+      targetQuantity: 0,
+      products: {}
+    }));
+
+    for (const plan of salesPlans) {
+      const period = plan.periodStart
+        ? { start: new Date(plan.periodStart), end: new Date(plan.periodEnd) }
+        : getMonthRange(plan.fiscalYear, plan.month);
+      const planDays = overlapDays(period.start, period.end, period.start, period.end);
+
+      for (const month of months) {
+        const sharedDays = overlapDays(period.start, period.end, month.start, month.end);
+        if (sharedDays === 0 || planDays === 0) continue;
+
+        const quantity = plan.targetQuantity * sharedDays / planDays;
+        month.targetQuantity += quantity;
+        month.products[plan.productName] = (month.products[plan.productName] || 0) + quantity;
+      }
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    res.json({
+      success: true,
+      fiscalYear: yearRange,
+      ethiopianFiscalYear,
+      calendar,
+      totalTarget: salesPlans.reduce((sum, plan) => sum + plan.targetQuantity, 0),
+      months: months.map(month => ({
+        ...month,
+        targetQuantity: round(month.targetQuantity),
+        products: Object.entries(month.products).map(([productName, quantity]) => ({
+          productName,
+          targetQuantity: round(quantity)
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error building monthly sales plan report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building monthly sales plan report',
+      error: error.message
+    });
+  }
+});
+
 // ✅ ENHANCED: Get sales dashboard statistics with error handling
 router.get('/dashboard/stats', async (req, res) => {
   try {
@@ -564,16 +700,8 @@ router.get('/fiscal-years', async (req, res) => {
     
     // If no fiscal years exist, generate default ones
     if (fiscalYears.length === 0) {
-      const currentYear = new Date().getFullYear();
-      const currentMonth = new Date().getMonth() + 1;
-      
-      // Generate fiscal years based on current date
-      let startYear;
-      if (currentMonth >= 7) {
-        startYear = currentYear;
-      } else {
-        startYear = currentYear - 1;
-      }
+      // Generate fiscal years from the one in progress (fiscal year starts 1 Hamle)
+      const startYear = parseInt(getFiscalPeriod(new Date()).fiscalYear.split('-')[0]);
       
       // Generate 5 fiscal years including current and next 4
       for (let i = 0; i < 5; i++) {
@@ -595,7 +723,11 @@ router.get('/fiscal-years', async (req, res) => {
     
     res.json({
       success: true,
-      fiscalYears: sortedFiscalYears
+      fiscalYears: sortedFiscalYears,
+      ethiopianFiscalYears: sortedFiscalYears.map(year => ({
+        fiscalYear: year,
+        ethiopianFiscalYear: parseFiscalYear(year).ethiopianFiscalYear
+      }))
     });
   } catch (error) {
     console.error('❌ Error fetching fiscal years:', error);
@@ -619,23 +751,7 @@ router.post('/bulk', async (req, res) => {
       });
     }
     
-    const results = [];
-    
-    for (const operation of operations) {
-      try {
-        let result;
-        if (operation.type === 'create') {
-          result = await SalesPlan.create(operation.data);
-        } else if (operation.type === 'update') {
-          result = await SalesPlan.findByIdAndUpdate(operation.id, operation.data, { new: true });
-        } else if (operation.type === 'delete') {
-          result = await SalesPlan.findByIdAndDelete(operation.id);
-        }
-        results.push({ success: true, operation: operation.type, result });
-      } catch (error) {
-        results.push({ success: false, operation: operation.type, error: error.message });
-      }
-    }
+    const results = await SalesPlan.applyBulkOperations(operations);
     
     res.json({
       success: true,
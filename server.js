@@ -5,6 +5,10 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { validateEnvironment } from './utils/envValidator.js';
+import { startExpiryJob } from './utils/expiryMonitor.js';
+import { startLedgerRebuildJob } from './utils/ledgerRebuild.js';
+import { assertTransactionSupport } from './utils/ledgerLock.js';
+import { runStartupMigrations } from './utils/migrations.js';
 
 import departmentmanagementRoutes from './routes/departmentmanagements.js';
 import companyManagementRoutes from './routes/companyManagements.js';
@@ -15,13 +19,27 @@ import productRoutes from './routes/products.js';
 
 import productionmanagementRoutes from './routes/productionmanagements.js';
 import productionScheduleRoutes from './routes/productionSchedules.js';
+import workOrderRoutes from './routes/workOrders.js';
+import shiftReportRoutes from './routes/shiftReports.js';
 import capacityRoutes from './routes/capacitys.js';
 import lineManagementRoutes from './routes/lineManagements.js';
 import productformulationRoutes from './routes/productformulations.js';
+import formulationVersionRoutes from './routes/formulationVersions.js';
+import mrpRoutes from './routes/mrp.js';
+import calendarRoutes from './routes/calendars.js';
 
 import materialRIRoutes from './routes/materialRI.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
 import productRIRoutes from './routes/productRI.js';
 import inventoryplanRoutes from './routes/inventoryplans.js';
+import ledgerRoutes from './routes/ledgers.js';
+import stockTakeRoutes from './routes/stockTakes.js';
+import warehouseRoutes from './routes/warehouses.js';
+import genealogyRoutes from './routes/genealogy.js';
+import recallRoutes from './routes/recalls.js';
+import materialQRoutes from './routes/materialQ.js';
+import productQRoutes from './routes/productQ.js';
+import expiryAlertRoutes from './routes/expiryAlerts.js';
 
 import infoPricingRoutes from './routes/infoPricings.js';
 import materialcostRoutes from './routes/materialcosts.js';
@@ -30,6 +48,8 @@ import dailySaleFormRoutes from './routes/dailySalesForm.js';
 import expenseRoutes from './routes/expenses.js';
 import pettycashmanagementRoutes from './routes/pettycashmanagements.js';
 import salesplanRoutes from './routes/salesplans.js';
+import planVarianceRoutes from './routes/planVariances.js';
+import forecastRoutes from './routes/forecasts.js';
 
 // ES module fix for __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -90,13 +110,27 @@ app.use('/api/products', productRoutes);
 
 app.use('/api/production-managements', productionmanagementRoutes);
 app.use('/api/productionSchedules', productionScheduleRoutes);
+app.use('/api/work-orders', workOrderRoutes);
+app.use('/api/shift-reports', shiftReportRoutes);
 app.use('/api/capacitys', capacityRoutes);
 app.use('/api/lineManagements', lineManagementRoutes);
 app.use('/api/productformulations', productformulationRoutes);
+app.use('/api/formulation-versions', formulationVersionRoutes);
+app.use('/api/mrp', mrpRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 app.use('/api/material-ri', materialRIRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/product-ri', productRIRoutes);
 app.use('/api/inventoryplans', inventoryplanRoutes);
+app.use('/api/ledgers', ledgerRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/genealogy', genealogyRoutes);
+app.use('/api/recalls', recallRoutes);
+app.use('/api/materialQ', materialQRoutes);
+app.use('/api/productQ', productQRoutes);
+app.use('/api/expiry-alerts', expiryAlertRoutes);
 
 app.use('/api/info-pricings', infoPricingRoutes);
 app.use('/api/materialcosts', materialcostRoutes);
@@ -105,6 +139,8 @@ app.use('/api/dailySalesForm', dailySaleFormRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/pettycashmanagements', pettycashmanagementRoutes);
 app.use('/api/salesplans', salesplanRoutes);
+app.use('/api/forecasts', forecastRoutes);
+app.use('/api/plan-variance', planVarianceRoutes);
 
 // Test route to verify API is working
 app.get('/api/test', (req, res) => {
@@ -132,14 +168,21 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log('MongoDB connected successfully');
+
+    // Multi-record stock postings run in transactions, so a standalone server is refused here
+    await assertTransactionSupport();
   } catch (error) {
     console.error('MongoDB connection error:', error);
     process.exit(1);
   }
 };
 
-// Connect to database and start server
-connectDB();
+// Connect to database and start server; the background jobs need the connection
+connectDB().then(async () => {
+  await runStartupMigrations();
+  startExpiryJob();
+  startLedgerRebuildJob();
+});
 
 const PORT = process.env.PORT || 5000;
 
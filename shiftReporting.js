@@ -0,0 +1,208 @@
+// backend/utils/shiftReporting.js
+import ShiftReport from '../models/ShiftReport.js';
+import ProductionSchedule from '../models/ProductionSchedule.js';
+import Line from '../models/LineManagement.js';
+import Employee from '../models/Employee.js';
+import WorkOrder from '../models/WorkOrder.js';
+import { loadWorkingCalendar, startOfDay } from './workingCalendar.js';
+
+// Shop-floor shift reports and their roll-up into the production schedule. A schedule with
+// shift reports takes its actual hours (line run time of closed shifts), completion rate
+// (reported output against the scheduled quantity), actual start and end dates and status
+// from them instead of manual entry.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Time of day (HH:mm) on a date
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const value = startOfDay(date);
+  value.setHours(hours, minutes, 0, 0);
+  return value;
+};
+
+// Operators as stored on the report, checked against active employees
+const resolveOperators = async (operators = []) => {
+  const ids = operators.map(operator => operator.employee || operator);
+  const employees = await Employee.find({ _id: { $in: ids } }).select('firstName lastName status').lean();
+  const byId = new Map(employees.map(employee => [employee._id.toString(), employee]));
+
+  return operators.map((operator, index) => {
+    const employee = byId.get(String(ids[index]));
+    if (!employee) {
+      throw new Error(`Employee ${ids[index]} not found`);
+    }
+    if (employee.status !== 'active') {
+      throw new Error(`${employee.firstName} ${employee.lastName} is not an active employee`);
+    }
+    return {
+      employee: employee._id,
+      name: `${employee.firstName} ${employee.lastName}`,
+      role: operator.role || 'Operator'
+    };
+  });
+};
+
+// The shift from the line's shift pattern on that day. Lines without a pattern accept any
+// shift name, but then the start time has to be reported.
+const resolveShift = async (line, shiftDate, shiftName, startTime) => {
+  const calendar = await loadWorkingCalendar(shiftDate, shiftDate);
+  const pattern = calendar.getShiftPattern(line, shiftDate);
+
+  if (!pattern) {
+    if (!startTime) {
+      throw new Error(`Line ${line.lineCode} has no shift pattern, a start time is required`);
+    }
+    return { shiftName, startTime: new Date(startTime) };
+  }
+
+  const shifts = pattern.getShiftsForDay(shiftDate);
+  const shift = shifts.find(entry => entry.name.toLowerCase() === String(shiftName).trim().toLowerCase());
+  if (!shift) {
+    const available = shifts.map(entry => entry.name).join(', ') || 'none';
+    throw new Error(`Shift ${shiftName} does not run on line ${line.lineCode} on ${shiftDate.toDateString()} (shifts: ${available})`);
+  }
+
+  return {
+    shiftName: shift.name,
+    startTime: startTime ? new Date(startTime) : atTime(shiftDate, shift.startTime)
+  };
+};
+
+/**
+ * Recalculate a schedule's actuals and status from its shift reports. A work order on the
+ * schedule counts too: started, the schedule is in progress; completed, it stays completed.
+ */
+export const rollUpSchedule = async (scheduleId) => {
+  const schedule = await ProductionSchedule.findById(scheduleId);
+  if (!schedule) return null;
+
+  const [reports, workOrder] = await Promise.all([
+    ShiftReport.find({ schedule: schedule._id, status: { $ne: 'cancelled' } }),
+    WorkOrder.findOne({ schedule: schedule._id, status: { $in: ['in-progress', 'completed'] } })
+      .select('status startedAt completedAt')
+      .lean()
+  ]);
+  const closed = reports.filter(report => report.status === 'closed');
+  const output = reports.reduce((sum, report) => sum + report.outputQuantity, 0);
+
+  schedule.actualHours = round(closed.reduce((sum, report) => sum + report.runHours, 0));
+  schedule.completionRate = schedule.quantity > 0 ? round(Math.min(100, (output / schedule.quantity) * 100)) : 0;
+  const starts = [...reports.map(report => report.startTime), workOrder?.startedAt].filter(Boolean);
+  schedule.actualStartDate = starts.length > 0 ? new Date(Math.min(...starts)) : undefined;
+
+  if (schedule.status !== 'cancelled') {
+    const allClosed = closed.length === reports.length;
+
+    if (workOrder?.status === 'completed') {
+      schedule.status = 'completed';
+      schedule.actualEndDate = schedule.actualEndDate || workOrder.completedAt;
+    } else if (reports.length > 0 && output >= schedule.quantity && allClosed) {
+      schedule.status = 'completed';
+      schedule.actualEndDate = new Date(Math.max(...closed.map(report => report.endTime)));
+    } else {
+      schedule.status = reports.length === 0 && !workOrder ? 'scheduled' : 'in-progress';
+      if (schedule.isOverdue()) schedule.status = 'delayed';
+      schedule.actualEndDate = undefined;
+    }
+  }
+
+  schedule.$locals.shiftRollup = true;
+  return schedule.save();
+};
+
+/**
+ * Record a shift on a production schedule. A report without an end time stays open
+ * until the shift is closed.
+ */
+export const createShiftReport = async ({ orderId, shiftDate, shiftName, startTime, endTime, operators, outputQuantity, rejectedQuantity, stoppages, remarks, reportedBy }) => {
+  const schedule = await ProductionSchedule.findOne({ orderId });
+  if (!schedule) {
+    throw new Error(`Production schedule ${orderId} not found`);
+  }
+  if (['completed', 'cancelled'].includes(schedule.status)) {
+    throw new Error(`Production schedule ${orderId} is ${schedule.status}`);
+  }
+
+  const line = await Line.findById(schedule.lineId);
+  if (!line) {
+    throw new Error(`Line ${schedule.lineCode} of production schedule ${orderId} not found`);
+  }
+
+  const day = startOfDay(shiftDate || startTime || new Date());
+  const shift = await resolveShift(line, day, shiftName, startTime);
+
+  const existing = await ShiftReport.findOne({
+    lineId: line._id,
+    shiftDate: day,
+    shiftName: shift.shiftName,
+    status: { $ne: 'cancelled' }
+  }).select('reportNumber').lean();
+  if (existing) {
+    throw new Error(`Shift ${shift.shiftName} on line ${line.lineCode} is already reported in ${existing.reportNumber}`);
+  }
+
+  const report = new ShiftReport({
+    schedule: schedule._id,
+    orderId,
+    lineId: line._id,
+    lineCode: line.lineCode,
+    shiftDate: day,
+    shiftName: shift.shiftName,
+    startTime: shift.startTime,
+    endTime: endTime || undefined,
+    operators: await resolveOperators(operators),
+    outputQuantity,
+    rejectedQuantity,
+    stoppages,
+    status: endTime ? 'closed' : 'open',
+    closedAt: endTime ? new Date() : undefined,
+    reportedBy,
+    remarks
+  });
+
+  await report.save();
+  await rollUpSchedule(schedule._id);
+  return report;
+};
+
+/**
+ * Update the output, operators, stoppages or times of an open or closed shift. Setting an
+ * end time closes the shift.
+ */
+export const updateShiftReport = async (report, changes) => {
+  if (report.status === 'cancelled') {
+    throw new Error(`Shift report ${report.reportNumber} is cancelled`);
+  }
+
+  if (changes.operators !== undefined) report.operators = await resolveOperators(changes.operators);
+  ['startTime', 'endTime', 'outputQuantity', 'rejectedQuantity', 'stoppages', 'remarks'].forEach(field => {
+    if (changes[field] !== undefined) report[field] = changes[field];
+  });
+
+  if (report.endTime && report.status === 'open') {
+    report.status = 'closed';
+    report.closedAt = new Date();
+  }
+
+  await report.save();
+  await rollUpSchedule(report.schedule);
+  return report;
+};
+
+/**
+ * Cancel a shift report and take it out of the schedule's actuals
+ */
+export const cancelShiftReport = async (report, remarks) => {
+  if (report.status === 'cancelled') {
+    throw new Error(`Shift report ${report.reportNumber} is already cancelled`);
+  }
+
+  report.status = 'cancelled';
+  report.cancelledAt = new Date();
+  if (remarks) report.remarks = remarks;
+
+  await report.save();
+  await rollUpSchedule(report.schedule);
+  return report;
+};
\ No newline at end of file
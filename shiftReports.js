@@ -0,0 +1,266 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ShiftReport from '../models/ShiftReport.js';
+import {
+  createShiftReport,
+  updateShiftReport,
+  cancelShiftReport
+} from '../utils/shiftReporting.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Filter shared by the list and summary endpoints, cast for use in aggregations
+const buildFilter = (query) => {
+  const { orderId, lineCode, operator, status, startDate, endDate } = query;
+  const filter = {};
+  if (orderId) filter.orderId = orderId;
+  if (lineCode) filter.lineCode = lineCode.toUpperCase();
+  if (operator && mongoose.Types.ObjectId.isValid(operator)) {
+    filter['operators.employee'] = new mongoose.Types.ObjectId(operator);
+  }
+  filter.status = status || { $ne: 'cancelled' };
+  if (startDate || endDate) {
+    filter.shiftDate = {};
+    if (startDate) filter.shiftDate.$gte = new Date(startDate);
+    if (endDate) filter.shiftDate.$lte = new Date(endDate);
+  }
+  return filter;
+};
+
+// Get shift reports
+router.get('/', async (req, res) => {
+  try {
+    const reports = await ShiftReport.find(buildFilter(req.query))
+      .populate('operators.employee', 'employeeId firstName lastName')
+      .sort({ shiftDate: -1, startTime: -1 });
+
+    res.json({
+      success: true,
+      data: reports,
+      count: reports.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get stoppage reason codes
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: ShiftReport.getStoppageReasons()
+  });
+});
+
+// Stoppage minutes by reason code, per line
+router.get('/stoppages/summary', async (req, res) => {
+  try {
+    const summary = await ShiftReport.aggregate([
+      { $match: buildFilter(req.query) },
+      { $unwind: '$stoppages' },
+      {
+        $group: {
+          _id: { lineCode: '$lineCode', reasonCode: '$stoppages.reasonCode' },
+          stoppages: { $sum: 1 },
+          minutes: { $sum: '$stoppages.minutes' }
+        }
+      },
+      { $sort: { '_id.lineCode': 1, minutes: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: summary.map(row => ({
+        lineCode: row._id.lineCode,
+        reasonCode: row._id.reasonCode,
+        stoppages: row.stoppages,
+        minutes: row.minutes,
+        hours: Math.round((row.minutes / 60) * 100) / 100
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Shifts, run hours and output per operator
+router.get('/operators/summary', async (req, res) => {
+  try {
+    const reports = await ShiftReport.find(buildFilter(req.query));
+
+    const operators = new Map();
+    reports.forEach(report => {
+      report.operators.forEach(operator => {
+        const key = operator.employee.toString();
+        if (!operators.has(key)) {
+          operators.set(key, { employee: operator.employee, name: operator.name, shifts: 0, runHours: 0, outputQuantity: 0, rejectedQuantity: 0 });
+        }
+        const entry = operators.get(key);
+        entry.shifts++;
+        entry.runHours = Math.round((entry.runHours + report.runHours) * 100) / 100;
+        entry.outputQuantity += report.outputQuantity;
+        entry.rejectedQuantity += report.rejectedQuantity;
+      });
+    });
+
+    res.json({
+      success: true,
+      data: [...operators.values()].sort((a, b) => b.outputQuantity - a.outputQuantity)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get shift report by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await ShiftReport.findById(req.params.id)
+      .populate('schedule', 'orderId productName quantity status completionRate actualHours')
+      .populate('operators.employee', 'employeeId firstName lastName position');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Start (or record a finished) shift on a production schedule
+router.post('/', async (req, res) => {
+  try {
+    const { orderId, shiftName } = req.body;
+    if (!orderId || !shiftName) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId and shiftName are required'
+      });
+    }
+
+    const report = await createShiftReport({
+      ...req.body,
+      reportedBy: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: report,
+      message: `Shift report ${report.reportNumber} recorded`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update a shift report
+router.put('/:id', async (req, res) => {
+  try {
+    const report = await ShiftReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift report not found'
+      });
+    }
+
+    await updateShiftReport(report, req.body);
+
+    res.json({
+      success: true,
+      data: report,
+      message: 'Shift report updated successfully'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Close a running shift, ending it now unless an end time is given
+router.put('/:id/close', async (req, res) => {
+  try {
+    const report = await ShiftReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift report not found'
+      });
+    }
+    if (report.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot close a ${report.status} shift report`
+      });
+    }
+
+    await updateShiftReport(report, { ...req.body, endTime: req.body.endTime || new Date() });
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Shift report ${report.reportNumber} closed`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel a shift report
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const report = await ShiftReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift report not found'
+      });
+    }
+
+    await cancelShiftReport(report, req.body.remarks);
+
+    res.json({
+      success: true,
+      data: report,
+      message: 'Shift report cancelled'
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,467 @@
+import express from 'express';
+import StockTake from '../models/StockTake.js';
+import MaterialRI from '../models/MaterialRI.js';
+import ProductRI from '../models/ProductRI.js';
+import Material2 from '../models/Material2.js';
+import Product from '../models/Product.js';
+import { validateLocation } from '../utils/locations.js';
+import { withLedgerTransaction } from '../utils/ledgerLock.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const LEDGERS = { Material: MaterialRI, Product: ProductRI };
+const ITEM_FIELDS = { Material: 'Material', Product: 'Product' };
+
+// Item master details (code, unit, price) by name for the stock-take category
+const loadItemMaster = async (category, names) => {
+    if (category === 'Material') {
+        const materials = await Material2.find({ Material: { $in: names } })
+            .select('Material MaterialCode Unit UnitPrice')
+            .lean();
+        return new Map(materials.map(material => [material.Material, {
+            code: material.MaterialCode,
+            unit: material.Unit,
+            unitPrice: material.UnitPrice || 0
+        }]));
+    }
+
+    const products = await Product.find({ Product: { $in: names } })
+        .select('Product ProductCode Unit ProductPrice')
+        .lean();
+    return new Map(products.map(product => [product.Product, {
+        code: product.ProductCode,
+        unit: product.Unit,
+        unitPrice: product.ProductPrice || 0
+    }]));
+};
+
+// Count sheet lines: ledger stock per batch at the location for the items in scope at the time of opening
+const snapshotLines = async (category, location, items) => {
+    const batches = category === 'Material'
+        ? await MaterialRI.getAvailableBatches(null, location)
+        : await ProductRI.getStockByBatch(null, location);
+
+    const itemName = (batch) => category === 'Material' ? batch.material : batch.product;
+    const inScope = batches.filter(batch => items.length === 0 || items.includes(itemName(batch)));
+    const master = await loadItemMaster(category, [...new Set(inScope.map(itemName))]);
+
+    return inScope
+        .map(batch => {
+            const info = master.get(itemName(batch)) || {};
+            return {
+                item: itemName(batch),
+                itemCode: batch.materialCode || batch.productCode || info.code,
+                unit: info.unit || batch.unit,
+                batch: batch._id,
+                expireDate: batch.expireDate,
+                systemQuantity: batch.totalStock,
+                unitPrice: info.unitPrice || 0
+            };
+        })
+        .sort((a, b) => a.item.localeCompare(b.item) || a.batch.localeCompare(b.batch));
+};
+
+// Adjustment entry for a counted line: Adjustment In for a gain, Adjustment Out for a loss.
+// Neither is a receipt or an issue, so counts do not show up as purchases or cost of sales.
+const buildAdjustment = (stockTake, line) => {
+    const variance = line.variance;
+    const common = {
+        Date: stockTake.countDate,
+        Activity: variance > 0 ? 'Adjustment In' : 'Adjustment Out',
+        Batch: line.batch,
+        Quantity: Math.abs(variance),
+        Note: `Stock-take adjustment ${stockTake.countNumber}`,
+        DocumentNumber: stockTake.countNumber,
+        Location: stockTake.location
+    };
+
+    const record = stockTake.category === 'Material'
+        ? new MaterialRI({
+            ...common,
+            Material: line.item,
+            MaterialCode: line.itemCode,
+            ExpireDate: line.expireDate
+        })
+        : new ProductRI({
+            ...common,
+            Product: line.item,
+            ProductCode: line.itemCode,
+            Unit: line.unit,
+            ExpireDate: line.expireDate
+        });
+    // Counts correct batches on QC hold or recall as well
+    record.$locals.stockAdjustment = true;
+    return record;
+};
+
+// Get all stock-takes
+router.get('/', auth, async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status, category, location, search } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (category) filter.category = category;
+        if (location) filter.location = location.toUpperCase();
+        if (search) {
+            filter.$or = [
+                { countNumber: { $regex: search, $options: 'i' } },
+                { 'lines.item': { $regex: search, $options: 'i' } },
+                { 'lines.batch': { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const stockTakes = await StockTake.find(filter)
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .sort({ countDate: -1 });
+
+        const total = await StockTake.countDocuments(filter);
+
+        res.json({
+            stockTakes,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        console.error('Get stock-takes error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get stock-take by ID
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id)
+            .populate('createdBy', 'firstName lastName')
+            .populate('approvedBy', 'firstName lastName');
+
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Get stock-take error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Variance review: counted vs system per batch with value impact. Lines whose batch
+// has moved on the ledger since the snapshot are flagged, as their variance is no longer exact.
+router.get('/:id/variances', auth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+
+        const Model = LEDGERS[stockTake.category];
+        const showAll = req.query.all === 'true';
+        const lines = [];
+
+        for (const line of stockTake.lines) {
+            if (!showAll && !line.variance) continue;
+
+            const currentStock = await Model.getBatchStock(line.batch, stockTake.location);
+            lines.push({
+                _id: line._id,
+                item: line.item,
+                itemCode: line.itemCode,
+                batch: line.batch,
+                unit: line.unit,
+                systemQuantity: line.systemQuantity,
+                countedQuantity: line.countedQuantity,
+                variance: line.variance,
+                unitPrice: line.unitPrice,
+                varianceValue: line.varianceValue,
+                addedDuringCount: line.addedDuringCount,
+                currentStock,
+                movedSinceCount: Math.abs(currentStock - line.systemQuantity) > 0.000001
+            });
+        }
+
+        res.json({
+            countNumber: stockTake.countNumber,
+            category: stockTake.category,
+            location: stockTake.location,
+            status: stockTake.status,
+            countDate: stockTake.countDate,
+            totalLines: stockTake.lines.length,
+            uncountedLines: stockTake.getUncountedLines().length,
+            gainValue: stockTake.gainValue,
+            lossValue: stockTake.lossValue,
+            netVarianceValue: stockTake.netVarianceValue,
+            lines
+        });
+    } catch (error) {
+        console.error('Get stock-take variances error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Open a stock-take and snapshot system stock per batch
+router.post('/', auth, async (req, res) => {
+    try {
+        const { category, items = [], remarks } = req.body;
+
+        if (!LEDGERS[category]) {
+            return res.status(400).json({ message: 'Category must be Material or Product' });
+        }
+
+        const location = await validateLocation(req.body.location, category);
+        const lines = await snapshotLines(category, location, items);
+        if (lines.length === 0) {
+            return res.status(400).json({ message: `No ${category.toLowerCase()} stock found to count at ${location}` });
+        }
+
+        const stockTake = new StockTake({
+            category,
+            location,
+            items,
+            countDate: new Date(),
+            lines,
+            remarks,
+            status: 'open',
+            createdBy: req.user?._id
+        });
+
+        await stockTake.save();
+
+        res.status(201).json(stockTake);
+    } catch (error) {
+        console.error('Create stock-take error:', error);
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Record counted quantities. Each count names a line, a batch, or an item with a single
+// batch on the sheet. A batch that is not on the sheet is added as found stock.
+router.put('/:id/counts', auth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (stockTake.status !== 'open') {
+            return res.status(400).json({ message: `Cannot count on a ${stockTake.status} stock-take` });
+        }
+
+        const { counts = [] } = req.body;
+        if (counts.length === 0) {
+            return res.status(400).json({ message: 'At least one count is required' });
+        }
+
+        const Model = LEDGERS[stockTake.category];
+        const itemField = ITEM_FIELDS[stockTake.category];
+
+        for (const count of counts) {
+            const quantity = parseFloat(count.countedQuantity);
+            if (isNaN(quantity) || quantity < 0) {
+                return res.status(400).json({ message: 'Counted quantity must be zero or more' });
+            }
+
+            let line = null;
+            if (count.lineId) {
+                line = stockTake.lines.id(count.lineId);
+                if (!line) {
+                    return res.status(400).json({ message: `Line ${count.lineId} is not on this stock-take` });
+                }
+            } else if (count.batch) {
+                line = stockTake.lines.find(l => l.batch === count.batch);
+            } else {
+                const itemLines = stockTake.lines.filter(l => l.item === count.item);
+                if (itemLines.length !== 1) {
+                    return res.status(400).json({
+                        message: `${count.item} has ${itemLines.length} batches on this stock-take. Count it by batch`
+                    });
+                }
+                line = itemLines[0];
+            }
+
+            if (!line) {
+                const ledgerRecord = await Model.findOne({ Batch: count.batch }).sort({ Date: -1 }).lean();
+                const itemName = count.item || ledgerRecord?.[itemField];
+
+                if (!itemName) {
+                    return res.status(400).json({ message: `Item is required for new batch ${count.batch}` });
+                }
+                if (ledgerRecord && ledgerRecord[itemField] !== itemName) {
+                    return res.status(400).json({
+                        message: `Batch ${count.batch} belongs to ${ledgerRecord[itemField]}, not ${itemName}`
+                    });
+                }
+                if (stockTake.items.length > 0 && !stockTake.items.includes(itemName)) {
+                    return res.status(400).json({ message: `${itemName} is not in scope for this stock-take` });
+                }
+
+                const info = (await loadItemMaster(stockTake.category, [itemName])).get(itemName);
+                if (!info) {
+                    return res.status(400).json({ message: `${stockTake.category} ${itemName} not found` });
+                }
+
+                stockTake.lines.push({
+                    item: itemName,
+                    itemCode: info.code,
+                    unit: info.unit,
+                    batch: count.batch,
+                    expireDate: count.expireDate ? new Date(count.expireDate) : ledgerRecord?.ExpireDate,
+                    systemQuantity: ledgerRecord ? await Model.getBatchStock(count.batch, stockTake.location) : 0,
+                    unitPrice: info.unitPrice,
+                    addedDuringCount: true
+                });
+                line = stockTake.lines[stockTake.lines.length - 1];
+            }
+
+            line.countedQuantity = quantity;
+            line.countedBy = req.user?._id;
+            line.countedAt = new Date();
+            if (count.note !== undefined) line.note = count.note;
+        }
+
+        await stockTake.save();
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Record stock-take counts error:', error);
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Submit a fully counted stock-take for approval
+router.put('/:id/submit', auth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (stockTake.status !== 'open') {
+            return res.status(400).json({ message: `Cannot submit a ${stockTake.status} stock-take` });
+        }
+
+        const uncounted = stockTake.getUncountedLines();
+        if (uncounted.length > 0) {
+            return res.status(400).json({
+                message: `${uncounted.length} lines have not been counted`,
+                uncounted: uncounted.map(line => ({ _id: line._id, item: line.item, batch: line.batch }))
+            });
+        }
+
+        stockTake.status = 'submitted';
+        stockTake.submittedAt = new Date();
+        await stockTake.save();
+
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Submit stock-take error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Send a submitted stock-take back for recounting (Admin only)
+router.put('/:id/reopen', adminAuth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (stockTake.status !== 'submitted') {
+            return res.status(400).json({ message: `Cannot reopen a ${stockTake.status} stock-take` });
+        }
+
+        stockTake.status = 'open';
+        if (req.body.remarks) stockTake.remarks = req.body.remarks;
+        await stockTake.save();
+
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Reopen stock-take error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Approve a stock-take (Admin only) - posts an adjustment for every line with a variance,
+// with the count number as DocumentNumber, in one transaction with the approval
+router.put('/:id/approve', adminAuth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (stockTake.status !== 'submitted') {
+            return res.status(400).json({ message: `Cannot approve a ${stockTake.status} stock-take` });
+        }
+
+        const createdRecords = await withLedgerTransaction(async (session) => {
+            const records = [];
+
+            for (const line of stockTake.lines) {
+                if (!line.variance) continue;
+
+                try {
+                    const record = await buildAdjustment(stockTake, line).save({ session });
+                    records.push(record);
+                    line.adjustmentRecord = record._id;
+                } catch (error) {
+                    error.message = `Could not post adjustment for batch ${line.batch}: ${error.message}`;
+                    throw error;
+                }
+            }
+
+            stockTake.status = 'approved';
+            stockTake.approvedBy = req.user?._id;
+            stockTake.approvedAt = new Date();
+            await stockTake.save({ session });
+
+            return records;
+        });
+
+        res.json({
+            message: `Stock-take approved, ${createdRecords.length} adjustments posted`,
+            stockTake,
+            records: createdRecords
+        });
+    } catch (error) {
+        console.error('Approve stock-take error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Cancel a stock-take that has not been approved
+router.put('/:id/cancel', auth, async (req, res) => {
+    try {
+        const stockTake = await StockTake.findById(req.params.id);
+        if (!stockTake) {
+            return res.status(404).json({ message: 'Stock-take not found' });
+        }
+        if (!['open', 'submitted'].includes(stockTake.status)) {
+            return res.status(400).json({ message: `Cannot cancel a ${stockTake.status} stock-take` });
+        }
+
+        stockTake.status = 'cancelled';
+        stockTake.cancelledAt = new Date();
+        if (req.body.remarks) stockTake.remarks = req.body.remarks;
+        await stockTake.save();
+
+        res.json(stockTake);
+    } catch (error) {
+        console.error('Cancel stock-take error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
\ No newline at end of file
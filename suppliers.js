@@ -1,5 +1,10 @@
 import express from 'express';
 import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import MaterialRI from '../models/MaterialRI.js';
+import MaterialQ from '../models/MaterialQ.js';
+import MaterialCost from '../models/MaterialCost.js';
+import Material2 from '../models/Material2.js';
 import { auth, adminAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -70,27 +75,337 @@ router.put('/:id', adminAuth, async (req, res) => {
     }
 });
 
-// Get supplier performance
+// Performance weights used to turn the three measures into a 1-5 rating
+const PERFORMANCE_WEIGHTS = {
+    onTimeDelivery: 0.4,
+    acceptanceRate: 0.4,
+    price: 0.2
+};
+
+const roundTo = (value, decimals = 2) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+// Resolve the evaluation window, defaulting to the last 12 months
+const getPerformanceWindow = (startDate, endDate) => {
+    const end = endDate ? new Date(endDate) : new Date();
+    end.setHours(23, 59, 59, 999);
+    const start = startDate ? new Date(startDate) : new Date(end.getFullYear() - 1, end.getMonth(), end.getDate());
+    start.setHours(0, 0, 0, 0);
+    return { start, end };
+};
+
+// The stored rating always covers the trailing SUPPLIER_RATING_MONTHS (default 12) months,
+// so ratings of different suppliers and recomputations stay comparable
+const getRatingWindow = () => {
+    const months = parseInt(process.env.SUPPLIER_RATING_MONTHS, 10) || 12;
+    const end = new Date();
+    const start = new Date(end.getFullYear(), end.getMonth() - months, end.getDate());
+    return getPerformanceWindow(start, end);
+};
+
+// Delivery punctuality from MaterialRI receipts posted against purchase orders
+const calculateDeliveryPerformance = async (supplierId, start, end) => {
+    const receipts = await MaterialRI.find({
+        Supplier: supplierId,
+        Activity: 'Receive',
+        Date: { $gte: start, $lte: end }
+    }).select('Date Material Quantity PurchaseOrder').lean();
+
+    const orderIds = [...new Set(receipts.map(r => r.PurchaseOrder?.toString()).filter(Boolean))];
+    const orders = await PurchaseOrder.find({ _id: { $in: orderIds } })
+        .select('poNumber expectedDeliveryDate lines')
+        .lean();
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+    let onTime = 0;
+    let totalDaysLate = 0;
+    const lateReceipts = [];
+
+    for (const receipt of receipts) {
+        const order = ordersById.get(receipt.PurchaseOrder?.toString());
+        const line = order?.lines.find(l => l.materialName === receipt.Material);
+        const promised = new Date(line?.expectedDate || order?.expectedDeliveryDate || receipt.Date);
+        promised.setHours(23, 59, 59, 999);
+
+        if (receipt.Date <= promised) {
+            onTime++;
+        } else {
+            const daysLate = Math.ceil((receipt.Date - promised) / (1000 * 60 * 60 * 24));
+            totalDaysLate += daysLate;
+            lateReceipts.push({
+                poNumber: order?.poNumber,
+                material: receipt.Material,
+                promisedDate: line?.expectedDate || order?.expectedDeliveryDate,
+                receivedDate: receipt.Date,
+                daysLate
+            });
+        }
+    }
+
+    return {
+        totalReceipts: receipts.length,
+        onTimeReceipts: onTime,
+        onTimeDelivery: receipts.length > 0 ? roundTo((onTime / receipts.length) * 100) : null,
+        averageDaysLate: lateReceipts.length > 0 ? roundTo(totalDaysLate / lateReceipts.length) : 0,
+        lateReceipts
+    };
+};
+
+// Incoming quality from MaterialQ inspections
+const calculateQualityPerformance = async (supplierId, start, end) => {
+    const inspections = await MaterialQ.find({
+        supplier: supplierId,
+        $or: [
+            { receivedDate: { $gte: start, $lte: end } },
+            { receivedDate: { $exists: false }, testedAt: { $gte: start, $lte: end } }
+        ]
+    }).select('quantityAccepted quantityRejected overallStatus').lean();
+
+    const accepted = inspections.reduce((sum, q) => sum + (q.quantityAccepted || 0), 0);
+    const rejected = inspections.reduce((sum, q) => sum + (q.quantityRejected || 0), 0);
+    const inspected = accepted + rejected;
+
+    return {
+        inspections: inspections.length,
+        rejectedInspections: inspections.filter(q => q.overallStatus === 'rejected').length,
+        quantityAccepted: accepted,
+        quantityRejected: rejected,
+        acceptanceRate: inspected > 0 ? roundTo((accepted / inspected) * 100) : null
+    };
+};
+
+// Price trends: PO prices against the MaterialCost reference price per material
+const calculatePricePerformance = async (supplierId, start, end) => {
+    const orders = await PurchaseOrder.find({
+        supplier: supplierId,
+        status: { $in: ['approved', 'partially_received', 'closed'] },
+        orderDate: { $gte: start, $lte: end }
+    }).select('orderDate lines').sort({ orderDate: 1 }).lean();
+
+    const linesByMaterial = new Map();
+    for (const order of orders) {
+        for (const line of order.lines) {
+            if (!linesByMaterial.has(line.materialName)) linesByMaterial.set(line.materialName, []);
+            linesByMaterial.get(line.materialName).push({
+                date: order.orderDate,
+                unitPrice: line.unitPrice,
+                quantity: line.quantity
+            });
+        }
+    }
+
+    const materials = [];
+    let weightedVariance = 0;
+    let totalValue = 0;
+
+    for (const [materialName, lines] of linesByMaterial) {
+        const costs = await MaterialCost.find({ material: materialName }).select('materialPrice').lean();
+        let referencePrice = costs.length > 0 ?
+            costs.reduce((sum, c) => sum + c.materialPrice, 0) / costs.length :
+            null;
+        if (referencePrice === null) {
+            const material = await Material2.findOne({ Material: materialName }).select('UnitPrice').lean();
+            referencePrice = material?.UnitPrice ?? null;
+        }
+
+        const quantity = lines.reduce((sum, l) => sum + l.quantity, 0);
+        const value = lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0);
+        const averagePrice = quantity > 0 ? value / quantity : 0;
+        const firstPrice = lines[0].unitPrice;
+        const lastPrice = lines[lines.length - 1].unitPrice;
+        const variance = referencePrice ? ((averagePrice - referencePrice) / referencePrice) * 100 : null;
+
+        if (variance !== null) {
+            weightedVariance += variance * value;
+            totalValue += value;
+        }
+
+        materials.push({
+            material: materialName,
+            referencePrice: referencePrice !== null ? roundTo(referencePrice) : null,
+            averagePrice: roundTo(averagePrice),
+            firstPrice,
+            lastPrice,
+            priceChange: firstPrice > 0 ? roundTo(((lastPrice - firstPrice) / firstPrice) * 100) : 0,
+            variance: variance !== null ? roundTo(variance) : null,
+            history: lines.map(l => ({ date: l.date, unitPrice: l.unitPrice }))
+        });
+    }
+
+    return {
+        orders: orders.length,
+        priceVariance: totalValue > 0 ? roundTo(weightedVariance / totalValue) : null,
+        materials
+    };
+};
+
+// Combine the measures into a 0-100 score and a 1-5 rating
+const calculateSupplierPerformance = async (supplier, startDate, endDate) => {
+    const { start, end } = getPerformanceWindow(startDate, endDate);
+
+    const [delivery, quality, price] = await Promise.all([
+        calculateDeliveryPerformance(supplier._id, start, end),
+        calculateQualityPerformance(supplier._id, start, end),
+        calculatePricePerformance(supplier._id, start, end)
+    ]);
+
+    // Paying at or below the reference price scores 100; each % above costs a point
+    const priceScore = price.priceVariance !== null ?
+        Math.max(0, Math.min(100, 100 - Math.max(0, price.priceVariance))) :
+        null;
+
+    const components = [
+        { value: delivery.onTimeDelivery, weight: PERFORMANCE_WEIGHTS.onTimeDelivery },
+        { value: quality.acceptanceRate, weight: PERFORMANCE_WEIGHTS.acceptanceRate },
+        { value: priceScore, weight: PERFORMANCE_WEIGHTS.price }
+    ].filter(c => c.value !== null);
+
+    const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+    const score = totalWeight > 0 ?
+        roundTo(components.reduce((sum, c) => sum + c.value * c.weight, 0) / totalWeight) :
+        null;
+    const rating = score !== null ? roundTo(1 + (score / 100) * 4, 1) : null;
+    // Out of 5 like the overall rating, from the inspection acceptance rate alone
+    const qualityRating = quality.acceptanceRate !== null ? roundTo(1 + (quality.acceptanceRate / 100) * 4, 1) : null;
+
+    return {
+        supplier: {
+            _id: supplier._id,
+            name: supplier.name,
+            code: supplier.code
+        },
+        period: { startDate: start, endDate: end },
+        onTimeDelivery: delivery.onTimeDelivery,
+        acceptanceRate: quality.acceptanceRate,
+        qualityRating,
+        priceVariance: price.priceVariance,
+        score,
+        rating,
+        previousRating: supplier.rating,
+        totalOrders: supplier.totalOrders,
+        totalAmount: supplier.totalAmount,
+        avgOrderValue: supplier.totalOrders > 0 ? supplier.totalAmount / supplier.totalOrders : 0,
+        delivery,
+        quality,
+        price
+    };
+};
+
+// Write the computed rating back to the supplier
+const saveSupplierPerformance = async (supplier, performance) => {
+    if (performance.rating === null) return supplier;
+
+    supplier.rating = performance.rating;
+    supplier.performance = {
+        onTimeDelivery: performance.onTimeDelivery,
+        acceptanceRate: performance.acceptanceRate,
+        priceVariance: performance.priceVariance,
+        score: performance.score,
+        periodStart: performance.period.startDate,
+        periodEnd: performance.period.endDate,
+        evaluatedAt: new Date()
+    };
+    return supplier.save();
+};
+
+// Ranked performance scorecard across all active suppliers, for any window.
+// Read-only; the stored ratings are updated by POST /performance/recompute.
+router.get('/performance/scorecard', auth, async (req, res) => {
+    try {
+        const { startDate, endDate, status = 'active' } = req.query;
+
+        const suppliers = await Supplier.find(status === 'all' ? {} : { status }).lean();
+        const scorecard = [];
+
+        for (const supplier of suppliers) {
+            const performance = await calculateSupplierPerformance(supplier, startDate, endDate);
+
+            scorecard.push({
+                supplier: performance.supplier,
+                onTimeDelivery: performance.onTimeDelivery,
+                acceptanceRate: performance.acceptanceRate,
+                priceVariance: performance.priceVariance,
+                score: performance.score,
+                rating: performance.rating,
+                previousRating: performance.previousRating,
+                receipts: performance.delivery.totalReceipts,
+                inspections: performance.quality.inspections,
+                orders: performance.price.orders
+            });
+        }
+
+        // Suppliers without any data in the window go to the bottom
+        scorecard.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+        scorecard.forEach((entry, index) => {
+            entry.rank = entry.score !== null ? index + 1 : null;
+        });
+
+        const { start, end } = getPerformanceWindow(startDate, endDate);
+        res.json({
+            period: { startDate: start, endDate: end },
+            scorecard,
+            total: scorecard.length
+        });
+    } catch (error) {
+        console.error('Get supplier scorecard error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Recompute and store the rating of every active supplier (or the one in `supplierId`)
+// over the fixed rating window
+router.post('/performance/recompute', adminAuth, async (req, res) => {
+    try {
+        const { supplierId } = req.body;
+        const { start, end } = getRatingWindow();
+
+        const suppliers = await Supplier.find(supplierId ? { _id: supplierId } : { status: 'active' });
+        if (supplierId && suppliers.length === 0) {
+            return res.status(404).json({ message: 'Supplier not found' });
+        }
+
+        const results = [];
+        for (const supplier of suppliers) {
+            const performance = await calculateSupplierPerformance(supplier, start, end);
+            await saveSupplierPerformance(supplier, performance);
+
+            results.push({
+                supplier: performance.supplier,
+                score: performance.score,
+                rating: performance.rating,
+                previousRating: performance.previousRating,
+                updated: performance.rating !== null
+            });
+        }
+
+        res.json({
+            period: { startDate: start, endDate: end },
+            suppliers: results,
+            updated: results.filter(result => result.updated).length
+        });
+    } catch (error) {
+        console.error('Recompute supplier performance error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Get supplier performance for any window, without changing the stored rating
 router.get('/:id/performance', auth, async (req, res) => {
     try {
-        // This would typically aggregate data from purchase orders and material receipts
-        const supplier = await Supplier.findById(req.params.id);
+        const supplier = await Supplier.findById(req.params.id).lean();
         
         if (!supplier) {
             return res.status(404).json({ message: 'Supplier not found' });
         }
 
-        // Mock performance data - in real app, calculate from actual transactions
-        const performance = {
-            onTimeDelivery: 95, // percentage
-            qualityRating: 4.2, // out of 5
-            totalOrders: supplier.totalOrders,
-            totalAmount: supplier.totalAmount,
-            avgOrderValue: supplier.totalOrders > 0 ? supplier.totalAmount / supplier.totalOrders : 0
-        };
+        const { startDate, endDate } = req.query;
+        const performance = await calculateSupplierPerformance(supplier, startDate, endDate);
 
         res.json(performance);
     } catch (error) {
+        console.error('Get supplier performance error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
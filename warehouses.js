@@ -0,0 +1,252 @@
+import express from 'express';
+import Warehouse from '../models/Warehouse.js';
+import MaterialRI from '../models/MaterialRI.js';
+import ProductRI from '../models/ProductRI.js';
+import { splitLocation } from '../utils/locations.js';
+
+const router = express.Router();
+
+// Material and product stock per batch at a warehouse and its bins
+const getWarehouseStock = async (code) => {
+  const [materialRows, productRows] = await Promise.all([
+    MaterialRI.getLocationStock(),
+    ProductRI.getLocationStock()
+  ]);
+
+  const atWarehouse = (row) => splitLocation(row._id.location).warehouse === code;
+
+  return {
+    materials: materialRows.filter(atWarehouse).map(row => ({
+      material: row.material,
+      batch: row._id.batch,
+      location: row._id.location,
+      bin: splitLocation(row._id.location).bin,
+      stock: row.stock
+    })),
+    products: productRows.filter(atWarehouse).map(row => ({
+      product: row.product,
+      batch: row._id.batch,
+      location: row._id.location,
+      bin: splitLocation(row._id.location).bin,
+      stock: row.stock
+    }))
+  };
+};
+
+const handleError = (res, error, message) => {
+  console.error(`❌ ${message}:`, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Warehouse code already exists' });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: 'Invalid warehouse ID format' });
+  }
+  if (error.message && error.message.includes('Bin codes must be unique')) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  res.status(500).json({
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// GET all warehouses
+router.get('/', async (req, res) => {
+  try {
+    const { status, category, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) filter.category = { $in: [category, 'Both'] };
+    if (search) {
+      filter.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const warehouses = await Warehouse.find(filter).sort({ code: 1 });
+    res.json(warehouses);
+  } catch (error) {
+    handleError(res, error, 'Error fetching warehouses');
+  }
+});
+
+// GET single warehouse by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+    res.json(warehouse);
+  } catch (error) {
+    handleError(res, error, 'Error fetching warehouse');
+  }
+});
+
+// GET stock held at a warehouse, by batch and bin
+router.get('/:id/stock', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const stock = await getWarehouseStock(warehouse.code);
+    res.json({ warehouse: warehouse.code, ...stock });
+  } catch (error) {
+    handleError(res, error, 'Error fetching warehouse stock');
+  }
+});
+
+// CREATE new warehouse
+router.post('/', async (req, res) => {
+  try {
+    const { code, name, category, address, description, bins, status } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ message: 'Warehouse code and name are required' });
+    }
+    if (splitLocation(code).warehouse === 'MAIN') {
+      return res.status(400).json({ message: 'MAIN is reserved for the default store' });
+    }
+
+    const warehouse = new Warehouse({ code, name, category, address, description, bins, status });
+    const savedWarehouse = await warehouse.save();
+
+    console.log('✅ Warehouse created:', savedWarehouse.code);
+    res.status(201).json(savedWarehouse);
+  } catch (error) {
+    handleError(res, error, 'Error creating warehouse');
+  }
+});
+
+// UPDATE warehouse. The code is fixed because ledger records refer to it.
+router.put('/:id', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    if (req.body.code && req.body.code.toUpperCase() !== warehouse.code) {
+      return res.status(400).json({ message: 'Warehouse code cannot be changed' });
+    }
+
+    ['name', 'category', 'address', 'description', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) warehouse[field] = req.body[field];
+    });
+
+    const updatedWarehouse = await warehouse.save();
+    res.json(updatedWarehouse);
+  } catch (error) {
+    handleError(res, error, 'Error updating warehouse');
+  }
+});
+
+// DELETE warehouse, only when nothing is stocked there
+router.delete('/:id', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const { materials, products } = await getWarehouseStock(warehouse.code);
+    if (materials.length > 0 || products.length > 0) {
+      return res.status(400).json({
+        message: `Warehouse ${warehouse.code} still holds stock. Transfer it out or set the warehouse Inactive.`,
+        materials,
+        products
+      });
+    }
+
+    await warehouse.deleteOne();
+    res.json({ message: 'Warehouse deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Error deleting warehouse');
+  }
+});
+
+// ADD bin to warehouse
+router.post('/:id/bins', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const { code, description, status } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Bin code is required' });
+    }
+
+    warehouse.bins.push({ code, description, status });
+    const updatedWarehouse = await warehouse.save();
+    res.status(201).json(updatedWarehouse);
+  } catch (error) {
+    handleError(res, error, 'Error adding bin');
+  }
+});
+
+// UPDATE bin. The bin code is fixed for the same reason as the warehouse code.
+router.put('/:id/bins/:binId', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const bin = warehouse.bins.id(req.params.binId);
+    if (!bin) {
+      return res.status(404).json({ message: 'Bin not found' });
+    }
+
+    if (req.body.code && req.body.code.toUpperCase() !== bin.code) {
+      return res.status(400).json({ message: 'Bin code cannot be changed' });
+    }
+
+    if (req.body.description !== undefined) bin.description = req.body.description;
+    if (req.body.status !== undefined) bin.status = req.body.status;
+
+    const updatedWarehouse = await warehouse.save();
+    res.json(updatedWarehouse);
+  } catch (error) {
+    handleError(res, error, 'Error updating bin');
+  }
+});
+
+// DELETE bin, only when nothing is stocked in it
+router.delete('/:id/bins/:binId', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({ message: 'Warehouse not found' });
+    }
+
+    const bin = warehouse.bins.id(req.params.binId);
+    if (!bin) {
+      return res.status(404).json({ message: 'Bin not found' });
+    }
+
+    const { materials, products } = await getWarehouseStock(warehouse.code);
+    if ([...materials, ...products].some(row => row.bin === bin.code)) {
+      return res.status(400).json({ message: `Bin ${bin.code} still holds stock` });
+    }
+
+    bin.deleteOne();
+    const updatedWarehouse = await warehouse.save();
+    res.json(updatedWarehouse);
+  } catch (error) {
+    handleError(res, error, 'Error deleting bin');
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,212 @@
+import express from 'express';
+import WorkOrder from '../models/WorkOrder.js';
+import {
+  createWorkOrder,
+  reportWorkOrderOutput,
+  completeWorkOrder,
+  getUsageVariance
+} from '../utils/backflush.js';
+
+const router = express.Router();
+
+// Output fields shared by the output and complete endpoints
+const readOutput = (body, req) => ({
+  quantity: body.Quantity,
+  date: body.Date,
+  batch: body.Batch,
+  expireDate: body.ExpireDate,
+  documentNumber: body.DocumentNumber,
+  note: body.Note,
+  materials: Array.isArray(body.Materials) ? body.Materials : [],
+  reportedBy: req.user?._id
+});
+
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: messages.join(', ')
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    message: error.message,
+    shortages: error.shortages
+  });
+};
+
+// Get all work orders
+router.get('/', async (req, res) => {
+  try {
+    const { status, orderId, product } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (orderId) filter.orderId = orderId;
+    if (product) filter.product = product;
+
+    const workOrders = await WorkOrder.find(filter)
+      .select('-outputs')
+      .populate('schedule', 'orderId lineCode startDate endDate status')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: workOrders,
+      count: workOrders.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get work order by ID with standard against actual material usage
+router.get('/:id', async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findById(req.params.id)
+      .populate('schedule', 'orderId lineCode startDate endDate status priority')
+      .populate('outputs.production', 'Batch Quantity Date ExpireDate DocumentNumber');
+
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: workOrder,
+      usage: getUsageVariance(workOrder)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Release a work order for a production schedule order
+router.post('/', async (req, res) => {
+  try {
+    const { orderId, quantity, location, remarks } = req.body;
+    if (!orderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId is required'
+      });
+    }
+
+    const workOrder = await createWorkOrder({
+      orderId,
+      quantity,
+      location,
+      remarks,
+      createdBy: req.user?._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: workOrder,
+      message: `Work order ${workOrder.workOrderNumber} released`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Report output: posts the Production record and backflushes materials
+router.post('/:id/output', async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findById(req.params.id);
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    const { production, issues } = await reportWorkOrderOutput(workOrder, readOutput(req.body, req));
+
+    res.status(201).json({
+      success: true,
+      data: workOrder,
+      production,
+      materialIssues: issues,
+      usage: getUsageVariance(workOrder),
+      message: `${production.Quantity} reported on batch ${production.Batch}, ${issues.length} material issues posted`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Complete a work order, with an optional final output. Refused when the final
+// output is short of material stock.
+router.put('/:id/complete', async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findById(req.params.id);
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    const finalOutput = req.body.Quantity !== undefined ? readOutput(req.body, req) : null;
+    const result = await completeWorkOrder(workOrder, finalOutput);
+
+    res.json({
+      success: true,
+      data: workOrder,
+      production: result?.production,
+      materialIssues: result?.issues || [],
+      usage: getUsageVariance(workOrder),
+      message: `Work order ${workOrder.workOrderNumber} completed`
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel a work order that has no output yet
+router.put('/:id/cancel', async (req, res) => {
+  try {
+    const workOrder = await WorkOrder.findById(req.params.id);
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+    if (workOrder.status !== 'released') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${workOrder.status} work order`
+      });
+    }
+
+    workOrder.status = 'cancelled';
+    workOrder.cancelledAt = new Date();
+    if (req.body.remarks) workOrder.remarks = req.body.remarks;
+    await workOrder.save();
+
+    res.json({
+      success: true,
+      data: workOrder,
+      message: 'Work order cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,192 @@
+// backend/utils/workingCalendar.js
+import CalendarEvent from '../models/CalendarEvent.js';
+import ShiftPattern from '../models/ShiftPattern.js';
+
+const DEFAULT_OPERATIONAL_HOURS = {
+  shiftsPerDay: 2,
+  hoursPerShift: 8,
+  workingDaysPerWeek: 5
+};
+
+export const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const eachDay = (from, to) => {
+  const days = [];
+  const current = startOfDay(from);
+  const end = new Date(to);
+  while (current <= end) {
+    days.push(new Date(current));
+    current.setDate(current.getDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Orthodox (Fasika) Easter Sunday for a Gregorian year, valid 1900-2099
+ */
+export const getOrthodoxEaster = (year) => {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+  // Julian calendar date shifted by 13 days to the Gregorian calendar
+  return new Date(year, month - 1, day + 13);
+};
+
+/**
+ * Ethiopian public holidays that fall on predictable Gregorian dates.
+ * Eid al-Fitr, Eid al-Adha and Mawlid follow the lunar calendar and
+ * must be added by hand each year.
+ */
+export const getEthiopianHolidays = (year) => {
+  const isLeap = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+  // Enkutatash and Meskel move one day later before a Gregorian leap year,
+  // Timket moves one day later in a Gregorian leap year
+  const nextIsLeap = isLeap(year + 1);
+  const easter = getOrthodoxEaster(year);
+  const goodFriday = new Date(easter);
+  goodFriday.setDate(goodFriday.getDate() - 2);
+
+  return [
+    { name: 'Ethiopian Christmas (Genna)', date: new Date(year, 0, 7) },
+    { name: 'Ethiopian Epiphany (Timket)', date: new Date(year, 0, isLeap(year) ? 20 : 19) },
+    { name: 'Adwa Victory Day', date: new Date(year, 2, 2) },
+    { name: 'Good Friday (Siklet)', date: goodFriday },
+    { name: 'Ethiopian Easter (Fasika)', date: easter },
+    { name: 'International Labour Day', date: new Date(year, 4, 1) },
+    { name: 'Patriots Victory Day', date: new Date(year, 4, 5) },
+    { name: 'Downfall of the Derg', date: new Date(year, 4, 28) },
+    { name: 'Ethiopian New Year (Enkutatash)', date: new Date(year, 8, nextIsLeap ? 12 : 11) },
+    { name: 'Finding of the True Cross (Meskel)', date: new Date(year, 8, nextIsLeap ? 28 : 27) }
+  ];
+};
+
+/**
+ * Working calendar combining holidays, shutdowns and shift patterns.
+ * Build it once per request with loadWorkingCalendar and query it per day.
+ */
+export class WorkingCalendar {
+  constructor(events = [], patterns = []) {
+    this.events = events;
+    this.patterns = patterns;
+  }
+
+  getEvents(line, date) {
+    const lineId = line?._id || line;
+    return this.events.filter(event => event.coversDate(date) && event.appliesToLine(lineId));
+  }
+
+  // Line pattern first, then the company default pattern
+  getShiftPattern(line, date) {
+    const lineId = line?._id?.toString();
+    const effective = this.patterns.filter(pattern => pattern.isEffectiveOn(date));
+    return effective.find(pattern => lineId && pattern.lineId?.toString() === lineId) ||
+      effective.find(pattern => !pattern.lineId) ||
+      null;
+  }
+
+  // Shift hours before holidays and shutdowns are applied
+  getShiftHours(line, date) {
+    const pattern = this.getShiftPattern(line, date);
+    if (pattern) return pattern.getHoursForDay(date);
+
+    const operationalHours = line?.operationalHours || DEFAULT_OPERATIONAL_HOURS;
+    // Without a pattern, working days run Monday first (5 = Mon-Fri, 6 = Mon-Sat)
+    const mondayIndex = (new Date(date).getDay() + 6) % 7;
+    if (mondayIndex >= operationalHours.workingDaysPerWeek) return 0;
+    return operationalHours.shiftsPerDay * operationalHours.hoursPerShift;
+  }
+
+  getAvailableHours(line, date) {
+    const shiftHours = this.getShiftHours(line, date);
+    if (shiftHours === 0) return 0;
+
+    let hours = shiftHours;
+    for (const event of this.getEvents(line, date)) {
+      if (event.type === 'holiday' || event.type === 'shutdown') return 0;
+      if (event.type === 'reduced-hours') hours = Math.min(hours, event.availableHours);
+    }
+    return hours;
+  }
+
+  isWorkingDay(line, date) {
+    return this.getAvailableHours(line, date) > 0;
+  }
+
+  getWorkingDays(line, from, to) {
+    return eachDay(from, to)
+      .map(date => ({ date, hours: this.getAvailableHours(line, date) }))
+      .filter(day => day.hours > 0);
+  }
+
+  getAvailableHoursInRange(line, from, to) {
+    return this.getWorkingDays(line, from, to).reduce((sum, day) => sum + day.hours, 0);
+  }
+
+  // First day on or after the date with shift hours and no holiday. Shutdowns
+  // are left alone because they are the usual window for planned maintenance.
+  getNextMaintenanceDay(line, date, maxDays = 60) {
+    const day = startOfDay(date);
+    for (let offset = 0; offset < maxDays; offset++) {
+      const isHoliday = this.getEvents(line, day).some(event => event.type === 'holiday');
+      if (!isHoliday && this.getShiftHours(line, day) > 0) return day;
+      day.setDate(day.getDate() + 1);
+    }
+    return startOfDay(date);
+  }
+
+  // Day-by-day view including the reason a day is not worked
+  describeRange(line, from, to) {
+    return eachDay(from, to).map(date => {
+      const events = this.getEvents(line, date);
+      const shiftHours = this.getShiftHours(line, date);
+      return {
+        date,
+        shiftHours,
+        availableHours: this.getAvailableHours(line, date),
+        events: events.map(event => ({ name: event.name, type: event.type })),
+        reason: shiftHours === 0 ? 'Non-working day' : events.map(event => event.name).join(', ')
+      };
+    });
+  }
+}
+
+/**
+ * Load the events and shift patterns that matter for a date range
+ */
+export const loadWorkingCalendar = async (from, to) => {
+  const [events, patterns] = await Promise.all([
+    CalendarEvent.find({
+      status: 'active',
+      $or: [
+        { recurring: true },
+        { startDate: { $lte: new Date(to) }, endDate: { $gte: startOfDay(from) } }
+      ]
+    }),
+    ShiftPattern.find({
+      status: 'active',
+      effectiveFrom: { $lte: new Date(to) },
+      $or: [
+        { effectiveTo: { $exists: false } },
+        { effectiveTo: null },
+        { effectiveTo: { $gte: startOfDay(from) } }
+      ]
+    }).sort({ effectiveFrom: -1 })
+  ]);
+
+  return new WorkingCalendar(events, patterns);
+};
\ No newline at end of file